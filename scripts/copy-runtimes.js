@@ -0,0 +1,31 @@
+/**
+ * Copies runtimes the app loads at runtime rather than through the bundler
+ * from node_modules into public/:
+ *
+ *   opencv.js        far too large to bundle
+ *   tfjs-wasm/*.wasm binaries of the TF.js WASM backend
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PUBLIC = path.join(__dirname, '..', 'public');
+const WASM = path.dirname(require.resolve('@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm.wasm'));
+
+const files = [
+  [require.resolve('opencv.js'), 'opencv.js'],
+  ...fs.readdirSync(WASM)
+    .filter(name => name.endsWith('.wasm'))
+    .map(name => [path.join(WASM, name), path.join('tfjs-wasm', name)]),
+];
+
+files.forEach(([source, name]) => {
+  const target = path.join(PUBLIC, name);
+  const current = fs.existsSync(target) && fs.statSync(target);
+  const installed = fs.statSync(source);
+  if (current && current.size === installed.size && current.mtimeMs >= installed.mtimeMs) return;
+
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.copyFileSync(source, target);
+  console.log(`Copied ${path.relative(process.cwd(), source)} to public/${name}`);
+});
@@ -8,13 +8,13 @@ import './styles/App.css';
 
 function App() {
   const [currentView, setCurrentView] = useState('home');
-  const { currentModel } = useARStore();
+  const { currentModel, modelType } = useARStore();
 
   return (
     <div className="app">
       {currentView === 'home' && <HomePage onNavigate={setCurrentView} />}
       {currentView === 'upload' && <UploadPage onNavigate={setCurrentView} />}
-      {currentView === 'ar' && currentModel && (
+      {currentView === 'ar' && (currentModel || modelType === 'paint') && (
         <WebXRARViewer onClose={() => setCurrentView('upload')} />
       )}
     </div>
@@ -1,418 +1,289 @@
 /* eslint-disable no-unused-vars */
-import React, { useEffect, useRef, useState, useCallback, Suspense } from 'react';
+import React, { useEffect, useRef, useState, useCallback, useMemo, Suspense } from 'react';
 import { Canvas, useFrame, useThree } from '@react-three/fiber';
-import { Environment, useGLTF, PerspectiveCamera } from '@react-three/drei';
+import { Environment, useGLTF, useTexture, PerspectiveCamera, Line, Grid } from '@react-three/drei';
+import { XR, useXR, startSession } from '@react-three/xr';
 import * as THREE from 'three';
 import { 
   X, Camera, RotateCcw, RefreshCw, Crosshair,
-  AlertTriangle, CheckCircle, Move, Zap
+  AlertTriangle, CheckCircle, Move, Zap, Lock, Unlock, Users, UserX, Layers,
+  Plus, Copy, Pin, PinOff, Trash2, Check, Ruler, Grid as GridIcon, Undo2, Redo2, Contrast,
+  Paintbrush, Lasso, Eraser, PaintBucket, Calculator
 } from 'lucide-react';
 
 import useARStore from '../store/useARStore';
 import analytics from '../services/analytics';
+import WallPlaneEstimator from '../services/wallPlaneEstimator';
+import { createSurfaceDetector } from '../services/surfaceDetectorRegistry';
+import PlaneSurfaceAnalyzer, { wallReference } from '../services/surfaceAnalysis';
+import { OrientationPoseProvider } from '../services/poseTracking';
+import OpticalFlowTracker from '../services/opticalFlowTracker';
+import loadOpenCV from '../services/opencv';
+import { acquireDepthEstimator, releaseDepthEstimator } from '../services/depthEstimation';
+import PeopleSegmenter from '../services/peopleSegmentation';
+import { createDepthSource } from '../services/depthSource';
+import LightEstimator from '../services/lightEstimator';
+import ReferenceCalibrator from '../services/referenceCalibration';
+import WallMasker, { frameToWall } from '../services/wallMasking';
+import useDeviceGravity from '../hooks/useDeviceGravity';
+import useKeyboardShortcuts from '../hooks/useKeyboardShortcuts';
+import { supportsWebXR } from '../utils/helpers';
+import { levelRotation, snapToLevel, getTilt } from '../utils/level';
+import { intrinsicsFromFov } from '../utils/projection';
+import { measureSurface } from '../utils/depthPlane';
+import { withPngText } from '../utils/pngMetadata';
+import {
+  METRES_PER_UNIT, toMetres, toRepeat, toRoll, sizeVariants, sameSize, nearestVariant, scaleToSize, formatSize,
+  formatLength
+} from '../utils/dimensions';
+import { estimateRolls } from '../utils/wallpaperEstimate';
+import { buildFrame, disposeFrame } from '../utils/frameBuilder';
+import { outlineDistance, outlineCorners } from '../utils/measure';
+import { serializeScene, snapshotScene, sameSnapshot } from '../utils/scene';
+import { snapPosition, snapLines, wallBounds, toWall } from '../utils/snapping';
+import { VectorOneEuroFilter, QuaternionOneEuroFilter } from '../utils/filters';
+import {
+  TRANSFORM_CONFIG, GESTURE_CONFIG, FILTER_CONFIG, VISION_CONFIG, OCCLUSION_CONFIG, CALIBRATION_CONFIG, GRID_CONFIG, WALLPAPER_CONFIG, PAINT_CONFIG, MASK_CONFIG, FEATURES
+} from '../utils/constants';
+
+// Rotates a WebXR hit pose (surface normal on +Y) so +Z faces out of the surface
+const XR_SURFACE_CORRECTION = new THREE.Quaternion().setFromAxisAngle(
+  new THREE.Vector3(1, 0, 0), -Math.PI / 2
+);
+
+const XR_UP = new THREE.Vector3(0, 1, 0);
+
+const OCCLUSION_LABELS = {
+  off: 'No occlusion',
+  performance: 'Occlusion',
+  quality: 'HQ occlusion',
+};
+
+/**
+ * Gravity-up in world space. The sensor reports it in camera space; WebXR
+ * reference spaces are already gravity-aligned so world Y is used there.
+ */
+function getWorldUp(camera, gravityUp) {
+  if (!gravityUp) return new THREE.Vector3(0, 1, 0);
+  return gravityUp.clone().applyQuaternion(camera.quaternion).normalize();
+}
+
+/**
+ * Scale and offset that map screen UVs onto the video frame the way the
+ * `object-fit: cover` video is cropped, for sampling per-pixel camera data.
+ */
+function coverCrop(video, size, scale, offset) {
+  const videoAspect = video.videoWidth / video.videoHeight;
+  const screenAspect = size.width / size.height;
+
+  if (videoAspect > screenAspect) {
+    scale.set(screenAspect / videoAspect, 1);
+  } else {
+    scale.set(1, videoAspect / screenAspect);
+  }
+  offset.set((1 - scale.x) / 2, (1 - scale.y) / 2);
+}
 
 /**
  * ============================================================================
- * PLANE SURFACE DETECTOR - Works without corners
- * Detects any flat surface (wall/floor/ceiling)
+ * WORLD ANCHOR SYSTEM
+ * Placements live in world space. The scene camera is driven by a pose
+ * provider, so rendering already compensates for the phone rotating; the
+ * camera matrix at placement is kept as the reference for trackers.
+ * Camera translation measured by the optical-flow tracker is folded into a
+ * correction offset, since the pose provider only knows rotation. The offset
+ * is One Euro filtered, so per-frame flow noise doesn't shake the item.
  * ============================================================================
  */
-class PlaneSurfaceDetector {
+class WorldAnchor {
   constructor() {
-    this.canvas = document.createElement('canvas');
-    this.ctx = this.canvas.getContext('2d');
-    this.history = [];
+    this.worldPos = null;
+    this.worldRot = null;
+    this.scale = 1;
+    this.initialCamMatrix = new THREE.Matrix4();
+    this.rawCorrection = new THREE.Vector3();
+    this.correction = new THREE.Vector3(); // filtered rawCorrection
+    this.correctionFilter = new VectorOneEuroFilter(FILTER_CONFIG.ANCHOR_CORRECTION);
+    this.trackingState = 'tracking'; // 'tracking' | 'lost'
+    this.trackingConfidence = 1;
+    this.lostFrames = 0;
   }
 
-  async analyzeFrame(video) {
-    if (!video || video.readyState !== video.HAVE_ENOUGH_DATA) {
-      return { 
-        isPlane: false, 
-        confidence: 0, 
-        reason: 'Camera starting...', 
-        surfaceType: 'unknown' 
-      };
-    }
-
-    this.canvas.width = 480;
-    this.canvas.height = 360;
-    this.ctx.drawImage(video, 0, 0, this.canvas.width, this.canvas.height);
+  place(camera, position, rotation) {
+    camera.updateMatrixWorld(true);
+    this.initialCamMatrix.copy(camera.matrixWorld);
     
-    const imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
-    const data = imageData.data;
-    const width = this.canvas.width;
-    const height = this.canvas.height;
-
-    // Analyze entire visible surface
-    const surface = this.analyzeSurface(data, width, height);
-    const texture = this.analyzeTexture(data, width, height);
-    const orientation = this.detectOrientation(data, width, height);
-    const lighting = this.analyzeLighting(data, width, height);
-
-    // Evaluate if it's a usable plane
-    const result = this.evaluatePlane(surface, texture, orientation, lighting);
-
-    // Temporal smoothing
-    this.history.push(result);
-    if (this.history.length > 10) this.history.shift();
+    this.worldPos = position.clone();
+    this.worldRot = rotation.clone();
+    this.scale = 1;
+    this.rawCorrection.set(0, 0, 0);
+    this.correction.set(0, 0, 0);
+    this.correctionFilter.reset();
 
-    return this.smoothResults();
+    console.log('🎯 Anchor placed:', {
+      position: position.toArray().map(v => v.toFixed(2)),
+      rotation: rotation.toArray().map(v => v.toFixed(2))
+    });
   }
 
-  analyzeSurface(data, width, height) {
-    // Divide into 3x3 grid to analyze uniformity across entire surface
-    const gridSize = 3;
-    const cellWidth = Math.floor(width / gridSize);
-    const cellHeight = Math.floor(height / gridSize);
-    const cells = [];
-
-    for (let gy = 0; gy < gridSize; gy++) {
-      for (let gx = 0; gx < gridSize; gx++) {
-        const startX = gx * cellWidth;
-        const startY = gy * cellHeight;
-        const endX = Math.min(startX + cellWidth, width);
-        const endY = Math.min(startY + cellHeight, height);
-
-        let brightSum = 0, satSum = 0, count = 0;
-        const values = [];
-
-        for (let y = startY; y < endY; y++) {
-          for (let x = startX; x < endX; x++) {
-            const idx = (y * width + x) * 4;
-            const r = data[idx], g = data[idx + 1], b = data[idx + 2];
-            
-            const bright = (r + g + b) / 3;
-            const max = Math.max(r, g, b);
-            const min = Math.min(r, g, b);
-            const sat = max === 0 ? 0 : (max - min) / max;
-            
-            brightSum += bright;
-            satSum += sat;
-            values.push(bright);
-            count++;
-          }
-        }
-
-        const avgBright = brightSum / count;
-        const avgSat = satSum / count;
-
-        // Calculate variance within cell
-        let variance = 0;
-        values.forEach(v => variance += Math.pow(v - avgBright, 2));
-        variance = Math.sqrt(variance / count);
-
-        cells.push({
-          avgBright,
-          avgSat,
-          variance,
-          uniformity: Math.max(0, 1 - variance / 70)
-        });
-      }
-    }
-
-    // Calculate overall uniformity across cells
-    const avgBrightness = cells.reduce((sum, c) => sum + c.avgBright, 0) / cells.length;
-    const avgSaturation = cells.reduce((sum, c) => sum + c.avgSat, 0) / cells.length;
-    const avgUniformity = cells.reduce((sum, c) => sum + c.uniformity, 0) / cells.length;
-
-    // Check brightness consistency across cells
-    let brightnessVariance = 0;
-    cells.forEach(c => brightnessVariance += Math.pow(c.avgBright - avgBrightness, 2));
-    brightnessVariance = Math.sqrt(brightnessVariance / cells.length);
-    const crossCellUniformity = Math.max(0, 1 - brightnessVariance / 60);
+  getTransform(camera) {
+    if (!this.worldPos) return null;
 
     return {
-      avgBrightness,
-      avgSaturation,
-      avgUniformity,
-      crossCellUniformity,
-      cells
+      position: this.worldPos.clone().add(this.correction),
+      rotation: this.worldRot.clone(),
+      scale: this.scale
     };
   }
 
-  analyzeTexture(data, width, height) {
-    // Sample multiple regions to detect texture patterns
-    let totalTexture = 0;
-    let edgeCount = 0;
-    let sampleCount = 0;
-
-    // Sample 5x5 grid
-    for (let sy = 0; sy < 5; sy++) {
-      for (let sx = 0; sx < 5; sx++) {
-        const x = Math.floor(width * (0.1 + sx * 0.16));
-        const y = Math.floor(height * (0.1 + sy * 0.16));
-
-        if (x > 0 && x < width - 1 && y > 0 && y < height - 1) {
-          const idx = (y * width + x) * 4;
-          const center = (data[idx] + data[idx + 1] + data[idx + 2]) / 3;
-          
-          // Get neighbors
-          const top = (data[((y-1) * width + x) * 4] + data[((y-1) * width + x) * 4 + 1] + data[((y-1) * width + x) * 4 + 2]) / 3;
-          const bottom = (data[((y+1) * width + x) * 4] + data[((y+1) * width + x) * 4 + 1] + data[((y+1) * width + x) * 4 + 2]) / 3;
-          const left = (data[(y * width + (x-1)) * 4] + data[(y * width + (x-1)) * 4 + 1] + data[(y * width + (x-1)) * 4 + 2]) / 3;
-          const right = (data[(y * width + (x+1)) * 4] + data[(y * width + (x+1)) * 4 + 1] + data[(y * width + (x+1)) * 4 + 2]) / 3;
-          
-          // Laplacian (texture measure)
-          const laplacian = Math.abs(4 * center - top - bottom - left - right);
-          totalTexture += laplacian;
-          
-          // Edge detection
-          if (laplacian > 40) edgeCount++;
-          sampleCount++;
-        }
-      }
-    }
+  update(updates) {
+    // Positions come from getTransform(), so they already include the correction
+    if (updates.position) this.worldPos.copy(updates.position).sub(this.correction);
+    if (updates.rotation) this.worldRot.copy(updates.rotation);
+    if (updates.scale !== undefined) this.scale = updates.scale;
+  }
 
-    const avgTexture = totalTexture / sampleCount;
-    const edgeDensity = edgeCount / sampleCount;
-    const textureSmoothness = Math.max(0, 1 - avgTexture / 35);
+  /**
+   * The placed pose without tracking corrections, plus the correction at
+   * the time - what undo snapshots keep, since the correction goes on
+   * changing after them.
+   */
+  getPose() {
+    if (!this.worldPos) return null;
 
     return {
-      avgTexture,
-      edgeDensity,
-      textureSmoothness
+      position: this.worldPos.clone(),
+      rotation: this.worldRot.clone(),
+      scale: this.scale,
+      correction: this.correction.clone()
     };
   }
 
-  detectOrientation(data, width, height) {
-    // Analyze brightness gradient from top to bottom
-    const strips = 6;
-    const stripBrightness = [];
-    
-    for (let s = 0; s < strips; s++) {
-      const y = Math.floor((height / strips) * s + height / (strips * 2));
-      let brightness = 0, count = 0;
-      
-      for (let x = Math.floor(width * 0.2); x < Math.floor(width * 0.8); x++) {
-        const idx = (y * width + x) * 4;
-        brightness += (data[idx] + data[idx + 1] + data[idx + 2]) / 3;
-        count++;
-      }
-      
-      stripBrightness.push(brightness / count);
-    }
-
-    const topAvg = (stripBrightness[0] + stripBrightness[1]) / 2;
-    const bottomAvg = (stripBrightness[4] + stripBrightness[5]) / 2;
-    const gradient = bottomAvg - topAvg;
-
-    let orientation = 'wall';
-    let orientationConfidence = 1;
-
-    if (gradient > 40) {
-      orientation = 'floor';
-      orientationConfidence = Math.min(1, gradient / 80);
-    } else if (gradient < -40) {
-      orientation = 'ceiling';
-      orientationConfidence = Math.min(1, Math.abs(gradient) / 80);
-    } else {
-      orientationConfidence = Math.max(0, 1 - Math.abs(gradient) / 40);
+  /**
+   * Puts the anchor back at a pose from getPose(), under the current
+   * correction. An anchor that was taken down hasn't tracked since, so it
+   * picks up where its correction was.
+   */
+  setPose(camera, pose) {
+    if (!this.worldPos) {
+      this.place(camera, pose.position, pose.rotation);
+      this.rawCorrection.copy(pose.correction);
+      this.correction.copy(pose.correction);
     }
 
-    return { 
-      orientation, 
-      gradient, 
-      orientationConfidence,
-      stripBrightness 
-    };
+    this.worldPos.copy(pose.position);
+    this.worldRot.copy(pose.rotation);
+    this.scale = pose.scale;
   }
 
-  analyzeLighting(data, width, height) {
-    // Check for overexposure, underexposure, and uniformity
-    let overexposed = 0;
-    let underexposed = 0;
-    let wellLit = 0;
-    let total = 0;
-
-    for (let y = 0; y < height; y += 4) {
-      for (let x = 0; x < width; x += 4) {
-        const idx = (y * width + x) * 4;
-        const bright = (data[idx] + data[idx + 1] + data[idx + 2]) / 3;
-        
-        if (bright > 240) overexposed++;
-        else if (bright < 15) underexposed++;
-        else wellLit++;
-        total++;
-      }
-    }
-
-    const overexposureRatio = overexposed / total;
-    const underexposureRatio = underexposed / total;
-    const wellLitRatio = wellLit / total;
-
-    return {
-      overexposureRatio,
-      underexposureRatio,
-      wellLitRatio,
-      isGoodLighting: wellLitRatio > 0.7
-    };
+  /**
+   * A point on the wall as it is now <-> as it was before tracking
+   * corrections. Things fixed to the wall that aren't anchored themselves,
+   * like a wallpaper's mask, are kept uncorrected and follow the anchor's
+   * tracking through these.
+   */
+  untracked(point) {
+    return point.clone().sub(this.correction);
   }
 
-  evaluatePlane(surface, texture, orientation, lighting) {
-    let isPlane = false;
-    let confidence = 0;
-    let reason = '';
-    let surfaceType = 'unknown';
-
-    // Lighting checks first
-    if (lighting.overexposureRatio > 0.4) {
-      surfaceType = 'overexposed';
-      reason = '☀️ Too bright - move away from light';
-      confidence = 0.05;
-    }
-    else if (lighting.underexposureRatio > 0.5) {
-      surfaceType = 'underexposed';
-      reason = '🌑 Too dark - need more light';
-      confidence = 0.05;
-    }
-    // Orientation checks
-    else if (orientation.orientation === 'floor' && orientation.orientationConfidence > 0.6) {
-      surfaceType = 'floor';
-      reason = '⬇️ Floor - aim at wall (or tap to place on floor)';
-      confidence = 0.5; // Allow floor placement
-      isPlane = true; // Floor is still a plane!
-    }
-    else if (orientation.orientation === 'ceiling' && orientation.orientationConfidence > 0.6) {
-      surfaceType = 'ceiling';
-      reason = '⬆️ Ceiling - aim lower';
-      confidence = 0.3;
-    }
-    // Texture checks
-    else if (texture.edgeDensity > 0.3) {
-      surfaceType = 'busy';
-      reason = '🎨 Too much detail - find plain surface';
-      confidence = 0.15;
-    }
-    // Main plane detection - RELAXED REQUIREMENTS
-    else if (
-      surface.avgUniformity > 0.55 &&           // Relaxed from 0.62
-      surface.crossCellUniformity > 0.50 &&     // Relaxed from 0.60
-      texture.textureSmoothness > 0.55 &&       // Relaxed from 0.65
-      surface.avgSaturation < 0.5 &&            // Relaxed from 0.45
-      surface.avgBrightness > 25 &&
-      surface.avgBrightness < 235 &&
-      lighting.wellLitRatio > 0.6                // Relaxed from 0.7
-    ) {
-      isPlane = true;
-      surfaceType = orientation.orientation === 'floor' ? 'floor' : 'wall';
-      
-      confidence = Math.min(0.98,
-        surface.avgUniformity * 0.25 +
-        surface.crossCellUniformity * 0.25 +
-        texture.textureSmoothness * 0.20 +
-        (1 - surface.avgSaturation) * 0.15 +
-        lighting.wellLitRatio * 0.15
-      );
-      
-      reason = surfaceType === 'floor' 
-        ? '✅ Floor detected - tap to place'
-        : '✅ Wall detected - tap to place';
-    }
-    else {
-      surfaceType = 'uncertain';
-      reason = '🔄 Keep moving slowly';
-      confidence = 0.25;
-    }
-
-    return { 
-      isPlane, 
-      confidence, 
-      surfaceType, 
-      reason,
-      metrics: {
-        uniformity: surface.avgUniformity.toFixed(2),
-        brightness: surface.avgBrightness.toFixed(0),
-        texture: texture.textureSmoothness.toFixed(2),
-        lighting: lighting.wellLitRatio.toFixed(2)
-      }
-    };
+  tracked(point) {
+    return point.clone().add(this.correction);
   }
 
-  smoothResults() {
-    const recentPlanes = this.history.filter(h => h.isPlane).length;
-    const threshold = 7; // Need 7/10 frames
-
-    if (recentPlanes >= threshold) {
-      const planeFrames = this.history.filter(h => h.isPlane);
-      const avgConf = planeFrames.reduce((sum, h) => sum + h.confidence, 0) / planeFrames.length;
-      const mostCommonType = planeFrames[planeFrames.length - 1].surfaceType;
-      
-      return {
-        isPlane: true,
-        confidence: avgConf,
-        surfaceType: mostCommonType,
-        reason: `✓ ${mostCommonType.toUpperCase()} confirmed (${recentPlanes}/10)`,
-        stable: true,
-        metrics: planeFrames[planeFrames.length - 1].metrics
-      };
+  /**
+   * Feed one optical-flow result. The camera moving by `t` is the same as the
+   * placement moving by `-t` under a rotation-only camera. A run of
+   * low-confidence frames marks the anchor lost; corrections pause meanwhile.
+   */
+  applyTracking(result, camera) {
+    if (!this.worldPos || result.status === 'initializing') return this.trackingState;
+
+    const reliable = result.confidence >= VISION_CONFIG.TRACKING_LOST_CONFIDENCE;
+    this.trackingConfidence = result.confidence;
+    this.lostFrames = reliable ? 0 : this.lostFrames + 1;
+
+    if (reliable && result.translation) {
+      this.rawCorrection.sub(result.translation.clone().applyQuaternion(camera.quaternion));
+      this.correction.copy(this.correctionFilter.filter(this.rawCorrection, performance.now() / 1000));
     }
 
-    const latest = this.history[this.history.length - 1];
-    return { ...latest, stable: false };
+    this.trackingState = this.lostFrames >= VISION_CONFIG.TRACKING_LOST_FRAMES ? 'lost' : 'tracking';
+    return this.trackingState;
   }
 
   reset() {
-    this.history = [];
+    this.worldPos = null;
+    this.worldRot = null;
+    this.scale = 1;
+    this.initialCamMatrix.identity();
+    this.rawCorrection.set(0, 0, 0);
+    this.correction.set(0, 0, 0);
+    this.correctionFilter.reset();
+    this.trackingState = 'tracking';
+    this.trackingConfidence = 1;
+    this.lostFrames = 0;
   }
 }
 
 /**
- * ============================================================================
- * WORLD ANCHOR SYSTEM
- * ============================================================================
+ * WebXR variant: the runtime tracks the camera itself. When the session
+ * grants `anchors`, the placed transform is kept relative to an XRAnchor so
+ * runtime relocalisation moves the frame with the wall.
  */
-class WorldAnchor {
+class XRWorldAnchor extends WorldAnchor {
   constructor() {
-    this.worldPos = null;
-    this.worldRot = null;
-    this.scale = 1;
-    this.initialCamMatrix = new THREE.Matrix4();
+    super();
+    this.xrAnchor = null;
+    this.anchorMatrix = new THREE.Matrix4();
+    this.localMatrix = null;
   }
 
-  place(camera, position, rotation) {
-    camera.updateMatrixWorld(true);
-    this.initialCamMatrix.copy(camera.matrixWorld);
-    
-    this.worldPos = position.clone();
-    this.worldRot = rotation.clone();
-    this.scale = 1;
-
-    console.log('🎯 Anchor placed:', {
-      position: position.toArray().map(v => v.toFixed(2)),
-      rotation: rotation.toArray().map(v => v.toFixed(2))
-    });
+  attach(xrAnchor) {
+    this.xrAnchor = xrAnchor;
+    this.localMatrix = null;
   }
 
-  getTransform(camera) {
-    if (!this.worldPos) return null;
+  track(frame, referenceSpace) {
+    if (!this.xrAnchor || !this.worldPos || !frame.trackedAnchors?.has(this.xrAnchor)) return;
 
-    camera.updateMatrixWorld(true);
-    
-    const camDelta = new THREE.Matrix4()
-      .copy(camera.matrixWorld)
-      .multiply(this.initialCamMatrix.clone().invert());
+    const pose = frame.getPose(this.xrAnchor.anchorSpace, referenceSpace);
+    if (!pose) return;
 
-    const inverseCam = camDelta.clone().invert();
-    const fixedPos = this.worldPos.clone().applyMatrix4(inverseCam);
+    this.anchorMatrix.fromArray(pose.transform.matrix);
 
-    return {
-      position: fixedPos,
-      rotation: this.worldRot.clone(),
-      scale: this.scale
-    };
+    if (!this.localMatrix) {
+      // First tracked pose: remember where the frame sits relative to the anchor
+      this.localMatrix = this.anchorMatrix.clone().invert().multiply(this.composeWorld());
+      return;
+    }
+
+    const world = this.anchorMatrix.clone().multiply(this.localMatrix);
+    world.decompose(this.worldPos, this.worldRot, new THREE.Vector3());
+  }
+
+  composeWorld() {
+    return new THREE.Matrix4().compose(this.worldPos, this.worldRot, new THREE.Vector3(1, 1, 1));
   }
 
   update(updates) {
-    if (updates.position) this.worldPos.copy(updates.position);
-    if (updates.rotation) this.worldRot.copy(updates.rotation);
-    if (updates.scale !== undefined) this.scale = updates.scale;
+    super.update(updates);
+    if (this.localMatrix) {
+      this.localMatrix = this.anchorMatrix.clone().invert().multiply(this.composeWorld());
+    }
+  }
+
+  setPose(camera, pose) {
+    super.setPose(camera, pose);
+    if (this.localMatrix) {
+      this.localMatrix = this.anchorMatrix.clone().invert().multiply(this.composeWorld());
+    }
   }
 
   reset() {
-    this.worldPos = null;
-    this.worldRot = null;
-    this.scale = 1;
-    this.initialCamMatrix.identity();
+    this.xrAnchor?.delete?.();
+    this.xrAnchor = null;
+    this.localMatrix = null;
+    super.reset();
   }
 }
 
@@ -421,69 +292,338 @@ class WorldAnchor {
  * GESTURE CONTROLLER
  * ============================================================================
  */
+
+/**
+ * Item gestures from Pointer Events, so touch, mouse, trackpad and pen share
+ * one path:
+ *
+ *   one finger / left-drag / pen      move along the wall
+ *   two fingers                       pinch to scale, twist to rotate
+ *   Shift+drag / right-drag           rotate
+ *   wheel / trackpad pinch            scale
+ *
+ * Pen pressure is ignored - a pen drags like a finger however hard it presses.
+ *
+ * Drags follow the pointer on the wall itself, so the item stays under the
+ * finger at any distance. A flick keeps the item gliding with damping,
+ * positions snap magnetically to the wall's centre lines and other items'
+ * edges (see `guides`), and rotations click into quarter-turn detents.
+ */
 class GestureController {
-  constructor(onChange) {
+  /**
+   * @param {Function} onChange - (transform, target) for every step
+   * @param {Object} [callbacks]
+   * @param {Function} [callbacks.onStart] - (target) when a gesture begins
+   * @param {Function} [callbacks.onEnd] - (target, type) when it ends, after
+   *   any glide; type is 'drag', 'rotate', 'pinch' or 'wheel'
+   */
+  constructor(onChange, { onStart, onEnd } = {}) {
     this.onChange = onChange;
+    this.onStart = onStart;
+    this.onEnd = onEnd;
+    this.pointers = new Map(); // pointerId -> { x, y }
     this.state = null;
     this.base = null;
+    this.options = null;
+    this.target = null;
+    this.sizes = [];
+    this.autoLevel = true;
+    this.wheelTimer = null;
+    this.glideFrame = null;
+    // World-space segments ({ start, end, centre }) along the lines the item
+    // is snapped to, for drawing while a drag snaps
+    this.guides = [];
   }
 
-  start(touches, current) {
+  // Whether a pointer is down - a later one joins the gesture instead of picking
+  get pressed() {
+    return this.pointers.size > 0;
+  }
+
+  /**
+   * `target` identifies the item being manipulated; it is passed back with
+   * every change so selection changes mid-gesture can't redirect it.
+   * Items with a known size scale between their `sizes` variants instead of
+   * scaling freely.
+   *
+   * @param {{ position, rotation, scale, size }} current
+   * @param {Object} [options]
+   * @param {{ right, up }} [options.axes] - in-plane axes of the item's wall;
+   *   drags stay on that plane
+   * @param {THREE.Plane} [options.plane] - the plane drags follow the pointer on
+   * @param {Function} [options.aim] - (pointer event) -> THREE.Ray through it
+   * @param {Object} [options.snap] - snapPosition context without the threshold,
+   *   plus `metresPerPixel` at the item
+   */
+  begin(current, { target = null, sizes = [], ...options } = {}) {
+    this.stopGlide();
+    // A second finger joining continues the gesture already in progress
+    if (!this.state) this.onStart?.(target);
+
+    this.target = target;
+    this.sizes = current.size ? sizes : [];
     this.base = {
       position: current.position.clone(),
       rotation: current.rotation.clone(),
-      scale: current.scale
+      scale: current.scale,
+      size: current.size || null
     };
+    this.options = options;
+  }
+
+  /**
+   * A pointer went down on the item (or anywhere, acting on the selection).
+   * Every new pointer re-bases the gesture on the item's current transform.
+   */
+  pointerDown(event, current, options) {
+    if (this.state?.type === 'wheel' || this.state?.type === 'glide') this.end();
 
-    if (touches.length === 1) {
-      this.state = { type: 'drag', x: touches[0].clientX, y: touches[0].clientY };
-    } else if (touches.length === 2) {
-      const dx = touches[1].clientX - touches[0].clientX;
-      const dy = touches[1].clientY - touches[0].clientY;
+    this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    this.begin(current, options);
+
+    const points = [...this.pointers.values()];
+    if (points.length >= 2) {
+      const [a, b] = points;
+      this.guides = [];
       this.state = {
         type: 'pinch',
-        distance: Math.sqrt(dx * dx + dy * dy),
-        angle: Math.atan2(dy, dx)
+        ids: [...this.pointers.keys()].slice(0, 2),
+        distance: Math.hypot(b.x - a.x, b.y - a.y),
+        angle: Math.atan2(b.y - a.y, b.x - a.x)
+      };
+    } else {
+      const rotate = event.pointerType === 'mouse' && (event.button === 2 || event.shiftKey);
+      this.state = {
+        type: rotate ? 'rotate' : 'drag',
+        x: event.clientX,
+        y: event.clientY,
+        // Where on the wall the item was grabbed, so it doesn't jump to centre
+        grab: rotate ? null : this.onWall(event),
+        samples: []
       };
     }
   }
 
-  move(touches, camera) {
+  pointerMove(event, camera) {
+    if (!this.pointers.has(event.pointerId)) return;
+    this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
     if (!this.state || !this.base) return;
 
-    if (this.state.type === 'drag' && touches.length === 1) {
-      const dx = (touches[0].clientX - this.state.x) * 0.004;
-      const dy = -(touches[0].clientY - this.state.y) * 0.004;
+    if (this.state.type === 'drag') {
+      this.drag(event, camera);
+    } else if (this.state.type === 'rotate') {
+      // Dragging right turns the item clockwise
+      this.rotate(-(event.clientX - this.state.x) * GESTURE_CONFIG.ROTATE_SPEED);
+    } else if (this.state.type === 'pinch') {
+      const [a, b] = this.state.ids.map(id => this.pointers.get(id));
+      if (!a || !b) return;
+
+      const distance = Math.hypot(b.x - a.x, b.y - a.y);
+      const angle = Math.atan2(b.y - a.y, b.x - a.x);
+      this.pinch(distance / this.state.distance, angle - this.state.angle);
+    }
+  }
+
+  /**
+   * Lifting any pointer ends the gesture; the ones still down stay inert
+   * until they lift too, as a touch gesture always has. A drag released
+   * while moving glides on.
+   */
+  pointerUp(event) {
+    const wasDown = this.pointers.delete(event.pointerId);
+    if (this.state?.type === 'wheel' || this.state?.type === 'glide') return;
+
+    const velocity = wasDown && this.state?.type === 'drag' ? this.releaseVelocity() : null;
+    if (velocity) this.glide(velocity);
+    else this.end();
+  }
+
+  /**
+   * Mouse wheels and trackpads scale the item. Browsers report trackpad
+   * pinches as wheel events with ctrlKey set, in much smaller steps. A burst
+   * of wheel events is one gesture, ended after WHEEL_IDLE ms of quiet.
+   */
+  wheel(event, current, options) {
+    if (this.state?.type === 'glide') this.end();
+    if (this.state && this.state.type !== 'wheel') return;
+
+    if (!this.state) {
+      this.begin(current, options);
+      this.state = { type: 'wheel', zoom: 0 };
+    }
+
+    const pixels = event.deltaMode === 1 ? event.deltaY * 16 : event.deltaY;
+    const speed = event.ctrlKey ? GESTURE_CONFIG.PINCH_ZOOM_SPEED : GESTURE_CONFIG.WHEEL_ZOOM_SPEED;
+    this.state.zoom -= pixels * speed;
+    this.scale(Math.exp(this.state.zoom), this.base.rotation);
+
+    clearTimeout(this.wheelTimer);
+    this.wheelTimer = setTimeout(() => this.end(), GESTURE_CONFIG.WHEEL_IDLE);
+  }
+
+  // Pointer position on the drag plane, or null when it misses or grazes it
+  onWall(event) {
+    const { plane, aim } = this.options;
+    if (!plane || !aim) return null;
+
+    const ray = aim(event);
+    if (Math.abs(plane.normal.dot(ray.direction)) < 0.1) return null;
+    return ray.intersectPlane(plane, new THREE.Vector3());
+  }
+
+  drag(event, camera) {
+    const { grab } = this.state;
+    const point = grab && this.onWall(event);
+    let position;
+
+    if (point) {
+      position = this.base.position.clone().add(point.sub(grab));
+    } else {
+      // Off the wall (or no wall): fall back to a fixed pixel-to-metre factor
+      const { axes } = this.options;
+      const right = axes ? axes.right.clone() : new THREE.Vector3(1, 0, 0).applyQuaternion(camera.quaternion);
+      const up = axes ? axes.up.clone() : new THREE.Vector3(0, 1, 0);
+
+      position = this.base.position.clone()
+        .addScaledVector(right, (event.clientX - this.state.x) * GESTURE_CONFIG.DRAG_SPEED)
+        .addScaledVector(up, -(event.clientY - this.state.y) * GESTURE_CONFIG.DRAG_SPEED);
+    }
+
+    const now = performance.now();
+    this.state.samples.push({ time: now, position: position.clone() });
+    while (now - this.state.samples[0].time > GESTURE_CONFIG.VELOCITY_WINDOW) this.state.samples.shift();
+
+    this.moveTo(position);
+  }
+
+  // Metres per second over the last few samples, or null for a gentle release
+  releaseVelocity() {
+    const { samples } = this.state;
+    if (samples.length < 2) return null;
+
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const seconds = (last.time - first.time) / 1000;
+    if (seconds <= 0 || performance.now() - last.time > GESTURE_CONFIG.VELOCITY_WINDOW) return null;
+
+    const velocity = last.position.clone().sub(first.position).divideScalar(seconds);
+    const speed = velocity.length();
+    if (speed < GESTURE_CONFIG.INERTIA_MIN_SPEED) return null;
+    return velocity.setLength(Math.min(speed, GESTURE_CONFIG.INERTIA_MAX_SPEED));
+  }
+
+  glide(velocity) {
+    const position = this.state.samples[this.state.samples.length - 1].position.clone();
+    let last = performance.now();
+    this.state = { type: 'glide', from: 'drag' };
+
+    const step = () => {
+      const now = performance.now();
+      const dt = Math.min(0.05, (now - last) / 1000);
+      last = now;
+
+      velocity.multiplyScalar(Math.exp(-GESTURE_CONFIG.INERTIA_DAMPING * dt));
+      position.addScaledVector(velocity, dt);
+      this.moveTo(position);
+
+      if (velocity.length() < GESTURE_CONFIG.INERTIA_MIN_SPEED) this.end();
+      else this.glideFrame = requestAnimationFrame(step);
+    };
+    this.glideFrame = requestAnimationFrame(step);
+  }
 
-      const right = new THREE.Vector3(1, 0, 0).applyQuaternion(camera.quaternion);
-      const up = new THREE.Vector3(0, 1, 0);
+  stopGlide() {
+    if (this.glideFrame !== null) cancelAnimationFrame(this.glideFrame);
+    this.glideFrame = null;
+  }
 
-      const newPos = this.base.position.clone()
-        .add(right.multiplyScalar(dx))
-        .add(up.multiplyScalar(dy));
+  moveTo(position) {
+    const { snap } = this.options;
+    let snapped = position;
+    this.guides = [];
 
-      this.onChange({ position: newPos, rotation: this.base.rotation, scale: this.base.scale });
+    if (snap) {
+      const result = snapPosition(position, {
+        ...snap,
+        threshold: snap.metresPerPixel * GESTURE_CONFIG.SNAP_PIXELS
+      });
+      snapped = result.position;
+      this.guides = result.guides;
     }
-    else if (this.state.type === 'pinch' && touches.length === 2) {
-      const dx = touches[1].clientX - touches[0].clientX;
-      const dy = touches[1].clientY - touches[0].clientY;
-      const distance = Math.sqrt(dx * dx + dy * dy);
-      const angle = Math.atan2(dy, dx);
 
-      const scaleRatio = distance / this.state.distance;
-      const newScale = Math.max(0.2, Math.min(5, this.base.scale * scaleRatio));
+    this.onChange({
+      position: snapped,
+      rotation: this.base.rotation,
+      scale: this.base.scale,
+      size: this.base.size
+    }, this.target);
+  }
+
+  rotate(angle) {
+    this.onChange({
+      position: this.base.position,
+      rotation: this.turn(angle),
+      scale: this.base.scale,
+      size: this.base.size
+    }, this.target);
+  }
+
+  pinch(ratio, angle) {
+    // A small dead zone keeps a straight pinch from wobbling the item
+    const deadZone = THREE.MathUtils.degToRad(GESTURE_CONFIG.ROTATE_DEAD_ZONE);
+    const twist = Math.sign(angle) * Math.max(0, Math.abs(angle) - deadZone);
+    this.scale(ratio, this.turn(twist));
+  }
+
+  // Base rotation turned about the item's own Z (the wall normal), held at
+  // the nearest quarter turn when close to one
+  turn(angle) {
+    const rotQuat = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), angle);
+    const newRot = this.base.rotation.clone().multiply(rotQuat);
+
+    const up = this.options.axes ? this.options.axes.up : new THREE.Vector3(0, 1, 0);
+    const detent = this.autoLevel
+      ? Math.max(GESTURE_CONFIG.DETENT_DEGREES, TRANSFORM_CONFIG.LEVEL_SNAP_DEGREES)
+      : GESTURE_CONFIG.DETENT_DEGREES;
+    return snapToLevel(newRot, up, detent);
+  }
 
-      const angleDelta = angle - this.state.angle;
-      const rotQuat = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), angleDelta);
-      const newRot = this.base.rotation.clone().multiply(rotQuat);
+  scale(ratio, rotation) {
+    let newScale = this.base.scale;
+    let newSize = this.base.size;
 
-      this.onChange({ position: this.base.position, rotation: newRot, scale: newScale });
+    if (this.sizes.length > 0) {
+      newSize = nearestVariant(this.sizes, this.base.size.width * ratio);
+    } else {
+      newScale = THREE.MathUtils.clamp(
+        this.base.scale * ratio,
+        TRANSFORM_CONFIG.MIN_SCALE,
+        TRANSFORM_CONFIG.MAX_SCALE
+      );
     }
+
+    this.onChange({ position: this.base.position, rotation, scale: newScale, size: newSize }, this.target);
   }
 
   end() {
+    clearTimeout(this.wheelTimer);
+    this.wheelTimer = null;
+    this.stopGlide();
+    if (this.state) this.onEnd?.(this.target, this.state.from || this.state.type);
     this.state = null;
     this.base = null;
+    this.options = null;
+    this.target = null;
+    this.sizes = [];
+    this.guides = [];
+  }
+
+  dispose() {
+    clearTimeout(this.wheelTimer);
+    this.stopGlide();
+    this.pointers.clear();
+    this.state = null;
+    this.guides = [];
   }
 }
 
@@ -493,14 +633,20 @@ class GestureController {
  * ============================================================================
  */
 
-function Reticle({ position, isGood, visible }) {
+/**
+ * `distance` is how far the surface under the reticle is - measured by depth
+ * or calibration where available. The reticle grows with it, so it looks the
+ * same size on screen however far the wall is.
+ */
+function Reticle({ position, quaternion, isGood, visible, distance = VISION_CONFIG.RETICLE_DISTANCE }) {
   const ref = useRef();
   
   useFrame(({ clock }) => {
     if (ref.current && visible) {
       ref.current.rotation.z = clock.elapsedTime * 0.5;
       const pulse = 0.95 + Math.sin(clock.elapsedTime * 3) * 0.05;
-      ref.current.scale.setScalar(pulse);
+      const scale = THREE.MathUtils.clamp(distance / VISION_CONFIG.RETICLE_DISTANCE, 0.2, 4);
+      ref.current.scale.setScalar(pulse * scale);
     }
   });
 
@@ -510,77 +656,47 @@ function Reticle({ position, isGood, visible }) {
   const size = isGood ? 0.025 : 0.02;
   
   return (
-    <group position={position} ref={ref}>
-      <mesh renderOrder={1000}>
-        <circleGeometry args={[size, 32]} />
-        <meshBasicMaterial color={color} transparent opacity={1} depthTest={false} />
-      </mesh>
-      <mesh renderOrder={999}>
-        <ringGeometry args={[0.08, 0.09, 32]} />
-        <meshBasicMaterial color={color} transparent opacity={isGood ? 1 : 0.7} side={THREE.DoubleSide} depthTest={false} />
-      </mesh>
-      {isGood && [0, 90, 180, 270].map((angle, i) => (
-        <group key={i} rotation={[0, 0, (angle * Math.PI) / 180]}>
-          <mesh position={[0.15, 0, 0]} renderOrder={998}>
-            <planeGeometry args={[0.06, 0.012]} />
-            <meshBasicMaterial color={color} transparent opacity={1} depthTest={false} />
-          </mesh>
-        </group>
-      ))}
+    <group position={position} quaternion={quaternion}>
+      <group ref={ref}>
+        <mesh renderOrder={1000}>
+          <circleGeometry args={[size, 32]} />
+          <meshBasicMaterial color={color} transparent opacity={1} depthTest={false} />
+        </mesh>
+        <mesh renderOrder={999}>
+          <ringGeometry args={[0.08, 0.09, 32]} />
+          <meshBasicMaterial color={color} transparent opacity={isGood ? 1 : 0.7} side={THREE.DoubleSide} depthTest={false} />
+        </mesh>
+        {isGood && [0, 90, 180, 270].map((angle, i) => (
+          <group key={i} rotation={[0, 0, (angle * Math.PI) / 180]}>
+            <mesh position={[0.15, 0, 0]} renderOrder={998}>
+              <planeGeometry args={[0.06, 0.012]} />
+              <meshBasicMaterial color={color} transparent opacity={1} depthTest={false} />
+            </mesh>
+          </group>
+        ))}
+      </group>
     </group>
   );
 }
 
-function Model3D({ url, anchor, isPlaced, gestureTransform }) {
-  const ref = useRef();
-  const gltf = useGLTF(url);
-  const [normalizedScale, setNormalizedScale] = useState(1);
-  const { camera } = useThree();
-  const [isReady, setIsReady] = useState(false);
-
-  useEffect(() => {
-    if (gltf?.scene) {
-      const box = new THREE.Box3().setFromObject(gltf.scene);
-      const size = box.getSize(new THREE.Vector3());
-      const maxDim = Math.max(size.x, size.y, size.z);
-      
-      const scale = 0.6 / maxDim;
-      setNormalizedScale(scale);
-      setIsReady(true);
-      
-      console.log('✅ Model loaded:', {
-        size: size.toArray().map(v => v.toFixed(2)),
-        scale: scale.toFixed(3)
-      });
-    }
-  }, [gltf]);
-
-  useFrame(() => {
-    if (!ref.current || !isPlaced || !isReady) return;
-
-    const transform = gestureTransform || anchor?.getTransform(camera);
-    if (!transform) return;
+/**
+ * One placed item, loaded from its GLB or generated from its frame
+ * parameters.
+ */
+function Model3D(props) {
+  return props.placement.frame ? <GeneratedFrame {...props} /> : <LoadedModel {...props} />;
+}
 
-    ref.current.position.copy(transform.position);
-    ref.current.quaternion.copy(transform.rotation);
-    ref.current.scale.setScalar(transform.scale * normalizedScale);
-    ref.current.visible = true;
-  });
+function LoadedModel({ placement, ...props }) {
+  const gltf = useGLTF(placement.modelUrl);
 
-  if (!gltf?.scene || !isReady) {
-    console.log('⏳ Loading model...');
-    return null;
-  }
+  // Each placement needs its own copy - the same model can be placed twice
+  const scene = useMemo(() => {
+    if (!gltf?.scene) return null;
 
-  const scene = gltf.scene.clone(true);
-  
-  scene.traverse((child) => {
-    if (child.isMesh) {
-      child.castShadow = true;
-      child.receiveShadow = true;
-      child.frustumCulled = false;
-      
-      if (child.material) {
+    const clone = gltf.scene.clone(true);
+    clone.traverse((child) => {
+      if (child.isMesh && child.material) {
         child.material.side = THREE.DoubleSide;
         child.material.transparent = false;
         child.material.opacity = 1;
@@ -588,152 +704,2295 @@ function Model3D({ url, anchor, isPlaced, gestureTransform }) {
         child.material.depthTest = true;
         child.material.needsUpdate = true;
       }
-    }
-  });
+    });
+    return clone;
+  }, [gltf]);
 
-  const box = new THREE.Box3().setFromObject(scene);
-  const center = box.getCenter(new THREE.Vector3());
-  scene.position.sub(center);
+  return <PlacedModel placement={placement} scene={scene} {...props} />;
+}
 
-  console.log('🎨 Model ready to render');
+/**
+ * A frame built at the placement's size, so resizing keeps the moulding and
+ * mat at their true widths instead of stretching them.
+ */
+function GeneratedFrame({ placement, ...props }) {
+  const { frame, size } = placement;
+  const scene = useMemo(() => buildFrame(frame, size), [frame, size]);
 
-  return (
-    <group ref={ref}>
-      <primitive object={scene} />
-      {/* Debug marker */}
-      <mesh position={[0, 0, 0]}>
-        <sphereGeometry args={[0.02, 16, 16]} />
-        <meshBasicMaterial color="lime" />
-      </mesh>
-    </group>
-  );
+  useEffect(() => () => disposeFrame(scene), [scene]);
+
+  return <PlacedModel placement={placement} scene={scene} {...props} />;
 }
 
-function HitTestSystem({ onHit, active }) {
-  const { camera, scene } = useThree();
-  const raycaster = useRef(new THREE.Raycaster());
-  const planes = useRef([]);
+/**
+ * Follows the placement's anchor (falling back to the stored transform) and
+ * draws a selection outline around the model's bounds when selected. Items
+ * with a known size are scaled to it in metres; others are fitted to 60 cm.
+ * `scene` is the placement's own copy of the model.
+ */
+function PlacedModel({ placement, selected, onObject, scene }) {
+  const { id, anchor, transform: stored, size: physical } = placement;
+  const ref = useRef();
+  const { camera } = useThree();
 
-  useEffect(() => {
-    const depths = [0.5, 0.8, 1.0, 1.3, 1.6, 2.0, 2.5, 3.0, 4.0];
-    const newPlanes = depths.map(d => {
-      const plane = new THREE.Mesh(
-        new THREE.PlaneGeometry(20, 20),
-        new THREE.MeshBasicMaterial({ visible: false, side: THREE.DoubleSide })
-      );
-      plane.position.set(0, 0, -d);
-      plane.userData.depth = d;
-      scene.add(plane);
-      return plane;
+  const model = useMemo(() => {
+    if (!scene) return null;
+
+    scene.traverse((child) => {
+      if (child.isMesh) {
+        child.castShadow = true;
+        child.receiveShadow = true;
+        child.frustumCulled = false;
+      }
     });
-    
-    planes.current = newPlanes;
-    return () => newPlanes.forEach(p => scene.remove(p));
+
+    const box = new THREE.Box3().setFromObject(scene);
+    const size = box.getSize(new THREE.Vector3());
+    const center = box.getCenter(new THREE.Vector3());
+    scene.position.sub(center);
+
+    const scale = 0.6 / Math.max(size.x, size.y, size.z);
+
+    return { scene, size, scale };
   }, [scene]);
 
+  const outline = useMemo(() => {
+    if (!model) return null;
+    const { x, y, z } = model.size.clone().multiplyScalar(1.04);
+    return new THREE.EdgesGeometry(new THREE.BoxGeometry(x, y, Math.max(z, 0.001)));
+  }, [model]);
+
+  useEffect(() => () => outline?.dispose(), [outline]);
+
+  useEffect(() => {
+    onObject?.(id, ref.current);
+    return () => onObject?.(id, null);
+  }, [id, onObject, model]);
+
+  const fit = useMemo(() => {
+    if (!model) return null;
+    return physical
+      ? scaleToSize(model.size, physical)
+      : { x: model.scale, y: model.scale, z: model.scale };
+  }, [model, physical]);
+
   useFrame(() => {
-    if (!active) return;
+    if (!ref.current || !model) return;
+
+    const transform = anchor?.getTransform(camera) || stored;
+    if (!transform) return;
+
+    ref.current.position.copy(transform.position);
+    ref.current.quaternion.copy(transform.rotation);
+    ref.current.scale.set(fit.x, fit.y, fit.z).multiplyScalar(transform.scale);
+    ref.current.visible = true;
+  });
+
+  if (!model) return null;
+
+  return (
+    <group ref={ref} userData={{ size: model.size }}>
+      <primitive object={model.scene} />
+      {selected && (
+        <lineSegments geometry={outline} renderOrder={1001} raycast={() => null}>
+          <lineBasicMaterial color="#00d4ff" transparent depthTest={false} />
+        </lineSegments>
+      )}
+    </group>
+  );
+}
+
+/**
+ * ============================================================================
+ * WALL COVERINGS
+ * Wallpaper and paint. A wallpaper pattern is tiled across the wall at its
+ * printed repeat size, laid out in wall coordinates (metres from the
+ * placement point along the levelled wall), so it stays put while the
+ * covered area grows with the wall's tracked extent, and the GPU's
+ * perspective-correct interpolation keeps it true at grazing angles. Paint
+ * is a flat colour over the same area. The camera frame is sampled behind
+ * each fragment so the wall's real light and shadow show through, relative
+ * to the bare wall's brightness from the surface analyser's uniform cells.
+ * Paint also leaves out pixels that don't look like that bare wall - dark
+ * furniture, bright windows, saturated objects. A mask painted with the
+ * MaskEditor trims either to the wall itself, around doors, windows and
+ * furniture.
+ * ============================================================================
+ */
+const COVERING_VERTEX = `
+  uniform vec4 uBounds;
+  varying vec2 vWall;
+  void main() {
+    vWall = mix(uBounds.xy, uBounds.zw, uv);
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+const COVERING_FRAGMENT = `
+  uniform sampler2D uPattern;
+  uniform vec2 uTile;
+  uniform bool uPaint;
+  uniform vec3 uColour;
+  uniform sampler2D uCamera;
+  uniform bool uLive;
+  uniform vec2 uResolution;
+  uniform vec2 uScale;
+  uniform vec2 uOffset;
+  uniform float uWallBrightness;
+  uniform float uWallSaturation;
+  uniform vec4 uPaintLimits;
+  uniform float uShading;
+  uniform int uBlend;
+  uniform sampler2D uMask;
+  uniform vec4 uMaskBounds;
+  uniform bool uMasked;
+  varying vec2 vWall;
+
+  void main() {
+    if (uMasked) {
+      vec2 m = (vWall - uMaskBounds.xy) / (uMaskBounds.zw - uMaskBounds.xy);
+      if (any(lessThan(m, vec2(0.0))) || any(greaterThan(m, vec2(1.0))) || texture2D(uMask, m).a < 0.5) discard;
+    }
+
+    vec3 surface = uPaint ? uColour : texture2D(uPattern, vWall / uTile).rgb;
+
+    // Brightness of the real wall here relative to the bare wall's:
+    // 1 on evenly lit wall, below it in shadow and corners
+    vec2 screen = gl_FragCoord.xy / uResolution;
+    vec3 camera = texture2D(uCamera, screen * uScale + uOffset).rgb;
+    float relative = dot(camera, vec3(1.0 / 3.0)) / max(uWallBrightness, 0.02);
+    float shade = uLive ? mix(1.0, clamp(relative, 0.0, 2.0), uShading) : 1.0;
+
+    // Paint stays off what isn't bare wall: too far from its saturation
+    // (measured on display values, as the analyser does) or its brightness
+    float coverage = 1.0;
+    if (uPaint && uLive) {
+      vec3 display = pow(camera, vec3(1.0 / 2.2));
+      float peak = max(display.r, max(display.g, display.b));
+      float saturation = peak > 0.0 ? (peak - min(display.r, min(display.g, display.b))) / peak : 0.0;
+      float soft = uPaintLimits.w;
+      coverage = (1.0 - smoothstep(uPaintLimits.x, uPaintLimits.x + soft, abs(saturation - uWallSaturation)))
+        * smoothstep(uPaintLimits.y - soft, uPaintLimits.y + soft, relative)
+        * (1.0 - smoothstep(uPaintLimits.z - soft, uPaintLimits.z + soft, relative));
+    }
+
+    vec3 colour = surface;
+    if (uBlend == 0) {
+      colour = surface * shade;
+    } else if (uBlend == 1) {
+      // Pegtop soft light: shadows deepen the covering without crushing its colours
+      float b = clamp(0.5 * shade, 0.0, 1.0);
+      colour = (1.0 - 2.0 * b) * surface * surface + 2.0 * b * surface;
+    }
+
+    gl_FragColor = vec4(colour, coverage);
+    #include <colorspace_fragment>
+  }
+`;
+
+const BLEND_INDEX = { multiply: 0, 'soft-light': 1, normal: 2 };
+
+const DEFAULT_PATTERN = toRepeat(WALLPAPER_CONFIG.DEFAULT_REPEAT);
+
+// Side of the frame the bare wall's brightness is measured on
+const WALL_SAMPLE_SIZE = 48;
+
+// sRGB byte -> linear light, to compare the analyser's brightness with what the shader sees
+const SRGB_TO_LINEAR = Array.from({ length: 256 }, (_, i) => {
+  const c = i / 255;
+  return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+});
+
+/**
+ * The levelled frame a wall covering is laid out in - plumb on its tracked
+ * wall, or on its own levelled pose without one - with `origin` where its
+ * placement point meets the wall.
+ *
+ * @returns {{ origin, rotation, axes: { right, up }, plane } | null}
+ */
+function wallFrame(placement, camera, estimator, up) {
+  const transform = placement.anchor?.getTransform(camera) || placement.transform;
+  if (!transform) return null;
+
+  const wall = placement.plane;
+  const rotation = wall && estimator
+    ? estimator.getPlacementRotation(wall, up)
+    : levelRotation(transform.rotation, up);
+  const plane = wall?.plane || new THREE.Plane().setFromNormalAndCoplanarPoint(
+    new THREE.Vector3(0, 0, 1).applyQuaternion(rotation), transform.position
+  );
+
+  return {
+    origin: plane.projectPoint(transform.position, new THREE.Vector3()),
+    rotation,
+    axes: {
+      right: new THREE.Vector3(1, 0, 0).applyQuaternion(rotation),
+      up: new THREE.Vector3(0, 1, 0).applyQuaternion(rotation),
+    },
+    plane,
+  };
+}
+
+const boxCorners = ({ min, max }) =>
+  [min.x, max.x].flatMap(x => [min.y, max.y].flatMap(y => [min.z, max.z].map(z => new THREE.Vector3(x, y, z))));
+
+/**
+ * Texture covering one tile of the pattern. A half-drop match repeats
+ * every two drops, so its tile is two repeats wide with the second column
+ * dropped by half a repeat; plain repeat wrapping then tiles it seamlessly.
+ */
+function patternTile(image, match, maxPixels) {
+  const columns = match === 'half-drop' ? 2 : 1;
+  const scale = Math.min(1, maxPixels / Math.max(image.width * columns, image.height));
+  const width = Math.round(image.width * scale);
+  const height = Math.round(image.height * scale);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width * columns;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0, width, height);
+  if (columns === 2) {
+    ctx.drawImage(image, width, height / 2, width, height);
+    ctx.drawImage(image, width, -height / 2, width, height);
+  }
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.wrapS = THREE.RepeatWrapping;
+  texture.wrapT = THREE.RepeatWrapping;
+  texture.colorSpace = THREE.SRGBColorSpace;
+  return { texture, columns };
+}
+
+/**
+ * A wall covering placement. The placement point fixes where a pattern's
+ * repeat starts; the covering itself reaches across the tracked wall (at
+ * least WALLPAPER_CONFIG.MIN_WIDTH × MIN_HEIGHT around the point). Dragging
+ * the placement slides the pattern to line up a repeat with a corner; it
+ * always stays at its printed size.
+ *
+ * Give either `pattern` (a repeating texture) and `repeat` (its size in
+ * metres), or a paint `colour`.
+ */
+function WallCovering({ placement, selected, estimator, getWorldUp, blend, onObject, pattern = null, repeat = null, colour = null }) {
+  const { id, anchor, plane: wall, mask } = placement;
+  const group = useRef();
+  const mesh = useRef();
+  const { camera, gl } = useThree();
+  const lastSample = useRef(0);
+
+  const video = useMemo(() => document.querySelector('.ar-video'), []);
+  const cameraTexture = useMemo(() => {
+    if (!video) return null;
+    const texture = new THREE.VideoTexture(video);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    return texture;
+  }, [video]);
+
+  const sampler = useMemo(() => {
+    const canvas = document.createElement('canvas');
+    canvas.width = WALL_SAMPLE_SIZE;
+    canvas.height = WALL_SAMPLE_SIZE;
+    return canvas.getContext('2d', { willReadFrequently: true });
+  }, []);
+  const analyzer = useMemo(() => new PlaneSurfaceAnalyzer(), []);
+
+  const uniforms = useMemo(() => ({
+    uPattern: { value: pattern },
+    uTile: { value: repeat || new THREE.Vector2(1, 1) },
+    uPaint: { value: !pattern },
+    uColour: { value: new THREE.Color() },
+    uCamera: { value: cameraTexture },
+    uLive: { value: false },
+    uBounds: { value: new THREE.Vector4() },
+    uResolution: { value: new THREE.Vector2(1, 1) },
+    uScale: { value: new THREE.Vector2(1, 1) },
+    uOffset: { value: new THREE.Vector2(0, 0) },
+    uWallBrightness: { value: 0.5 },
+    uWallSaturation: { value: 0 },
+    uPaintLimits: {
+      value: new THREE.Vector4(
+        PAINT_CONFIG.SATURATION_TOLERANCE, PAINT_CONFIG.MIN_BRIGHTNESS,
+        PAINT_CONFIG.MAX_BRIGHTNESS, PAINT_CONFIG.EDGE_SOFTNESS
+      ),
+    },
+    uShading: { value: WALLPAPER_CONFIG.SHADING },
+    uBlend: { value: 0 },
+    uMask: { value: null },
+    uMaskBounds: { value: new THREE.Vector4() },
+    uMasked: { value: false },
+  }), [pattern, cameraTexture, repeat]);
+
+  useEffect(() => {
+    uniforms.uBlend.value = BLEND_INDEX[blend] ?? 0;
+  }, [uniforms, blend]);
+
+  useEffect(() => {
+    if (colour) uniforms.uColour.value.set(colour);
+  }, [uniforms, colour]);
+
+  useEffect(() => () => cameraTexture?.dispose(), [cameraTexture]);
+
+  // The old mask stays on until the new one has loaded
+  useEffect(() => {
+    if (!mask) {
+      uniforms.uMasked.value = false;
+      return undefined;
+    }
+
+    const texture = new THREE.TextureLoader().load(mask.image, () => {
+      uniforms.uMask.value = texture;
+      uniforms.uMasked.value = true;
+    });
+    return () => texture.dispose();
+  }, [mask, uniforms]);
+
+  useEffect(() => {
+    onObject?.(id, mesh.current);
+    return () => onObject?.(id, null);
+  }, [id, onObject]);
+
+  // Brightness (linear light) and saturation of the bare wall in view
+  const sampleWall = useCallback(() => {
+    sampler.drawImage(video, 0, 0, WALL_SAMPLE_SIZE, WALL_SAMPLE_SIZE);
+    const { data } = sampler.getImageData(0, 0, WALL_SAMPLE_SIZE, WALL_SAMPLE_SIZE);
+    const { brightness, saturation } = wallReference(analyzer.analyzeSurface(data, WALL_SAMPLE_SIZE, WALL_SAMPLE_SIZE));
+    uniforms.uWallBrightness.value = SRGB_TO_LINEAR[Math.round(brightness)];
+    uniforms.uWallSaturation.value = saturation;
+  }, [sampler, video, analyzer, uniforms]);
+
+  useFrame(({ size }) => {
+    if (!group.current || !mesh.current) return;
+
+    const frame = wallFrame(placement, camera, estimator, getWorldUp());
+    if (!frame) return;
+
+    const { origin, rotation, axes } = frame;
+    group.current.position.copy(origin);
+    group.current.quaternion.copy(rotation);
+
+    const halfWidth = WALLPAPER_CONFIG.MIN_WIDTH / 2;
+    const halfHeight = WALLPAPER_CONFIG.MIN_HEIGHT / 2;
+    const bounds = { minX: -halfWidth, maxX: halfWidth, minY: -halfHeight, maxY: halfHeight };
+    if (wall?.extent && !wall.extent.isEmpty()) {
+      const extent = wallBounds(boxCorners(wall.extent), origin, axes);
+      bounds.minX = Math.min(bounds.minX, extent.minX);
+      bounds.maxX = Math.max(bounds.maxX, extent.maxX);
+      bounds.minY = Math.min(bounds.minY, extent.minY);
+      bounds.maxY = Math.max(bounds.maxY, extent.maxY);
+    }
+
+    mesh.current.position.set((bounds.minX + bounds.maxX) / 2, (bounds.minY + bounds.maxY) / 2, 0);
+    mesh.current.scale.set(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY, 1);
+    uniforms.uBounds.value.set(bounds.minX, bounds.minY, bounds.maxX, bounds.maxY);
+
+    if (mask) {
+      const offset = toWall(anchor ? anchor.tracked(mask.origin) : mask.origin, origin, axes);
+      const { minX, minY, maxX, maxY } = mask.bounds;
+      uniforms.uMaskBounds.value.set(minX + offset.x, minY + offset.y, maxX + offset.x, maxY + offset.y);
+    }
+
+    const live = !!cameraTexture && video.readyState >= video.HAVE_CURRENT_DATA && !!video.videoWidth;
+    uniforms.uLive.value = live;
+    if (live) {
+      gl.getDrawingBufferSize(uniforms.uResolution.value);
+      coverCrop(video, size, uniforms.uScale.value, uniforms.uOffset.value);
+
+      const now = performance.now();
+      if (now - lastSample.current > WALLPAPER_CONFIG.LUMINANCE_INTERVAL) {
+        lastSample.current = now;
+        sampleWall();
+      }
+    }
+  });
+
+  return (
+    <group ref={group}>
+      <mesh ref={mesh}>
+        <planeGeometry args={[1, 1]} />
+        {/* Paint fades out over what isn't wall, so it blends and leaves depth to the frames */}
+        <shaderMaterial
+          vertexShader={COVERING_VERTEX}
+          fragmentShader={COVERING_FRAGMENT}
+          uniforms={uniforms}
+          transparent={!pattern}
+          depthWrite={!!pattern}
+        />
+      </mesh>
+      {/* Pattern origin */}
+      {selected && (
+        <mesh position={[0, 0, 0.002]} raycast={() => null}>
+          <ringGeometry args={[0.025, 0.035, 32]} />
+          <meshBasicMaterial color="#00d4ff" depthTest={false} />
+        </mesh>
+      )}
+    </group>
+  );
+}
+
+function Wallpaper({ placement, ...props }) {
+  const pattern = placement.pattern || DEFAULT_PATTERN;
+  const image = useTexture(placement.modelUrl);
+  const { gl } = useThree();
+
+  const tile = useMemo(
+    () => patternTile(image.image, pattern.match, WALLPAPER_CONFIG.MAX_TILE_PIXELS),
+    [image, pattern.match]
+  );
+
+  // Repeat height follows the image when the catalogue only gives a width
+  const repeat = useMemo(() => {
+    const height = pattern.height || pattern.width * (image.image.height / image.image.width);
+    return new THREE.Vector2(pattern.width * tile.columns, height);
+  }, [pattern, image, tile]);
+
+  useEffect(() => {
+    tile.texture.anisotropy = gl.capabilities.getMaxAnisotropy();
+    return () => tile.texture.dispose();
+  }, [tile, gl]);
+
+  return <WallCovering placement={placement} pattern={tile.texture} repeat={repeat} {...props} />;
+}
+
+function WallPaint({ placement, ...props }) {
+  return <WallCovering placement={placement} colour={placement.colour || PAINT_CONFIG.DEFAULT_COLOUR} {...props} />;
+}
+
+const isWallCovering = (placement) => placement?.type === 'wallpaper' || placement?.type === 'paint';
+
+function PlacedCovering({ placement, ...props }) {
+  return placement.type === 'paint'
+    ? <WallPaint placement={placement} {...props} />
+    : <Wallpaper placement={placement} {...props} />;
+}
+
+/**
+ * ============================================================================
+ * MEASUREMENTS
+ * Tape-measure lines on the wall. Everything is drawn in WebGL - labels are
+ * canvas-texture sprites - so screenshots include it.
+ * ============================================================================
+ */
+const MEASURE_COLOR = '#ffd60a';
+const CLEARANCE_COLOR = '#00d4ff';
+
+/**
+ * Text label that keeps its screen size at any distance and draws over
+ * everything.
+ */
+function LabelSprite({ text, position, color = '#ffffff', height = 0.045 }) {
+  const label = useMemo(() => {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    const font = '600 36px -apple-system, BlinkMacSystemFont, sans-serif';
+
+    ctx.font = font;
+    canvas.width = Math.ceil(ctx.measureText(text).width) + 32;
+    canvas.height = 56;
+
+    ctx.fillStyle = 'rgba(0,0,0,0.75)';
+    ctx.beginPath();
+    ctx.roundRect(0, 0, canvas.width, canvas.height, 14);
+    ctx.fill();
+
+    ctx.font = font;
+    ctx.fillStyle = color;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, canvas.width / 2, canvas.height / 2 + 2);
+
+    return { texture: new THREE.CanvasTexture(canvas), aspect: canvas.width / canvas.height };
+  }, [text, color]);
+
+  useEffect(() => () => label.texture.dispose(), [label]);
+
+  return (
+    <sprite position={position} scale={[height * label.aspect, height, 1]} renderOrder={1003} raycast={() => null}>
+      <spriteMaterial map={label.texture} transparent depthTest={false} sizeAttenuation={false} />
+    </sprite>
+  );
+}
+
+function MeasurePoint({ position, color = MEASURE_COLOR }) {
+  return (
+    <mesh position={position} renderOrder={1002} raycast={() => null}>
+      <sphereGeometry args={[0.008, 12, 12]} />
+      <meshBasicMaterial color={color} depthTest={false} />
+    </mesh>
+  );
+}
+
+function MeasurementLine({ start, end, units }) {
+  return (
+    <group>
+      <Line points={[start, end]} color={MEASURE_COLOR} lineWidth={3} depthTest={false} renderOrder={1002} />
+      <MeasurePoint position={start} />
+      <MeasurePoint position={end} />
+      <LabelSprite
+        text={formatLength(start.distanceTo(end), units)}
+        position={start.clone().lerp(end, 0.5)}
+        color={MEASURE_COLOR}
+      />
+    </group>
+  );
+}
+
+/**
+ * Live distance from the selected item's outline to each measured line,
+ * drawn as a dashed connector. Recomputed every frame (gestures and
+ * tracking both move the item), re-rendering only when a connector moves.
+ */
+function ClearanceLines({ objects, selectedId, lines, units }) {
+  const [clearances, setClearances] = useState([]);
+  const last = useRef('');
+
+  useFrame(() => {
+    const object = selectedId && objects.current.get(selectedId);
+    const size = object?.userData.size;
+
+    const next = object && size
+      ? lines.map(({ id, start, end }) => ({ id, ...outlineDistance(outlineCorners(object, size), start, end) }))
+      : [];
+
+    const key = next
+      .map(c => `${c.id}:${[...c.from.toArray(), ...c.to.toArray()].map(v => v.toFixed(3)).join(',')}`)
+      .join('|');
+    if (key !== last.current) {
+      last.current = key;
+      setClearances(next);
+    }
+  });
+
+  return clearances.filter(c => c.distance > 0.005).map(c => (
+    <group key={c.id}>
+      <Line
+        points={[c.from, c.to]}
+        color={CLEARANCE_COLOR}
+        lineWidth={2}
+        dashed
+        dashSize={0.02}
+        gapSize={0.015}
+        depthTest={false}
+        renderOrder={1002}
+      />
+      <LabelSprite
+        text={formatLength(c.distance, units)}
+        position={c.from.clone().lerp(c.to, 0.5)}
+        color={CLEARANCE_COLOR}
+      />
+    </group>
+  ));
+}
+
+function MeasurementsLayer({ measurements, pending, objects, selectedId, units }) {
+  const lines = useMemo(() => measurements.map(({ id, start, end }) => ({
+    id,
+    start: new THREE.Vector3().fromArray(start),
+    end: new THREE.Vector3().fromArray(end),
+  })), [measurements]);
+
+  return (
+    <>
+      {lines.map(line => (
+        <MeasurementLine key={line.id} start={line.start} end={line.end} units={units} />
+      ))}
+      {pending && <MeasurePoint position={pending} />}
+      <ClearanceLines objects={objects} selectedId={selectedId} lines={lines} units={units} />
+    </>
+  );
+}
+
+/**
+ * ============================================================================
+ * GRID & LEVEL
+ * ============================================================================
+ */
+
+/**
+ * Real-unit grid on a wall, with rows level to gravity. Tracked walls keep
+ * the grid fixed in place (origin where the wall's plane is closest to the
+ * world origin) so it doesn't slide with the item being dragged; without a
+ * plane it is laid out from an item's levelled pose.
+ */
+function WallGrid({ wall, pose, estimator, getWorldUp, units }) {
+  const ref = useRef();
+  const { camera } = useThree();
+  const spacing = GRID_CONFIG[units];
+
+  useFrame(() => {
+    if (!ref.current) return;
+    const up = getWorldUp();
+
+    if (wall && estimator) {
+      ref.current.position.copy(wall.plane.coplanarPoint(new THREE.Vector3()));
+      ref.current.quaternion.copy(estimator.getPlacementRotation(wall, up));
+    } else {
+      const transform = pose?.anchor?.getTransform(camera) || pose?.transform;
+      if (!transform) return;
+      ref.current.position.copy(transform.position);
+      ref.current.quaternion.copy(levelRotation(transform.rotation, up));
+    }
+  });
+
+  return (
+    <group ref={ref}>
+      {/* drei's Grid lies in its local XZ plane; turn it onto the wall */}
+      <Grid
+        args={[GRID_CONFIG.EXTENT, GRID_CONFIG.EXTENT]}
+        rotation={[Math.PI / 2, 0, 0]}
+        cellSize={spacing.cell}
+        cellThickness={0.6}
+        cellColor="#ffffff"
+        sectionSize={spacing.section}
+        sectionThickness={1.2}
+        sectionColor="#00d4ff"
+        fadeDistance={GRID_CONFIG.FADE_DISTANCE}
+        fadeStrength={1.5}
+        side={THREE.DoubleSide}
+        raycast={() => null}
+      />
+    </group>
+  );
+}
+
+/**
+ * Reports the tilt (degrees) of an item's edges from level for the
+ * spirit-level HUD, rounded to a tenth so the HUD only re-renders when the
+ * reading changes.
+ */
+function TiltProbe({ placement, getWorldUp, onTilt }) {
+  const { camera } = useThree();
+  const last = useRef(null);
+
+  useEffect(() => () => onTilt(null), [onTilt]);
+
+  useFrame(() => {
+    const transform = placement?.anchor?.getTransform(camera) || placement?.transform;
+    const tilt = transform
+      ? +THREE.MathUtils.radToDeg(getTilt(transform.rotation, getWorldUp())).toFixed(1)
+      : null;
+
+    if (tilt !== last.current) {
+      last.current = tilt;
+      onTilt(tilt);
+    }
+  });
+
+  return null;
+}
+
+// Guides for the lines a dragged item has snapped to
+const SNAP_COLOR = '#ff2d95';
+
+// Planes that are the same wall: one tracked plane, or two fits of it
+const sameWall = (a, b) =>
+  a === b || (
+    a.plane.normal.angleTo(b.plane.normal) < THREE.MathUtils.degToRad(5)
+    && Math.abs(a.plane.constant - b.plane.constant) < 0.05
+  );
+
+/**
+ * Draws the gesture controller's snap guides. They change every drag step,
+ * so the segments are written straight into a buffer each frame.
+ */
+function SnapGuides({ controller }) {
+  const geometry = useMemo(() => {
+    const buffer = new THREE.BufferGeometry();
+    // snapPosition reports at most one vertical and one horizontal guide
+    buffer.setAttribute('position', new THREE.BufferAttribute(new Float32Array(4 * 3), 3));
+    buffer.setDrawRange(0, 0);
+    return buffer;
+  }, []);
+
+  useEffect(() => () => geometry.dispose(), [geometry]);
+
+  useFrame(() => {
+    const guides = controller?.guides || [];
+    const attribute = geometry.getAttribute('position');
+
+    guides.slice(0, 2).forEach(({ start, end }, i) => {
+      attribute.setXYZ(i * 2, start.x, start.y, start.z);
+      attribute.setXYZ(i * 2 + 1, end.x, end.y, end.z);
+    });
+    attribute.needsUpdate = true;
+    geometry.setDrawRange(0, Math.min(guides.length, 2) * 2);
+  });
+
+  return (
+    <lineSegments geometry={geometry} frustumCulled={false} renderOrder={3}>
+      <lineBasicMaterial color={SNAP_COLOR} depthTest={false} transparent opacity={0.9} />
+    </lineSegments>
+  );
+}
+
+/**
+ * Copies the pose provider's estimate into the scene camera before anything
+ * else reads it this frame (negative priority keeps R3F's own render loop).
+ */
+function CameraPoseDriver({ provider }) {
+  const { camera } = useThree();
+
+  useFrame(() => {
+    const pose = provider?.getPose();
+    if (!pose) return;
+
+    camera.quaternion.copy(pose.quaternion);
+    if (pose.position) camera.position.copy(pose.position);
+    camera.updateMatrixWorld(true);
+  }, -1);
+
+  return null;
+}
+
+// Screen corners in NDC - where they meet a wall marks how much of it was seen
+const VIEW_CORNERS = [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([x, y]) => new THREE.Vector2(x, y));
+
+function HitTestSystem({ onHit, active, estimator, getWorldUp, depthRef, calibration }) {
+  const { camera } = useThree();
+  const raycaster = useRef(new THREE.Raycaster());
+  const cornerCaster = useRef(new THREE.Raycaster());
+  const positionFilter = useRef(new VectorOneEuroFilter(FILTER_CONFIG.RETICLE_POSITION));
+  const rotationFilter = useRef(new QuaternionOneEuroFilter(FILTER_CONFIG.RETICLE_ROTATION));
+  const filteredNormal = useRef(null);
+  const hadHit = useRef(false);
+  const applied = useRef(null);
+
+  useFrame(() => {
+    if (!active || !estimator) {
+      filteredNormal.current = null;
+      return;
+    }
+
+    raycaster.current.setFromCamera(new THREE.Vector2(0, 0), camera);
+    const up = getWorldUp();
+    const { ray } = raycaster.current;
+
+    // Before any surface is confirmed by the detector, preview on an assumed wall
+    let hit = estimator.raycast(ray)
+      || estimator.raycastPreview(ray, camera, up);
+
+    const refit = (current) => {
+      const point = ray.intersectPlane(current.plane.plane, new THREE.Vector3());
+      return point
+        ? { ...current, point, normal: current.plane.plane.normal.clone(), distance: point.distanceTo(ray.origin) }
+        : current;
+    };
+
+    // On the calibrated wall the reference object's distance replaces depth estimates
+    const calibrated = hit && calibration && estimator.applyCalibration(hit.plane, calibration, up);
+    if (calibrated) hit = refit(hit);
+
+    // A fresh depth measurement moves the plane to the measured distance
+    const measurement = depthRef?.current;
+    const fresh = measurement && performance.now() - measurement.time < VISION_CONFIG.DEPTH_INTERVAL * 4;
+    if (hit && fresh && !calibrated) {
+      const tracked = estimator.planes.includes(hit.plane);
+      if (!tracked || applied.current !== measurement) {
+        // Preview planes are rebuilt every frame, so they take the measurement whole
+        estimator.applyDepth(hit.plane, measurement, up, tracked ? undefined : 1);
+        if (tracked) applied.current = measurement;
+        hit = refit(hit);
+      }
+    }
+
+    if (hit) {
+      // Grazing corner rays would stretch the wall out to the horizon
+      const corners = VIEW_CORNERS.map((corner) => {
+        cornerCaster.current.setFromCamera(corner, camera);
+        return cornerCaster.current.ray.intersectPlane(hit.plane.plane, new THREE.Vector3());
+      }).filter(point => point && point.distanceTo(ray.origin) < hit.distance * 3);
+      estimator.extend(hit.plane, corners);
+
+      // Smooth the reticle along the wall; moving onto another surface starts afresh
+      const { normal } = hit.plane.plane;
+      if (!filteredNormal.current || filteredNormal.current.angleTo(normal) > THREE.MathUtils.degToRad(10)) {
+        positionFilter.current.reset();
+        rotationFilter.current.reset();
+      }
+      filteredNormal.current = normal.clone();
+
+      const time = performance.now() / 1000;
+      const point = hit.plane.plane.projectPoint(positionFilter.current.filter(hit.point, time), new THREE.Vector3());
+      const rotation = rotationFilter.current.filter(estimator.getPlacementRotation(hit.plane, up), time).clone();
+
+      hadHit.current = true;
+      onHit({ ...hit, point, rotation });
+    } else if (hadHit.current) {
+      hadHit.current = false;
+      filteredNormal.current = null;
+      onHit(null);
+    }
+  });
+
+  return null;
+}
+
+/**
+ * Measures the surface under the reticle from monocular depth while
+ * scanning. The result is in world space, taken with the camera pose of the
+ * frame that was analysed, and lands in `depthRef` for the hit test.
+ */
+function DepthSensingSystem({ estimator, active, depthRef, onDepth }) {
+  const { camera } = useThree();
+  const busy = useRef(false);
+  const last = useRef(0);
+
+  useFrame(() => {
+    if (!active || !estimator || busy.current) return;
+
+    const now = performance.now();
+    if (now - last.current < VISION_CONFIG.DEPTH_INTERVAL) return;
+
+    const video = document.querySelector('.ar-video');
+    if (!video || video.readyState < video.HAVE_CURRENT_DATA || !video.videoWidth) return;
+
+    last.current = now;
+    busy.current = true;
+
+    const origin = camera.position.clone();
+    const rotation = camera.quaternion.clone();
+    const fov = camera.fov;
+
+    estimator.estimateMetric(video)
+      .then((depth) => {
+        const surface = measureSurface(depth, {
+          point: { x: 0.5, y: 0.5 },
+          intrinsics: intrinsicsFromFov(depth.width, depth.height, fov, video.videoWidth / video.videoHeight),
+        });
+        if (!surface) return;
+
+        const direction = new THREE.Vector3(0, 0, -1).applyQuaternion(rotation);
+        const measurement = {
+          distance: surface.distance,
+          point: origin.addScaledVector(direction, surface.distance),
+          normal: surface.normal.applyQuaternion(rotation),
+          confidence: surface.confidence,
+          time: performance.now(),
+        };
+
+        depthRef.current = measurement;
+        onDepth(measurement);
+      })
+      .catch((err) => {
+        console.warn('⚠️ Depth measurement failed:', err.message);
+      })
+      .finally(() => {
+        busy.current = false;
+      });
+  });
+
+  return null;
+}
+
+/**
+ * Looks for the reference object while calibrating. Each detection is moved
+ * into world space with the camera pose of its frame; once enough of them
+ * agree, the calibration is reported.
+ */
+function ReferenceCalibrationSystem({ calibrator, active, onDetect, onCalibrate }) {
+  const { camera } = useThree();
+  const last = useRef(0);
+
+  useEffect(() => {
+    if (active) calibrator?.reset();
+  }, [active, calibrator]);
+
+  useFrame(() => {
+    if (!active || !calibrator) return;
+
+    const now = performance.now();
+    if (now - last.current < CALIBRATION_CONFIG.INTERVAL) return;
+    last.current = now;
+
+    const video = document.querySelector('.ar-video');
+    const detection = calibrator.detect(video, camera.fov);
+    onDetect(detection);
+    if (!detection) return;
+
+    const result = calibrator.accumulate({
+      ...detection,
+      point: detection.center.clone().applyQuaternion(camera.quaternion).add(camera.position),
+      normal: detection.normal.clone().applyQuaternion(camera.quaternion),
+    });
+    if (result) onCalibrate({ ...result, time: performance.now() });
+  });
+
+  return null;
+}
+
+/**
+ * Runs the optical-flow tracker on the detector's frames while items are
+ * placed. The measured camera translation is the same for every item, so it
+ * is fed into each anchor. Flow runs on the main thread, so it is paced by
+ * TRACKING_INTERVAL rather than the render loop, and the frame it reads back
+ * is the one SceneLighting samples too.
+ */
+function VisualTrackingSystem({ tracker, detector, anchors, active, onTrackingChange }) {
+  const { camera } = useThree();
+  const last = useRef(0);
+  const state = useRef('tracking');
+
+  // The first placement starts from a fresh reference frame
+  useEffect(() => {
+    tracker?.reset();
+    if (state.current !== 'tracking') {
+      state.current = 'tracking';
+      onTrackingChange('tracking');
+    }
+  }, [tracker, active, onTrackingChange]);
+
+  useFrame(() => {
+    if (!active || !tracker || !detector || !anchors.length) return;
+
+    const now = performance.now();
+    if (now - last.current < VISION_CONFIG.TRACKING_INTERVAL) return;
+
+    const video = document.querySelector('.ar-video');
+    const image = detector.sampleFrame(video, VISION_CONFIG.TRACKING_INTERVAL / 2);
+    if (!image) return;
+    last.current = now;
+
+    tracker.setIntrinsics(intrinsicsFromFov(
+      image.width, image.height, camera.fov, video.videoWidth / video.videoHeight
+    ));
+
+    const transform = anchors[anchors.length - 1].getTransform(camera);
+    const result = tracker.processFrame(image, {
+      rotation: camera.quaternion,
+      depth: transform ? transform.position.distanceTo(camera.position) : null
+    });
+
+    const states = anchors.map(anchor => anchor.applyTracking(result, camera));
+    const next = states.includes('lost') ? 'lost' : 'tracking';
+    if (next !== state.current) {
+      state.current = next;
+      onTrackingChange(next);
+    }
+  });
+
+  return null;
+}
+
+// Full-screen quad in clip space, at the near plane
+const OCCLUSION_VERTEX = `
+  varying vec2 vUv;
+  void main() {
+    vUv = uv;
+    gl_Position = vec4(position.xy, -1.0, 1.0);
+  }
+`;
+
+const OCCLUSION_FRAGMENT = `
+  uniform sampler2D uMask;
+  uniform vec2 uScale;
+  uniform vec2 uOffset;
+  varying vec2 vUv;
+  void main() {
+    // The video is shown with object-fit: cover, so crop the mask the same way
+    if (texture2D(uMask, vUv * uScale + uOffset).a < 0.5) discard;
+    gl_FragColor = vec4(0.0);
+  }
+`;
+
+/**
+ * Hides rendered items behind people in the camera feed. The person mask is
+ * drawn first as a full-screen quad that only writes depth (at the near
+ * plane), so everything rendered after it fails the depth test there and
+ * the video shows through - in screenshots too.
+ */
+function PeopleOcclusion({ segmenter, active }) {
+  const { size } = useThree();
+  const frame = useRef(0);
+  const busy = useRef(false);
+  const [hasMask, setHasMask] = useState(false);
+
+  const canvas = useMemo(() => document.createElement('canvas'), []);
+  const texture = useMemo(() => new THREE.CanvasTexture(canvas), [canvas]);
+  const uniforms = useMemo(() => ({
+    uMask: { value: texture },
+    uScale: { value: new THREE.Vector2(1, 1) },
+    uOffset: { value: new THREE.Vector2(0, 0) },
+  }), [texture]);
+
+  useEffect(() => () => texture.dispose(), [texture]);
+
+  useEffect(() => {
+    if (!active || !segmenter) setHasMask(false);
+  }, [active, segmenter]);
+
+  useFrame(() => {
+    if (!active || !segmenter || busy.current) return;
+
+    frame.current++;
+    if (frame.current % segmenter.frameSkip !== 0) return;
+
+    const video = document.querySelector('.ar-video');
+    if (!video || video.readyState < video.HAVE_CURRENT_DATA || !video.videoWidth) return;
+
+    coverCrop(video, size, uniforms.uScale.value, uniforms.uOffset.value);
+
+    busy.current = true;
+    segmenter.segment(video)
+      .then((mask) => {
+        if (!mask) {
+          setHasMask(false);
+          return;
+        }
+        if (canvas.width !== mask.width || canvas.height !== mask.height) {
+          canvas.width = mask.width;
+          canvas.height = mask.height;
+        }
+        canvas.getContext('2d').putImageData(mask, 0, 0);
+        texture.needsUpdate = true;
+        setHasMask(true);
+      })
+      .catch((err) => {
+        console.warn('⚠️ People segmentation failed:', err.message);
+      })
+      .finally(() => {
+        busy.current = false;
+      });
+  });
+
+  return (
+    <mesh visible={active && hasMask} renderOrder={-1000} frustumCulled={false}>
+      <planeGeometry args={[2, 2]} />
+      <shaderMaterial
+        vertexShader={OCCLUSION_VERTEX}
+        fragmentShader={OCCLUSION_FRAGMENT}
+        uniforms={uniforms}
+        colorWrite={false}
+        depthWrite
+        depthFunc={THREE.AlwaysDepth}
+      />
+    </mesh>
+  );
+}
+
+// Writes the camera frame's depth (metres -> window depth) for occlusion
+const DEPTH_OCCLUSION_FRAGMENT = `
+  uniform sampler2D uDepth;
+  uniform vec2 uScale;
+  uniform vec2 uOffset;
+  uniform float uDepthScale;
+  uniform float uMargin;
+  uniform float uNear;
+  uniform float uFar;
+  varying vec2 vUv;
+  void main() {
+    vec2 uv = vUv * uScale + uOffset;
+    // Depth rows run top to bottom
+    float metres = texture2D(uDepth, vec2(uv.x, 1.0 - uv.y)).r * uDepthScale + uMargin;
+    if (metres <= uNear || metres >= uFar) discard;
+
+    float ndc = (uFar + uNear) / (uFar - uNear) - (2.0 * uFar * uNear) / ((uFar - uNear) * metres);
+    gl_FragDepthEXT = ndc * 0.5 + 0.5;
+    gl_FragColor = vec4(0.0);
+  }
+`;
+
+// Debug view: tints everything nearer than the anchored wall
+const DEPTH_MASK_FRAGMENT = `
+  uniform sampler2D uDepth;
+  uniform vec2 uScale;
+  uniform vec2 uOffset;
+  uniform float uDepthScale;
+  uniform float uMargin;
+  uniform float uWall;
+  varying vec2 vUv;
+  void main() {
+    vec2 uv = vUv * uScale + uOffset;
+    float metres = texture2D(uDepth, vec2(uv.x, 1.0 - uv.y)).r * uDepthScale;
+    if (metres + uMargin >= uWall) discard;
+    gl_FragColor = vec4(1.0, 0.0, 0.8, 0.45);
+  }
+`;
+
+/**
+ * Median depth in a small window around a normalised video position
+ */
+function sampleDepth(depth, u, v, radius = 3) {
+  const cx = Math.round(u * (depth.width - 1));
+  const cy = Math.round(v * (depth.height - 1));
+  const values = [];
+
+  for (let y = cy - radius; y <= cy + radius; y++) {
+    for (let x = cx - radius; x <= cx + radius; x++) {
+      if (x < 0 || y < 0 || x >= depth.width || y >= depth.height) continue;
+      values.push(depth.data[y * depth.width + x]);
+    }
+  }
+
+  if (!values.length) return null;
+  values.sort((a, b) => a - b);
+  return values[Math.floor(values.length / 2)];
+}
+
+/**
+ * Hides the parts of placed items that real things in front of the wall
+ * (sofa, lamp) would cover. A full-screen quad writes the camera frame's
+ * depth into the depth buffer, so items fail the depth test wherever the
+ * room is nearer. Monocular depth has no reliable scale, so each depth map
+ * is scaled until the wall behind the anchor matches the anchor's distance.
+ */
+function DepthOcclusion({ source, anchor, active, showMask }) {
+  const { camera, size, gl } = useThree();
+  const busy = useRef(false);
+  const last = useRef(0);
+  const [texture, setTexture] = useState(null);
+
+  const uniforms = useMemo(() => ({
+    uDepth: { value: null },
+    uScale: { value: new THREE.Vector2(1, 1) },
+    uOffset: { value: new THREE.Vector2(0, 0) },
+    uDepthScale: { value: 1 },
+    uMargin: { value: OCCLUSION_CONFIG.DEPTH_MARGIN },
+    uNear: { value: 0.1 },
+    uFar: { value: 1000 },
+    uWall: { value: 0 },
+  }), []);
+
+  useEffect(() => () => texture?.dispose(), [texture]);
+
+  // Each placement calibrates from scratch
+  useEffect(() => {
+    if (!active || !source) {
+      uniforms.uDepth.value = null;
+      setTexture(null);
+    }
+    uniforms.uDepthScale.value = 1;
+  }, [active, source, uniforms]);
+
+  const upload = useCallback((depth) => {
+    const current = uniforms.uDepth.value;
+    if (current && current.image.width === depth.width && current.image.height === depth.height) {
+      current.image.data.set(depth.data);
+      current.needsUpdate = true;
+      return;
+    }
+
+    const next = new THREE.DataTexture(
+      Float32Array.from(depth.data), depth.width, depth.height, THREE.RedFormat, THREE.FloatType
+    );
+    const filter = gl.extensions.has('OES_texture_float_linear') ? THREE.LinearFilter : THREE.NearestFilter;
+    next.minFilter = filter;
+    next.magFilter = filter;
+    next.needsUpdate = true;
+    uniforms.uDepth.value = next;
+    setTexture(next);
+  }, [gl, uniforms]);
+
+  // Scale the map so the wall behind the anchor sits at the anchor's depth
+  const calibrate = useCallback((depth, pose) => {
+    const transform = anchor?.getTransform(pose);
+    if (!transform) return;
+
+    const view = transform.position.clone().applyMatrix4(pose.matrixWorldInverse);
+    const ndc = transform.position.clone().project(pose);
+    if (view.z >= 0 || Math.abs(ndc.x) > 1 || Math.abs(ndc.y) > 1) return;
+
+    const u = ((ndc.x + 1) / 2) * uniforms.uScale.value.x + uniforms.uOffset.value.x;
+    const v = ((ndc.y + 1) / 2) * uniforms.uScale.value.y + uniforms.uOffset.value.y;
+    const measured = sampleDepth(depth, u, 1 - v);
+    if (!measured) return;
+
+    const wall = -view.z;
+    const scale = THREE.MathUtils.clamp(wall / measured, 0.2, 5);
+    uniforms.uDepthScale.value += (scale - uniforms.uDepthScale.value) * 0.3;
+    uniforms.uWall.value = wall;
+  }, [anchor, uniforms]);
+
+  useFrame(() => {
+    if (!active || !source || busy.current) return;
+
+    const now = performance.now();
+    if (now - last.current < OCCLUSION_CONFIG.DEPTH_INTERVAL) return;
+
+    const video = document.querySelector('.ar-video');
+    if (!video?.videoWidth) return;
+
+    last.current = now;
+    busy.current = true;
+    coverCrop(video, size, uniforms.uScale.value, uniforms.uOffset.value);
+    uniforms.uNear.value = camera.near;
+    uniforms.uFar.value = camera.far;
+
+    // Calibrate against the camera pose the frame was captured with
+    const pose = camera.clone();
+
+    source.read(video)
+      .then((depth) => {
+        if (!depth) return;
+        upload(depth);
+        calibrate(depth, pose);
+      })
+      .catch((err) => {
+        console.warn('⚠️ Occlusion depth failed:', err.message);
+      })
+      .finally(() => {
+        busy.current = false;
+      });
+  });
+
+  if (!active || !texture) return null;
+
+  return (
+    <>
+      <mesh renderOrder={-999} frustumCulled={false}>
+        <planeGeometry args={[2, 2]} />
+        <shaderMaterial
+          vertexShader={OCCLUSION_VERTEX}
+          fragmentShader={DEPTH_OCCLUSION_FRAGMENT}
+          uniforms={uniforms}
+          extensions={{ fragDepth: true }}
+          colorWrite={false}
+          depthWrite
+          depthFunc={THREE.LessEqualDepth}
+        />
+      </mesh>
+
+      {showMask && (
+        <mesh renderOrder={1000} frustumCulled={false}>
+          <planeGeometry args={[2, 2]} />
+          <shaderMaterial
+            vertexShader={OCCLUSION_VERTEX}
+            fragmentShader={DEPTH_MASK_FRAGMENT}
+            uniforms={uniforms}
+            transparent
+            depthTest={false}
+            depthWrite={false}
+          />
+        </mesh>
+      )}
+    </>
+  );
+}
+
+function ARScene({
+  placements, selectedId, onSelect, detector, estimator, tracker, depthEstimator, segmenter, depthSource,
+  showOcclusionMask, gravityRef, poseProvider, onPlace, scanning, onAnalysis, onDepth, onTrackingChange,
+  gestureController, calibrator, calibration, calibrating, onReferenceDetect, onCalibrate,
+  measuring, measurements, pendingMeasure, onMeasurePoint, units, showGrid, onTilt, wallpaperBlend
+}) {
+  const { camera, gl } = useThree();
+  const [hitData, setHitData] = useState(null);
+  const [analysis, setAnalysis] = useState(null);
+  const depthRef = useRef(null);
+  const objects = useRef(new Map());
+  const picker = useRef(new THREE.Raycaster());
+
+  const hasPlacements = placements.length > 0;
+  const anchors = useMemo(() => placements.map(p => p.anchor), [placements]);
+  const selected = placements.find(p => p.id === selectedId) || null;
+  const focus = selected || placements[placements.length - 1] || null;
+
+  const worldUp = useCallback(
+    () => getWorldUp(camera, gravityRef?.current),
+    [gravityRef, camera]
+  );
+
+  const registerObject = useCallback((id, object) => {
+    if (object) objects.current.set(id, object);
+    else objects.current.delete(id);
+  }, []);
+
+  // Nearest placed item under a screen point (a pointer or wheel event)
+  const aimAt = useCallback((point) => {
+    const rect = gl.domElement.getBoundingClientRect();
+    const ndc = new THREE.Vector2(
+      ((point.clientX - rect.left) / rect.width) * 2 - 1,
+      -((point.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    picker.current.setFromCamera(ndc, camera);
+    return picker.current.ray;
+  }, [gl, camera]);
+
+  const pick = useCallback((point) => {
+    aimAt(point);
+
+    let best = null;
+    objects.current.forEach((object, id) => {
+      const [hit] = picker.current.intersectObject(object, true);
+      if (hit && (!best || hit.distance < best.distance)) best = { id, distance: hit.distance };
+    });
+
+    return best && placements.find(p => p.id === best.id);
+  }, [aimAt, placements]);
+
+  // Point on the wall under a screen position - the wall of the selected
+  // (or last placed) item first, so measurements line up with the frames
+  const pickWall = useCallback((point) => {
+    const ray = aimAt(point);
+    const wall = focus?.plane?.plane;
+
+    if (wall && wall.normal.dot(ray.direction) < 0) {
+      const point = ray.intersectPlane(wall, new THREE.Vector3());
+      if (point) return point;
+    }
+
+    const hit = estimator?.raycast(ray) || estimator?.raycastPreview(ray, camera, worldUp());
+    return hit?.point || null;
+  }, [aimAt, focus, estimator, camera, worldUp]);
+
+  // The detector paces itself: frames are skipped while one is being analysed
+  useFrame(() => {
+    if (!scanning || !detector) return;
+
+    const video = document.querySelector('.ar-video');
+    detector.analyzeFrame(video).then(result => {
+      if (!result) return;
+      estimator?.observe(result, camera, worldUp());
+      setAnalysis(result);
+      onAnalysis(result);
+    }).catch((err) => {
+      console.warn('⚠️ Surface analysis failed:', err.message);
+    });
+  });
+
+  // What a gesture acts on: the item it started on while one is running
+  const gestureTarget = useCallback(() => (
+    (gestureController.target && placements.find(p => p.id === gestureController.target)) || selected
+  ), [gestureController, placements, selected]);
+
+  /**
+   * What a gesture on `target` needs to know about its wall: the plane drags
+   * follow the pointer on, and - for items on a tracked wall - the lines its
+   * edges snap to, from the other items on that wall and the wall's centre.
+   */
+  const gestureOptions = useCallback((target, transform) => {
+    const axes = target.plane && estimator.getPlaneAxes(target.plane, worldUp());
+    const normal = target.plane?.plane.normal || camera.getWorldDirection(new THREE.Vector3()).negate();
+    const options = {
+      target: target.id,
+      sizes: target.sizes,
+      axes,
+      plane: new THREE.Plane().setFromNormalAndCoplanarPoint(normal, transform.position),
+      aim: (point) => aimAt(point).clone()
+    };
+
+    const bounds = (placement) => {
+      const object = objects.current.get(placement.id);
+      const size = object?.userData.size;
+      return size && wallBounds(outlineCorners(object, size), transform.position, axes);
+    };
+    const own = axes && bounds(target);
+    if (!own) return options;
+
+    const items = placements
+      .filter(p => p.id !== target.id && p.plane && sameWall(p.plane, target.plane))
+      .map(bounds)
+      .filter(Boolean);
+
+    const centre = estimator.getCentre(target.plane);
+    const extent = centre && wallBounds(boxCorners(target.plane.extent), transform.position, axes);
+
+    const distance = camera.position.distanceTo(transform.position);
+    options.snap = {
+      origin: transform.position.clone(),
+      axes,
+      halfWidth: (own.maxX - own.minX) / 2,
+      halfHeight: (own.maxY - own.minY) / 2,
+      lines: snapLines({ items, centre: centre && toWall(centre, transform.position, axes), extent }),
+      metresPerPixel: (2 * distance * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2)) / gl.domElement.clientHeight
+    };
+    return options;
+  }, [placements, camera, gl, estimator, worldUp, aimAt]);
+
+  const startGesture = useCallback((begin, target) => {
+    const transform = target.anchor.getTransform(camera) || target.transform;
+    if (transform) begin({ ...transform, size: target.size }, gestureOptions(target, transform));
+  }, [camera, gestureOptions]);
+
+  const handlePointerDown = useCallback((e) => {
+    // Left, right (rotate) and touch/pen contact; middle-click is left to the browser
+    if (e.button !== 0 && e.button !== 2) return;
+    e.preventDefault();
+    gl.domElement.setPointerCapture?.(e.pointerId);
+    const first = !gestureController.pressed;
+
+    if (measuring) {
+      const point = first && e.button === 0 && pickWall(e);
+      if (point) onMeasurePoint(point);
+      return;
+    }
+
+    if (scanning) {
+      if (first && e.button === 0 && analysis?.isPlane && analysis?.confidence > 0.45 && hitData) {
+        estimator.confirm(hitData.plane);
+        onPlace(hitData.point, hitData.rotation, hitData.plane);
+      }
+      return;
+    }
+
+    if (!hasPlacements) return;
+
+    // A tap or click on an item selects it; gestures elsewhere act on the selection
+    let target = gestureTarget();
+    if (first) {
+      const picked = pick(e);
+      if (picked) {
+        target = picked;
+        if (picked.id !== selectedId) onSelect(picked.id);
+      }
+    }
+    if (!target || target.locked) return;
+
+    startGesture((current, options) => gestureController.pointerDown(e, current, options), target);
+  }, [
+    scanning, measuring, hasPlacements, analysis, hitData, onPlace, onMeasurePoint, selectedId, onSelect,
+    pick, pickWall, gl, gestureController, estimator, gestureTarget, startGesture
+  ]);
+
+  const handlePointerMove = useCallback((e) => {
+    if (hasPlacements) gestureController.pointerMove(e, camera);
+  }, [hasPlacements, gestureController, camera]);
+
+  const handlePointerUp = useCallback((e) => {
+    gestureController.pointerUp(e);
+  }, [gestureController]);
+
+  const handleWheel = useCallback((e) => {
+    if (scanning || measuring || !hasPlacements) return;
+    e.preventDefault();
+
+    const target = gestureTarget();
+    if (!target || target.locked) return;
+    startGesture((current, options) => gestureController.wheel(e, current, options), target);
+  }, [scanning, measuring, hasPlacements, gestureController, gestureTarget, startGesture]);
+
+  useEffect(() => {
+    const canvas = gl.domElement;
+    const preventMenu = (e) => e.preventDefault(); // right-drag rotates
+    const listeners = {
+      pointerdown: handlePointerDown,
+      pointermove: handlePointerMove,
+      pointerup: handlePointerUp,
+      pointercancel: handlePointerUp,
+      wheel: handleWheel,
+      contextmenu: preventMenu,
+    };
+
+    // Touches reach the gestures instead of scrolling or zooming the page
+    canvas.style.touchAction = 'none';
+    Object.entries(listeners).forEach(([event, listener]) => {
+      canvas.addEventListener(event, listener, { passive: false });
+    });
+    
+    return () => {
+      Object.entries(listeners).forEach(([event, listener]) => {
+        canvas.removeEventListener(event, listener);
+      });
+    };
+  }, [gl, handlePointerDown, handlePointerMove, handlePointerUp, handleWheel]);
+
+  const isGood = analysis?.isPlane && analysis?.confidence > 0.45;
+
+  return (
+    <>
+      <CameraPoseDriver provider={poseProvider} />
+
+      <PeopleOcclusion segmenter={segmenter} active={hasPlacements} />
+
+      <DepthOcclusion
+        source={depthSource}
+        anchor={focus?.anchor}
+        active={hasPlacements}
+        showMask={showOcclusionMask}
+      />
+
+      <VisualTrackingSystem
+        tracker={tracker}
+        detector={detector}
+        anchors={anchors}
+        active={hasPlacements}
+        onTrackingChange={onTrackingChange}
+      />
+
+      <DepthSensingSystem
+        estimator={depthEstimator}
+        active={scanning && !calibration}
+        depthRef={depthRef}
+        onDepth={onDepth}
+      />
+
+      <ReferenceCalibrationSystem
+        calibrator={calibrator}
+        active={calibrating}
+        onDetect={onReferenceDetect}
+        onCalibrate={onCalibrate}
+      />
+
+      <HitTestSystem
+        onHit={setHitData}
+        active={scanning}
+        estimator={estimator}
+        getWorldUp={worldUp}
+        depthRef={depthRef}
+        calibration={calibration}
+      />
+      
+      <Reticle 
+        position={hitData?.point || new THREE.Vector3(0, 0, -1.5)}
+        quaternion={hitData?.rotation}
+        distance={hitData?.distance}
+        isGood={isGood}
+        visible={scanning && hitData}
+      />
+      
+      {showGrid && (scanning ? hitData?.plane : focus) && (
+        <WallGrid
+          wall={scanning ? hitData.plane : focus.plane}
+          pose={focus}
+          estimator={estimator}
+          getWorldUp={worldUp}
+          units={units}
+        />
+      )}
+
+      {showGrid && selected && (
+        <TiltProbe placement={selected} getWorldUp={worldUp} onTilt={onTilt} />
+      )}
+
+      <SnapGuides controller={gestureController} />
+
+      <MeasurementsLayer
+        measurements={measurements}
+        pending={pendingMeasure}
+        objects={objects}
+        selectedId={selectedId}
+        units={units}
+      />
+
+      {placements.map(placement => (
+        <Suspense
+          key={placement.id}
+          fallback={
+            <mesh position={placement.transform.position}>
+              <boxGeometry args={[0.2, 0.2, 0.2]} />
+              <meshStandardMaterial color="cyan" wireframe />
+            </mesh>
+          }
+        >
+          {isWallCovering(placement) ? (
+            <PlacedCovering
+              placement={placement}
+              selected={placement.id === selectedId}
+              estimator={estimator}
+              getWorldUp={worldUp}
+              blend={wallpaperBlend}
+              onObject={registerObject}
+            />
+          ) : (
+            <Model3D
+              placement={placement}
+              selected={placement.id === selectedId}
+              onObject={registerObject}
+            />
+          )}
+        </Suspense>
+      ))}
+    </>
+  );
+}
+
+/**
+ * WebXR scene - real hit-testing against the runtime's understanding of
+ * the room. Placement happens on the session's `select` event (screen tap).
+ * Once placed, screen touches select items and drive the same gestures as
+ * pointers do in the camera pipeline: each touch (an XR input source held
+ * down between `selectstart` and `selectend`) is fed to the gesture
+ * controller as a pointer, aiming along its target ray.
+ */
+function XRScene({
+  placements, selectedId, onSelect, onPlace, scanning, onAnalysis, gestureController, showGrid, units, onTilt,
+  wallpaperBlend
+}) {
+  const session = useXR((state) => state.session);
+  const { camera, gl } = useThree();
+  const selected = placements.find(p => p.id === selectedId) || null;
+  const focus = selected || placements[placements.length - 1] || null;
+
+  // The XR reference space is gravity-aligned
+  const worldUp = useCallback(() => XR_UP, []);
+  const hitSource = useRef(null);
+  const latestHit = useRef(null);
+  const hasHit = useRef(false);
+  const [hitPose, setHitPose] = useState(null);
+  const objects = useRef(new Map());
+  const picker = useRef(new THREE.Raycaster());
+  const touches = useRef(new Map()); // XRInputSource -> { pointerId, ray }
+  const nextPointer = useRef(0);
+
+  const registerObject = useCallback((id, object) => {
+    if (object) objects.current.set(id, object);
+    else objects.current.delete(id);
+  }, []);
+
+  // An input source's target ray this frame, in the reference space
+  const rayOf = useCallback((frame, source) => {
+    const pose = frame.getPose(source.targetRaySpace, gl.xr.getReferenceSpace());
+    if (!pose) return null;
+
+    const { position, orientation } = pose.transform;
+    const rotation = new THREE.Quaternion(orientation.x, orientation.y, orientation.z, orientation.w);
+    return new THREE.Ray(
+      new THREE.Vector3(position.x, position.y, position.z),
+      new THREE.Vector3(0, 0, -1).applyQuaternion(rotation)
+    );
+  }, [gl]);
+
+  // A touch as the pointer event the gesture controller expects; pixel
+  // positions come from projecting the ray, for pinch distances and angles
+  const pointerOf = useCallback(({ pointerId, ray }) => {
+    const ndc = ray.at(1, new THREE.Vector3()).project(camera);
+    return {
+      pointerId,
+      pointerType: 'touch',
+      button: 0,
+      clientX: ((ndc.x + 1) / 2) * window.innerWidth,
+      clientY: ((1 - ndc.y) / 2) * window.innerHeight,
+      ray
+    };
+  }, [camera]);
+
+  const pick = useCallback((ray) => {
+    picker.current.ray.copy(ray);
+
+    let best = null;
+    objects.current.forEach((object, id) => {
+      const [hit] = picker.current.intersectObject(object, true);
+      if (hit && (!best || hit.distance < best.distance)) best = { id, distance: hit.distance };
+    });
+
+    return best && placements.find(p => p.id === best.id);
+  }, [placements]);
+
+  const gestureTarget = useCallback(() => (
+    (gestureController?.target && placements.find(p => p.id === gestureController.target)) || selected
+  ), [gestureController, placements, selected]);
+
+  // Without an estimator the wall is the item's own plane, levelled by gravity
+  const startGesture = useCallback((begin, target) => {
+    const transform = target.anchor.getTransform(camera) || target.transform;
+    if (!transform) return;
+
+    const normal = new THREE.Vector3(0, 0, 1).applyQuaternion(transform.rotation);
+    const up = XR_UP.clone().projectOnPlane(normal);
+    const axes = up.lengthSq() > 1e-6
+      ? { up: up.normalize(), right: up.clone().cross(normal).normalize() }
+      : undefined;
+
+    begin({ ...transform, size: target.size }, {
+      target: target.id,
+      sizes: target.sizes,
+      axes,
+      plane: new THREE.Plane().setFromNormalAndCoplanarPoint(normal, transform.position),
+      aim: (pointer) => pointer.ray.clone()
+    });
+  }, [camera]);
+
+  useEffect(() => {
+    if (!session) return;
+    let source = null;
+
+    session.requestReferenceSpace('viewer')
+      .then((viewerSpace) => session.requestHitTestSource({ space: viewerSpace }))
+      .then((s) => {
+        source = s;
+        hitSource.current = s;
+      })
+      .catch((err) => console.error('❌ Hit-test source failed:', err));
+
+    return () => {
+      source?.cancel();
+      hitSource.current = null;
+    };
+  }, [session]);
+
+  useFrame((state, _, frame) => {
+    if (!frame) return;
+    const referenceSpace = state.gl.xr.getReferenceSpace();
+
+    placements.forEach(p => p.anchor?.track?.(frame, referenceSpace));
+
+    touches.current.forEach((touch, source) => {
+      touch.ray = rayOf(frame, source) || touch.ray;
+      gestureController?.pointerMove(pointerOf(touch), camera);
+    });
+
+    if (!scanning || !hitSource.current) return;
+
+    const [hit] = frame.getHitTestResults(hitSource.current);
+    const pose = hit?.getPose(referenceSpace);
+
+    if (pose) {
+      const matrix = new THREE.Matrix4().fromArray(pose.transform.matrix);
+      const point = new THREE.Vector3();
+      const rotation = new THREE.Quaternion();
+      matrix.decompose(point, rotation, new THREE.Vector3());
+      rotation.multiply(XR_SURFACE_CORRECTION);
+
+      latestHit.current = { hit, point, rotation };
+      setHitPose({ point, rotation, distance: point.distanceTo(state.camera.position) });
+    } else {
+      latestHit.current = null;
+    }
+
+    // Only report when the hit state flips to avoid re-rendering the HUD each frame
+    if (!!pose !== hasHit.current) {
+      hasHit.current = !!pose;
+      if (!pose) setHitPose(null);
+      onAnalysis(pose ? {
+        isPlane: true,
+        confidence: 1,
+        surfaceType: 'wall',
+        reason: '✅ Surface detected - tap to place',
+        stable: true
+      } : {
+        isPlane: false,
+        confidence: 0,
+        surfaceType: 'unknown',
+        reason: '🔄 Move phone slowly to find a surface',
+        stable: false
+      });
+    }
+  });
+
+  useEffect(() => {
+    if (!session) return;
+
+    const handleSelect = () => {
+      const current = latestHit.current;
+      if (!scanning || !current) return;
+
+      const { anchor } = onPlace(current.point, current.rotation) || {};
+
+      current.hit.createAnchor?.()
+        .then((xrAnchor) => anchor?.attach(xrAnchor))
+        .catch((err) => console.warn('⚠️ Anchor not created:', err));
+    };
+
+    session.addEventListener('select', handleSelect);
+    return () => session.removeEventListener('select', handleSelect);
+  }, [session, scanning, onPlace]);
+
+  useEffect(() => {
+    if (!session || !gestureController) return;
+    const held = touches.current;
+
+    // A touch on an item selects it; gestures elsewhere act on the selection
+    const handleSelectStart = ({ inputSource, frame }) => {
+      if (scanning || placements.length === 0) return;
+      const ray = rayOf(frame, inputSource);
+      if (!ray) return;
+
+      const touch = { pointerId: nextPointer.current++, ray };
+      const first = !gestureController.pressed;
+      held.set(inputSource, touch);
+
+      let target = gestureTarget();
+      if (first) {
+        const picked = pick(ray);
+        if (picked) {
+          target = picked;
+          if (picked.id !== selectedId) onSelect(picked.id);
+        }
+      }
+      if (!target || target.locked) return;
+
+      startGesture((current, options) => gestureController.pointerDown(pointerOf(touch), current, options), target);
+    };
+
+    const handleSelectEnd = ({ inputSource }) => {
+      const touch = held.get(inputSource);
+      if (!touch) return;
+      held.delete(inputSource);
+      gestureController.pointerUp(pointerOf(touch));
+    };
+
+    session.addEventListener('selectstart', handleSelectStart);
+    session.addEventListener('selectend', handleSelectEnd);
+    return () => {
+      session.removeEventListener('selectstart', handleSelectStart);
+      session.removeEventListener('selectend', handleSelectEnd);
+    };
+  }, [
+    session, scanning, placements, selectedId, onSelect, gestureController, gestureTarget, pick, rayOf, pointerOf,
+    startGesture
+  ]);
+
+  // Touches still held when the session or scene goes away end their gesture
+  useEffect(() => {
+    const held = touches.current;
+    return () => {
+      held.forEach(touch => gestureController?.pointerUp({ pointerId: touch.pointerId }));
+      held.clear();
+    };
+  }, [session, gestureController]);
+
+  return (
+    <>
+      <Reticle
+        position={hitPose?.point}
+        quaternion={hitPose?.rotation}
+        distance={hitPose?.distance}
+        isGood={!!hitPose}
+        visible={scanning && hitPose}
+      />
+
+      {showGrid && focus && (
+        <WallGrid pose={focus} getWorldUp={worldUp} units={units} />
+      )}
+
+      {showGrid && selected && (
+        <TiltProbe placement={selected} getWorldUp={worldUp} onTilt={onTilt} />
+      )}
+
+      {placements.map(placement => (
+        <Suspense key={placement.id} fallback={null}>
+          {isWallCovering(placement) ? (
+            <PlacedCovering
+              placement={placement}
+              selected={placement.id === selectedId}
+              getWorldUp={worldUp}
+              blend={wallpaperBlend}
+              onObject={registerObject}
+            />
+          ) : (
+            <Model3D
+              placement={placement}
+              selected={placement.id === selectedId}
+              onObject={registerObject}
+            />
+          )}
+        </Suspense>
+      ))}
+    </>
+  );
+}
+
+/**
+ * The scene's light rig. In the camera pipeline it follows the light
+ * estimator: overall brightness scales every light (and the environment
+ * map), the colour temperature tints them and the key light moves towards
+ * the brightest part of the room. Without estimates it keeps the defaults.
+ */
+function SceneLighting({ detector, active, onEstimate }) {
+  const { camera, scene } = useThree();
+  const estimator = useMemo(() => new LightEstimator(), []);
+  const last = useRef(0);
+  const ambient = useRef();
+  const key = useRef();
+  const fill = useRef();
+  const hemisphere = useRef();
+
+  useEffect(() => {
+    if (!active) estimator.reset();
+  }, [active, estimator]);
+
+  useFrame(() => {
+    if (!active || !detector) return;
+
+    const now = performance.now();
+    if (now - last.current < VISION_CONFIG.LIGHT_INTERVAL) return;
+
+    // Reuses the visual tracker's frame while it runs
+    const frame = detector.sampleFrame(document.querySelector('.ar-video'), VISION_CONFIG.LIGHT_INTERVAL / 2);
+    if (!frame) return;
+    last.current = now;
+
+    const light = estimator.update(frame, camera.quaternion);
+    const { intensity, directionality } = light;
+    const color = new THREE.Color(1, 1, 1).lerp(new THREE.Color(light.color.r, light.color.g, light.color.b), 0.7);
+
+    ambient.current.intensity = 1.5 * intensity * (1 - directionality * 0.5);
+    ambient.current.color.copy(color);
+    key.current.intensity = 2 * intensity * (0.5 + directionality);
+    key.current.color.copy(color);
+    key.current.position.set(light.direction.x, light.direction.y, light.direction.z).multiplyScalar(5);
+    fill.current.intensity = intensity;
+    hemisphere.current.intensity = intensity;
+    hemisphere.current.color.copy(color);
+
+    scene.traverse((object) => {
+      if (object.material && 'envMapIntensity' in object.material) object.material.envMapIntensity = intensity;
+    });
+
+    onEstimate?.(light);
+  });
+
+  return (
+    <>
+      <ambientLight ref={ambient} intensity={1.5} />
+      <directionalLight ref={key} position={[5, 5, 5]} intensity={2} castShadow />
+      <directionalLight ref={fill} position={[-5, -5, -5]} intensity={1} />
+      <hemisphereLight ref={hemisphere} skyColor="#ffffff" groundColor="#888888" intensity={1} />
+    </>
+  );
+}
+
+/**
+ * ============================================================================
+ * MASKING
+ * ============================================================================
+ */
+const MASK_TINT = [0, 212, 255, 110];
+
+const MASK_TOOLS = [
+  { kind: 'brush', label: 'Wall', Icon: Paintbrush },
+  { kind: 'lasso', label: 'Lasso', Icon: Lasso },
+  { kind: 'erase', label: 'Not wall', Icon: Eraser },
+];
+
+/**
+ * Marks the part of a frozen camera frame a wallpaper or paint covers. The frame and
+ * the stroke layer are canvases at the frame's resolution shown with
+ * `object-fit: cover` like the live video, so strokes are traced in frame
+ * pixels. Each finished stroke re-runs the refinement, whose region is
+ * tinted over the frame.
+ */
+function MaskEditor({ masker, frame, hasMask, onApply, onClear, onCancel }) {
+  const frameRef = useRef();
+  const overlayRef = useRef();
+  const stroke = useRef(null);
+  const [kind, setKind] = useState('brush');
+  const [strokes, setStrokes] = useState([]);
+  const [region, setRegion] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    frameRef.current.getContext('2d').putImageData(frame, 0, 0);
+  }, [frame]);
+
+  // GrabCut takes a moment; let "Refining" paint first
+  useEffect(() => {
+    if (!strokes.length) {
+      setRegion(null);
+      setBusy(false);
+      return undefined;
+    }
+
+    setBusy(true);
+    const timer = setTimeout(() => {
+      setRegion(masker.refine(strokes));
+      setBusy(false);
+    }, 30);
+    return () => clearTimeout(timer);
+  }, [masker, strokes]);
+
+  const draw = useCallback(() => {
+    const ctx = overlayRef.current.getContext('2d');
+    ctx.clearRect(0, 0, frame.width, frame.height);
+
+    if (region) {
+      const tint = ctx.createImageData(frame.width, frame.height);
+      for (let i = 0; i < region.length; i++) {
+        if (region[i]) tint.data.set(MASK_TINT, i * 4);
+      }
+      ctx.putImageData(tint, 0, 0);
+    }
+
+    [...strokes, stroke.current].filter(Boolean).forEach(({ kind: strokeKind, points, radius }) => {
+      ctx.beginPath();
+      points.forEach(({ x, y }, i) => ctx[i ? 'lineTo' : 'moveTo'](x, y));
+      if (strokeKind === 'lasso') {
+        ctx.setLineDash([4, 3]);
+        ctx.lineWidth = 1.5;
+        ctx.strokeStyle = '#ffffff';
+      } else {
+        ctx.setLineDash([]);
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.lineWidth = radius * 2;
+        ctx.strokeStyle = strokeKind === 'erase' ? 'rgba(255, 59, 48, 0.5)' : 'rgba(255, 255, 255, 0.35)';
+      }
+      ctx.stroke();
+    });
+  }, [frame, region, strokes]);
+
+  useEffect(draw, [draw]);
+
+  // Screen position -> frame pixel, undoing the cover crop
+  const toFrame = (e) => {
+    const rect = overlayRef.current.getBoundingClientRect();
+    const scale = Math.max(rect.width / frame.width, rect.height / frame.height);
+    return {
+      x: (e.clientX - rect.left - (rect.width - frame.width * scale) / 2) / scale,
+      y: (e.clientY - rect.top - (rect.height - frame.height * scale) / 2) / scale,
+    };
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    stroke.current = { kind, points: [toFrame(e)], radius: MASK_CONFIG.BRUSH_RADIUS * frame.width };
+    draw();
+  };
+
+  const handlePointerMove = (e) => {
+    if (!stroke.current) return;
+    stroke.current.points.push(toFrame(e));
+    draw();
+  };
+
+  const handlePointerUp = () => {
+    const finished = stroke.current;
+    stroke.current = null;
+    if (!finished || (finished.kind === 'lasso' && finished.points.length < 3)) {
+      draw();
+      return;
+    }
+    setStrokes(current => [...current, finished]);
+  };
+
+  const status = busy
+    ? 'Refining…'
+    : region
+      ? 'Paint, lasso or erase to adjust the edges'
+      : 'Paint or lasso the wall to cover';
+
+  return (
+    <div className="mask-editor">
+      <canvas ref={frameRef} width={frame.width} height={frame.height} className="mask-layer" />
+      <canvas
+        ref={overlayRef}
+        width={frame.width}
+        height={frame.height}
+        className="mask-layer"
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+      />
+
+      <div className="mask-status">{status}</div>
+
+      <div className="toolbar mask-toolbar">
+        {MASK_TOOLS.map(({ kind: toolKind, label, Icon }) => (
+          <button
+            key={toolKind}
+            className={`tool-btn ${kind === toolKind ? 'active' : ''}`}
+            onClick={() => setKind(toolKind)}
+          >
+            <Icon size={24} />
+            <span>{label}</span>
+          </button>
+        ))}
+        <button
+          className="tool-btn"
+          onClick={() => setStrokes(current => current.slice(0, -1))}
+          disabled={!strokes.length}
+        >
+          <Undo2 size={24} />
+          <span>Undo</span>
+        </button>
+        {hasMask && (
+          <button className="tool-btn" onClick={onClear}>
+            <Trash2 size={24} />
+            <span>Clear</span>
+          </button>
+        )}
+        <button className="tool-btn" onClick={onCancel}>
+          <X size={24} />
+          <span>Cancel</span>
+        </button>
+        <button className="tool-btn active" onClick={() => onApply(region)} disabled={!region || busy}>
+          <Check size={24} />
+          <span>Apply</span>
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * ============================================================================
+ * ROLL ESTIMATE
+ * How many rolls a previewed wallpaper takes for its wall. The wall's size
+ * comes from the tape measure or the tracked wall - in true metres once the
+ * scale is calibrated - and can be typed over. While the panel is open,
+ * captures carry the breakdown.
+ * ============================================================================
+ */
 
-    raycaster.current.setFromCamera(new THREE.Vector2(0, 0), camera);
-    const intersects = raycaster.current.intersectObjects(planes.current);
+// Tape-measure lines within this of level or plumb count as the wall's width or height
+const ESTIMATE_AXIS_TOLERANCE = THREE.MathUtils.degToRad(10);
 
-    if (intersects.length > 0) {
-      const hit = intersects[0];
-      const normal = new THREE.Vector3(0, 0, 1).applyQuaternion(camera.quaternion);
-      
-      onHit({
-        point: hit.point,
-        normal,
-        distance: hit.object.userData.depth
-      });
-    }
+/**
+ * Width and height of the wall a placement hangs on: the longest level and
+ * plumb tape-measure lines, filled in from the extent tracked so far.
+ *
+ * @returns {{ width, height, source: 'measured' | 'tracked' } | null} - metres
+ */
+function measureWall(placement, measurements, camera, estimator, up) {
+  const frame = wallFrame(placement, camera, estimator, up);
+  if (!frame) return null;
+
+  let width = 0;
+  let height = 0;
+  measurements.forEach(({ start, end }) => {
+    const line = new THREE.Vector3(...end).sub(new THREE.Vector3(...start));
+    const length = line.length();
+    if (length < 1e-3) return;
+
+    const plumb = Math.abs(line.dot(frame.axes.up)) / length;
+    if (plumb > Math.cos(ESTIMATE_AXIS_TOLERANCE)) height = Math.max(height, length);
+    else if (plumb < Math.sin(ESTIMATE_AXIS_TOLERANCE)) width = Math.max(width, length);
   });
+  if (width && height) return { width, height, source: 'measured' };
 
-  return null;
+  const extent = placement.plane?.extent;
+  if (!extent || extent.isEmpty()) return width || height ? { width, height, source: 'measured' } : null;
+
+  const bounds = wallBounds(boxCorners(extent), frame.origin, frame.axes);
+  return {
+    width: width || bounds.maxX - bounds.minX,
+    height: height || bounds.maxY - bounds.minY,
+    source: width || height ? 'measured' : 'tracked',
+  };
 }
 
-function ARScene({
-  modelUrl, anchor, detector, onPlace, isPlaced,
-  scanning, onAnalysis, gestureTransform, gestureController
-}) {
-  const { camera, gl } = useThree();
-  const [hitData, setHitData] = useState(null);
-  const [analysis, setAnalysis] = useState(null);
-  const frame = useRef(0);
+const formatPrice = (amount, currency) =>
+  new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
 
-  useFrame(() => {
-    if (scanning && detector) {
-      frame.current++;
-      if (frame.current % 2 === 0) {
-        const video = document.querySelector('.ar-video');
-        detector.analyzeFrame(video).then(result => {
-          setAnalysis(result);
-          onAnalysis(result);
-        });
-      }
-    }
+/**
+ * Label/value rows of an estimate, for the panel and for captures.
+ */
+const estimateRows = ({ wall, estimate, currency }, units) => [
+  ['Wall', `${formatLength(wall.width, units)} × ${formatLength(wall.height, units)}`],
+  ['Drops', `${estimate.drops} × ${formatLength(estimate.dropLength, units)}`],
+  ['Per roll', `${estimate.dropsPerRoll} ${estimate.dropsPerRoll === 1 ? 'drop' : 'drops'}`],
+  ['Rolls', estimate.spare ? `${estimate.rolls} (${estimate.spare} spare)` : `${estimate.rolls}`],
+  ['Waste', `${Math.round(estimate.wasteShare * 100)}%`],
+  ...(estimate.total !== null ? [['Total', formatPrice(estimate.total, currency)]] : []),
+];
+
+/**
+ * Draws the breakdown in the bottom-left corner of a capture, sized to the
+ * capture rather than the screen.
+ */
+function drawEstimate(ctx, rows) {
+  const { width: canvasWidth, height: canvasHeight } = ctx.canvas;
+  const scale = Math.min(canvasWidth, canvasHeight) / 400;
+  const padding = 12 * scale;
+  const lineHeight = 20 * scale;
+  const title = 'Wallpaper estimate';
+
+  ctx.save();
+  ctx.font = `600 ${13 * scale}px system-ui, sans-serif`;
+  const labelWidth = Math.max(...rows.map(([label]) => ctx.measureText(label).width));
+  const valueWidth = Math.max(...rows.map(([, value]) => ctx.measureText(value).width));
+  const width = Math.max(labelWidth + valueWidth + padding, ctx.measureText(title).width) + padding * 2;
+  const height = lineHeight * (rows.length + 1) + padding * 2;
+  const x = padding;
+  const y = canvasHeight - height - padding;
+
+  ctx.fillStyle = 'rgba(0,0,0,0.75)';
+  ctx.beginPath();
+  if (ctx.roundRect) ctx.roundRect(x, y, width, height, 10 * scale);
+  else ctx.rect(x, y, width, height);
+  ctx.fill();
+
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = '#00d4ff';
+  ctx.fillText(title, x + padding, y + padding + lineHeight / 2);
+  rows.forEach(([label, value], i) => {
+    const rowY = y + padding + lineHeight * (i + 1.5);
+    ctx.textAlign = 'left';
+    ctx.fillStyle = 'rgba(255,255,255,0.6)';
+    ctx.fillText(label, x + padding, rowY);
+    ctx.textAlign = 'right';
+    ctx.fillStyle = 'white';
+    ctx.fillText(value, x + width - padding, rowY);
   });
+  ctx.restore();
+}
 
-  const handleTouch = useCallback((e) => {
-    e.preventDefault();
-    
-    if (e.type === 'touchstart') {
-      if (!isPlaced && analysis?.isPlane && analysis?.confidence > 0.45 && hitData) {
-        const rotation = new THREE.Quaternion();
-        rotation.setFromUnitVectors(new THREE.Vector3(0, 0, 1), hitData.normal);
-        onPlace(hitData.point, rotation);
-      } else if (isPlaced) {
-        const transform = gestureTransform || anchor.getTransform(camera);
-        if (transform) gestureController.start(e.touches, transform);
-      }
-    } else if (e.type === 'touchmove' && isPlaced) {
-      gestureController.move(e.touches, camera);
-    } else if (e.type === 'touchend') {
-      gestureController.end();
-    }
-  }, [isPlaced, analysis, hitData, onPlace, gestureTransform, anchor, camera, gestureController]);
+/**
+ * Estimator for one wallpaper placement. `measured` prefills the wall; any
+ * edit makes it an entered size. Reports the current estimate (or null)
+ * through `onEstimate`, so the viewer can add it to captures.
+ */
+function EstimatePanel({ placement, measured, calibrated, units, onEstimate, onClose }) {
+  const [wall, setWall] = useState(() => {
+    const unit = units === 'imperial' ? 'ft' : 'm';
+    const toInput = (metres) => (metres ? String(+(metres / METRES_PER_UNIT[unit]).toFixed(2)) : '');
+    return { width: toInput(measured?.width), height: toInput(measured?.height), unit, source: measured?.source || 'entered' };
+  });
+  const [price, setPrice] = useState(placement.price?.amount ? String(placement.price.amount) : '');
+  const currency = placement.price?.currency || WALLPAPER_CONFIG.DEFAULT_CURRENCY;
+
+  const result = useMemo(() => {
+    const factor = METRES_PER_UNIT[wall.unit];
+    const size = { width: Number(wall.width) * factor, height: Number(wall.height) * factor };
+    const roll = placement.roll || toRoll(WALLPAPER_CONFIG.DEFAULT_ROLL);
+    // Without a repeat height the pattern image is taken as square
+    const repeatHeight = placement.pattern ? placement.pattern.height || placement.pattern.width : 0;
+
+    const estimate = estimateRolls(size, { roll, repeatHeight, match: placement.pattern?.match }, {
+      trim: WALLPAPER_CONFIG.TRIM_ALLOWANCE,
+      waste: WALLPAPER_CONFIG.WASTE,
+      price: Number(price) || null,
+    });
+    return estimate && { wall: { ...size, source: wall.source }, roll, repeatHeight, price: Number(price) || null, currency, estimate };
+  }, [wall, price, currency, placement]);
 
   useEffect(() => {
-    const canvas = gl.domElement;
-    ['touchstart', 'touchmove', 'touchend'].forEach(event => {
-      canvas.addEventListener(event, handleTouch, { passive: false });
-    });
-    
-    return () => {
-      ['touchstart', 'touchmove', 'touchend'].forEach(event => {
-        canvas.removeEventListener(event, handleTouch);
-      });
-    };
-  }, [gl, handleTouch]);
+    onEstimate(result);
+    return () => onEstimate(null);
+  }, [result, onEstimate]);
 
-  const isGood = analysis?.isPlane && analysis?.confidence > 0.45;
+  const updateWall = (field) => (e) => {
+    const { value } = e.target;
+    setWall(current => ({ ...current, [field]: value, source: 'entered' }));
+  };
+
+  const sourceLabel = {
+    measured: 'From the tape measure',
+    tracked: 'From the tracked wall',
+    entered: 'Entered',
+  }[wall.source];
 
   return (
-    <>
-      <HitTestSystem onHit={setHitData} active={scanning} />
-      
-      <Reticle 
-        position={hitData?.point || new THREE.Vector3(0, 0, -1.5)}
-        isGood={isGood}
-        visible={scanning && hitData}
-      />
-      
-      {modelUrl && isPlaced && (
-        <Suspense fallback={
-          <mesh position={hitData?.point || [0, 0, -1.5]}>
-            <boxGeometry args={[0.2, 0.2, 0.2]} />
-            <meshStandardMaterial color="cyan" wireframe />
-          </mesh>
-        }>
-          <Model3D 
-            url={modelUrl}
-            anchor={anchor}
-            isPlaced={isPlaced}
-            gestureTransform={gestureTransform}
-          />
-        </Suspense>
+    <div className="item-actions estimate-panel">
+      <div className="estimate-fields">
+        <input type="number" min="0" step="0.01" placeholder="Width" value={wall.width} onChange={updateWall('width')} />
+        <span>×</span>
+        <input type="number" min="0" step="0.01" placeholder="Height" value={wall.height} onChange={updateWall('height')} />
+        <span>{wall.unit}</span>
+        <input
+          type="number"
+          min="0"
+          step="0.01"
+          placeholder={`Price / roll (${currency})`}
+          value={price}
+          onChange={(e) => setPrice(e.target.value)}
+        />
+      </div>
+      <div className="estimate-source">
+        {sourceLabel}{wall.source !== 'entered' && (calibrated ? ' · calibrated' : ' · calibrate scale for accuracy')}
+      </div>
+      {result ? (
+        <dl className="estimate-rows">
+          {estimateRows(result, units).map(([label, value]) => (
+            <React.Fragment key={label}>
+              <dt>{label}</dt>
+              <dd>{value}</dd>
+            </React.Fragment>
+          ))}
+        </dl>
+      ) : (
+        <div className="estimate-source">
+          {Number(wall.width) && Number(wall.height) ? 'Each drop is longer than a roll' : 'Enter the wall’s size'}
+        </div>
       )}
-    </>
+      <div className="estimate-actions">
+        <span className="estimate-source">Captures include this breakdown</span>
+        <button className="item-btn" onClick={onClose}>
+          <Check size={20} />
+          <span>Done</span>
+        </button>
+      </div>
+    </div>
   );
 }
 
@@ -745,33 +3004,340 @@ function ARScene({
 export default function CustomARViewer({ onClose }) {
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
+  const overlayRef = useRef(null);
   const streamRef = useRef(null);
-  const anchorRef = useRef(null);
-  const detectorRef = useRef(null);
+  const xrSessionRef = useRef(null);
+  const estimatorRef = useRef(null);
+  const poseRef = useRef(null);
   const gestureRef = useRef(null);
   const sessionStart = useRef(Date.now());
   const screenshots = useRef(0);
+  const lightingRef = useRef(null);
 
+  const [mode, setMode] = useState(null); // 'webxr' | 'camera'
   const [ready, setReady] = useState(false);
   const [error, setError] = useState(null);
   const [phase, setPhase] = useState('init');
-  const [placed, setPlaced] = useState(false);
   const [analysis, setAnalysis] = useState(null);
-  const [gestureTransform, setGestureTransform] = useState(null);
+  const [detector, setDetector] = useState(null);
+  const [tracker, setTracker] = useState(null);
+  const [trackingState, setTrackingState] = useState('tracking');
+  const [depthEstimator, setDepthEstimator] = useState(null);
+  const [depth, setDepth] = useState(null);
+  const [segmenter, setSegmenter] = useState(null);
+  const [depthSource, setDepthSource] = useState(null);
+  const [calibrator, setCalibrator] = useState(null);
+  const [calibration, setCalibration] = useState(null);
+  const [referenceDetection, setReferenceDetection] = useState(null);
+  const [tool, setTool] = useState(null); // null | 'measure' | 'mask' | 'paint' | 'estimate'
+  const [masker, setMasker] = useState(null);
+  const [maskSession, setMaskSession] = useState(null);
+  const [maskHint, setMaskHint] = useState(null);
+  const [measuredWall, setMeasuredWall] = useState(null);
+  const [measureStart, setMeasureStart] = useState(null);
+  const [tilt, setTilt] = useState(null);
+
+  const {
+    currentModel, modelType, modelMetadata, autoLevel, toggleAutoLevel, occlusionQuality, cycleOcclusionQuality,
+    showOcclusionMask, toggleOcclusionMask, placements, selectedPlacementId, addPlacement, updatePlacement,
+    removePlacement, selectPlacement, togglePlacementLock, clearPlacements, calibrationReference,
+    setCalibrationReference, measurements, addMeasurement, removeMeasurement, clearMeasurements, units,
+    toggleUnits, saveScene, showGrid, toggleGrid, history, historyIndex, recordHistory, undo, redo, clearHistory,
+    wallpaperBlend, cycleWallpaperBlend
+  } = useARStore();
+  const placed = placements.length > 0;
+  const selected = placements.find(p => p.id === selectedPlacementId) || null;
+  const focus = selected || placements[placements.length - 1] || null;
+  const hasCovering = placements.some(isWallCovering);
+  // Paint on the wall the focused item hangs on
+  const wallPaint = focus?.type === 'paint'
+    ? focus
+    : placements.find(p => p.type === 'paint' && p.plane && p.plane === focus?.plane) || null;
+  const customColour = useRef(null);
+  // The wallpaper the roll estimator works on
+  const estimateTarget = selected?.type === 'wallpaper' ? selected : placements.find(p => p.type === 'wallpaper') || null;
+  const estimateRef = useRef(null);
+  // Mouse, trackpad or pen as the main input - shows the desktop gesture hints
+  const finePointer = useMemo(() => window.matchMedia?.('(pointer: fine)').matches ?? false, []);
+  const canUndo = historyIndex >= 0;
+  const canRedo = historyIndex < history.length - 1;
+  const { upRef: gravityRef, requestPermission: requestSensors } = useDeviceGravity({
+    enabled: mode === 'camera'
+  });
+
+  useEffect(() => {
+    let cancelled = false;
 
-  const { currentModel, modelType } = useARStore();
+    supportsWebXR().then((supported) => {
+      if (cancelled) return;
+      setMode(supported ? 'webxr' : 'camera');
+    });
+
+    return () => { cancelled = true; };
+  }, []);
 
   useEffect(() => {
-    anchorRef.current = new WorldAnchor();
-    detectorRef.current = new PlaneSurfaceDetector();
-    gestureRef.current = new GestureController((t) => {
-      setGestureTransform(t);
-      anchorRef.current?.update(t);
+    if (!mode) return;
+
+    estimatorRef.current = new WallPlaneEstimator();
+    // A whole gesture is one undo step
+    let before = null;
+    gestureRef.current = new GestureController(({ size, ...transform }, id) => {
+      const target = useARStore.getState().placements.find(p => p.id === id);
+      if (!target || target.locked) return;
+      target.anchor.update(transform);
+      updatePlacement(id, { transform, size });
+    }, {
+      onStart: () => {
+        before = snapshotScene(useARStore.getState());
+      },
+      onEnd: (id, type) => {
+        if (before && !sameSnapshot(before, snapshotScene(useARStore.getState()))) {
+          recordHistory(type === 'pinch' ? 'Resize' : 'Move', before);
+        }
+        before = null;
+      }
     });
 
+    const controller = gestureRef.current;
+
     console.log('✅ AR System initialized');
     console.log('📦 Model URL:', currentModel);
-  }, [currentModel]);
+
+    return () => controller.dispose();
+  }, [currentModel, mode, updatePlacement, recordHistory]);
+
+  // Placements hold live anchors and measurements are in this session's
+  // world space, so neither outlives the viewer - the scene is saved instead
+  useEffect(() => {
+    clearPlacements();
+    clearMeasurements();
+    clearHistory();
+    return () => {
+      const state = useARStore.getState();
+      if (state.placements.length || state.measurements.length) saveScene(serializeScene(state));
+      clearPlacements();
+      clearMeasurements();
+      clearHistory();
+    };
+  }, [clearPlacements, clearMeasurements, clearHistory, saveScene]);
+
+  // WebXR has its own hit-testing; the camera pipeline picks a detector backend
+  useEffect(() => {
+    if (mode !== 'camera') return;
+
+    let cancelled = false;
+    let instance = null;
+
+    createSurfaceDetector().then((created) => {
+      if (cancelled) {
+        created.dispose();
+        return;
+      }
+      instance = created;
+      setDetector(created);
+    });
+
+    return () => {
+      cancelled = true;
+      instance?.dispose();
+      setDetector(null);
+    };
+  }, [mode, currentModel]);
+
+  useEffect(() => {
+    if (gestureRef.current) gestureRef.current.autoLevel = autoLevel;
+  }, [autoLevel, mode, currentModel]);
+
+  // Turning levelling back on straightens the frames already placed
+  useEffect(() => {
+    if (!autoLevel) return;
+
+    const camera = canvasRef.current?.querySelector('canvas')?.__threeCamera;
+    if (!camera) return;
+
+    const up = getWorldUp(camera, gravityRef.current);
+    const before = snapshotScene(useARStore.getState());
+    useARStore.getState().placements.forEach((placement) => {
+      if (placement.locked) return;
+
+      // The stored transform was recorded under an older drift correction
+      const transform = placement.anchor.getTransform(camera) || placement.transform;
+      if (!transform) return;
+
+      const levelled = { ...transform, rotation: levelRotation(transform.rotation, up) };
+      placement.anchor.update(levelled);
+      updatePlacement(placement.id, { transform: levelled });
+    });
+    if (!sameSnapshot(before, snapshotScene(useARStore.getState()))) recordHistory('Level', before);
+  }, [autoLevel, gravityRef, updatePlacement, recordHistory]);
+
+  useEffect(() => {
+    if (mode !== 'camera') return;
+
+    const provider = new OrientationPoseProvider();
+    provider.start();
+    poseRef.current = provider;
+
+    return () => {
+      provider.stop();
+      poseRef.current = null;
+    };
+  }, [mode]);
+
+  // opencv.js is several MB, so visual tracking comes online after the camera
+  useEffect(() => {
+    if (mode !== 'camera' || !FEATURES.ENABLE_VISUAL_TRACKING) return;
+
+    let cancelled = false;
+    let instance = null;
+
+    loadOpenCV()
+      .then((cv) => {
+        if (cancelled) return;
+        instance = new OpticalFlowTracker(cv);
+        setTracker(instance);
+      })
+      .catch((err) => {
+        console.warn('⚠️ Visual tracking unavailable:', err.message);
+      });
+
+    return () => {
+      cancelled = true;
+      instance?.dispose();
+      setTracker(null);
+    };
+  }, [mode]);
+
+  // Depth puts the reticle (and so the placement) at the measured distance.
+  // Without WebGL it runs on the CPU backend - slower, but it only samples.
+  useEffect(() => {
+    if (mode !== 'camera' || !FEATURES.ENABLE_DEPTH_ESTIMATION) return;
+
+    let cancelled = false;
+    let acquired = false;
+
+    acquireDepthEstimator()
+      .then((estimator) => {
+        acquired = true;
+        if (cancelled) {
+          releaseDepthEstimator();
+          return;
+        }
+        setDepthEstimator(estimator);
+      })
+      .catch((err) => {
+        console.warn('⚠️ Depth estimation unavailable:', err.message);
+      });
+
+    return () => {
+      cancelled = true;
+      if (acquired) releaseDepthEstimator();
+      setDepthEstimator(null);
+      setDepth(null);
+    };
+  }, [mode]);
+
+  // WebXR doesn't expose camera frames, so people occlusion is camera-only
+  useEffect(() => {
+    if (mode !== 'camera' || occlusionQuality === 'off') return;
+
+    let cancelled = false;
+    let instance = null;
+
+    PeopleSegmenter.create({ quality: occlusionQuality })
+      .then((created) => {
+        if (cancelled) {
+          created.dispose();
+          return;
+        }
+        instance = created;
+        setSegmenter(created);
+      })
+      .catch((err) => {
+        console.warn('⚠️ People occlusion unavailable:', err.message);
+      });
+
+    return () => {
+      cancelled = true;
+      instance?.dispose();
+      setSegmenter(null);
+    };
+  }, [mode, occlusionQuality]);
+
+  // Furniture occlusion shares the occlusion toggle and the depth model
+  useEffect(() => {
+    if (mode !== 'camera' || occlusionQuality === 'off' || !FEATURES.ENABLE_DEPTH_ESTIMATION) return;
+
+    let cancelled = false;
+    let instance = null;
+
+    createDepthSource()
+      .then((created) => {
+        if (cancelled) {
+          created.dispose();
+          return;
+        }
+        instance = created;
+        setDepthSource(created);
+      })
+      .catch((err) => {
+        console.warn('⚠️ Depth occlusion unavailable:', err.message);
+      });
+
+    return () => {
+      cancelled = true;
+      instance?.dispose();
+      setDepthSource(null);
+    };
+  }, [mode, occlusionQuality]);
+
+  // The calibrator shares the opencv.js runtime with visual tracking
+  useEffect(() => {
+    if (mode !== 'camera' || phase !== 'reference') return;
+
+    let cancelled = false;
+    let instance = null;
+
+    ReferenceCalibrator.create({ reference: useARStore.getState().calibrationReference })
+      .then((created) => {
+        if (cancelled) {
+          created.dispose();
+          return;
+        }
+        instance = created;
+        setCalibrator(created);
+      })
+      .catch((err) => {
+        console.warn('⚠️ Scale calibration unavailable:', err.message);
+      });
+
+    return () => {
+      cancelled = true;
+      instance?.dispose();
+      setCalibrator(null);
+      setReferenceDetection(null);
+    };
+  }, [mode, phase]);
+
+  useEffect(() => {
+    calibrator?.setReference(calibrationReference);
+  }, [calibrator, calibrationReference]);
+
+  // Hold still for a moment so the gyro bias and heading reference are sane
+  const calibrateSensors = useCallback(async () => {
+    setPhase('calibrate');
+
+    const result = poseRef.current
+      ? await poseRef.current.calibrate()
+      : { calibrated: false, reason: 'No pose provider' };
+
+    if (!result.calibrated || result.reason) {
+      console.warn('⚠️ Sensor calibration:', result.reason);
+    }
+
+    setPhase((current) => (current === 'calibrate' ? 'scan' : current));
+  }, []);
 
   const startCamera = useCallback(async () => {
     try {
@@ -791,69 +3357,499 @@ export default function CustomARViewer({ onClose }) {
       }
       
       setReady(true);
-      setTimeout(() => setPhase('scan'), 800);
+      calibrateSensors();
       
       analytics.trackARSessionStarted({ url: currentModel, type: modelType });
     } catch (err) {
       setError(err.message);
       console.error('Camera error:', err);
     }
-  }, [currentModel, modelType]);
+  }, [currentModel, modelType, calibrateSensors]);
 
   const stopCamera = useCallback(() => {
     streamRef.current?.getTracks().forEach(t => t.stop());
   }, []);
 
+  const startXRSession = useCallback(async () => {
+    try {
+      setError(null);
+      await startSession('immersive-ar', {
+        requiredFeatures: ['hit-test'],
+        optionalFeatures: ['anchors', 'dom-overlay'],
+        domOverlay: { root: overlayRef.current }
+      });
+    } catch (err) {
+      setError(err.message);
+      console.error('WebXR session error:', err);
+    }
+  }, []);
+
+  const handleXRSessionStart = useCallback(({ target }) => {
+    xrSessionRef.current = target;
+    setPhase('scan');
+    analytics.trackARSessionStarted({ url: currentModel, type: modelType });
+  }, [currentModel, modelType]);
+
+  // Anchors die with the session, so undo can't bring its placements back
+  const handleXRSessionEnd = useCallback(() => {
+    xrSessionRef.current = null;
+    setPhase('init');
+    setAnalysis(null);
+    useARStore.getState().placements.forEach(p => p.anchor.reset());
+    clearPlacements();
+    clearHistory();
+  }, [clearPlacements, clearHistory]);
+
   useEffect(() => {
+    if (!mode) return;
+
     const start = sessionStart.current;
     const shots = screenshots.current;
     
-    startCamera();
+    if (mode === 'camera') {
+      startCamera();
+    } else {
+      // The immersive session needs a user gesture, so only mount the canvas here
+      setReady(true);
+    }
     
     return () => {
       stopCamera();
+      xrSessionRef.current?.end().catch(() => {});
       analytics.trackARSessionEnded({
         duration: Date.now() - start,
         screenshots: shots
       });
     };
-  }, [startCamera, stopCamera]);
+  }, [mode, startCamera, stopCamera]);
+
+  useEffect(() => {
+    const overlay = overlayRef.current;
+    if (!overlay) return;
+
+    // Keep toolbar taps in dom-overlay from also firing an XR select (placement)
+    const handleBeforeSelect = (e) => {
+      if (e.target.closest('button')) e.preventDefault();
+    };
+
+    overlay.addEventListener('beforexrselect', handleBeforeSelect);
+    return () => overlay.removeEventListener('beforexrselect', handleBeforeSelect);
+  }, [ready]);
 
-  const handlePlace = useCallback((position, rotation) => {
+  const handlePlace = useCallback((position, rotation, plane = null) => {
     const canvas = canvasRef.current?.querySelector('canvas');
     const camera = canvas?.__threeCamera;
     if (!camera) {
       console.error('❌ Camera not found');
-      return;
+      return null;
     }
 
+    // Drop the camera's roll so the frame's edges hang level
+    const placedRotation = autoLevel
+      ? levelRotation(rotation, getWorldUp(camera, gravityRef.current))
+      : rotation;
+
     console.log('🎯 Placing model at:', {
       position: position.toArray().map(v => v.toFixed(2)),
-      rotation: rotation.toArray().map(v => v.toFixed(2)),
+      rotation: placedRotation.toArray().map(v => v.toFixed(2)),
       modelUrl: currentModel
     });
 
-    anchorRef.current.place(camera, position, rotation);
-    setGestureTransform({ 
-      position: position.clone(), 
-      rotation: rotation.clone(), 
-      scale: 1 
+    const anchor = mode === 'webxr' ? new XRWorldAnchor() : new WorldAnchor();
+    anchor.place(camera, position, placedRotation);
+
+    // Place at the catalogue's default size; the variants are what a pinch picks from
+    const sizes = sizeVariants(modelMetadata || {});
+    const dimensions = toMetres(modelMetadata?.dimensions);
+    const size = sizes.find(v => sameSize(v, dimensions)) || sizes[0] || null;
+    const pattern = modelType === 'wallpaper'
+      ? toRepeat(modelMetadata?.repeat, modelMetadata?.match) || toRepeat(WALLPAPER_CONFIG.DEFAULT_REPEAT, modelMetadata?.match)
+      : null;
+    const roll = modelType === 'wallpaper'
+      ? toRoll(modelMetadata?.roll) || toRoll(WALLPAPER_CONFIG.DEFAULT_ROLL)
+      : null;
+    const colour = modelType === 'paint' ? modelMetadata?.colour || PAINT_CONFIG.DEFAULT_COLOUR : null;
+
+    const before = snapshotScene(useARStore.getState());
+    const id = addPlacement({
+      modelUrl: currentModel,
+      type: modelType,
+      anchor,
+      plane,
+      size,
+      sizes,
+      pattern,
+      roll,
+      price: modelType === 'wallpaper' ? modelMetadata?.price || null : null,
+      colour,
+      frame: modelMetadata?.frame || null,
+      transform: {
+        position: position.clone(),
+        rotation: placedRotation.clone(),
+        scale: 1
+      }
     });
-    setPlaced(true);
+    recordHistory('Place', before);
     setPhase('placed');
     
     analytics.trackARPlacement({ 
+      type: modelType,
       confidence: analysis?.confidence,
-      surfaceType: analysis?.surfaceType
+      surfaceType: analysis?.surfaceType,
+      count: useARStore.getState().placements.length
+    });
+
+    return { id, anchor };
+  }, [mode, analysis, currentModel, modelType, modelMetadata, autoLevel, gravityRef, addPlacement, recordHistory]);
+
+  // Copies sit beside the original on the same wall, at the same size
+  const handleDuplicate = useCallback(() => {
+    const camera = canvasRef.current?.querySelector('canvas')?.__threeCamera;
+    if (!selected || !camera) return;
+
+    const transform = selected.anchor.getTransform(camera) || selected.transform;
+    const offset = new THREE.Vector3(1, 0, 0)
+      .applyQuaternion(transform.rotation)
+      .multiplyScalar((selected.size?.width ?? 0.6) * transform.scale + 0.05);
+    const position = transform.position.clone().add(offset);
+
+    const anchor = mode === 'webxr' ? new XRWorldAnchor() : new WorldAnchor();
+    anchor.place(camera, position, transform.rotation.clone());
+    anchor.update({ scale: transform.scale });
+
+    const before = snapshotScene(useARStore.getState());
+    addPlacement({
+      modelUrl: selected.modelUrl,
+      type: selected.type,
+      anchor,
+      plane: selected.plane,
+      size: selected.size,
+      sizes: selected.sizes,
+      pattern: selected.pattern,
+      roll: selected.roll,
+      price: selected.price,
+      colour: selected.colour,
+      frame: selected.frame,
+      transform: { position, rotation: transform.rotation.clone(), scale: transform.scale }
+    });
+    recordHistory('Duplicate', before);
+
+    analytics.trackARPlacement({
+      type: selected.type,
+      surfaceType: selected.plane?.surfaceType,
+      count: useARStore.getState().placements.length,
+      duplicated: true
+    });
+  }, [mode, selected, addPlacement, recordHistory]);
+
+  // Paints the focused item's wall, or recolours the paint already on it
+  const handlePaint = useCallback((colour) => {
+    const camera = canvasRef.current?.querySelector('canvas')?.__threeCamera;
+    if (!focus || !camera) return;
+
+    const before = snapshotScene(useARStore.getState());
+    if (wallPaint) {
+      if (wallPaint.colour === colour) return;
+      updatePlacement(wallPaint.id, { colour });
+      recordHistory('Repaint', before);
+      return;
+    }
+
+    const transform = focus.anchor.getTransform(camera) || focus.transform;
+    const anchor = mode === 'webxr' ? new XRWorldAnchor() : new WorldAnchor();
+    anchor.place(camera, transform.position.clone(), transform.rotation.clone());
+
+    addPlacement({
+      modelUrl: null,
+      type: 'paint',
+      anchor,
+      plane: focus.plane,
+      colour,
+      transform: { position: transform.position.clone(), rotation: transform.rotation.clone(), scale: 1 }
+    });
+    recordHistory('Paint', before);
+
+    analytics.trackARPlacement({
+      type: 'paint',
+      surfaceType: focus.plane?.surfaceType,
+      count: useARStore.getState().placements.length
+    });
+  }, [mode, focus, wallPaint, addPlacement, updatePlacement, recordHistory]);
+
+  // The wall is measured once, when the estimator opens, so typing over it sticks
+  const toggleEstimate = useCallback(() => {
+    if (tool === 'estimate') {
+      setTool(null);
+      return;
+    }
+
+    const camera = canvasRef.current?.querySelector('canvas')?.__threeCamera;
+    setMeasuredWall(camera && estimateTarget
+      ? measureWall(
+        estimateTarget, useARStore.getState().measurements, camera,
+        estimatorRef.current, getWorldUp(camera, gravityRef.current)
+      )
+      : null);
+    setTool('estimate');
+  }, [tool, estimateTarget, gravityRef]);
+
+  const handleEstimate = useCallback((estimate) => {
+    estimateRef.current = estimate;
+  }, []);
+
+  const togglePaint = useCallback(() => {
+    setTool(current => (current === 'paint' ? null : 'paint'));
+  }, []);
+
+  // The colour picker's input event fires on every drag of its slider; only
+  // the final pick is painted
+  useEffect(() => {
+    const input = customColour.current;
+    if (tool !== 'paint' || !input) return undefined;
+
+    const pick = () => handlePaint(input.value);
+    input.addEventListener('change', pick);
+    return () => input.removeEventListener('change', pick);
+  }, [tool, handlePaint]);
+
+  // The anchor is only reset, so undo can place it again
+  const handleDelete = useCallback(() => {
+    if (!selected || selected.locked) return;
+
+    const before = snapshotScene(useARStore.getState());
+    selected.anchor.reset();
+    removePlacement(selected.id);
+    recordHistory('Delete', before);
+    if (useARStore.getState().placements.length === 0) setPhase('scan');
+  }, [selected, removePlacement, recordHistory]);
+
+  const handleToggleLock = useCallback(() => {
+    if (!selected) return;
+
+    const before = snapshotScene(useARStore.getState());
+    togglePlacementLock(selected.id);
+    recordHistory(selected.locked ? 'Unlock' : 'Lock', before);
+  }, [selected, togglePlacementLock, recordHistory]);
+
+  /**
+   * The store swaps in the snapshot's placements; their anchors still hold
+   * wherever they were, so they are moved back to the snapshot's uncorrected
+   * poses here - tracking since then still applies. Deleted items come back
+   * by placing their anchor again, and items the snapshot doesn't have are
+   * taken down.
+   */
+  const applySnapshot = useCallback((previous, snapshot) => {
+    const camera = canvasRef.current?.querySelector('canvas')?.__threeCamera;
+    const kept = new Set(snapshot.placements.map(p => p.id));
+
+    previous.forEach((placement) => {
+      if (!kept.has(placement.id)) placement.anchor.reset();
+    });
+
+    snapshot.placements.forEach(({ id, anchor }) => {
+      const pose = snapshot.poses[id];
+      // Placing a deleted item again needs the camera
+      if (!pose || (!anchor.getPose() && !camera)) return;
+      anchor.setPose(camera, pose);
     });
-  }, [analysis, currentModel]);
+
+    const hasPlacements = snapshot.placements.length > 0;
+    setPhase(current => (current === 'placed' || current === 'scan'
+      ? (hasPlacements ? 'placed' : 'scan')
+      : current));
+  }, []);
+
+  const handleUndo = useCallback(() => {
+    const previous = useARStore.getState().placements;
+    const snapshot = undo();
+    if (snapshot) applySnapshot(previous, snapshot);
+  }, [undo, applySnapshot]);
+
+  const handleRedo = useCallback(() => {
+    const previous = useARStore.getState().placements;
+    const snapshot = redo();
+    if (snapshot) applySnapshot(previous, snapshot);
+  }, [redo, applySnapshot]);
+
+  const shortcuts = useMemo(() => ({
+    onToggleGrid: toggleGrid,
+    onUndo: FEATURES.ENABLE_HISTORY ? handleUndo : undefined,
+    onRedo: FEATURES.ENABLE_HISTORY ? handleRedo : undefined,
+    onToggleOcclusionMask: FEATURES.ENABLE_DEBUG_VIEWS ? toggleOcclusionMask : undefined,
+  }), [toggleGrid, handleUndo, handleRedo, toggleOcclusionMask]);
+
+  useKeyboardShortcuts(shortcuts);
 
   const handleReset = useCallback(() => {
-    setPlaced(false);
-    setPhase('scan');
-    setGestureTransform(null);
-    anchorRef.current?.reset();
-    detectorRef.current?.reset();
+    if (mode === 'camera') {
+      calibrateSensors();
+    } else {
+      setPhase('scan');
+    }
+    useARStore.getState().placements.forEach(p => p.anchor.reset());
+    clearPlacements();
+    clearMeasurements();
+    clearHistory();
+    setTool(null);
+    setMeasureStart(null);
+    detector?.reset();
+    estimatorRef.current?.reset();
+  }, [mode, detector, calibrateSensors, clearPlacements, clearMeasurements, clearHistory]);
+
+  // The first tap starts a line, the second one finishes it
+  const handleMeasurePoint = useCallback((point) => {
+    if (!measureStart) {
+      setMeasureStart(point);
+      return;
+    }
+    addMeasurement({ start: measureStart.toArray(), end: point.toArray() });
+    setMeasureStart(null);
+  }, [measureStart, addMeasurement]);
+
+  const toggleMeasure = useCallback(() => {
+    setTool(current => (current === 'measure' ? null : 'measure'));
+    setMeasureStart(null);
+  }, []);
+
+  useEffect(() => () => masker?.dispose(), [masker]);
+
+  /**
+   * Freezes the camera frame for the MaskEditor, with the pose and wall it
+   * was seen from - the mask is mapped onto the wall from that view.
+   */
+  const startMasking = useCallback(async () => {
+    const camera = canvasRef.current?.querySelector('canvas')?.__threeCamera;
+    const video = document.querySelector('.ar-video');
+    if (!selected || !camera || !video) return;
+
+    let instance = masker;
+    if (!instance) {
+      try {
+        instance = await WallMasker.create();
+        setMasker(instance);
+      } catch (err) {
+        console.warn('⚠️ Wall masking unavailable:', err.message);
+        return;
+      }
+    }
+
+    const frame = instance.freeze(video);
+    const wall = wallFrame(selected, camera, estimatorRef.current, getWorldUp(camera, gravityRef.current));
+    if (!frame || !wall) return;
+
+    const view = {
+      width: frame.width,
+      height: frame.height,
+      intrinsics: intrinsicsFromFov(frame.width, frame.height, camera.fov, video.videoWidth / video.videoHeight),
+      position: camera.position.clone(),
+      quaternion: camera.quaternion.clone(),
+      plane: wall.plane.clone(),
+      origin: wall.origin,
+      axes: wall.axes,
+    };
+    if (!frameToWall(view)) {
+      setMaskHint(`Face the wall to trim the ${selected.type}`);
+      return;
+    }
+
+    setMaskHint(null);
+    setMaskSession({ placementId: selected.id, frame, view, origin: selected.anchor.untracked(wall.origin) });
+    setTool('mask');
+  }, [selected, masker, gravityRef]);
+
+  const stopMasking = useCallback(() => {
+    setMaskSession(null);
+    setTool(null);
+  }, []);
+
+  // Merges into the placement's mask, moved into this view's wall coordinates
+  const handleMaskApply = useCallback(async (region) => {
+    const target = placements.find(p => p.id === maskSession?.placementId);
+    if (!target || !region) {
+      stopMasking();
+      return;
+    }
+
+    const { view, origin } = maskSession;
+    const previous = target.mask && (() => {
+      const offset = toWall(target.mask.origin, origin, view.axes);
+      const { minX, maxX, minY, maxY } = target.mask.bounds;
+      return {
+        image: target.mask.image,
+        bounds: { minX: minX + offset.x, maxX: maxX + offset.x, minY: minY + offset.y, maxY: maxY + offset.y },
+      };
+    })();
+
+    try {
+      const mask = await masker.toWallMask(region, view, previous);
+      if (mask) {
+        const before = snapshotScene(useARStore.getState());
+        updatePlacement(target.id, { mask: { ...mask, origin } });
+        recordHistory('Trim', before);
+      }
+    } catch (err) {
+      console.warn('⚠️ Could not map the mask onto the wall:', err.message);
+    }
+    stopMasking();
+  }, [placements, maskSession, masker, updatePlacement, recordHistory, stopMasking]);
+
+  const handleMaskClear = useCallback(() => {
+    const target = placements.find(p => p.id === maskSession?.placementId);
+    if (target?.mask) {
+      const before = snapshotScene(useARStore.getState());
+      updatePlacement(target.id, { mask: null });
+      recordHistory('Untrim', before);
+    }
+    stopMasking();
+  }, [placements, maskSession, updatePlacement, recordHistory, stopMasking]);
+
+  // Only re-render for detections appearing, moving or disappearing
+  const handleReferenceDetect = useCallback((detection) => {
+    setReferenceDetection(current => (current || detection ? detection : current));
+  }, []);
+
+  /**
+   * Calibration holds for the rest of the session: the calibrated wall's
+   * planes move to the measured distance, and items already on it slide
+   * along their view ray onto it - which is what makes their real-world
+   * sizes read right on screen.
+   */
+  const handleCalibrate = useCallback((result) => {
+    const camera = canvasRef.current?.querySelector('canvas')?.__threeCamera;
+    const estimator = estimatorRef.current;
+    const up = camera ? getWorldUp(camera, gravityRef.current) : undefined;
+
+    setCalibration(result);
+    setDepth(null);
+    estimator?.planes.forEach(entry => estimator.applyCalibration(entry, result, up));
+
+    const { placements: existing } = useARStore.getState();
+    const before = snapshotScene(useARStore.getState());
+    if (camera && estimator) {
+      existing.forEach((placement) => {
+        if (placement.locked || !estimator.applyCalibration(placement.plane, result, up)) return;
+
+        const transform = placement.anchor.getTransform(camera);
+        if (!transform) return;
+
+        const direction = transform.position.clone().sub(camera.position).normalize();
+        const position = new THREE.Ray(camera.position.clone(), direction)
+          .intersectPlane(placement.plane.plane, new THREE.Vector3());
+        if (!position) return;
+
+        const moved = { ...transform, position };
+        placement.anchor.update(moved);
+        updatePlacement(placement.id, { transform: moved });
+      });
+    }
+    if (!sameSnapshot(before, snapshotScene(useARStore.getState()))) recordHistory('Calibrate', before);
+
+    setPhase(existing.length > 0 ? 'placed' : 'scan');
+  }, [gravityRef, updatePlacement, recordHistory]);
+
+  // Latest light estimate, kept for screenshots without re-rendering the viewer
+  const handleLightEstimate = useCallback((light) => {
+    lightingRef.current = light;
   }, []);
 
   const handleScreenshot = useCallback(() => {
@@ -863,23 +3859,92 @@ export default function CustomARViewer({ onClose }) {
 
     if (!video || !threeCanvas) return;
 
-    canvas.width = video.videoWidth || 1920;
-    canvas.height = video.videoHeight || 1080;
+    // The scene is drawn over the cover-fitted part of the video, so crop
+    // the video the same way; paint and wallpaper only line up with the wall
+    // behind them that way
+    const scale = new THREE.Vector2(1, 1);
+    const offset = new THREE.Vector2(0, 0);
+    if (video.videoWidth) coverCrop(video, threeCanvas, scale, offset);
+    const width = video.videoWidth || 1920;
+    const height = video.videoHeight || 1080;
+
+    canvas.width = Math.round(width * scale.x);
+    canvas.height = Math.round(height * scale.y);
 
     const ctx = canvas.getContext('2d');
-    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+    ctx.drawImage(video, offset.x * width, offset.y * height, canvas.width, canvas.height, 0, 0, canvas.width, canvas.height);
     ctx.drawImage(threeCanvas, 0, 0, canvas.width, canvas.height);
 
-    canvas.toBlob((blob) => {
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `ar-frame-${Date.now()}.png`;
-      a.click();
-      URL.revokeObjectURL(url);
-      screenshots.current++;
-    }, 'image/png');
-  }, []);
+    const estimate = estimateRef.current;
+    if (estimate) drawEstimate(ctx, estimateRows(estimate, units));
+
+    const scene = serializeScene(useARStore.getState());
+    saveScene(scene);
+
+    const fail = (err) => {
+      console.error('❌ Screenshot failed:', err.message);
+      analytics.trackError(err, { context: 'screenshot' });
+    };
+
+    // A tainted canvas throws here; one that can't be encoded yields null
+    try {
+      canvas.toBlob(async (captured) => {
+        if (!captured) {
+          fail(new Error('Screenshot could not be encoded'));
+          return;
+        }
+
+        // The metadata is a bonus; without it the plain capture is still saved
+        let blob = captured;
+        try {
+          blob = await withPngText(captured, {
+            'ar-frame:scene': scene,
+            'ar-frame:calibration': calibration && {
+              reference: calibration.reference,
+              distance: +calibration.distance.toFixed(3),
+              pixelsPerMetre: Math.round(calibration.pixelsPerMetre),
+            },
+            'ar-frame:lighting': lightingRef.current && {
+              intensity: +lightingRef.current.intensity.toFixed(3),
+              temperature: Math.round(lightingRef.current.temperature),
+              direction: Object.values(lightingRef.current.direction).map(v => +v.toFixed(3)),
+              directionality: +lightingRef.current.directionality.toFixed(3),
+            },
+            'ar-frame:estimate': estimate && {
+              wall: {
+                width: +estimate.wall.width.toFixed(3),
+                height: +estimate.wall.height.toFixed(3),
+                source: estimate.wall.source,
+              },
+              roll: { width: +estimate.roll.width.toFixed(3), length: +estimate.roll.length.toFixed(3) },
+              repeatHeight: +estimate.repeatHeight.toFixed(3),
+              drops: estimate.estimate.drops,
+              dropLength: +estimate.estimate.dropLength.toFixed(3),
+              dropsPerRoll: estimate.estimate.dropsPerRoll,
+              rolls: estimate.estimate.rolls,
+              spare: estimate.estimate.spare,
+              wasteShare: +estimate.estimate.wasteShare.toFixed(3),
+              price: estimate.price,
+              total: estimate.estimate.total,
+              currency: estimate.currency,
+            },
+          });
+        } catch (err) {
+          console.warn('⚠️ Screenshot saved without scene data:', err.message);
+        }
+
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `ar-frame-${Date.now()}.png`;
+        a.click();
+        URL.revokeObjectURL(url);
+        screenshots.current++;
+      }, 'image/png');
+    } catch (err) {
+      fail(err);
+    }
+  }, [calibration, saveScene, units]);
 
   const isGood = analysis?.isPlane && analysis?.confidence > 0.45;
 
@@ -911,7 +3976,7 @@ export default function CustomARViewer({ onClose }) {
           height: '100%',
           zIndex: 2,
           pointerEvents: 'auto'
-        }}>
+        }} onTouchStart={requestSensors}>
           <Canvas
             gl={{ 
               alpha: true, 
@@ -931,28 +3996,84 @@ export default function CustomARViewer({ onClose }) {
           >
             <PerspectiveCamera makeDefault position={[0, 0, 0]} fov={70} />
             
-            <ambientLight intensity={1.5} />
-            <directionalLight position={[5, 5, 5]} intensity={2} castShadow />
-            <directionalLight position={[-5, -5, -5]} intensity={1} />
-            <hemisphereLight skyColor="#ffffff" groundColor="#888888" intensity={1} />
+            <SceneLighting
+              detector={detector}
+              active={mode === 'camera' && FEATURES.ENABLE_LIGHT_ESTIMATION}
+              onEstimate={handleLightEstimate}
+            />
             
             <Environment preset="apartment" />
             
-            <ARScene
-              modelUrl={currentModel}
-              anchor={anchorRef.current}
-              detector={detectorRef.current}
-              onPlace={handlePlace}
-              isPlaced={placed}
-              scanning={phase === 'scan'}
-              onAnalysis={setAnalysis}
-              gestureTransform={gestureTransform}
-              gestureController={gestureRef.current}
-            />
+            {mode === 'webxr' ? (
+              <XR
+                referenceSpace="local"
+                onSessionStart={handleXRSessionStart}
+                onSessionEnd={handleXRSessionEnd}
+              >
+                <XRScene
+                  placements={placements}
+                  selectedId={selectedPlacementId}
+                  onSelect={selectPlacement}
+                  onPlace={handlePlace}
+                  gestureController={gestureRef.current}
+                  showGrid={showGrid}
+                  units={units}
+                  onTilt={setTilt}
+                  wallpaperBlend={wallpaperBlend}
+                  scanning={phase === 'scan'}
+                  onAnalysis={setAnalysis}
+                />
+              </XR>
+            ) : (
+              <ARScene
+                placements={placements}
+                selectedId={selectedPlacementId}
+                onSelect={selectPlacement}
+                detector={detector}
+                estimator={estimatorRef.current}
+                tracker={tracker}
+                depthEstimator={depthEstimator}
+                segmenter={segmenter}
+                depthSource={depthSource}
+                showOcclusionMask={FEATURES.ENABLE_DEBUG_VIEWS && showOcclusionMask}
+                gravityRef={gravityRef}
+                poseProvider={poseRef.current}
+                onPlace={handlePlace}
+                scanning={phase === 'scan'}
+                onAnalysis={setAnalysis}
+                onDepth={setDepth}
+                onTrackingChange={setTrackingState}
+                gestureController={gestureRef.current}
+                calibrator={calibrator}
+                calibration={calibration}
+                calibrating={phase === 'reference'}
+                onReferenceDetect={handleReferenceDetect}
+                onCalibrate={handleCalibrate}
+                measuring={tool === 'measure' && phase === 'placed'}
+                measurements={measurements}
+                pendingMeasure={measureStart}
+                onMeasurePoint={handleMeasurePoint}
+                units={units}
+                showGrid={showGrid}
+                onTilt={setTilt}
+                wallpaperBlend={wallpaperBlend}
+              />
+            )}
           </Canvas>
         </div>
       )}
 
+      {tool === 'mask' && maskSession && masker && (
+        <MaskEditor
+          masker={masker}
+          frame={maskSession.frame}
+          hasMask={!!placements.find(p => p.id === maskSession.placementId)?.mask}
+          onApply={handleMaskApply}
+          onClear={handleMaskClear}
+          onCancel={stopMasking}
+        />
+      )}
+
       {!ready && !error && (
         <div className="ar-loading">
           <div className="spinner">
@@ -969,14 +4090,14 @@ export default function CustomARViewer({ onClose }) {
           <AlertTriangle size={56} color="#ff3333" />
           <h3>Camera Required</h3>
           <p>{error}</p>
-          <button onClick={startCamera} className="btn-retry">
+          <button onClick={mode === 'webxr' ? startXRSession : startCamera} className="btn-retry">
             <RefreshCw size={20} /> Try Again
           </button>
         </div>
       )}
 
       {ready && (
-        <>
+        <div ref={overlayRef} className="ar-overlay">
           <header className="ar-header">
             <button className="btn-close" onClick={onClose}>
               <X size={24} />
@@ -985,19 +4106,75 @@ export default function CustomARViewer({ onClose }) {
             <div className="status-badge">
               {phase === 'scan' && (
                 <>
-                  <Crosshair size={18} color={isGood ? "#00ff00" : "#ff9500"} />
-                  <span>{isGood ? 'TAP TO PLACE' : analysis?.reason || 'Scanning...'}</span>
+                  <Crosshair size={18} color={isGood ? "#00ff00" : "#ff9500"} />
+                  <span>{isGood ? 'TAP TO PLACE' : analysis?.reason || 'Scanning...'}</span>
+                </>
+              )}
+              {phase === 'calibrate' && (
+                <>
+                  <Crosshair size={18} color="#0088ff" />
+                  <span>Hold still - calibrating...</span>
+                </>
+              )}
+              {phase === 'reference' && (
+                <>
+                  <Ruler size={18} color={referenceDetection ? '#00ff00' : '#0088ff'} />
+                  <span>{referenceDetection ? 'Hold still...' : 'Calibrating scale'}</span>
                 </>
               )}
-              {phase === 'placed' && (
+              {phase === 'init' && mode === 'webxr' && (
+                <>
+                  <Zap size={18} color="#00ff00" />
+                  <span>Ready</span>
+                </>
+              )}
+              {phase === 'placed' && trackingState !== 'lost' && (
                 <>
                   <CheckCircle size={18} color="#00ff00" />
-                  <span>Placed</span>
+                  <span>{placements.length > 1 ? `${placements.length} placed` : 'Placed'}</span>
+                </>
+              )}
+              {phase === 'placed' && trackingState === 'lost' && (
+                <>
+                  <AlertTriangle size={18} color="#ff9500" />
+                  <span>Tracking lost</span>
                 </>
               )}
             </div>
           </header>
 
+          {showGrid && (phase === 'scan' || phase === 'placed') && (
+            <div className="grid-hud">
+              <button className="grid-units" onClick={toggleUnits}>
+                <GridIcon size={14} /> {GRID_CONFIG[units].label}
+              </button>
+              {phase === 'placed' && selected && tilt !== null && (
+                <div className={`spirit-level ${Math.abs(tilt) <= GRID_CONFIG.LEVEL_TOLERANCE ? 'level' : ''}`}>
+                  <div className="vial">
+                    <div
+                      className="bubble"
+                      style={{ transform: `translateX(${THREE.MathUtils.clamp(tilt, -5, 5) * 8}px)` }}
+                    />
+                  </div>
+                  <span>{tilt > 0 ? '+' : ''}{tilt.toFixed(1)}°</span>
+                </div>
+              )}
+            </div>
+          )}
+
+          {mode === 'webxr' && phase === 'init' && (
+            <div className="guide ready">
+              <div className="guide-icon">
+                <Zap size={64} color="#00ff00" />
+              </div>
+              <h3>AR tracking available</h3>
+              <p>Your device can detect real walls for precise placement</p>
+              <button onClick={startXRSession} className="btn-retry">
+                <Camera size={20} /> Start AR
+              </button>
+            </div>
+          )}
+
           {phase === 'scan' && (
             <div className={`guide ${isGood ? 'ready' : 'scanning'}`}>
               <div className="guide-icon">
@@ -1005,11 +4182,18 @@ export default function CustomARViewer({ onClose }) {
               </div>
               <h3>{isGood ? 'Perfect! 🎯' : 'Finding surface...'}</h3>
               <p>{analysis?.reason || 'Move camera to scan surface'}</p>
+              {calibration ? (
+                <div className="depth-readout">
+                  📐 {calibration.distance.toFixed(2)} m · {CALIBRATION_CONFIG.REFERENCE_OBJECTS[calibration.reference].label}
+                </div>
+              ) : depth && (
+                <div className="depth-readout">📏 {depth.distance.toFixed(1)} m</div>
+              )}
               {analysis?.metrics && (
                 <div className="metrics">
-                  <span>Uniformity: {analysis.metrics.uniformity}</span>
-                  <span>Brightness: {analysis.metrics.brightness}</span>
-                  <span>Texture: {analysis.metrics.texture}</span>
+                  {Object.entries(analysis.metrics).map(([name, value]) => (
+                    <span key={name}>{name.charAt(0).toUpperCase() + name.slice(1)}: {value}</span>
+                  ))}
                 </div>
               )}
               {analysis?.stable && (
@@ -1017,22 +4201,275 @@ export default function CustomARViewer({ onClose }) {
                   <div className="confidence-fill" style={{width: `${analysis.confidence * 100}%`}} />
                 </div>
               )}
+              <div className="guide-actions">
+                {mode === 'camera' && (
+                  <button onClick={() => setPhase('reference')} className="btn-cancel">
+                    <Ruler size={20} /> {calibration ? 'Recalibrate' : 'Calibrate scale'}
+                  </button>
+                )}
+                {placed && (
+                  <button onClick={() => setPhase('placed')} className="btn-cancel">
+                    <Check size={20} /> Done
+                  </button>
+                )}
+              </div>
             </div>
           )}
 
-          {placed && (
-            <>
-              <div className="instructions">
-                <div><span>✋</span> Drag</div>
-                <div><span>🤏</span> Pinch</div>
-                <div><span>🔄</span> Rotate</div>
+          {phase === 'reference' && referenceDetection && videoRef.current && (
+            <svg
+              className="reference-outline"
+              viewBox={`0 0 ${videoRef.current.videoWidth} ${videoRef.current.videoHeight}`}
+              preserveAspectRatio="xMidYMid slice"
+            >
+              <polygon points={referenceDetection.corners.map(({ x, y }) => `${x},${y}`).join(' ')} />
+            </svg>
+          )}
+
+          {phase === 'reference' && (
+            <div className={`guide ${referenceDetection ? 'ready' : 'scanning'}`}>
+              <h3>Calibrate scale</h3>
+              <p>
+                {referenceDetection
+                  ? `Found it - ${referenceDetection.distance.toFixed(2)} m away. Hold still...`
+                  : `Hold a ${CALIBRATION_CONFIG.REFERENCE_OBJECTS[calibrationReference].label.toLowerCase()} flat against the wall and keep all four corners in view`}
+              </p>
+              <div className="reference-options">
+                {Object.entries(CALIBRATION_CONFIG.REFERENCE_OBJECTS).map(([key, reference]) => (
+                  <button
+                    key={key}
+                    className={`reference-btn ${key === calibrationReference ? 'active' : ''}`}
+                    onClick={() => setCalibrationReference(key)}
+                  >
+                    {reference.label}
+                  </button>
+                ))}
+              </div>
+              <button onClick={() => setPhase(placed ? 'placed' : 'scan')} className="btn-cancel">
+                <X size={20} /> Cancel
+              </button>
+            </div>
+          )}
+
+          {placed && trackingState === 'lost' && (
+            <div className="guide scanning">
+              <div className="guide-icon">
+                <AlertTriangle size={64} color="#ff9500" />
               </div>
+              <h3>Tracking lost</h3>
+              <p>Point the camera back at the wall and move slowly, or reset to place again</p>
+            </div>
+          )}
+
+          {placed && phase === 'placed' && (
+            <>
+              {tool === 'measure' && (
+                <div className="item-actions measure-panel">
+                  {measurements.map((m, i) => (
+                    <button key={m.id} className="item-btn" onClick={() => removeMeasurement(m.id)}>
+                      <Trash2 size={16} />
+                      <span>
+                        {i + 1}: {formatLength(
+                          new THREE.Vector3().fromArray(m.start).distanceTo(new THREE.Vector3().fromArray(m.end)),
+                          units
+                        )}
+                      </span>
+                    </button>
+                  ))}
+                  <button className="item-btn active" onClick={toggleUnits}>
+                    <span>{units === 'metric' ? 'cm' : 'in'}</span>
+                  </button>
+                  <button className="item-btn" onClick={toggleMeasure}>
+                    <Check size={20} />
+                    <span>Done</span>
+                  </button>
+                </div>
+              )}
+
+              {tool === 'paint' && (
+                <div className="item-actions paint-panel">
+                  {PAINT_CONFIG.PALETTE.map(({ name, hex }) => (
+                    <button
+                      key={hex}
+                      className={`swatch ${wallPaint?.colour === hex ? 'active' : ''}`}
+                      style={{ background: hex }}
+                      title={name}
+                      aria-label={name}
+                      onClick={() => handlePaint(hex)}
+                    />
+                  ))}
+                  <input
+                    key={wallPaint?.colour}
+                    ref={customColour}
+                    type="color"
+                    className="swatch custom"
+                    defaultValue={wallPaint?.colour || PAINT_CONFIG.DEFAULT_COLOUR}
+                    title="Custom colour"
+                    aria-label="Custom colour"
+                  />
+                  <button className="item-btn" onClick={togglePaint}>
+                    <Check size={20} />
+                    <span>Done</span>
+                  </button>
+                </div>
+              )}
+
+              {tool === 'estimate' && estimateTarget && (
+                <EstimatePanel
+                  key={estimateTarget.id}
+                  placement={estimateTarget}
+                  measured={measuredWall}
+                  calibrated={!!calibration}
+                  units={units}
+                  onEstimate={handleEstimate}
+                  onClose={toggleEstimate}
+                />
+              )}
+
+              {selected && tool !== 'measure' && tool !== 'paint' && tool !== 'estimate' && (
+                <div className="item-actions">
+                  {selected.size && (
+                    <span className="item-size">📐 {formatSize(selected.size)}</span>
+                  )}
+                  <button className="item-btn" onClick={handleDuplicate}>
+                    <Copy size={20} />
+                    <span>Duplicate</span>
+                  </button>
+                  <button
+                    className={`item-btn ${selected.locked ? 'active' : ''}`}
+                    onClick={handleToggleLock}
+                  >
+                    {selected.locked ? <Pin size={20} /> : <PinOff size={20} />}
+                    <span>{selected.locked ? 'Locked' : 'Lock'}</span>
+                  </button>
+                  <button className="item-btn delete" onClick={handleDelete} disabled={selected.locked}>
+                    <Trash2 size={20} />
+                    <span>Delete</span>
+                  </button>
+                </div>
+              )}
+
+              {mode === 'camera' && tool === 'measure' && (
+                <div className="instructions">
+                  <div><span>📏</span> {measureStart ? 'Tap the end point' : 'Tap two points on the wall'}</div>
+                </div>
+              )}
+
+              {tool !== 'measure' && isWallCovering(selected) && (
+                <div className="instructions">
+                  {selected.type === 'wallpaper'
+                    ? <div><span>✋</span> Drag to line up the pattern</div>
+                    : <div><span>🎨</span> Paint to try another colour</div>}
+                  <div><span>📐</span> {maskHint || 'Move around to cover more wall'}</div>
+                </div>
+              )}
+
+              {mode === 'camera' && tool !== 'measure' && !isWallCovering(selected) && !finePointer && (
+                <div className="instructions">
+                  {placements.length > 1 && <div><span>👆</span> Tap to select</div>}
+                  <div><span>✋</span> Drag</div>
+                  <div><span>🤏</span> {selected?.sizes?.length > 1 ? 'Pinch to resize' : 'Pinch'}</div>
+                  <div><span>🔄</span> Rotate</div>
+                </div>
+              )}
+
+              {mode === 'camera' && tool !== 'measure' && !isWallCovering(selected) && finePointer && (
+                <div className="instructions">
+                  {placements.length > 1 && <div><span>🖱️</span> Click to select</div>}
+                  <div><span>✋</span> Drag</div>
+                  <div><span>🤏</span> {selected?.sizes?.length > 1 ? 'Scroll to resize' : 'Scroll'}</div>
+                  <div><span>🔄</span> Shift+drag</div>
+                </div>
+              )}
               
               <div className="toolbar">
                 <button className="tool-btn capture" onClick={handleScreenshot}>
                   <Camera size={24} />
                   <span>Capture</span>
                 </button>
+                <button className="tool-btn add" onClick={() => setPhase('scan')}>
+                  <Plus size={24} />
+                  <span>Add</span>
+                </button>
+                {FEATURES.ENABLE_HISTORY && (
+                  <>
+                    <button
+                      className="tool-btn undo"
+                      onClick={handleUndo}
+                      disabled={!canUndo}
+                      title={canUndo ? `Undo ${history[historyIndex].label.toLowerCase()} (Ctrl+Z)` : 'Nothing to undo'}
+                    >
+                      <Undo2 size={24} />
+                      <span>Undo</span>
+                    </button>
+                    <button
+                      className="tool-btn redo"
+                      onClick={handleRedo}
+                      disabled={!canRedo}
+                      title={canRedo ? `Redo ${history[historyIndex + 1].label.toLowerCase()} (Ctrl+Y)` : 'Nothing to redo'}
+                    >
+                      <Redo2 size={24} />
+                      <span>Redo</span>
+                    </button>
+                  </>
+                )}
+                <button className={`tool-btn grid ${showGrid ? 'active' : ''}`} onClick={toggleGrid}>
+                  <GridIcon size={24} />
+                  <span>Grid</span>
+                </button>
+                {mode === 'camera' && (
+                  <button className={`tool-btn measure ${tool === 'measure' ? 'active' : ''}`} onClick={toggleMeasure}>
+                    <Ruler size={24} />
+                    <span>Measure</span>
+                  </button>
+                )}
+                <button
+                  className={`tool-btn level ${autoLevel ? 'active' : ''}`}
+                  onClick={toggleAutoLevel}
+                >
+                  {autoLevel ? <Lock size={24} /> : <Unlock size={24} />}
+                  <span>{autoLevel ? 'Level' : 'Free tilt'}</span>
+                </button>
+                {mode === 'camera' && (
+                  <button
+                    className={`tool-btn occlusion ${occlusionQuality !== 'off' ? 'active' : ''}`}
+                    onClick={cycleOcclusionQuality}
+                  >
+                    {occlusionQuality === 'off' ? <UserX size={24} /> : <Users size={24} />}
+                    <span>{OCCLUSION_LABELS[occlusionQuality]}</span>
+                  </button>
+                )}
+                {mode === 'camera' && isWallCovering(selected) && (
+                  <button className="tool-btn trim" onClick={startMasking}>
+                    <Lasso size={24} />
+                    <span>Trim</span>
+                  </button>
+                )}
+                {estimateTarget && (
+                  <button className={`tool-btn estimate ${tool === 'estimate' ? 'active' : ''}`} onClick={toggleEstimate}>
+                    <Calculator size={24} />
+                    <span>Rolls</span>
+                  </button>
+                )}
+                <button className={`tool-btn paint ${tool === 'paint' ? 'active' : ''}`} onClick={togglePaint}>
+                  <PaintBucket size={24} />
+                  <span>Paint</span>
+                </button>
+                {mode === 'camera' && hasCovering && (
+                  <button className="tool-btn blend active" onClick={cycleWallpaperBlend}>
+                    <Contrast size={24} />
+                    <span>{WALLPAPER_CONFIG.BLEND_MODES[wallpaperBlend]}</span>
+                  </button>
+                )}
+                {mode === 'camera' && FEATURES.ENABLE_DEBUG_VIEWS && occlusionQuality !== 'off' && (
+                  <button
+                    className={`tool-btn mask ${showOcclusionMask ? 'active' : ''}`}
+                    onClick={toggleOcclusionMask}
+                  >
+                    <Layers size={24} />
+                    <span>Mask</span>
+                  </button>
+                )}
                 <button className="tool-btn reset" onClick={handleReset}>
                   <RotateCcw size={24} />
                   <span>Reset</span>
@@ -1040,7 +4477,7 @@ export default function CustomARViewer({ onClose }) {
               </div>
             </>
           )}
-        </>
+        </div>
       )}
 
       <style jsx>{`
@@ -1051,6 +4488,17 @@ export default function CustomARViewer({ onClose }) {
           z-index: 9999;
         }
 
+        .ar-overlay {
+          position: fixed;
+          inset: 0;
+          z-index: 3;
+          pointer-events: none;
+        }
+
+        .ar-overlay > * {
+          pointer-events: auto;
+        }
+
         .ar-loading, .ar-error {
           position: fixed;
           inset: 0;
@@ -1187,6 +4635,13 @@ export default function CustomARViewer({ onClose }) {
           color: rgba(255,255,255,0.6);
         }
 
+        .depth-readout {
+          margin-top: 8px;
+          font-size: 13px;
+          font-weight: 600;
+          color: rgba(255,255,255,0.85);
+        }
+
         .confidence-bar {
           width: 100%;
           height: 4px;
@@ -1228,12 +4683,46 @@ export default function CustomARViewer({ onClose }) {
           font-size: 16px;
         }
 
+        .mask-editor {
+          position: fixed;
+          inset: 0;
+          z-index: 200;
+          background: #000;
+        }
+
+        .mask-layer {
+          position: absolute;
+          inset: 0;
+          width: 100%;
+          height: 100%;
+          object-fit: cover;
+          touch-action: none;
+        }
+
+        .mask-status {
+          position: absolute;
+          top: max(env(safe-area-inset-top), 24px);
+          left: 50%;
+          transform: translateX(-50%);
+          padding: 10px 18px;
+          background: rgba(0,0,0,0.7);
+          backdrop-filter: blur(10px);
+          border-radius: 20px;
+          color: white;
+          font-size: 14px;
+          white-space: nowrap;
+        }
+
         .toolbar {
           position: fixed;
           bottom: max(env(safe-area-inset-bottom), 40px);
           left: 50%;
           transform: translateX(-50%);
           display: flex;
+          flex-wrap: wrap;
+          justify-content: center;
+          width: max-content;
+          max-width: calc(100vw - 24px);
           gap: 16px;
           z-index: 100;
         }
@@ -1253,14 +4742,298 @@ export default function CustomARViewer({ onClose }) {
           cursor: pointer;
         }
 
+        .tool-btn.active {
+          border-color: rgba(0,136,255,0.6);
+          color: #4da6ff;
+        }
+
+        .tool-btn:disabled {
+          opacity: 0.4;
+          cursor: default;
+        }
+
         .tool-btn.capture {
           background: rgba(0,255,0,0.2);
           border-color: rgba(0,255,0,0.4);
           color: #00ff00;
         }
 
-        .btn-retry {
+        .item-actions {
+          position: fixed;
+          bottom: calc(max(env(safe-area-inset-bottom), 40px) + 96px);
+          left: 50%;
+          transform: translateX(-50%);
+          display: flex;
+          gap: 8px;
+          padding: 6px;
+          background: rgba(0,0,0,0.7);
+          backdrop-filter: blur(10px);
+          border: 1px solid rgba(0,212,255,0.4);
+          border-radius: 14px;
+          z-index: 100;
+        }
+
+        .item-size {
+          display: flex;
+          align-items: center;
+          padding: 0 10px;
+          color: #00d4ff;
+          font-size: 12px;
+          font-weight: 600;
+          white-space: nowrap;
+        }
+
+        .item-btn {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          padding: 8px 12px;
+          background: transparent;
+          border: none;
+          border-radius: 10px;
+          color: white;
+          font-size: 12px;
+          cursor: pointer;
+        }
+
+        .item-btn.active {
+          color: #00d4ff;
+        }
+
+        .paint-panel {
+          align-items: center;
+          flex-wrap: wrap;
+          justify-content: center;
+          width: max-content;
+          max-width: calc(100vw - 24px);
+        }
+
+        .estimate-panel {
+          flex-direction: column;
+          align-items: stretch;
+          gap: 8px;
+          padding: 12px;
+          width: min(360px, calc(100vw - 24px));
+          color: white;
+          font-size: 12px;
+        }
+
+        .estimate-fields {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+        }
+
+        .estimate-fields input {
+          width: 64px;
+          min-width: 0;
+          padding: 6px 8px;
+          background: rgba(255,255,255,0.1);
+          border: 1px solid rgba(255,255,255,0.2);
+          border-radius: 8px;
+          color: white;
+          font-size: 12px;
+        }
+
+        .estimate-fields input:last-child {
+          flex: 1;
+        }
+
+        .estimate-source {
+          color: rgba(255,255,255,0.6);
+        }
+
+        .estimate-rows {
+          display: grid;
+          grid-template-columns: auto 1fr;
+          gap: 4px 12px;
+          margin: 0;
+        }
+
+        .estimate-rows dt {
+          color: rgba(255,255,255,0.6);
+        }
+
+        .estimate-rows dd {
+          margin: 0;
+          text-align: right;
+          font-weight: 600;
+        }
+
+        .estimate-actions {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+        }
+
+        .swatch {
+          width: 28px;
+          height: 28px;
+          padding: 0;
+          border: 2px solid rgba(255,255,255,0.3);
+          border-radius: 50%;
+          cursor: pointer;
+        }
+
+        .swatch.active {
+          border-color: #00d4ff;
+          box-shadow: 0 0 0 2px rgba(0,212,255,0.4);
+        }
+
+        .swatch.custom {
+          background: conic-gradient(red, yellow, lime, cyan, blue, magenta, red);
+          overflow: hidden;
+        }
+
+        .swatch.custom::-webkit-color-swatch-wrapper {
+          padding: 0;
+          opacity: 0;
+        }
+
+        .item-btn.delete {
+          color: #ff6b6b;
+        }
+
+        .item-btn:disabled {
+          opacity: 0.4;
+          cursor: default;
+        }
+
+        .btn-cancel {
+          display: inline-flex;
+          align-items: center;
+          gap: 8px;
+          padding: 10px 20px;
+          margin-top: 16px;
+          background: rgba(255,255,255,0.15);
+          color: white;
+          border: 1px solid rgba(255,255,255,0.3);
+          border-radius: 12px;
+          font-size: 14px;
+          cursor: pointer;
+        }
+
+        .grid-hud {
+          position: fixed;
+          top: calc(max(env(safe-area-inset-top), 80px) + 56px);
+          left: 50%;
+          transform: translateX(-50%);
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          z-index: 100;
+        }
+
+        .grid-units {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          padding: 6px 12px;
+          background: rgba(0,0,0,0.7);
+          border: 1px solid rgba(0,212,255,0.4);
+          border-radius: 14px;
+          color: #00d4ff;
+          font-size: 12px;
+          cursor: pointer;
+        }
+
+        .spirit-level {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          padding: 6px 12px;
+          background: rgba(0,0,0,0.7);
+          border: 1px solid rgba(255,149,0,0.5);
+          border-radius: 14px;
+          color: #ff9500;
+          font-size: 12px;
+          font-weight: 600;
+          font-variant-numeric: tabular-nums;
+        }
+
+        .spirit-level.level {
+          border-color: rgba(0,255,0,0.5);
+          color: #00ff00;
+        }
+
+        .vial {
+          position: relative;
+          width: 96px;
+          height: 14px;
+          border-radius: 7px;
+          background: rgba(255,255,255,0.15);
+          overflow: hidden;
+        }
+
+        .vial::before, .vial::after {
+          content: '';
+          position: absolute;
+          top: 0;
+          bottom: 0;
+          width: 1px;
+          background: rgba(255,255,255,0.5);
+        }
+
+        .vial::before { left: calc(50% - 8px); }
+        .vial::after { left: calc(50% + 8px); }
+
+        .bubble {
+          position: absolute;
+          top: 2px;
+          left: calc(50% - 5px);
+          width: 10px;
+          height: 10px;
+          border-radius: 50%;
+          background: currentColor;
+          transition: transform 0.1s linear;
+        }
+
+        .guide-actions {
+          display: flex;
+          justify-content: center;
+          gap: 8px;
+          flex-wrap: wrap;
+        }
+
+        .reference-outline {
+          position: fixed;
+          inset: 0;
+          width: 100%;
+          height: 100%;
+          pointer-events: none;
+          z-index: 50;
+        }
+
+        .reference-outline polygon {
+          fill: rgba(0,255,0,0.15);
+          stroke: #00ff00;
+          stroke-width: 4;
+          vector-effect: non-scaling-stroke;
+        }
+
+        .reference-options {
           display: flex;
+          justify-content: center;
+          gap: 8px;
+        }
+
+        .reference-btn {
+          padding: 8px 12px;
+          background: rgba(255,255,255,0.1);
+          border: 1px solid rgba(255,255,255,0.2);
+          border-radius: 10px;
+          color: white;
+          font-size: 12px;
+          cursor: pointer;
+        }
+
+        .reference-btn.active {
+          border-color: rgba(0,136,255,0.6);
+          color: #4da6ff;
+        }
+
+        .btn-retry {
+          display: inline-flex;
           align-items: center;
           gap: 8px;
           padding: 14px 28px;
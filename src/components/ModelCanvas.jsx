@@ -14,17 +14,16 @@ import {
   useGLTF,
   Center,
   Bounds,
+  Html,
 } from '@react-three/drei';
 import * as THREE from 'three';
 import useARStore from '../store/useARStore';
+import { buildFrame, disposeFrame } from '../utils/frameBuilder';
 
 /**
  * Model Component - Loads and displays the 3D model
  */
 function Model({ url }) {
-  const groupRef = useRef();
-  const { position, rotation, scale } = useARStore();
-
   // Load the model using useGLTF hook
   const { scene } = useGLTF(url, true);
 
@@ -49,6 +48,38 @@ function Model({ url }) {
     return clone;
   }, [scene]);
 
+  return <ModelView object={clonedScene} />;
+}
+
+/**
+ * FrameModel Component - Displays a frame generated from its parameters
+ */
+function FrameModel({ params }) {
+  const frame = React.useMemo(() => {
+    const group = buildFrame(params);
+
+    group.traverse((child) => {
+      if (child.isMesh) {
+        child.castShadow = true;
+        child.receiveShadow = true;
+      }
+    });
+
+    return group;
+  }, [params]);
+
+  useEffect(() => () => disposeFrame(frame), [frame]);
+
+  return <ModelView object={frame} />;
+}
+
+/**
+ * ModelView Component - Frames the model and applies the store's transform
+ */
+function ModelView({ object }) {
+  const groupRef = useRef();
+  const { position, rotation, scale } = useARStore();
+
   // Update transform
   useFrame(() => {
     if (groupRef.current) {
@@ -61,7 +92,7 @@ function Model({ url }) {
   return (
     <Center>
       <Bounds fit clip observe margin={1.2}>
-        <primitive ref={groupRef} object={clonedScene} />
+        <primitive ref={groupRef} object={object} />
       </Bounds>
     </Center>
   );
@@ -209,9 +240,12 @@ function PerformanceMonitor() {
 
 /**
  * Main ModelCanvas Component
+ * `frame` takes the parameters of a generated frame (see utils/frameBuilder)
+ * in place of `modelUrl`.
  */
 export default function ModelCanvas({
   modelUrl,
+  frame = null,
   enableControls = true,
   enablePerformanceMonitor = false,
 }) {
@@ -244,7 +278,7 @@ export default function ModelCanvas({
 
       {/* 3D Model */}
       <Suspense fallback={<LoadingBox />}>
-        {modelUrl && <Model url={modelUrl} />}
+        {frame ? <FrameModel params={frame} /> : modelUrl && <Model url={modelUrl} />}
       </Suspense>
 
       {/* Controls */}
@@ -3,18 +3,110 @@
  * Model upload and selection interface
  */
 import React, { useState, useRef } from 'react';
-import { Upload, Link2, ArrowLeft, CheckCircle2 } from 'lucide-react';
+import { Upload, Link2, ArrowLeft, CheckCircle2, Download } from 'lucide-react';
 import useARStore from '../store/useARStore';
 import analytics from '../services/analytics';
-import { isValidGLBUrl, formatFileSize } from '../utils/helpers';
-import { SAMPLE_MODELS, UPLOAD_CONFIG, ERROR_MESSAGES } from '../utils/constants';
+import { isValidGLBUrl, isValidImageUrl, formatFileSize } from '../utils/helpers';
+import { toMetres, toRepeat, toRoll, formatSize } from '../utils/dimensions';
+import { buildFrame, disposeFrame, exportGLB, frameModelUrl } from '../utils/frameBuilder';
+import {
+  SAMPLE_MODELS, UPLOAD_CONFIG, FRAME_CONFIG, WALLPAPER_CONFIG, PAINT_CONFIG, ERROR_MESSAGES
+} from '../utils/constants';
 
 export default function UploadPage({ onNavigate }) {
   const { setModel } = useARStore();
   const [selectedType, setSelectedType] = useState('frame');
   const [urlInput, setUrlInput] = useState('');
   const [validationError, setValidationError] = useState('');
+  const [size, setSize] = useState({ width: '', height: '', depth: '', unit: 'cm' });
+  const [repeat, setRepeat] = useState({ width: '', height: '', unit: 'cm', match: 'straight' });
+  const [roll, setRoll] = useState({ width: '', length: '', unit: 'cm' });
+  const [paint, setPaint] = useState(
+    PAINT_CONFIG.PALETTE.find(c => c.hex === PAINT_CONFIG.DEFAULT_COLOUR) || { name: null, hex: PAINT_CONFIG.DEFAULT_COLOUR }
+  );
+  const [frame, setFrame] = useState(() => ({
+    ...FRAME_CONFIG.DEFAULT,
+    moulding: { ...FRAME_CONFIG.DEFAULT.moulding },
+    mat: { ...FRAME_CONFIG.DEFAULT.mat, enabled: true },
+  }));
   const fileInputRef = useRef(null);
+  const isWallpaper = selectedType === 'wallpaper';
+  const isPaint = selectedType === 'paint';
+
+  /**
+   * Physical size entered for an uploaded or linked model, if complete
+   */
+  const enteredDimensions = () => {
+    if (!toMetres(size)) return null;
+    return {
+      width: Number(size.width),
+      height: Number(size.height),
+      depth: size.depth ? Number(size.depth) : undefined,
+      unit: size.unit,
+    };
+  };
+
+  const updateSize = (field) => (e) => {
+    setSize(current => ({ ...current, [field]: e.target.value }));
+  };
+
+  /**
+   * Pattern repeat entered for a wallpaper image, falling back to a roll's
+   * width when none is given
+   */
+  const enteredRepeat = () => {
+    if (!toRepeat(repeat)) return WALLPAPER_CONFIG.DEFAULT_REPEAT;
+    return {
+      width: Number(repeat.width),
+      height: repeat.height ? Number(repeat.height) : undefined,
+      unit: repeat.unit,
+    };
+  };
+
+  const updateRepeat = (field) => (e) => {
+    setRepeat(current => ({ ...current, [field]: e.target.value }));
+  };
+
+  /**
+   * Roll size entered for a wallpaper, if complete - the estimator falls
+   * back to a standard roll
+   */
+  const enteredRoll = () => {
+    if (!toRoll(roll)) return null;
+    return { width: Number(roll.width), length: Number(roll.length), unit: roll.unit };
+  };
+
+  const updateRoll = (field) => (e) => {
+    setRoll(current => ({ ...current, [field]: e.target.value }));
+  };
+
+  /**
+   * Parameters of the frame being built, lengths in cm
+   */
+  const enteredFrame = () => ({
+    profile: frame.profile,
+    finish: frame.finish,
+    colour: frame.finish === 'painted' ? frame.colour : undefined,
+    moulding: { width: Number(frame.moulding.width), depth: Number(frame.moulding.depth) },
+    mat: frame.mat.enabled ? { width: Number(frame.mat.width), colour: frame.mat.colour } : null,
+    glass: frame.glass,
+    width: Number(frame.width),
+    height: Number(frame.height),
+    unit: 'cm',
+  });
+
+  // `group` edits a nested field, e.g. the moulding's width
+  const updateFrame = (field, group = null) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setFrame(current => (group
+      ? { ...current, [group]: { ...current[group], [field]: value } }
+      : { ...current, [field]: value }));
+  };
+
+  // What the item needs besides its URL: a size, or a wallpaper's repeat and roll
+  const enteredMetadata = () => (isWallpaper
+    ? { repeat: enteredRepeat(), match: repeat.match, roll: enteredRoll() }
+    : { dimensions: enteredDimensions() });
 
   /**
    * Handle file upload from device
@@ -24,7 +116,13 @@ export default function UploadPage({ onNavigate }) {
     if (!file) return;
 
     // Validate file type
-    if (!file.name.endsWith('.glb') && !file.name.endsWith('.gltf')) {
+    const name = file.name.toLowerCase();
+    if (isWallpaper) {
+      if (!UPLOAD_CONFIG.IMAGE_EXTENSIONS.some(ext => name.endsWith(ext))) {
+        setValidationError(ERROR_MESSAGES.INVALID_IMAGE_TYPE);
+        return;
+      }
+    } else if (!name.endsWith('.glb') && !name.endsWith('.gltf')) {
       setValidationError(ERROR_MESSAGES.INVALID_FILE_TYPE);
       return;
     }
@@ -52,6 +150,7 @@ export default function UploadPage({ onNavigate }) {
       source: 'upload',
       filename: file.name,
       size: file.size,
+      ...enteredMetadata(),
     });
 
     // Navigate to AR view
@@ -69,8 +168,8 @@ export default function UploadPage({ onNavigate }) {
       return;
     }
 
-    if (!isValidGLBUrl(urlInput)) {
-      setValidationError(ERROR_MESSAGES.INVALID_URL);
+    if (isWallpaper ? !isValidImageUrl(urlInput) : !isValidGLBUrl(urlInput)) {
+      setValidationError(isWallpaper ? ERROR_MESSAGES.INVALID_IMAGE_URL : ERROR_MESSAGES.INVALID_URL);
       return;
     }
 
@@ -84,6 +183,7 @@ export default function UploadPage({ onNavigate }) {
     // Load model
     setModel(urlInput, selectedType, {
       source: 'url',
+      ...enteredMetadata(),
     });
 
     // Navigate to AR view
@@ -94,25 +194,103 @@ export default function UploadPage({ onNavigate }) {
    * Handle sample model selection
    */
   const handleSampleSelect = (sample) => {
+    // Wallpapers are a pattern image rather than a model, and frames may be generated
+    const url = sample.patternUrl || sample.glbUrl || frameModelUrl(sample.id);
+
     // Track sample selection
     analytics.trackModelLoaded({
-      url: sample.glbUrl,
+      url,
       type: sample.type,
       source: 'sample',
       sample_id: sample.id,
     });
 
     // Load model
-    setModel(sample.glbUrl, sample.type, {
+    setModel(url, sample.type, {
       source: 'sample',
       sample_id: sample.id,
       sample_name: sample.name,
+      dimensions: sample.dimensions,
+      sizes: sample.sizes,
+      repeat: sample.repeat,
+      match: sample.match,
+      roll: sample.roll,
+      price: sample.price,
+      frame: sample.frame,
     });
 
     // Navigate to AR view
     onNavigate('ar');
   };
 
+  /**
+   * Handle a frame from the builder
+   */
+  const handleFrameSubmit = () => {
+    const params = enteredFrame();
+    // Every build gets its own URL - two frames can share a profile and finish
+    // but differ in size, mat or colour
+    const url = frameModelUrl(`${params.profile}-${params.finish}-${Date.now().toString(36)}`);
+
+    analytics.trackModelLoaded({
+      url,
+      type: 'frame',
+      source: 'builder',
+    });
+
+    setModel(url, 'frame', {
+      source: 'builder',
+      frame: params,
+      dimensions: { width: params.width, height: params.height, depth: params.moulding.depth, unit: 'cm' },
+    });
+
+    onNavigate('ar');
+  };
+
+  /**
+   * Download the built frame as a GLB, to use as a regular model elsewhere
+   */
+  const handleFrameDownload = async () => {
+    const params = enteredFrame();
+    const object = buildFrame(params);
+
+    try {
+      const blob = await exportGLB(object);
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `frame-${params.profile}-${params.finish}-${params.width}x${params.height}cm.glb`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('❌ GLB export failed:', err);
+      setValidationError('Could not export the frame');
+    } finally {
+      disposeFrame(object);
+    }
+  };
+
+  /**
+   * Handle paint colour selection - paint has no file, its colour is the item
+   */
+  const handlePaintSubmit = () => {
+    const source = paint.name ? 'palette' : 'custom';
+
+    analytics.trackModelLoaded({
+      url: null,
+      type: 'paint',
+      source,
+    });
+
+    setModel(null, 'paint', {
+      source,
+      colour: paint.hex,
+      colour_name: paint.name,
+    });
+
+    onNavigate('ar');
+  };
+
   /**
    * Trigger file input click
    */
@@ -159,81 +337,362 @@ export default function UploadPage({ onNavigate }) {
               </div>
               {selectedType === 'wallpaper' && <CheckCircle2 className="check-icon" size={24} />}
             </button>
+
+            <button
+              className={`type-btn ${isPaint ? 'active' : ''}`}
+              onClick={() => setSelectedType('paint')}
+            >
+              <div className="type-info">
+                <span className="type-name">Wall Paint</span>
+                <span className="type-desc">Preview a new wall colour</span>
+              </div>
+              {isPaint && <CheckCircle2 className="check-icon" size={24} />}
+            </button>
           </div>
         </div>
 
-        {/* Upload Methods */}
-        <div className="upload-section">
-          <h2>Choose Upload Method</h2>
-          <p className="section-description">Choose how you want to load your 3D model</p>
-
-          <div className="upload-methods">
-            {/* File Upload */}
-            <div className="upload-card" onClick={triggerFileInput}>
-              <Upload className="upload-icon" size={48} />
-              <h3>Upload File</h3>
-              <p>Select a .glb file from your device</p>
-              <span className="upload-hint">Max {formatFileSize(UPLOAD_CONFIG.MAX_FILE_SIZE)}</span>
-              <input
-                ref={fileInputRef}
-                type="file"
-                accept=".glb,.gltf"
-                onChange={handleFileUpload}
-                style={{ display: 'none' }}
-              />
-            </div>
+        {/* Paint Colour */}
+        {isPaint ? (
+          <div className="upload-section">
+            <h2>Choose a Colour</h2>
+            <p className="section-description">
+              Pick a paint colour - the wall keeps its own light and shadows
+            </p>
 
-            {/* URL Input */}
-            <div className="upload-card">
-              <Link2 className="upload-icon" size={48} />
-              <h3>Load from URL</h3>
-              <input
-                type="url"
-                placeholder="https://example.com/model.glb"
-                value={urlInput}
-                onChange={(e) => setUrlInput(e.target.value)}
-                className="url-input"
-              />
-              <button onClick={handleUrlSubmit} className="btn btn-primary">
-                Load Model
-              </button>
+            <div className="paint-palette">
+              {PAINT_CONFIG.PALETTE.map((colour) => (
+                <button
+                  key={colour.hex}
+                  className={`paint-swatch ${paint.hex === colour.hex ? 'active' : ''}`}
+                  onClick={() => setPaint(colour)}
+                >
+                  <span className="paint-chip" style={{ background: colour.hex }} />
+                  <span className="paint-name">{colour.name}</span>
+                </button>
+              ))}
+              <label className={`paint-swatch ${paint.name ? '' : 'active'}`}>
+                <input
+                  type="color"
+                  value={paint.hex}
+                  onChange={(e) => setPaint({ name: null, hex: e.target.value })}
+                  className="paint-chip"
+                />
+                <span className="paint-name">{paint.name ? 'Custom' : paint.hex}</span>
+              </label>
             </div>
+
+            <button onClick={handlePaintSubmit} className="btn btn-primary">
+              Paint {paint.name || paint.hex}
+            </button>
           </div>
+        ) : (
+          <>
+            {/* Upload Methods */}
+            <div className="upload-section">
+              <h2>Choose Upload Method</h2>
+              <p className="section-description">Choose how you want to load your 3D model</p>
 
-          {validationError && (
-            <div className="error-message">{validationError}</div>
-          )}
-        </div>
+              <div className="upload-methods">
+                {/* File Upload */}
+                <div className="upload-card" onClick={triggerFileInput}>
+                  <Upload className="upload-icon" size={48} />
+                  <h3>Upload File</h3>
+                  <p>{isWallpaper ? 'Select a pattern image from your device' : 'Select a .glb file from your device'}</p>
+                  <span className="upload-hint">Max {formatFileSize(UPLOAD_CONFIG.MAX_FILE_SIZE)}</span>
+                  <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept={isWallpaper ? UPLOAD_CONFIG.IMAGE_EXTENSIONS.join(',') : '.glb,.gltf'}
+                    onChange={handleFileUpload}
+                    style={{ display: 'none' }}
+                  />
+                </div>
 
-        {/* Sample Models */}
-        <div className="upload-section">
-          <h2>Try Sample Models</h2>
-          <p className="section-description">
-            Select from our pre-loaded demo models to test the AR experience
-          </p>
-
-          <div className="sample-grid">
-            {SAMPLE_MODELS.filter(s => s.type === selectedType).map((sample) => (
-              <div
-                key={sample.id}
-                className="sample-card"
-                onClick={() => handleSampleSelect(sample)}
-              >
-                <div className="sample-thumbnail">
-                  <img src={sample.thumbnail} alt={sample.name} />
+                {/* URL Input */}
+                <div className="upload-card">
+                  <Link2 className="upload-icon" size={48} />
+                  <h3>Load from URL</h3>
+                  <input
+                    type="url"
+                    placeholder={isWallpaper ? 'https://example.com/pattern.jpg' : 'https://example.com/model.glb'}
+                    value={urlInput}
+                    onChange={(e) => setUrlInput(e.target.value)}
+                    className="url-input"
+                  />
+                  <button onClick={handleUrlSubmit} className="btn btn-primary">
+                    Load Model
+                  </button>
+                </div>
+              </div>
+
+              {/* Pattern repeat */}
+              {isWallpaper && (
+                <div className="size-inputs">
+                  <h3>Pattern repeat <span className="optional">(optional)</span></h3>
+                  <p>The wall area one copy of the image covers - printed on the roll's label</p>
+                  <div className="size-fields">
+                    <input
+                      type="number"
+                      min="0"
+                      placeholder="Width"
+                      value={repeat.width}
+                      onChange={updateRepeat('width')}
+                      className="url-input"
+                    />
+                    <span>×</span>
+                    <input
+                      type="number"
+                      min="0"
+                      placeholder="Height"
+                      value={repeat.height}
+                      onChange={updateRepeat('height')}
+                      className="url-input"
+                    />
+                    <select value={repeat.unit} onChange={updateRepeat('unit')} className="url-input">
+                      <option value="cm">cm</option>
+                      <option value="in">in</option>
+                    </select>
+                  </div>
+                  <div className="size-fields match-field">
+                    <select value={repeat.match} onChange={updateRepeat('match')} className="url-input">
+                      {Object.entries(WALLPAPER_CONFIG.MATCHES).map(([key, label]) => (
+                        <option key={key} value={key}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+              )}
+
+              {/* Roll size */}
+              {isWallpaper && (
+                <div className="size-inputs">
+                  <h3>Roll size <span className="optional">(optional)</span></h3>
+                  <p>Width and length of one roll, for working out how many to buy</p>
+                  <div className="size-fields">
+                    <input
+                      type="number"
+                      min="0"
+                      placeholder="Width"
+                      value={roll.width}
+                      onChange={updateRoll('width')}
+                      className="url-input"
+                    />
+                    <span>×</span>
+                    <input
+                      type="number"
+                      min="0"
+                      placeholder="Length"
+                      value={roll.length}
+                      onChange={updateRoll('length')}
+                      className="url-input"
+                    />
+                    <select value={roll.unit} onChange={updateRoll('unit')} className="url-input">
+                      <option value="cm">cm</option>
+                      <option value="in">in</option>
+                    </select>
+                  </div>
+                </div>
+              )}
+
+              {/* Real-world size */}
+              {!isWallpaper && (
+                <div className="size-inputs">
+                  <h3>Real-world size <span className="optional">(optional)</span></h3>
+                  <p>Enter the item's size so it appears at true scale on the wall</p>
+                  <div className="size-fields">
+                    <input
+                      type="number"
+                      min="0"
+                      placeholder="Width"
+                      value={size.width}
+                      onChange={updateSize('width')}
+                      className="url-input"
+                    />
+                    <span>×</span>
+                    <input
+                      type="number"
+                      min="0"
+                      placeholder="Height"
+                      value={size.height}
+                      onChange={updateSize('height')}
+                      className="url-input"
+                    />
+                    <span>×</span>
+                    <input
+                      type="number"
+                      min="0"
+                      placeholder="Depth"
+                      value={size.depth}
+                      onChange={updateSize('depth')}
+                      className="url-input"
+                    />
+                    <select value={size.unit} onChange={updateSize('unit')} className="url-input">
+                      <option value="cm">cm</option>
+                      <option value="in">in</option>
+                    </select>
+                  </div>
+                </div>
+              )}
+
+              {validationError && (
+                <div className="error-message">{validationError}</div>
+              )}
+            </div>
+
+            {/* Frame Builder */}
+            {!isWallpaper && (
+              <div className="upload-section">
+                <h2>Build a Frame</h2>
+                <p className="section-description">Design a frame instead of loading a model</p>
+
+                <div className="size-inputs">
+                  <h3>Style</h3>
+                  <div className="size-fields">
+                    <select value={frame.profile} onChange={updateFrame('profile')} className="url-input">
+                      {Object.entries(FRAME_CONFIG.PROFILES).map(([key, label]) => (
+                        <option key={key} value={key}>{label}</option>
+                      ))}
+                    </select>
+                    <select value={frame.finish} onChange={updateFrame('finish')} className="url-input">
+                      {Object.entries(FRAME_CONFIG.FINISHES).map(([key, { label }]) => (
+                        <option key={key} value={key}>{label}</option>
+                      ))}
+                    </select>
+                    {frame.finish === 'painted' && (
+                      <input type="color" value={frame.colour} onChange={updateFrame('colour')} className="colour-input" />
+                    )}
+                  </div>
                 </div>
-                <div className="sample-info">
-                  <h4>{sample.name}</h4>
-                  <p>{sample.description}</p>
-                  <span className="sample-type">{sample.type}</span>
+
+                <div className="size-inputs">
+                  <h3>Outer size <span className="optional">(cm)</span></h3>
+                  <div className="size-fields">
+                    <input
+                      type="number"
+                      min="0"
+                      placeholder="Width"
+                      value={frame.width}
+                      onChange={updateFrame('width')}
+                      className="url-input"
+                    />
+                    <span>×</span>
+                    <input
+                      type="number"
+                      min="0"
+                      placeholder="Height"
+                      value={frame.height}
+                      onChange={updateFrame('height')}
+                      className="url-input"
+                    />
+                  </div>
+                </div>
+
+                <div className="size-inputs">
+                  <h3>Moulding <span className="optional">(cm)</span></h3>
+                  <div className="size-fields">
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.1"
+                      placeholder="Width"
+                      value={frame.moulding.width}
+                      onChange={updateFrame('width', 'moulding')}
+                      className="url-input"
+                    />
+                    <span>×</span>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.1"
+                      placeholder="Depth"
+                      value={frame.moulding.depth}
+                      onChange={updateFrame('depth', 'moulding')}
+                      className="url-input"
+                    />
+                  </div>
+                </div>
+
+                <div className="size-inputs">
+                  <h3>Mat and glass</h3>
+                  <div className="size-fields">
+                    <label className="checkbox-field">
+                      <input type="checkbox" checked={frame.mat.enabled} onChange={updateFrame('enabled', 'mat')} />
+                      Mat
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.5"
+                      placeholder="Width (cm)"
+                      value={frame.mat.width}
+                      onChange={updateFrame('width', 'mat')}
+                      disabled={!frame.mat.enabled}
+                      className="url-input"
+                    />
+                    <input
+                      type="color"
+                      value={frame.mat.colour}
+                      onChange={updateFrame('colour', 'mat')}
+                      disabled={!frame.mat.enabled}
+                      className="colour-input"
+                    />
+                    <label className="checkbox-field">
+                      <input type="checkbox" checked={frame.glass} onChange={updateFrame('glass')} />
+                      Glass
+                    </label>
+                  </div>
+                </div>
+
+                <div className="frame-actions">
+                  <button onClick={handleFrameSubmit} className="btn btn-primary">
+                    Place Frame
+                  </button>
+                  <button onClick={handleFrameDownload} className="btn btn-secondary">
+                    <Download size={18} /> Download .glb
+                  </button>
                 </div>
               </div>
-            ))}
-            {SAMPLE_MODELS.filter(s => s.type === selectedType).length === 0 && (
-              <p className="no-samples">No sample models available for {selectedType}s yet.</p>
             )}
-          </div>
-        </div>
+
+            {/* Sample Models */}
+            <div className="upload-section">
+              <h2>Try Sample Models</h2>
+              <p className="section-description">
+                Select from our pre-loaded demo models to test the AR experience
+              </p>
+
+              <div className="sample-grid">
+                {SAMPLE_MODELS.filter(s => s.type === selectedType).map((sample) => (
+                  <div
+                    key={sample.id}
+                    className="sample-card"
+                    onClick={() => handleSampleSelect(sample)}
+                  >
+                    <div className="sample-thumbnail">
+                      <img src={sample.thumbnail} alt={sample.name} />
+                    </div>
+                    <div className="sample-info">
+                      <h4>{sample.name}</h4>
+                      <p>{sample.description}</p>
+                      <span className="sample-type">{sample.type}</span>
+                      {sample.dimensions && (
+                        <span className="sample-size">{formatSize(toMetres(sample.dimensions))}</span>
+                      )}
+                      {sample.repeat && (
+                        <span className="sample-size">
+                          {formatSize(toRepeat(sample.repeat), sample.repeat.unit)} repeat
+                        </span>
+                      )}
+                    </div>
+                  </div>
+                ))}
+                {SAMPLE_MODELS.filter(s => s.type === selectedType).length === 0 && (
+                  <p className="no-samples">No sample models available for {selectedType}s yet.</p>
+                )}
+              </div>
+            </div>
+          </>
+        )}
       </div>
     </div>
   );
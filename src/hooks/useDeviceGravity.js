@@ -0,0 +1,42 @@
+/**
+ * useDeviceGravity Hook
+ * Tracks the gravity "up" direction in camera space from device sensors
+ */
+
+import { useEffect, useRef, useCallback } from 'react';
+import { GravitySensor } from '../services/deviceSensors';
+
+export const useDeviceGravity = ({ enabled = true, smoothing = 0.2, source } = {}) => {
+  // null until the first reading - callers fall back to world up
+  const upRef = useRef(null);
+  const sensorRef = useRef(null);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const sensor = new GravitySensor({ smoothing, ...(source && { source }) });
+    sensorRef.current = sensor;
+
+    const unsubscribe = sensor.onChange((up) => {
+      upRef.current = up;
+    });
+    sensor.start();
+
+    return () => {
+      unsubscribe();
+      sensor.stop();
+      sensorRef.current = null;
+    };
+  }, [enabled, smoothing, source]);
+
+  /**
+   * Must be called from a user gesture on iOS
+   */
+  const requestPermission = useCallback(async () => {
+    return sensorRef.current ? sensorRef.current.requestPermission() : false;
+  }, []);
+
+  return { upRef, requestPermission };
+};
+
+export default useDeviceGravity;
@@ -53,6 +53,10 @@ export const useKeyboardShortcuts = (handlers = {}) => {
           }
           break;
 
+        case KEYBOARD_SHORTCUTS.TOGGLE_OCCLUSION_MASK:
+          handlers.onToggleOcclusionMask?.();
+          break;
+
         case KEYBOARD_SHORTCUTS.CLOSE:
           handlers.onClose?.();
           break;
@@ -147,6 +147,19 @@ class AnalyticsService {
     });
   }
 
+  /**
+   * Track item placed in AR
+   */
+  trackARPlacement(placementData) {
+    this.track(ANALYTICS_EVENTS.AR_PLACEMENT, {
+      model_type: placementData.type,
+      surface_type: placementData.surfaceType,
+      confidence: placementData.confidence,
+      placement_count: placementData.count,
+      duplicated: placementData.duplicated || false,
+    });
+  }
+
   /**
    * Track screenshot captured
    */
@@ -0,0 +1,169 @@
+/**
+ * Depth Estimation Service
+ * Monocular depth from the ARPortraitDepth model of
+ * @tensorflow-models/depth-estimation. Without WebGL TF.js falls back to the
+ * WASM or CPU backend - slower, but it still measures.
+ *
+ * The package's estimator zeroes every pixel outside the person its selfie
+ * segmenter finds before predicting - an empty wall would come back blank -
+ * so its segmenter is swapped for one that keeps the whole frame.
+ */
+
+import loadTensorFlow from './tensorflow';
+import { VISION_CONFIG } from '../utils/constants';
+
+// Model input (portrait); frames are downscaled to it
+const INPUT_WIDTH = 192;
+const INPUT_HEIGHT = 256;
+
+let shared = null;
+
+// Stands in for the estimator's person segmenter: everything is foreground
+const wholeFrameSegmenter = (tf) => ({
+  async segmentPeople(image) {
+    const [height, width] = image.shape;
+    return [{ mask: { toTensor: async () => tf.ones([height, width, 1]) } }];
+  },
+  reset() {},
+  dispose() {},
+});
+
+/**
+ * Cheap check that doesn't load TF.js: the model needs WebGL2 and a few
+ * hundred MB to run every frame. Occasional measurements (see
+ * `acquireDepthEstimator`) work on any backend.
+ */
+export const supportsDepthEstimation = () => {
+  const memory = typeof navigator !== 'undefined' ? navigator.deviceMemory : undefined;
+  if (memory !== undefined && memory < 4) return false;
+
+  try {
+    return Boolean(document.createElement('canvas').getContext('webgl2'));
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Maps the model's relative output (0 = near, 1 = far) onto metres. The
+ * model has no absolute scale, so this is only metric-ish; reference-object
+ * calibration can replace it.
+ */
+export const relativeToMetres = (value, { NEAR, FAR } = VISION_CONFIG.DEPTH_RANGE) =>
+  NEAR + value * (FAR - NEAR);
+
+export class DepthEstimator {
+  constructor(tf, model) {
+    this.tf = tf;
+    this.model = model;
+    this.canvas = null;
+  }
+
+  /**
+   * Loads both of the estimator's models from the local paths in
+   * VISION_CONFIG; the segmentation model is only loaded because the
+   * package insists, and freed straight away.
+   */
+  static async create({
+    modelUrl = VISION_CONFIG.DEPTH_MODEL_URL,
+    segmentationModelUrl = VISION_CONFIG.DEPTH_SEGMENTATION_MODEL_URL,
+  } = {}) {
+    const tf = await loadTensorFlow();
+    const { createEstimator, SupportedModels } = await import('@tensorflow-models/depth-estimation');
+
+    let model;
+    try {
+      model = await createEstimator(SupportedModels.ARPortraitDepth, {
+        depthModelUrl: modelUrl,
+        segmentationModelUrl,
+      });
+    } catch (err) {
+      throw new Error(`Depth model not loaded from ${modelUrl} (see public/models/README.md): ${err.message}`);
+    }
+
+    model.segmenter.dispose();
+    model.segmenter = wholeFrameSegmenter(tf);
+    return new DepthEstimator(tf, model);
+  }
+
+  /**
+   * Relative depth for an image (0 = near, 1 = far), row-major, at the
+   * model's resolution for video frames and the image's own otherwise.
+   *
+   * @param {ImageData|HTMLCanvasElement|HTMLVideoElement} image
+   * @returns {Promise<{ data: Float32Array, width: number, height: number }>}
+   */
+  async estimate(image) {
+    const depthMap = await this.model.estimateDepth(this.downscale(image), { minDepth: 0, maxDepth: 1 });
+    const depth = await depthMap.toTensor();
+    const [height, width] = depth.shape;
+
+    const data = await depth.data();
+    depth.dispose();
+
+    return { data, width, height };
+  }
+
+  /**
+   * Depth in metres (see `relativeToMetres`), same layout as `estimate`
+   */
+  async estimateMetric(image) {
+    const depth = await this.estimate(image);
+    const data = depth.data.map(value => relativeToMetres(value));
+    return { ...depth, data };
+  }
+
+  /**
+   * Draws video frames into a model-sized canvas first, so full camera
+   * frames are never uploaded to the backend.
+   */
+  downscale(image) {
+    if (typeof HTMLVideoElement === 'undefined' || !(image instanceof HTMLVideoElement)) return image;
+
+    if (!this.canvas) {
+      this.canvas = document.createElement('canvas');
+      this.canvas.width = INPUT_WIDTH;
+      this.canvas.height = INPUT_HEIGHT;
+    }
+    this.canvas.getContext('2d').drawImage(image, 0, 0, INPUT_WIDTH, INPUT_HEIGHT);
+    return this.canvas;
+  }
+
+  dispose() {
+    this.model?.dispose();
+    this.model = null;
+    this.canvas = null;
+  }
+}
+
+/**
+ * One estimator shared by everything that needs depth (surface detection,
+ * placement, occlusion), so the model is loaded once. Pair every acquire
+ * with `releaseDepthEstimator`; the model is freed with the last one.
+ */
+export const acquireDepthEstimator = (options) => {
+  if (!shared) {
+    shared = {
+      users: 0,
+      loading: DepthEstimator.create(options).catch((error) => {
+        shared = null;
+        throw error;
+      }),
+    };
+  }
+  shared.users += 1;
+  return shared.loading;
+};
+
+export const releaseDepthEstimator = () => {
+  if (!shared) return;
+
+  shared.users -= 1;
+  if (shared.users > 0) return;
+
+  const { loading } = shared;
+  shared = null;
+  loading.then(estimator => estimator.dispose(), () => {});
+};
+
+export default DepthEstimator;
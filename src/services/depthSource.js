@@ -0,0 +1,66 @@
+/**
+ * Depth Sources
+ * Per-pixel depth of the camera frame for occlusion. Every source resolves
+ * `read(video)` with the same shape:
+ *
+ *   { data: Float32Array, width, height } - metres along the view axis,
+ *   row-major, covering the whole video frame (not the cover-cropped view)
+ *
+ * or with null when it has nothing for this frame. Sources are picked by id,
+ * so a sensor-backed source can replace the monocular estimate.
+ */
+
+import { acquireDepthEstimator, releaseDepthEstimator } from './depthEstimation';
+import { VISION_CONFIG } from '../utils/constants';
+
+/**
+ * ARPortraitDepth on the camera frame, through the shared depth estimator
+ */
+export class MonocularDepthSource {
+  static id = 'monocular';
+
+  static async create(options) {
+    return new MonocularDepthSource(await acquireDepthEstimator(options));
+  }
+
+  constructor(estimator) {
+    this.estimator = estimator;
+  }
+
+  get id() {
+    return this.constructor.id;
+  }
+
+  async read(video) {
+    if (!this.estimator || !video || video.readyState < video.HAVE_CURRENT_DATA || !video.videoWidth) {
+      return null;
+    }
+    return this.estimator.estimateMetric(video);
+  }
+
+  dispose() {
+    if (this.estimator) releaseDepthEstimator();
+    this.estimator = null;
+  }
+}
+
+const sources = new Map();
+
+/**
+ * @param {string} id
+ * @param {{ create: (options) => Promise<Object> }} Source - resolves with an
+ *   object implementing `read(video)` and `dispose()`
+ */
+export const registerDepthSource = (id, Source) => {
+  sources.set(id, Source);
+};
+
+export const createDepthSource = async ({ id = VISION_CONFIG.DEPTH_SOURCE, ...options } = {}) => {
+  const Source = sources.get(id);
+  if (!Source) throw new Error(`Unknown depth source "${id}"`);
+  return Source.create(options);
+};
+
+registerDepthSource(MonocularDepthSource.id, MonocularDepthSource);
+
+export default createDepthSource;
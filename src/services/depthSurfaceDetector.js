@@ -0,0 +1,119 @@
+/**
+ * Depth Surface Detector
+ * Surface-detection backend on TF.js monocular depth: a region that fits a
+ * plane well is a surface, and how depth changes from top to bottom tells a
+ * wall (roughly constant) from a floor (farther at the top) or a ceiling.
+ */
+
+import { SurfaceDetector, CAMERA_STARTING } from './surfaceDetector';
+import { ResultSmoother } from './surfaceAnalysis';
+import {
+  acquireDepthEstimator,
+  releaseDepthEstimator,
+  supportsDepthEstimation,
+} from './depthEstimation';
+import { fitDepthPlane } from '../utils/depthPlane';
+
+const DEFAULT_THRESHOLDS = {
+  maxResidual: 0.04, // RMS plane-fit error (relative depth) still counted as flat
+  tiltSlope: 0.08,   // top-to-centre depth change that reads as floor/ceiling
+  minSpread: 0.005,  // depth this uniform usually means the model saw nothing useful
+};
+
+class DepthSurfaceDetector extends SurfaceDetector {
+  static id = 'depth';
+
+  static capabilities = {
+    estimatesDepth: true,
+    requires: ['tfjs'],
+  };
+
+  static isSupported() {
+    return supportsDepthEstimation();
+  }
+
+  static async create(options = {}) {
+    const estimator = await acquireDepthEstimator(options);
+    return new DepthSurfaceDetector(estimator, options);
+  }
+
+  constructor(estimator, { thresholds = {}, ...options } = {}) {
+    super({ width: 192, height: 256, ...options });
+    this.estimator = estimator;
+    this.thresholds = { ...DEFAULT_THRESHOLDS, ...thresholds };
+    this.smoother = new ResultSmoother();
+    this.busy = false;
+    this.lastDepth = null;
+  }
+
+  async analyzeFrame(video) {
+    if (!this.isVideoReady(video)) return CAMERA_STARTING;
+    if (this.busy || !this.estimator) return null;
+
+    this.busy = true;
+    try {
+      const depth = await this.estimator.estimate(this.grabFrame(video));
+      this.lastDepth = depth;
+      return this.smoother.smooth(this.evaluate(depth));
+    } catch (err) {
+      console.warn('⚠️ Depth estimation failed:', err.message);
+      return null;
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  evaluate(depth) {
+    const t = this.thresholds;
+    const fit = fitDepthPlane(depth, { region: { x: 0.15, y: 0.15, width: 0.7, height: 0.7 } });
+
+    if (!fit) {
+      return { isPlane: false, confidence: 0, surfaceType: 'uncertain', reason: '🔄 Keep moving slowly', metrics: null };
+    }
+
+    const metrics = {
+      flatness: Math.max(0, 1 - fit.rms / t.maxResidual).toFixed(2),
+      slope: fit.b.toFixed(3),
+      depth: fit.c.toFixed(2),
+    };
+    const spread = Math.abs(fit.a) + Math.abs(fit.b) + fit.rms;
+
+    if (spread < t.minSpread) {
+      return { isPlane: false, confidence: 0.1, surfaceType: 'uncertain', reason: '🔄 Point at a wall with some light on it', metrics };
+    }
+
+    if (fit.rms > t.maxResidual) {
+      return { isPlane: false, confidence: 0.15, surfaceType: 'busy', reason: '🎨 Not flat - find a clear patch of wall', metrics };
+    }
+
+    const flatness = 1 - fit.rms / t.maxResidual;
+
+    // Floors recede towards the top of the image, ceilings towards the bottom
+    if (fit.b < -t.tiltSlope) {
+      return { isPlane: true, confidence: 0.5, surfaceType: 'floor', reason: '⬇️ Floor - aim at wall (or tap to place on floor)', metrics };
+    }
+    if (fit.b > t.tiltSlope) {
+      return { isPlane: false, confidence: 0.3, surfaceType: 'ceiling', reason: '⬆️ Ceiling - aim lower', metrics };
+    }
+
+    return {
+      isPlane: true,
+      confidence: Math.min(0.98, 0.5 + flatness * 0.5),
+      surfaceType: 'wall',
+      reason: '✅ Wall detected - tap to place',
+      metrics,
+    };
+  }
+
+  reset() {
+    this.smoother.reset();
+    this.lastDepth = null;
+  }
+
+  dispose() {
+    if (this.estimator) releaseDepthEstimator();
+    this.estimator = null;
+  }
+}
+
+export default DepthSurfaceDetector;
@@ -0,0 +1,195 @@
+/**
+ * Device Sensors Service
+ * Gravity estimation from deviceorientation/devicemotion behind a swappable
+ * sensor source, so levelling logic can run without a phone.
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Sensor source backed by window events. Emits
+ * `{ type: 'motion', gravity: {x, y, z}, rotationRate: {alpha, beta, gamma} }`
+ * (either field may be null) and `{ type: 'orientation', alpha, beta, gamma }`
+ * readings.
+ */
+export const createWindowSensorSource = () => ({
+  /**
+   * iOS 13+ gates motion sensors behind a permission prompt that must be
+   * requested from a user gesture.
+   */
+  async requestPermission() {
+    const request = window.DeviceMotionEvent?.requestPermission;
+    if (typeof request !== 'function') return true;
+
+    try {
+      return (await request()) === 'granted';
+    } catch {
+      return false;
+    }
+  },
+
+  subscribe(listener) {
+    if (typeof window === 'undefined') return () => {};
+
+    const handleMotion = (event) => {
+      const g = event.accelerationIncludingGravity;
+      const r = event.rotationRate;
+      const gravity = g && g.x !== null ? { x: g.x, y: g.y, z: g.z } : null;
+      const rotationRate = r && r.alpha !== null ? { alpha: r.alpha, beta: r.beta, gamma: r.gamma } : null;
+
+      if (!gravity && !rotationRate) return;
+      listener({ type: 'motion', gravity, rotationRate });
+    };
+
+    const handleOrientation = (event) => {
+      if (event.beta === null) return;
+      listener({ type: 'orientation', alpha: event.alpha, beta: event.beta, gamma: event.gamma });
+    };
+
+    window.addEventListener('devicemotion', handleMotion);
+    window.addEventListener('deviceorientation', handleOrientation);
+
+    return () => {
+      window.removeEventListener('devicemotion', handleMotion);
+      window.removeEventListener('deviceorientation', handleOrientation);
+    };
+  },
+
+  getScreenAngle() {
+    return window.screen?.orientation?.angle || 0;
+  },
+});
+
+/**
+ * Sensor source fed by hand - for desktop development and tests.
+ */
+export const createManualSensorSource = ({ screenAngle = 0 } = {}) => {
+  const listeners = new Set();
+
+  return {
+    async requestPermission() {
+      return true;
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    getScreenAngle() {
+      return screenAngle;
+    },
+
+    emit(reading) {
+      listeners.forEach(listener => listener(reading));
+    },
+  };
+};
+
+/**
+ * Up vector in device coordinates from deviceorientation Euler angles
+ * (intrinsic Z-X'-Y'').
+ */
+export const upFromOrientation = (beta, gamma) => {
+  const b = THREE.MathUtils.degToRad(beta);
+  const g = THREE.MathUtils.degToRad(gamma);
+
+  return new THREE.Vector3(
+    -Math.cos(b) * Math.sin(g),
+    Math.sin(b),
+    Math.cos(b) * Math.cos(g)
+  );
+};
+
+/**
+ * Gravity sensor - keeps a smoothed "up" vector in camera space.
+ * devicemotion readings are preferred; deviceorientation is used until
+ * (or unless) motion events arrive.
+ */
+export class GravitySensor {
+  constructor({ source = createWindowSensorSource(), smoothing = 0.2 } = {}) {
+    this.source = source;
+    this.smoothing = smoothing;
+    this.up = null;
+    this.hasMotion = false;
+    this.unsubscribe = null;
+    this.listeners = new Set();
+  }
+
+  start() {
+    if (this.unsubscribe) return;
+    this.unsubscribe = this.source.subscribe(reading => this.handleReading(reading));
+  }
+
+  stop() {
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+  }
+
+  requestPermission() {
+    return this.source.requestPermission();
+  }
+
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  handleReading(reading) {
+    let deviceUp;
+
+    if (reading.type === 'motion' && reading.gravity) {
+      this.hasMotion = true;
+      const { x, y, z } = reading.gravity;
+      deviceUp = new THREE.Vector3(x, y, z);
+    } else if (reading.type === 'orientation' && !this.hasMotion) {
+      deviceUp = upFromOrientation(reading.beta, reading.gamma);
+    } else {
+      return;
+    }
+
+    if (deviceUp.lengthSq() < 1e-6) return;
+
+    const cameraUp = this.toCameraSpace(deviceUp.normalize());
+
+    if (!this.up) {
+      this.up = cameraUp;
+    } else {
+      this.up.lerp(cameraUp, this.smoothing).normalize();
+    }
+
+    this.listeners.forEach(listener => listener(this.up));
+  }
+
+  /**
+   * Device axes match camera axes in portrait; undo screen rotation otherwise.
+   * The screen angle counts the device's turn anticlockwise, which turns its
+   * axes the same way under the upright screen (as DeviceOrientationControls).
+   */
+  toCameraSpace(deviceUp) {
+    const angle = THREE.MathUtils.degToRad(this.source.getScreenAngle());
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+
+    return new THREE.Vector3(
+      deviceUp.x * cos - deviceUp.y * sin,
+      deviceUp.x * sin + deviceUp.y * cos,
+      deviceUp.z
+    );
+  }
+
+  /**
+   * Camera roll in degrees: 0 when the phone's top edge points straight up.
+   */
+  getRoll() {
+    if (!this.up) return 0;
+    return THREE.MathUtils.radToDeg(Math.atan2(-this.up.x, this.up.y));
+  }
+
+  reset() {
+    this.up = null;
+    this.hasMotion = false;
+  }
+}
+
+export default GravitySensor;
@@ -0,0 +1,93 @@
+import * as THREE from 'three';
+import { GravitySensor, createManualSensorSource } from './deviceSensors';
+import { getTilt, snapToLevel } from '../utils/level';
+
+// Gravity as devicemotion reports it for a phone held upright, rolled `degrees` clockwise
+const rolled = (degrees) => {
+  const angle = THREE.MathUtils.degToRad(degrees);
+  return { type: 'motion', gravity: { x: -9.81 * Math.sin(angle), y: 9.81 * Math.cos(angle), z: 0 }, rotationRate: null };
+};
+
+const startSensor = (options = {}) => {
+  const source = createManualSensorSource(options);
+  const sensor = new GravitySensor({ source, smoothing: 1 });
+  sensor.start();
+  return { source, sensor };
+};
+
+describe('GravitySensor', () => {
+  it('has no roll before any reading', () => {
+    const { sensor } = startSensor();
+    expect(sensor.up).toBeNull();
+    expect(sensor.getRoll()).toBe(0);
+  });
+
+  it('reads the roll from devicemotion gravity', () => {
+    const { source, sensor } = startSensor();
+
+    source.emit(rolled(0));
+    expect(sensor.getRoll()).toBeCloseTo(0);
+
+    source.emit(rolled(15));
+    expect(sensor.getRoll()).toBeCloseTo(15);
+
+    source.emit(rolled(-30));
+    expect(sensor.getRoll()).toBeCloseTo(-30);
+  });
+
+  it('falls back to deviceorientation until motion arrives', () => {
+    const { source, sensor } = startSensor();
+
+    source.emit({ type: 'orientation', alpha: 0, beta: 90, gamma: 0 });
+    expect(sensor.up.y).toBeCloseTo(1);
+
+    source.emit(rolled(10));
+    source.emit({ type: 'orientation', alpha: 0, beta: 90, gamma: 0 });
+    expect(sensor.getRoll()).toBeCloseTo(10);
+  });
+
+  it('undoes the screen rotation in landscape', () => {
+    const { source, sensor } = startSensor({ screenAngle: 90 });
+
+    // Turned a quarter turn anticlockwise for landscape, up runs along the device's +X
+    source.emit({ type: 'motion', gravity: { x: 9.81, y: 0, z: 0 }, rotationRate: null });
+    expect(sensor.getRoll()).toBeCloseTo(0);
+  });
+
+  it('smooths readings', () => {
+    const source = createManualSensorSource();
+    const sensor = new GravitySensor({ source, smoothing: 0.2 });
+    sensor.start();
+
+    source.emit(rolled(0));
+    source.emit(rolled(20));
+    expect(sensor.getRoll()).toBeGreaterThan(0);
+    expect(sensor.getRoll()).toBeLessThan(20);
+  });
+
+  it('notifies listeners and stops with the source', () => {
+    const { source, sensor } = startSensor();
+    const listener = jest.fn();
+    sensor.onChange(listener);
+
+    source.emit(rolled(5));
+    expect(listener).toHaveBeenCalledTimes(1);
+
+    sensor.stop();
+    source.emit(rolled(8));
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(sensor.getRoll()).toBeCloseTo(5);
+  });
+
+  it('gives the up vector items are levelled against', () => {
+    const { source, sensor } = startSensor();
+    source.emit(rolled(12));
+
+    // Camera looking at a wall straight ahead: the frame placed square to
+    // the screen is tilted by the phone's roll, and snaps level
+    const onScreen = new THREE.Quaternion();
+    expect(THREE.MathUtils.radToDeg(getTilt(onScreen, sensor.up))).toBeCloseTo(-12);
+    expect(getTilt(snapToLevel(onScreen, sensor.up, 15), sensor.up)).toBeCloseTo(0);
+    expect(snapToLevel(onScreen, sensor.up, 4).angleTo(onScreen)).toBeCloseTo(0);
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * Light Estimator
+ * Rough scene lighting from camera frames - overall brightness, colour
+ * temperature (grey-world white balance) and where the brightest light
+ * comes from - smoothed over time so the scene lights don't flicker.
+ *
+ * Frames are plain `{ data, width, height }` RGBA images: the detector's
+ * sampled frames are reused rather than reading the video back again.
+ */
+
+import * as THREE from 'three';
+
+const DEFAULT_OPTIONS = {
+  smoothing: 0.12,       // blend factor per estimate
+  grid: 8,               // cells per axis for the light direction
+  step: 4,               // sample every n-th pixel in each direction
+  midGrey: 0.18,         // linear luminance that maps to intensity 1
+  minIntensity: 0.25,
+  maxIntensity: 1.6,
+  minTemperature: 2000,  // kelvin
+  maxTemperature: 9000,
+};
+
+// What the scene looks like before any frame has been analysed
+export const NEUTRAL_LIGHTING = {
+  intensity: 1,
+  temperature: 6500,
+  color: { r: 1, g: 1, b: 1 },
+  direction: { x: 0.5, y: 0.8, z: 0.3 }, // camera space, towards the light
+  directionality: 0.5,                   // 0 = flat ambient, 1 = one strong source
+};
+
+const toLinear = (value) => {
+  const c = value / 255;
+  return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+};
+
+// 8-bit sRGB -> linear lookup
+const LINEAR = Float32Array.from({ length: 256 }, (_, i) => toLinear(i));
+
+/**
+ * Correlated colour temperature (McCamy's approximation) of a linear sRGB
+ * colour.
+ */
+export const colorTemperature = ({ r, g, b }) => {
+  const X = 0.4124 * r + 0.3576 * g + 0.1805 * b;
+  const Y = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  const Z = 0.0193 * r + 0.1192 * g + 0.9505 * b;
+  const sum = X + Y + Z;
+  if (sum <= 0) return NEUTRAL_LIGHTING.temperature;
+
+  const x = X / sum;
+  const y = Y / sum;
+  const n = (x - 0.332) / (0.1858 - y);
+  return 449 * n ** 3 + 3525 * n ** 2 + 6823.3 * n + 5520.33;
+};
+
+/**
+ * Approximate light colour (linear RGB, max channel 1) for a colour
+ * temperature - Tanner Helland's blackbody fit.
+ */
+export const temperatureToColor = (kelvin) => {
+  const t = kelvin / 100;
+  const clamp = v => THREE.MathUtils.clamp(v, 0, 255) / 255;
+
+  const r = t <= 66 ? 1 : clamp(329.698727446 * (t - 60) ** -0.1332047592);
+  const g = t <= 66
+    ? clamp(99.4708025861 * Math.log(t) - 161.1195681661)
+    : clamp(288.1221695283 * (t - 60) ** -0.0755148492);
+  const b = t >= 66 ? 1 : t <= 19 ? 0 : clamp(138.5177312231 * Math.log(t - 10) - 305.0447927307);
+
+  return { r: toLinear(r * 255), g: toLinear(g * 255), b: toLinear(b * 255) };
+};
+
+class LightEstimator {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.current = null;
+  }
+
+  /**
+   * Measures one frame without smoothing.
+   *
+   * @param {{ data, width, height }} frame - RGBA pixels
+   * @returns {{ intensity, temperature, color, direction, directionality }}
+   */
+  measure(frame) {
+    const { data, width, height } = frame;
+    const { grid, step } = this.options;
+    const cells = new Float32Array(grid * grid);
+    const counts = new Uint32Array(grid * grid);
+
+    let sumR = 0;
+    let sumG = 0;
+    let sumB = 0;
+    let sumY = 0;
+    let balanced = 0;
+    let samples = 0;
+
+    for (let y = 0; y < height; y += step) {
+      const row = Math.min(grid - 1, Math.floor((y / height) * grid));
+      for (let x = 0; x < width; x += step) {
+        const i = (y * width + x) * 4;
+        const r = LINEAR[data[i]];
+        const g = LINEAR[data[i + 1]];
+        const b = LINEAR[data[i + 2]];
+        const luminance = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+
+        const cell = row * grid + Math.min(grid - 1, Math.floor((x / width) * grid));
+        cells[cell] += luminance;
+        counts[cell]++;
+        sumY += luminance;
+        samples++;
+
+        // Clipped and near-black pixels say nothing about the light's colour
+        if (data[i] < 250 && data[i + 1] < 250 && data[i + 2] < 250 && luminance > 0.01) {
+          sumR += r;
+          sumG += g;
+          sumB += b;
+          balanced++;
+        }
+      }
+    }
+
+    if (samples === 0) return { ...NEUTRAL_LIGHTING };
+
+    const mean = sumY / samples;
+    const { minIntensity, maxIntensity, minTemperature, maxTemperature } = this.options;
+    const intensity = THREE.MathUtils.clamp(mean / this.options.midGrey, minIntensity, maxIntensity);
+
+    const temperature = balanced > 0
+      ? THREE.MathUtils.clamp(
+        colorTemperature({ r: sumR / balanced, g: sumG / balanced, b: sumB / balanced }),
+        minTemperature,
+        maxTemperature
+      )
+      : NEUTRAL_LIGHTING.temperature;
+
+    return {
+      intensity,
+      temperature,
+      color: temperatureToColor(temperature),
+      ...this.direction(cells, counts, mean),
+    };
+  }
+
+  /**
+   * Brightness-weighted centroid of the cells brighter than average: a lit
+   * side of the frame points (roughly) towards the light. Camera space, +Z
+   * towards the viewer.
+   */
+  direction(cells, counts, mean) {
+    const { grid } = this.options;
+    let cx = 0;
+    let cy = 0;
+    let weight = 0;
+    let peak = 0;
+
+    for (let row = 0; row < grid; row++) {
+      for (let col = 0; col < grid; col++) {
+        const i = row * grid + col;
+        if (!counts[i]) continue;
+
+        const excess = cells[i] / counts[i] - mean;
+        peak = Math.max(peak, excess);
+        if (excess <= 0) continue;
+
+        cx += excess * (((col + 0.5) / grid) * 2 - 1);
+        cy += excess * (1 - ((row + 0.5) / grid) * 2);
+        weight += excess;
+      }
+    }
+
+    // An evenly lit frame has no dominant direction
+    if (weight === 0 || mean <= 0 || peak / mean < 0.02) {
+      return { direction: { ...NEUTRAL_LIGHTING.direction }, directionality: 0 };
+    }
+
+    const offset = new THREE.Vector3(cx / weight, cy / weight, 0);
+    const direction = new THREE.Vector3(offset.x, offset.y, 0.6).normalize();
+
+    return {
+      direction: { x: direction.x, y: direction.y, z: direction.z },
+      // How much brighter the brightest region is than the frame overall
+      directionality: THREE.MathUtils.clamp(peak / mean, 0, 1),
+    };
+  }
+
+  /**
+   * Measures a frame and folds it into the running estimate. With the
+   * camera's world rotation the direction is kept in world space, so turning
+   * the phone doesn't swing the light around.
+   *
+   * @param {{ data, width, height }} frame - RGBA pixels
+   * @param {THREE.Quaternion} [rotation] - camera orientation for this frame
+   */
+  update(frame, rotation = null) {
+    const next = this.measure(frame);
+    if (rotation) {
+      const world = new THREE.Vector3(next.direction.x, next.direction.y, next.direction.z).applyQuaternion(rotation);
+      next.direction = { x: world.x, y: world.y, z: world.z };
+    }
+    if (!this.current) {
+      this.current = next;
+      return this.current;
+    }
+
+    const alpha = this.options.smoothing;
+    const blend = (a, b) => a + (b - a) * alpha;
+    const prev = this.current;
+    const direction = new THREE.Vector3(prev.direction.x, prev.direction.y, prev.direction.z)
+      .lerp(new THREE.Vector3(next.direction.x, next.direction.y, next.direction.z), alpha)
+      .normalize();
+    const temperature = blend(prev.temperature, next.temperature);
+
+    this.current = {
+      intensity: blend(prev.intensity, next.intensity),
+      temperature,
+      color: temperatureToColor(temperature),
+      direction: { x: direction.x, y: direction.y, z: direction.z },
+      directionality: blend(prev.directionality, next.directionality),
+    };
+    return this.current;
+  }
+
+  reset() {
+    this.current = null;
+  }
+}
+
+export default LightEstimator;
@@ -0,0 +1,65 @@
+/**
+ * OpenCV Loader
+ * Loads opencv.js at runtime (it is far too large to go through the bundler)
+ * and resolves once the WASM/asm.js runtime is ready.
+ */
+
+import { VISION_CONFIG } from '../utils/constants';
+
+let loading = null;
+
+const isReady = (cv) => Boolean(cv && typeof cv.Mat === 'function');
+
+const waitForRuntime = (cv) => new Promise((resolve) => {
+  if (isReady(cv)) {
+    resolve(cv);
+    return;
+  }
+
+  const previous = cv.onRuntimeInitialized;
+  cv.onRuntimeInitialized = () => {
+    previous?.();
+    resolve(cv);
+  };
+});
+
+/**
+ * Resolves with the `cv` namespace. Concurrent callers share one script
+ * request; a failed load can be retried.
+ */
+export const loadOpenCV = (url = VISION_CONFIG.OPENCV_URL) => {
+  if (typeof window === 'undefined') {
+    return Promise.reject(new Error('OpenCV can only be loaded in a browser'));
+  }
+
+  if (window.cv) return waitForRuntime(window.cv);
+  if (loading) return loading;
+
+  loading = new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = url;
+    script.async = true;
+
+    script.onload = () => {
+      if (!window.cv) {
+        reject(new Error('opencv.js loaded but did not define cv'));
+        return;
+      }
+      waitForRuntime(window.cv).then(resolve);
+    };
+
+    script.onerror = () => {
+      script.remove();
+      reject(new Error(`Failed to load opencv.js from ${url}`));
+    };
+
+    document.head.appendChild(script);
+  }).catch((error) => {
+    loading = null;
+    throw error;
+  });
+
+  return loading;
+};
+
+export default loadOpenCV;
@@ -0,0 +1,182 @@
+/**
+ * OpenCV Surface Detector
+ * Surface-detection backend on straight lines: edges and Hough segments show
+ * how busy the surface is, and where the receding lines converge (their
+ * vanishing point) tells a wall seen head-on from a floor or ceiling.
+ * The analysis runs on the main thread, so frames are paced by `interval`.
+ */
+
+import { SurfaceDetector, CAMERA_STARTING } from './surfaceDetector';
+import { ResultSmoother } from './surfaceAnalysis';
+import loadOpenCV from './opencv';
+
+const DEFAULT_THRESHOLDS = {
+  minBrightness: 15,
+  maxBrightness: 240,
+  maxEdgeDensity: 0.12,  // share of Canny edge pixels that reads as a busy surface
+  axisTolerance: 12,     // degrees from horizontal/vertical still counted as axis-aligned
+  minRecedingShare: 0.4, // share of receding lines needed to trust a vanishing point
+  horizonBand: 0.35,     // vanishing points this far above/below centre (of height) mean floor/ceiling
+};
+
+/**
+ * Least-squares intersection of 2D lines given as segments; null when they
+ * are (nearly) parallel.
+ */
+export const vanishingPoint = (segments) => {
+  let a11 = 0, a12 = 0, a22 = 0, b1 = 0, b2 = 0;
+
+  segments.forEach(({ x1, y1, x2, y2 }) => {
+    const length = Math.hypot(x2 - x1, y2 - y1);
+    if (length === 0) return;
+
+    // Unit normal; longer segments get more weight
+    const nx = -(y2 - y1) / length;
+    const ny = (x2 - x1) / length;
+    const c = nx * x1 + ny * y1;
+
+    a11 += nx * nx * length;
+    a12 += nx * ny * length;
+    a22 += ny * ny * length;
+    b1 += nx * c * length;
+    b2 += ny * c * length;
+  });
+
+  const det = a11 * a22 - a12 * a12;
+  if (Math.abs(det) < 1e-6) return null;
+
+  return {
+    x: (a22 * b1 - a12 * b2) / det,
+    y: (a11 * b2 - a12 * b1) / det,
+  };
+};
+
+class OpenCVSurfaceDetector extends SurfaceDetector {
+  static id = 'opencv';
+
+  static capabilities = {
+    requires: ['opencv'],
+  };
+
+  static async create(options = {}) {
+    const cv = await loadOpenCV();
+    return new OpenCVSurfaceDetector(cv, options);
+  }
+
+  /**
+   * @param {Object} cv
+   * @param {Object} [options]
+   * @param {number} [options.interval] - minimum ms between analysed frames
+   */
+  constructor(cv, { thresholds = {}, interval = 200, ...options } = {}) {
+    super(options);
+    this.cv = cv;
+    this.thresholds = { ...DEFAULT_THRESHOLDS, ...thresholds };
+    this.smoother = new ResultSmoother();
+    this.interval = interval;
+    this.lastAnalysis = 0;
+  }
+
+  async analyzeFrame(video) {
+    if (!this.isVideoReady(video)) return CAMERA_STARTING;
+
+    const now = performance.now();
+    if (now - this.lastAnalysis < this.interval) return null;
+    this.lastAnalysis = now;
+
+    try {
+      return this.smoother.smooth(this.evaluate(this.extractLines(this.grabFrame(video))));
+    } catch (err) {
+      console.warn('⚠️ Line analysis failed:', err.message);
+      return null;
+    }
+  }
+
+  extractLines(image) {
+    const { cv } = this;
+    const rgba = cv.matFromImageData(image);
+    const gray = new cv.Mat();
+    const edges = new cv.Mat();
+    const lines = new cv.Mat();
+
+    try {
+      cv.cvtColor(rgba, gray, cv.COLOR_RGBA2GRAY);
+      cv.GaussianBlur(gray, gray, new cv.Size(5, 5), 0);
+      cv.Canny(gray, edges, 50, 150);
+      cv.HoughLinesP(edges, lines, 1, Math.PI / 180, 40, Math.min(image.width, image.height) / 8, 8);
+
+      const brightness = cv.mean(gray)[0];
+      const edgeDensity = cv.countNonZero(edges) / (image.width * image.height);
+
+      const segments = [];
+      for (let i = 0; i < lines.rows; i++) {
+        const [x1, y1, x2, y2] = lines.data32S.slice(i * 4, i * 4 + 4);
+        segments.push({ x1, y1, x2, y2 });
+      }
+
+      return { brightness, edgeDensity, segments, width: image.width, height: image.height };
+    } finally {
+      [rgba, gray, edges, lines].forEach(mat => mat.delete());
+    }
+  }
+
+  evaluate({ brightness, edgeDensity, segments, width, height }) {
+    const t = this.thresholds;
+
+    const axisAligned = [];
+    const receding = [];
+    segments.forEach((segment) => {
+      const angle = Math.abs(Math.atan2(segment.y2 - segment.y1, segment.x2 - segment.x1) * 180 / Math.PI) % 180;
+      const fromAxis = Math.min(angle, Math.abs(90 - angle), 180 - angle);
+      (fromAxis <= t.axisTolerance ? axisAligned : receding).push(segment);
+    });
+
+    const recedingShare = segments.length ? receding.length / segments.length : 0;
+    const vp = receding.length >= 2 ? vanishingPoint(receding) : null;
+    const vpOffset = vp ? (vp.y - height / 2) / height : 0;
+
+    const metrics = {
+      lines: segments.length,
+      edges: edgeDensity.toFixed(2),
+      aligned: segments.length ? (axisAligned.length / segments.length).toFixed(2) : '1.00',
+      brightness: brightness.toFixed(0),
+    };
+
+    if (brightness > t.maxBrightness) {
+      return { isPlane: false, confidence: 0.05, surfaceType: 'overexposed', reason: '☀️ Too bright - move away from light', metrics };
+    }
+    if (brightness < t.minBrightness) {
+      return { isPlane: false, confidence: 0.05, surfaceType: 'underexposed', reason: '🌑 Too dark - need more light', metrics };
+    }
+    if (edgeDensity > t.maxEdgeDensity) {
+      return { isPlane: false, confidence: 0.15, surfaceType: 'busy', reason: '🎨 Too much detail - find plain surface', metrics };
+    }
+
+    // Lines converging above the image centre recede towards the horizon: floor
+    if (vp && recedingShare >= t.minRecedingShare && Math.abs(vp.x - width / 2) < width * 2) {
+      if (vpOffset < -t.horizonBand) {
+        return { isPlane: true, confidence: 0.5, surfaceType: 'floor', reason: '⬇️ Floor - aim at wall (or tap to place on floor)', metrics };
+      }
+      if (vpOffset > t.horizonBand) {
+        return { isPlane: false, confidence: 0.3, surfaceType: 'ceiling', reason: '⬆️ Ceiling - aim lower', metrics };
+      }
+    }
+
+    // Head-on wall: few edges, and whatever lines there are run level or plumb
+    const plainness = 1 - edgeDensity / t.maxEdgeDensity;
+    const alignment = segments.length ? axisAligned.length / segments.length : 1;
+    const confidence = Math.min(0.98, plainness * 0.6 + alignment * 0.4);
+
+    if (confidence < 0.45) {
+      return { isPlane: false, confidence, surfaceType: 'uncertain', reason: '🔄 Keep moving slowly', metrics };
+    }
+
+    return { isPlane: true, confidence, surfaceType: 'wall', reason: '✅ Wall detected - tap to place', metrics };
+  }
+
+  reset() {
+    this.smoother.reset();
+  }
+}
+
+export default OpenCVSurfaceDetector;
@@ -0,0 +1,285 @@
+/**
+ * Optical Flow Tracker
+ * Follows wall texture between detector frames (ORB keypoints + pyramidal
+ * Lucas-Kanade flow), fits a homography for the wall region and turns the
+ * image motion that device rotation can't explain into camera translation.
+ *
+ * Frames are plain `{ data, width, height }` RGBA images, so recorded
+ * sequences can be replayed without a camera (see `replayFrames`).
+ */
+
+import * as THREE from 'three';
+import {
+  IDENTITY_HOMOGRAPHY,
+  applyHomography,
+  estimateHomographyRansac,
+  multiplyHomography,
+} from '../utils/homography';
+
+const DEFAULT_OPTIONS = {
+  maxFeatures: 200,
+  minFeatures: 40,       // re-detect once fewer tracked points survive
+  region: { x: 0.2, y: 0.15, width: 0.6, height: 0.7 }, // wall region, normalised
+  winSize: 21,
+  maxLevel: 3,
+  maxFlowError: 30,
+  ransacThreshold: 3,    // pixels
+  ransacIterations: 150,
+  minInliers: 12,        // fewer than this and the frame counts as lost
+  random: Math.random,
+};
+
+class OpticalFlowTracker {
+  constructor(cv, options = {}) {
+    this.cv = cv;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.intrinsics = null;
+
+    this.orb = new cv.ORB(this.options.maxFeatures);
+    this.criteria = new cv.TermCriteria(cv.TERM_CRITERIA_EPS | cv.TERM_CRITERIA_COUNT, 10, 0.03);
+
+    this.prevGray = null;
+    this.prevRotation = null;
+    this.points = [];
+    this.cumulative = IDENTITY_HOMOGRAPHY.slice();
+  }
+
+  setIntrinsics(intrinsics) {
+    this.intrinsics = intrinsics;
+  }
+
+  /**
+   * Track one frame against the previous one.
+   *
+   * @param {{ data, width, height }} frame - RGBA pixels
+   * @param {Object} [meta]
+   * @param {THREE.Quaternion} [meta.rotation] - camera orientation for this frame
+   * @param {number} [meta.depth] - metres from the camera to the wall
+   * @returns {{ status, confidence, homography, cumulativeHomography,
+   *   featureCount, inlierCount, pixelShift, translation }}
+   */
+  processFrame(frame, { rotation = null, depth = null } = {}) {
+    const gray = this.toGray(frame);
+    const prevGray = this.prevGray;
+    const prevRotation = this.prevRotation;
+
+    this.prevGray = gray;
+    this.prevRotation = rotation ? rotation.clone() : null;
+
+    if (!prevGray) {
+      this.points = this.detect(gray);
+      return this.result('initializing', { featureCount: this.points.length });
+    }
+
+    if (this.points.length < this.options.minFeatures) {
+      this.points = this.detect(prevGray);
+    }
+
+    const attempted = this.points.length;
+    const { src, dst } = this.flow(prevGray, gray, this.points);
+    prevGray.delete();
+
+    const fit = estimateHomographyRansac(src, dst, {
+      threshold: this.options.ransacThreshold,
+      iterations: this.options.ransacIterations,
+      random: this.options.random,
+    });
+
+    if (!fit.homography || fit.inlierCount < this.options.minInliers) {
+      // Start over from fresh keypoints on the next frame
+      this.points = [];
+      return this.result('lost', { featureCount: attempted, inlierCount: fit.inlierCount });
+    }
+
+    this.points = dst.filter((_, i) => fit.inliers[i]);
+    this.cumulative = multiplyHomography(fit.homography, this.cumulative);
+
+    const inlierRatio = fit.inlierCount / Math.max(attempted, 1);
+    const coverage = Math.min(1, fit.inlierCount / (this.options.minInliers * 3));
+    const confidence = inlierRatio * coverage;
+
+    const pixelShift = this.residualShift(fit.homography, frame, prevRotation, rotation);
+    const translation = pixelShift && depth ? this.toTranslation(pixelShift, depth) : null;
+
+    return this.result('tracking', {
+      confidence,
+      homography: fit.homography,
+      featureCount: attempted,
+      inlierCount: fit.inlierCount,
+      pixelShift,
+      translation,
+    });
+  }
+
+  result(status, values) {
+    return {
+      status,
+      confidence: 0,
+      homography: null,
+      cumulativeHomography: this.cumulative.slice(),
+      featureCount: 0,
+      inlierCount: 0,
+      pixelShift: null,
+      translation: null,
+      ...values,
+    };
+  }
+
+  toGray(frame) {
+    const { cv } = this;
+    const rgba = cv.matFromImageData(frame);
+    const gray = new cv.Mat();
+    cv.cvtColor(rgba, gray, cv.COLOR_RGBA2GRAY);
+    rgba.delete();
+    return gray;
+  }
+
+  regionRect(width, height) {
+    const { region } = this.options;
+    return {
+      x: Math.round(region.x * width),
+      y: Math.round(region.y * height),
+      width: Math.round(region.width * width),
+      height: Math.round(region.height * height),
+    };
+  }
+
+  /**
+   * ORB keypoints inside the wall region, falling back to Shi-Tomasi corners
+   * on low-texture walls.
+   */
+  detect(gray) {
+    const { cv } = this;
+    const rect = this.regionRect(gray.cols, gray.rows);
+    const mask = cv.Mat.zeros(gray.rows, gray.cols, cv.CV_8UC1);
+    const roi = mask.roi(new cv.Rect(rect.x, rect.y, rect.width, rect.height));
+    roi.setTo(new cv.Scalar(255));
+    roi.delete();
+
+    const points = [];
+    const keypoints = new cv.KeyPointVector();
+    this.orb.detect(gray, keypoints, mask);
+    for (let i = 0; i < keypoints.size(); i++) {
+      const { pt } = keypoints.get(i);
+      points.push({ x: pt.x, y: pt.y });
+    }
+    keypoints.delete();
+
+    if (points.length < this.options.minFeatures) {
+      const corners = new cv.Mat();
+      cv.goodFeaturesToTrack(gray, corners, this.options.maxFeatures, 0.01, 7, mask);
+      points.length = 0;
+      for (let i = 0; i < corners.rows; i++) {
+        points.push({ x: corners.data32F[i * 2], y: corners.data32F[i * 2 + 1] });
+      }
+      corners.delete();
+    }
+
+    mask.delete();
+    return points;
+  }
+
+  /**
+   * Pyramidal Lucas-Kanade; returns the matched point pairs that stayed in frame
+   */
+  flow(prevGray, gray, points) {
+    const { cv } = this;
+    const src = [];
+    const dst = [];
+    if (points.length === 0) return { src, dst };
+
+    const prevPts = cv.matFromArray(points.length, 1, cv.CV_32FC2, points.flatMap(p => [p.x, p.y]));
+    const nextPts = new cv.Mat();
+    const status = new cv.Mat();
+    const err = new cv.Mat();
+    const win = new cv.Size(this.options.winSize, this.options.winSize);
+
+    cv.calcOpticalFlowPyrLK(prevGray, gray, prevPts, nextPts, status, err, win, this.options.maxLevel, this.criteria);
+
+    for (let i = 0; i < points.length; i++) {
+      if (!status.data[i] || err.data32F[i] > this.options.maxFlowError) continue;
+
+      const x = nextPts.data32F[i * 2];
+      const y = nextPts.data32F[i * 2 + 1];
+      if (x < 0 || y < 0 || x >= gray.cols || y >= gray.rows) continue;
+
+      src.push(points[i]);
+      dst.push({ x, y });
+    }
+
+    [prevPts, nextPts, status, err].forEach(mat => mat.delete());
+    return { src, dst };
+  }
+
+  /**
+   * Image motion of the wall region's centre minus the motion the camera's
+   * rotation alone would cause. Without rotation data the whole motion is
+   * attributed to translation.
+   */
+  residualShift(homography, frame, prevRotation, rotation) {
+    if (!this.intrinsics) return null;
+
+    const rect = this.regionRect(frame.width, frame.height);
+    const centre = { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 };
+    const observed = applyHomography(homography, centre);
+    const predicted = prevRotation && rotation
+      ? this.rotatePoint(centre, prevRotation, rotation)
+      : centre;
+
+    if (!predicted) return null;
+    return { x: observed.x - predicted.x, y: observed.y - predicted.y };
+  }
+
+  /**
+   * Where a pixel moves when the camera only rotates from `from` to `to`
+   */
+  rotatePoint({ x, y }, from, to) {
+    const { fx, fy, cx, cy } = this.intrinsics;
+    const ray = new THREE.Vector3((x - cx) / fx, -(y - cy) / fy, -1)
+      .applyQuaternion(from)
+      .applyQuaternion(to.clone().invert());
+
+    // Point ended up behind the camera
+    if (ray.z >= -1e-6) return null;
+
+    return {
+      x: cx + fx * (ray.x / -ray.z),
+      y: cy - fy * (ray.y / -ray.z),
+    };
+  }
+
+  /**
+   * Camera-space translation (metres) for a pixel shift of wall texture at
+   * `depth`: the wall moves opposite to the camera.
+   */
+  toTranslation(pixelShift, depth) {
+    const { fx, fy } = this.intrinsics;
+    return new THREE.Vector3(
+      (-pixelShift.x * depth) / fx,
+      (pixelShift.y * depth) / fy,
+      0
+    );
+  }
+
+  reset() {
+    this.prevGray?.delete();
+    this.prevGray = null;
+    this.prevRotation = null;
+    this.points = [];
+    this.cumulative = IDENTITY_HOMOGRAPHY.slice();
+  }
+
+  dispose() {
+    this.reset();
+    this.orb.delete();
+  }
+}
+
+/**
+ * Runs a recorded sequence of `{ image, rotation, depth }` frames through a
+ * tracker and returns the per-frame results.
+ */
+export const replayFrames = (tracker, frames) =>
+  frames.map(({ image, ...meta }) => tracker.processFrame(image, meta));
+
+export default OpticalFlowTracker;
@@ -0,0 +1,158 @@
+import * as THREE from 'three';
+import OpticalFlowTracker, { replayFrames } from './opticalFlowTracker';
+import { seeded } from '../testing/seeded';
+
+// The installed asm.js build, loaded directly - the app loads the same file
+// from public/ at runtime
+const cv = require('opencv.js');
+
+const WIDTH = 160;
+const HEIGHT = 120;
+const INTRINSICS = { fx: 150, fy: 150, cx: WIDTH / 2, cy: HEIGHT / 2 };
+const DEPTH = 2;
+
+/**
+ * Smooth random wall texture - value noise on an 8 px lattice, interpolated
+ * so Lucas-Kanade has gradients to follow - sampled at any pixel offset.
+ */
+const wallTexture = (seed, cell = 8) => {
+  const random = seeded(seed);
+  const lattice = new Map();
+  const at = (i, j) => {
+    const key = `${i},${j}`;
+    if (!lattice.has(key)) lattice.set(key, random() * 255);
+    return lattice.get(key);
+  };
+  const smooth = (t) => t * t * (3 - 2 * t);
+
+  return (x, y) => {
+    const i = Math.floor(x / cell);
+    const j = Math.floor(y / cell);
+    const u = smooth(x / cell - i);
+    const v = smooth(y / cell - j);
+    const top = at(i, j) * (1 - u) + at(i + 1, j) * u;
+    const bottom = at(i, j + 1) * (1 - u) + at(i + 1, j + 1) * u;
+    return top * (1 - v) + bottom * v;
+  };
+};
+
+/**
+ * One camera frame: the wall texture shifted by `offset` pixels, with an
+ * optional square `patch` of other texture moving on its own - the outliers.
+ */
+const frame = (texture, offset, patch = null) => {
+  const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      const inPatch = patch && x >= patch.x && x < patch.x + patch.size && y >= patch.y && y < patch.y + patch.size;
+      const value = inPatch
+        ? patch.texture(x - patch.x + 100, y - patch.y + 100)
+        : texture(x - offset.x + 100, y - offset.y + 100);
+      const i = (y * WIDTH + x) * 4;
+      data[i] = data[i + 1] = data[i + 2] = value;
+      data[i + 3] = 255;
+    }
+  }
+  return { data, width: WIDTH, height: HEIGHT };
+};
+
+/**
+ * `count` frames of wall texture moving `step` pixels a frame, the camera
+ * holding still in rotation. `patch(k)` places the outlier patch in frame k.
+ */
+const sequence = (count, step, patch = () => null) => {
+  const texture = wallTexture(11);
+  return Array.from({ length: count }, (_, k) => ({
+    image: frame(texture, { x: step.x * k, y: step.y * k }, patch(k)),
+    rotation: new THREE.Quaternion(),
+    depth: DEPTH,
+  }));
+};
+
+const createTracker = () => {
+  const tracker = new OpticalFlowTracker(cv, { random: seeded(5) });
+  tracker.setIntrinsics(INTRINSICS);
+  return tracker;
+};
+
+describe('replayFrames', () => {
+  let tracker;
+
+  beforeEach(() => {
+    tracker = createTracker();
+  });
+
+  afterEach(() => {
+    tracker.dispose();
+  });
+
+  it('recovers a known camera translation from the wall motion', () => {
+    const step = { x: 2, y: -1 };
+    const results = replayFrames(tracker, sequence(5, step));
+
+    expect(results[0].status).toBe('initializing');
+    expect(results[0].featureCount).toBeGreaterThan(0);
+
+    results.slice(1).forEach((result) => {
+      expect(result.status).toBe('tracking');
+      expect(result.confidence).toBeGreaterThan(0.3);
+
+      const { homography, pixelShift, translation } = result;
+      expect(homography[2]).toBeCloseTo(step.x, 0);
+      expect(homography[5]).toBeCloseTo(step.y, 0);
+      expect(pixelShift.x).toBeCloseTo(step.x, 0);
+      expect(pixelShift.y).toBeCloseTo(step.y, 0);
+
+      // The wall moving right in the image is the camera moving left
+      expect(translation.x).toBeCloseTo((-step.x * DEPTH) / INTRINSICS.fx, 2);
+      expect(translation.y).toBeCloseTo((step.y * DEPTH) / INTRINSICS.fy, 2);
+    });
+
+    const cumulative = results[results.length - 1].cumulativeHomography;
+    expect(cumulative[2]).toBeCloseTo(step.x * 4, 0);
+    expect(cumulative[5]).toBeCloseTo(step.y * 4, 0);
+  });
+
+  it('follows the wall past a patch moving the other way', () => {
+    // Far enough apart that no one homography fits both within the RANSAC threshold
+    const step = { x: -4, y: 2 };
+    const other = wallTexture(23);
+    const patch = (k) => ({ x: 56 + 5 * k, y: 45 - 3 * k, size: 24, texture: other });
+    const results = replayFrames(tracker, sequence(5, step, patch));
+
+    results.slice(1).forEach((result) => {
+      expect(result.status).toBe('tracking');
+      expect(result.inlierCount).toBeLessThan(result.featureCount);
+      expect(result.pixelShift.x).toBeCloseTo(step.x, 0);
+      expect(result.pixelShift.y).toBeCloseTo(step.y, 0);
+    });
+  });
+
+  it('takes out the image motion the camera rotation explains', () => {
+    // Panning right by the angle that moves the wall 3 px left at the centre
+    const angle = Math.atan(3 / INTRINSICS.fx);
+    const frames = sequence(3, { x: -3, y: 0 }).map((entry, k) => ({
+      ...entry,
+      rotation: new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), -angle * k),
+    }));
+
+    const results = replayFrames(tracker, frames);
+    results.slice(1).forEach((result) => {
+      expect(result.status).toBe('tracking');
+      expect(Math.abs(result.pixelShift.x)).toBeLessThan(0.5);
+      expect(Math.abs(result.translation.x)).toBeLessThan(0.01);
+    });
+  });
+
+  it('has little confidence in a frame unrelated to the last', () => {
+    const texture = wallTexture(11);
+    const frames = [
+      { image: frame(texture, { x: 0, y: 0 }), depth: DEPTH },
+      { image: frame(wallTexture(99), { x: 0, y: 0 }), depth: DEPTH },
+    ];
+
+    // Below the confidence the anchors count as lost at
+    const [, unrelated] = replayFrames(tracker, frames);
+    expect(unrelated.confidence).toBeLessThan(0.3);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * People Segmentation Service
+ * Person masks from MediaPipe Selfie Segmentation (through body-segmentation),
+ * used to hide virtual items behind people who walk in front of the wall.
+ * The package is imported on demand so it stays out of the main bundle.
+ */
+
+import loadTensorFlow from './tensorflow';
+import { OCCLUSION_CONFIG } from '../utils/constants';
+
+// Opaque where there is a person, transparent everywhere else
+const PERSON = { r: 255, g: 255, b: 255, a: 255 };
+const BACKGROUND = { r: 0, g: 0, b: 0, a: 0 };
+
+class PeopleSegmenter {
+  /**
+   * @param {Object} [options]
+   * @param {'performance'|'quality'} [options.quality]
+   * @param {'mediapipe'|'tfjs'} [options.runtime]
+   */
+  static async create({ quality = 'performance', runtime = OCCLUSION_CONFIG.RUNTIME } = {}) {
+    const { modelType } = OCCLUSION_CONFIG.QUALITY[quality];
+    const api = await import('@tensorflow-models/body-segmentation');
+
+    const config = runtime === 'tfjs'
+      ? { runtime, modelType }
+      : { runtime, modelType, solutionPath: OCCLUSION_CONFIG.SOLUTION_PATH };
+
+    if (runtime === 'tfjs') await loadTensorFlow();
+
+    const segmenter = await api.createSegmenter(api.SupportedModels.MediaPipeSelfieSegmentation, config);
+    return new PeopleSegmenter(api, segmenter, quality);
+  }
+
+  constructor(api, segmenter, quality) {
+    this.api = api;
+    this.segmenter = segmenter;
+    this.quality = quality;
+  }
+
+  get frameSkip() {
+    return OCCLUSION_CONFIG.QUALITY[this.quality].frameSkip;
+  }
+
+  /**
+   * Binary person mask for a camera frame, at the segmenter's output size:
+   * alpha 255 on people, 0 elsewhere.
+   *
+   * @param {HTMLVideoElement|HTMLCanvasElement|ImageData} image
+   * @returns {Promise<ImageData|null>}
+   */
+  async segment(image) {
+    if (!this.segmenter) return null;
+
+    const people = await this.segmenter.segmentPeople(image);
+    if (!people.length) return null;
+
+    return this.api.toBinaryMask(people, PERSON, BACKGROUND, false, OCCLUSION_CONFIG.THRESHOLD);
+  }
+
+  dispose() {
+    this.segmenter?.dispose();
+    this.segmenter = null;
+  }
+}
+
+export default PeopleSegmenter;
@@ -0,0 +1,181 @@
+/**
+ * Plane Surface Detector
+ * Heuristic surface-detection backend: feeds camera frames to
+ * PlaneSurfaceAnalyzer. Where Web Workers and OffscreenCanvas are available
+ * the analysis runs in a worker on ImageBitmaps, keeping pixel readback and
+ * classification off the render thread; otherwise it falls back to a
+ * main-thread canvas.
+ */
+
+import { SurfaceDetector, CAMERA_STARTING } from './surfaceDetector';
+import PlaneSurfaceAnalyzer from './surfaceAnalysis';
+
+export const supportsWorkerAnalysis = () =>
+  typeof Worker !== 'undefined' &&
+  typeof OffscreenCanvas !== 'undefined' &&
+  typeof createImageBitmap === 'function';
+
+class PlaneSurfaceDetector extends SurfaceDetector {
+  static id = 'heuristic';
+
+  static capabilities = {
+    runsInWorker: supportsWorkerAnalysis(),
+  };
+
+  constructor({ useWorker = supportsWorkerAnalysis(), thresholds = {}, ...options } = {}) {
+    super(options);
+
+    this.thresholds = thresholds;
+    this.analyzer = null;
+    this.useWorker = useWorker;
+    this.worker = null;
+
+    // One frame in flight at a time; results are matched by sequence number
+    this.seq = 0;
+    this.resetSeq = 0;
+    this.pending = null;
+
+    // requestVideoFrameCallback bookkeeping - skip frames the camera hasn't replaced yet
+    this.video = null;
+    this.videoCallback = null;
+    this.presentedFrames = null;
+    this.lastAnalyzedFrame = null;
+  }
+
+  /**
+   * Started on the first analysed frame so unused detectors cost nothing
+   */
+  getWorker() {
+    if (this.worker || !this.useWorker) return this.worker;
+
+    try {
+      this.worker = new Worker(new URL('../workers/surfaceDetector.worker.js', import.meta.url));
+      this.worker.onmessage = (e) => this.handleMessage(e.data);
+      this.worker.onerror = (e) => this.handleWorkerError(e);
+      this.worker.postMessage({ type: 'configure', thresholds: this.thresholds });
+    } catch (err) {
+      console.warn('⚠️ Surface detector worker unavailable:', err.message);
+      this.useWorker = false;
+    }
+
+    return this.worker;
+  }
+
+  /**
+   * Resolves with the smoothed analysis, or with null when the frame was
+   * skipped (previous frame still in flight, no new video frame, or the
+   * result went stale because of a reset).
+   */
+  async analyzeFrame(video) {
+    if (!this.isVideoReady(video)) return CAMERA_STARTING;
+    if (this.pending) return null;
+
+    this.watchVideo(video);
+    if (this.presentedFrames !== null) {
+      if (this.presentedFrames === this.lastAnalyzedFrame) return null;
+      this.lastAnalyzedFrame = this.presentedFrames;
+    }
+
+    const seq = ++this.seq;
+    const worker = this.getWorker();
+
+    if (!worker) {
+      if (!this.analyzer) this.analyzer = new PlaneSurfaceAnalyzer(this.thresholds);
+      return this.analyzer.analyze(this.grabFrame(video));
+    }
+
+    return new Promise((resolve) => {
+      this.pending = { seq, resolve };
+
+      createImageBitmap(video, {
+        resizeWidth: this.width,
+        resizeHeight: this.height,
+        resizeQuality: 'low'
+      })
+        .then((bitmap) => {
+          if (this.worker !== worker || this.pending?.seq !== seq) {
+            bitmap.close();
+            return;
+          }
+          worker.postMessage(
+            { type: 'frame', seq, bitmap, width: this.width, height: this.height },
+            [bitmap]
+          );
+        })
+        .catch((err) => {
+          console.warn('⚠️ Frame capture failed:', err.message);
+          this.settle(seq, null);
+        });
+    });
+  }
+
+  watchVideo(video) {
+    if (this.video === video || typeof video.requestVideoFrameCallback !== 'function') return;
+
+    this.stopWatchingVideo();
+    this.video = video;
+
+    const onFrame = (now, metadata) => {
+      this.presentedFrames = metadata.presentedFrames;
+      this.videoCallback = video.requestVideoFrameCallback(onFrame);
+    };
+    this.videoCallback = video.requestVideoFrameCallback(onFrame);
+  }
+
+  stopWatchingVideo() {
+    if (this.video && this.videoCallback !== null) {
+      this.video.cancelVideoFrameCallback?.(this.videoCallback);
+    }
+    this.video = null;
+    this.videoCallback = null;
+    this.presentedFrames = null;
+    this.lastAnalyzedFrame = null;
+  }
+
+  handleMessage(message) {
+    if (message.type === 'error') {
+      console.warn('⚠️ Surface analysis failed:', message.message);
+      this.settle(message.seq, null);
+      return;
+    }
+
+    // Frames submitted before the last reset describe a scene we've moved on from
+    const result = message.seq > this.resetSeq ? message.result : null;
+    this.settle(message.seq, result);
+  }
+
+  /**
+   * A crashed worker is not retried - analysis continues on the main thread.
+   */
+  handleWorkerError(event) {
+    console.warn('⚠️ Surface detector worker failed, using main thread:', event.message);
+    this.worker.terminate();
+    this.worker = null;
+    this.useWorker = false;
+    if (this.pending) this.settle(this.pending.seq, null);
+  }
+
+  settle(seq, result) {
+    if (!this.pending || this.pending.seq !== seq) return;
+
+    const { resolve } = this.pending;
+    this.pending = null;
+    resolve(result);
+  }
+
+  reset() {
+    this.resetSeq = this.seq;
+    this.analyzer?.reset();
+    this.worker?.postMessage({ type: 'reset' });
+  }
+
+  dispose() {
+    this.stopWatchingVideo();
+    this.worker?.terminate();
+    this.worker = null;
+    this.useWorker = false;
+    if (this.pending) this.settle(this.pending.seq, null);
+  }
+}
+
+export default PlaneSurfaceDetector;
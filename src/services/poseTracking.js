@@ -0,0 +1,224 @@
+/**
+ * Pose Tracking Service
+ * Camera pose providers that drive the R3F scene camera so world-space
+ * placements stay on the wall while the phone moves.
+ */
+
+import * as THREE from 'three';
+import { createWindowSensorSource } from './deviceSensors';
+
+const Y_AXIS = new THREE.Vector3(0, 1, 0);
+const Z_AXIS = new THREE.Vector3(0, 0, 1);
+// deviceorientation describes the device's back facing the horizon with beta=90
+const DEVICE_TO_CAMERA = new THREE.Quaternion(-Math.sqrt(0.5), 0, 0, Math.sqrt(0.5));
+
+/**
+ * Base interface for camera trackers. Implementations report a world-space
+ * pose with +Y aligned to gravity; `position` stays null for rotation-only
+ * trackers.
+ */
+export class PoseProvider {
+  constructor() {
+    this.status = 'initializing'; // 'initializing' | 'tracking' | 'limited' | 'lost'
+    this.calibrated = false;
+  }
+
+  start() {}
+
+  stop() {}
+
+  /**
+   * Resolves with `{ calibrated, reason }` once the tracker has a reference pose
+   */
+  async calibrate() {
+    this.calibrated = true;
+    return { calibrated: true, reason: null };
+  }
+
+  /**
+   * `{ quaternion, position, confidence, status }` or null when unavailable
+   */
+  getPose() {
+    return null;
+  }
+
+  reset() {
+    this.calibrated = false;
+    this.status = 'initializing';
+  }
+}
+
+/**
+ * Rotation-only tracker fusing deviceorientation (absolute, drift-free but
+ * noisy) with devicemotion rotationRate (smooth, drifts) in a complementary
+ * filter.
+ */
+export class OrientationPoseProvider extends PoseProvider {
+  constructor({
+    source = createWindowSensorSource(),
+    correction = 0.05,     // share of the absolute orientation blended in per reading
+    calibrationTime = 600, // ms of samples used to estimate gyro bias
+    stillThreshold = 0.15, // rad/s - max mean rotation rate while calibrating
+  } = {}) {
+    super();
+    this.source = source;
+    this.correction = correction;
+    this.calibrationTime = calibrationTime;
+    this.stillThreshold = stillThreshold;
+
+    this.estimate = null;
+    this.yawOffset = new THREE.Quaternion();
+    this.gyroBias = new THREE.Vector3();
+    this.lastMotionTime = null;
+    this.samples = null;
+    this.unsubscribe = null;
+  }
+
+  start() {
+    if (this.unsubscribe) return;
+    this.unsubscribe = this.source.subscribe(reading => this.handleReading(reading));
+  }
+
+  stop() {
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+    this.lastMotionTime = null;
+  }
+
+  handleReading(reading) {
+    if (reading.type === 'orientation' && reading.alpha !== null) {
+      const absolute = this.fromEuler(reading.alpha, reading.beta, reading.gamma);
+
+      if (!this.estimate) {
+        this.estimate = absolute;
+      } else {
+        this.estimate.slerp(absolute, this.correction);
+      }
+      this.status = 'tracking';
+    } else if (reading.type === 'motion' && reading.rotationRate) {
+      this.integrate(reading.rotationRate);
+    }
+  }
+
+  /**
+   * Same convention as three's DeviceOrientationControls: camera looks down
+   * -Z, world +Y is up.
+   */
+  fromEuler(alpha, beta, gamma) {
+    const euler = new THREE.Euler(
+      THREE.MathUtils.degToRad(beta),
+      THREE.MathUtils.degToRad(alpha),
+      THREE.MathUtils.degToRad(-gamma),
+      'YXZ'
+    );
+    const screen = THREE.MathUtils.degToRad(this.source.getScreenAngle());
+
+    return new THREE.Quaternion()
+      .setFromEuler(euler)
+      .multiply(DEVICE_TO_CAMERA)
+      .multiply(new THREE.Quaternion().setFromAxisAngle(Z_AXIS, -screen));
+  }
+
+  integrate(rotationRate) {
+    const now = performance.now();
+    const dt = this.lastMotionTime ? (now - this.lastMotionTime) / 1000 : 0;
+    this.lastMotionTime = now;
+
+    // Device axes: beta about X, gamma about Y, alpha about Z (deg/s),
+    // turned with the screen as in fromEuler()
+    const angle = THREE.MathUtils.degToRad(this.source.getScreenAngle());
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const wx = THREE.MathUtils.degToRad(rotationRate.beta || 0);
+    const wy = THREE.MathUtils.degToRad(rotationRate.gamma || 0);
+    const omega = new THREE.Vector3(
+      wx * cos - wy * sin,
+      wx * sin + wy * cos,
+      THREE.MathUtils.degToRad(rotationRate.alpha || 0)
+    );
+
+    if (this.samples) this.samples.push(omega.clone());
+
+    omega.sub(this.gyroBias);
+
+    // Ignore the first sample and gaps (tab hidden, sensor paused)
+    if (!this.estimate || dt <= 0 || dt > 0.2) return;
+
+    const magnitude = omega.length();
+    if (magnitude < 1e-6) return;
+
+    const delta = new THREE.Quaternion().setFromAxisAngle(omega.normalize(), magnitude * dt);
+    this.estimate.multiply(delta).normalize();
+  }
+
+  /**
+   * Estimates gyro bias while the phone is held still and zeroes the heading
+   * so the camera starts out looking down -Z (pitch and roll are kept, which
+   * keeps world +Y aligned with gravity).
+   */
+  async calibrate() {
+    this.samples = [];
+    await new Promise(resolve => setTimeout(resolve, this.calibrationTime));
+    const samples = this.samples;
+    this.samples = null;
+
+    if (!this.estimate) {
+      this.calibrated = false;
+      return { calibrated: false, reason: 'No orientation sensor data' };
+    }
+
+    if (samples.length > 0) {
+      const mean = samples
+        .reduce((sum, s) => sum.add(s), new THREE.Vector3())
+        .divideScalar(samples.length);
+
+      if (mean.length() > this.stillThreshold) {
+        this.setHeadingReference();
+        this.calibrated = true;
+        return { calibrated: true, reason: 'Moved during calibration - gyro bias not updated' };
+      }
+
+      this.gyroBias.copy(mean);
+    }
+
+    this.setHeadingReference();
+    this.calibrated = true;
+    return { calibrated: true, reason: null };
+  }
+
+  setHeadingReference() {
+    const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(this.estimate);
+    const yaw = Math.atan2(-forward.x, -forward.z);
+    this.yawOffset.setFromAxisAngle(Y_AXIS, yaw);
+  }
+
+  getPose() {
+    if (!this.estimate) return null;
+
+    // Sensor data that arrived after a failed calibration (e.g. iOS permission
+    // granted late) still needs a heading reference
+    if (!this.calibrated) {
+      this.setHeadingReference();
+      this.calibrated = true;
+    }
+
+    const staleFor = this.lastMotionTime ? performance.now() - this.lastMotionTime : 0;
+    this.status = staleFor > 500 ? 'limited' : 'tracking';
+
+    return {
+      quaternion: this.yawOffset.clone().invert().multiply(this.estimate),
+      position: null,
+      confidence: this.status === 'tracking' ? 1 : 0.5,
+      status: this.status,
+    };
+  }
+
+  reset() {
+    super.reset();
+    this.estimate = null;
+    this.yawOffset.identity();
+    this.lastMotionTime = null;
+  }
+}
+
+export default OrientationPoseProvider;
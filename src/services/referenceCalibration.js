@@ -0,0 +1,269 @@
+/**
+ * Reference Calibration
+ * Absolute scale from an object of known size held against the wall - an
+ * A4/Letter sheet or a bank card. opencv.js finds its outline; the outline's
+ * perspective gives the wall's distance and orientation, and its size in
+ * pixels how many video pixels a metre on the wall covers.
+ */
+
+import * as THREE from 'three';
+import loadOpenCV from './opencv';
+import { solveHomography } from '../utils/homography';
+import { intrinsicsFromFov } from '../utils/projection';
+import { CALIBRATION_CONFIG } from '../utils/constants';
+
+const edge = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+
+/**
+ * Orders four corners as top-left, top-right, bottom-right, bottom-left
+ * (image coordinates, y down).
+ */
+export const orderCorners = (points) => {
+  const bySum = [...points].sort((a, b) => (a.x + a.y) - (b.x + b.y));
+  const byDiff = [...points].sort((a, b) => (a.x - a.y) - (b.x - b.y));
+  return [bySum[0], byDiff[3], bySum[3], byDiff[0]];
+};
+
+/**
+ * Physical size of the reference as it appears in the quad: the quad's
+ * longer pair of edges gets the longer side, so sheets work in portrait or
+ * landscape. `aspectError` compares the two ratios; perspective distorts it
+ * a little even for a perfect match.
+ */
+export const matchReference = (corners, reference) => {
+  const [tl, tr, br, bl] = corners;
+  const across = (edge(tl, tr) + edge(bl, br)) / 2;
+  const down = (edge(tl, bl) + edge(tr, br)) / 2;
+
+  const long = Math.max(reference.width, reference.height);
+  const short = Math.min(reference.width, reference.height);
+  const size = across >= down ? { width: long, height: short } : { width: short, height: long };
+
+  const aspectError = Math.abs(Math.log((across / down) / (size.width / size.height)));
+  return { size, across, down, aspectError };
+};
+
+/**
+ * Pose of a rectangle of `size` (metres) from its image corners. The
+ * homography from the rectangle's plane to normalised image coordinates is
+ * `λ [r1 r2 t]`; its columns give the plane's axes and the centre's
+ * position. Results are in three.js camera space (+Y up, looking down -Z).
+ *
+ * @param {Array<{x, y}>} corners - tl, tr, br, bl in pixels
+ * @param {{ width, height }} size - metres
+ * @param {{ fx, fy, cx, cy }} intrinsics
+ * @returns {{ center: THREE.Vector3, normal: THREE.Vector3, distance, orthogonality } | null}
+ */
+export const poseFromQuad = (corners, size, { fx, fy, cx, cy }) => {
+  const w = size.width / 2;
+  const h = size.height / 2;
+  const plane = [{ x: -w, y: -h }, { x: w, y: -h }, { x: w, y: h }, { x: -w, y: h }];
+  const image = corners.map(({ x, y }) => ({ x: (x - cx) / fx, y: (y - cy) / fy }));
+
+  const H = solveHomography(plane, image);
+  if (!H) return null;
+
+  // OpenCV camera convention here: x right, y down, z forward
+  const h1 = new THREE.Vector3(H[0], H[3], H[6]);
+  const h2 = new THREE.Vector3(H[1], H[4], H[7]);
+  const h3 = new THREE.Vector3(H[2], H[5], H[8]);
+
+  let lambda = (h1.length() + h2.length()) / 2;
+  if (lambda < 1e-9) return null;
+  if (h3.z < 0) lambda = -lambda; // the rectangle is in front of the camera
+
+  const r1 = h1.divideScalar(lambda);
+  const r2 = h2.divideScalar(lambda);
+  const t = h3.divideScalar(lambda);
+
+  const normal = new THREE.Vector3().crossVectors(r1, r2).normalize();
+  if (normal.dot(t) > 0) normal.negate(); // facing the camera
+
+  const toThree = (v) => new THREE.Vector3(v.x, -v.y, -v.z);
+
+  return {
+    center: toThree(t),
+    normal: toThree(normal),
+    // Perpendicular distance from the camera to the wall
+    distance: Math.abs(normal.dot(t)),
+    // 0 for a clean fit; skewed or non-rectangular outlines score higher
+    orthogonality: Math.abs(r1.clone().normalize().dot(r2.clone().normalize())),
+  };
+};
+
+class ReferenceCalibrator {
+  static async create(options) {
+    return new ReferenceCalibrator(await loadOpenCV(), options);
+  }
+
+  /**
+   * @param {Object} cv - opencv.js namespace
+   * @param {Object} [options]
+   * @param {string} [options.reference] - key of CALIBRATION_CONFIG.REFERENCE_OBJECTS
+   */
+  constructor(cv, { reference = 'a4', ...options } = {}) {
+    this.cv = cv;
+    this.options = {
+      frameWidth: CALIBRATION_CONFIG.FRAME_WIDTH,
+      samples: CALIBRATION_CONFIG.SAMPLES,
+      maxSpread: CALIBRATION_CONFIG.MAX_SPREAD,
+      ...options,
+    };
+    this.setReference(reference);
+    this.canvas = null;
+    this.ctx = null;
+  }
+
+  setReference(key) {
+    const reference = CALIBRATION_CONFIG.REFERENCE_OBJECTS[key];
+    if (!reference) throw new Error(`Unknown reference object "${key}"`);
+    this.referenceKey = key;
+    this.reference = reference;
+    this.reset();
+  }
+
+  /**
+   * Frame for detection, scaled to `frameWidth` - the detector's analysis
+   * frames are too small to find a card at arm's length.
+   */
+  grabFrame(video) {
+    if (!video || video.readyState < video.HAVE_CURRENT_DATA || !video.videoWidth) return null;
+
+    if (!this.canvas) {
+      this.canvas = document.createElement('canvas');
+      this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+    }
+
+    const scale = Math.min(1, this.options.frameWidth / video.videoWidth);
+    this.canvas.width = Math.round(video.videoWidth * scale);
+    this.canvas.height = Math.round(video.videoHeight * scale);
+    this.ctx.drawImage(video, 0, 0, this.canvas.width, this.canvas.height);
+
+    return this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
+  }
+
+  /**
+   * Convex four-sided outlines of plausible size, best aspect match first.
+   */
+  findQuads(image) {
+    const { cv } = this;
+    const rgba = cv.matFromImageData(image);
+    const gray = new cv.Mat();
+    const edges = new cv.Mat();
+    const contours = new cv.MatVector();
+    const hierarchy = new cv.Mat();
+    const kernel = cv.Mat.ones(3, 3, cv.CV_8U);
+
+    try {
+      cv.cvtColor(rgba, gray, cv.COLOR_RGBA2GRAY);
+      cv.GaussianBlur(gray, gray, new cv.Size(5, 5), 0);
+      cv.Canny(gray, edges, 40, 120);
+      // Close small gaps in the outline where the sheet meets a similar wall
+      cv.dilate(edges, edges, kernel);
+      cv.findContours(edges, contours, hierarchy, cv.RETR_LIST, cv.CHAIN_APPROX_SIMPLE);
+
+      const frameArea = image.width * image.height;
+      const quads = [];
+
+      for (let i = 0; i < contours.size(); i++) {
+        const contour = contours.get(i);
+        let approx = null;
+
+        try {
+          const area = cv.contourArea(contour);
+          const share = area / frameArea;
+
+          if (share >= CALIBRATION_CONFIG.MIN_AREA && share <= CALIBRATION_CONFIG.MAX_AREA) {
+            approx = new cv.Mat();
+            cv.approxPolyDP(contour, approx, 0.02 * cv.arcLength(contour, true), true);
+
+            if (approx.rows === 4 && cv.isContourConvex(approx)) {
+              const points = [];
+              for (let j = 0; j < 4; j++) {
+                points.push({ x: approx.data32S[j * 2], y: approx.data32S[j * 2 + 1] });
+              }
+              const corners = orderCorners(points);
+              const match = matchReference(corners, this.reference);
+              if (match.aspectError <= CALIBRATION_CONFIG.ASPECT_TOLERANCE) {
+                quads.push({ corners, area, ...match });
+              }
+            }
+          }
+        } finally {
+          approx?.delete();
+          contour.delete();
+        }
+      }
+
+      // Dilation gives every outline an inner and outer contour; prefer the
+      // better-shaped, then the larger
+      return quads.sort((a, b) => (a.aspectError - b.aspectError) || (b.area - a.area));
+    } finally {
+      [rgba, gray, edges, contours, hierarchy, kernel].forEach(mat => mat.delete());
+    }
+  }
+
+  /**
+   * Finds the reference in one video frame and measures it.
+   *
+   * @param {HTMLVideoElement} video
+   * @param {number} verticalFov - degrees, of the video frame
+   * @returns {{ corners, distance, center, normal, pixelsPerMetre, confidence } | null}
+   *   corners are in video pixels; center and normal in camera space
+   */
+  detect(video, verticalFov) {
+    const image = this.grabFrame(video);
+    if (!image) return null;
+
+    const [quad] = this.findQuads(image);
+    if (!quad) return null;
+
+    const intrinsics = intrinsicsFromFov(image.width, image.height, verticalFov, video.videoWidth / video.videoHeight);
+    const pose = poseFromQuad(quad.corners, quad.size, intrinsics);
+    if (!pose || pose.orthogonality > 0.25) return null;
+
+    const toVideo = video.videoWidth / image.width;
+    const pixelsPerMetre = ((quad.across / quad.size.width + quad.down / quad.size.height) / 2) * toVideo;
+
+    return {
+      corners: quad.corners.map(({ x, y }) => ({ x: x * toVideo, y: y * toVideo })),
+      distance: pose.distance,
+      center: pose.center,
+      normal: pose.normal,
+      pixelsPerMetre,
+      confidence: Math.max(0, 1 - quad.aspectError / CALIBRATION_CONFIG.ASPECT_TOLERANCE) * (1 - pose.orthogonality),
+    };
+  }
+
+  /**
+   * Collects detections until `samples` of them agree. Resolves the median
+   * distance (and the detection it came from) once the spread is within
+   * `maxSpread`; null until then.
+   */
+  accumulate(detection) {
+    if (!detection) return null;
+
+    this.samples.push(detection);
+    if (this.samples.length > this.options.samples) this.samples.shift();
+    if (this.samples.length < this.options.samples) return null;
+
+    const sorted = [...this.samples].sort((a, b) => a.distance - b.distance);
+    const median = sorted[Math.floor(sorted.length / 2)];
+    const spread = (sorted[sorted.length - 1].distance - sorted[0].distance) / median.distance;
+    if (spread > this.options.maxSpread) return null;
+
+    return { ...median, reference: this.referenceKey, spread };
+  }
+
+  reset() {
+    this.samples = [];
+  }
+
+  dispose() {
+    this.samples = [];
+    this.canvas = null;
+    this.ctx = null;
+  }
+}
+
+export default ReferenceCalibrator;
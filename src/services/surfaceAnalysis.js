@@ -0,0 +1,398 @@
+/**
+ * Surface Analysis
+ * Heuristic flat-surface classifier (wall/floor/ceiling) working on raw RGBA
+ * pixels. Has no DOM dependencies so it can run inside a Web Worker.
+ */
+
+import { OneEuroFilter, Hysteresis } from '../utils/filters';
+import { FILTER_CONFIG } from '../utils/constants';
+
+/**
+ * Decision thresholds for evaluatePlane(); pass overrides to the constructor
+ * to tune the detector without touching the analysis.
+ */
+export const HEURISTIC_THRESHOLDS = {
+  maxOverexposure: 0.4,      // share of samples above 240 brightness
+  maxUnderexposure: 0.5,     // share of samples below 15 brightness
+  orientationConfidence: 0.6,
+  maxEdgeDensity: 0.3,       // more edges than this reads as a busy surface
+  minUniformity: 0.55,
+  minCrossCellUniformity: 0.5,
+  minSmoothness: 0.55,
+  maxSaturation: 0.5,
+  minBrightness: 25,
+  maxBrightness: 235,
+  minWellLit: 0.6,
+};
+
+/**
+ * Temporal smoothing shared by all surface-detector backends. Each frame's
+ * plane confidence (0 for frames that aren't a plane) goes through a One
+ * Euro filter, and `isPlane` switches on that with hysteresis - so neither
+ * the confidence nor the plane state flickers between frames.
+ */
+export class ResultSmoother {
+  constructor({ filter = FILTER_CONFIG.CONFIDENCE, on = FILTER_CONFIG.PLANE_ON, off = FILTER_CONFIG.PLANE_OFF } = {}) {
+    this.filter = new OneEuroFilter(filter);
+    this.plane = new Hysteresis({ on, off });
+    this.latestPlane = null;
+  }
+
+  /**
+   * @param {Object} result - one frame's classification
+   * @param {number} [timestamp] - seconds
+   */
+  smooth(result, timestamp = performance.now() / 1000) {
+    if (result.isPlane) this.latestPlane = result;
+
+    const confidence = this.filter.filter(result.isPlane ? result.confidence : 0, timestamp);
+    const latest = this.latestPlane;
+
+    if (this.plane.update(confidence) && latest) {
+      return {
+        isPlane: true,
+        confidence,
+        surfaceType: latest.surfaceType,
+        reason: `✓ ${latest.surfaceType.toUpperCase()} confirmed`,
+        stable: true,
+        metrics: latest.metrics
+      };
+    }
+
+    return {
+      ...result,
+      isPlane: false,
+      confidence,
+      // A plane frame that hasn't built up enough confidence yet
+      reason: result.isPlane ? '🔄 Hold steady...' : result.reason,
+      stable: false
+    };
+  }
+
+  reset() {
+    this.filter.reset();
+    this.plane.reset();
+    this.latestPlane = null;
+  }
+}
+
+/**
+ * Brightness and saturation of the bare wall from analyzeSurface() cells:
+ * the median over the uniform cells, so a frame or sofa filling a few cells
+ * doesn't skew it. Falls back to all cells when none is uniform.
+ *
+ * @returns {{ brightness, saturation }} - brightness 0-255, saturation 0-1
+ */
+export const wallReference = ({ cells }, minUniformity = HEURISTIC_THRESHOLDS.minUniformity) => {
+  const uniform = cells.filter(c => c.uniformity >= minUniformity);
+  const used = uniform.length ? uniform : cells;
+  const median = (values) => values.sort((a, b) => a - b)[Math.floor(values.length / 2)];
+
+  return {
+    brightness: median(used.map(c => c.avgBright)),
+    saturation: median(used.map(c => c.avgSat)),
+  };
+};
+
+class PlaneSurfaceAnalyzer {
+  constructor(thresholds = {}) {
+    this.thresholds = { ...HEURISTIC_THRESHOLDS, ...thresholds };
+    this.smoother = new ResultSmoother();
+  }
+
+  /**
+   * Classify one `{ data, width, height }` frame and return the temporally
+   * smoothed result
+   */
+  analyze(imageData) {
+    const { data, width, height } = imageData;
+
+    // Analyze entire visible surface
+    const surface = this.analyzeSurface(data, width, height);
+    const texture = this.analyzeTexture(data, width, height);
+    const orientation = this.detectOrientation(data, width, height);
+    const lighting = this.analyzeLighting(data, width, height);
+
+    // Evaluate if it's a usable plane
+    const result = this.evaluatePlane(surface, texture, orientation, lighting);
+
+    // Temporal smoothing
+    return this.smoother.smooth(result);
+  }
+
+  analyzeSurface(data, width, height) {
+    // Divide into 3x3 grid to analyze uniformity across entire surface
+    const gridSize = 3;
+    const cellWidth = Math.floor(width / gridSize);
+    const cellHeight = Math.floor(height / gridSize);
+    const cells = [];
+
+    for (let gy = 0; gy < gridSize; gy++) {
+      for (let gx = 0; gx < gridSize; gx++) {
+        const startX = gx * cellWidth;
+        const startY = gy * cellHeight;
+        const endX = Math.min(startX + cellWidth, width);
+        const endY = Math.min(startY + cellHeight, height);
+
+        let brightSum = 0, satSum = 0, count = 0;
+        const values = [];
+
+        for (let y = startY; y < endY; y++) {
+          for (let x = startX; x < endX; x++) {
+            const idx = (y * width + x) * 4;
+            const r = data[idx], g = data[idx + 1], b = data[idx + 2];
+            
+            const bright = (r + g + b) / 3;
+            const max = Math.max(r, g, b);
+            const min = Math.min(r, g, b);
+            const sat = max === 0 ? 0 : (max - min) / max;
+            
+            brightSum += bright;
+            satSum += sat;
+            values.push(bright);
+            count++;
+          }
+        }
+
+        const avgBright = brightSum / count;
+        const avgSat = satSum / count;
+
+        // Calculate variance within cell
+        let variance = 0;
+        values.forEach(v => variance += Math.pow(v - avgBright, 2));
+        variance = Math.sqrt(variance / count);
+
+        cells.push({
+          avgBright,
+          avgSat,
+          variance,
+          uniformity: Math.max(0, 1 - variance / 70)
+        });
+      }
+    }
+
+    // Calculate overall uniformity across cells
+    const avgBrightness = cells.reduce((sum, c) => sum + c.avgBright, 0) / cells.length;
+    const avgSaturation = cells.reduce((sum, c) => sum + c.avgSat, 0) / cells.length;
+    const avgUniformity = cells.reduce((sum, c) => sum + c.uniformity, 0) / cells.length;
+
+    // Check brightness consistency across cells
+    let brightnessVariance = 0;
+    cells.forEach(c => brightnessVariance += Math.pow(c.avgBright - avgBrightness, 2));
+    brightnessVariance = Math.sqrt(brightnessVariance / cells.length);
+    const crossCellUniformity = Math.max(0, 1 - brightnessVariance / 60);
+
+    return {
+      avgBrightness,
+      avgSaturation,
+      avgUniformity,
+      crossCellUniformity,
+      cells
+    };
+  }
+
+  analyzeTexture(data, width, height) {
+    // Sample multiple regions to detect texture patterns
+    let totalTexture = 0;
+    let edgeCount = 0;
+    let sampleCount = 0;
+
+    // Sample 5x5 grid
+    for (let sy = 0; sy < 5; sy++) {
+      for (let sx = 0; sx < 5; sx++) {
+        const x = Math.floor(width * (0.1 + sx * 0.16));
+        const y = Math.floor(height * (0.1 + sy * 0.16));
+
+        if (x > 0 && x < width - 1 && y > 0 && y < height - 1) {
+          const idx = (y * width + x) * 4;
+          const center = (data[idx] + data[idx + 1] + data[idx + 2]) / 3;
+          
+          // Get neighbors
+          const top = (data[((y-1) * width + x) * 4] + data[((y-1) * width + x) * 4 + 1] + data[((y-1) * width + x) * 4 + 2]) / 3;
+          const bottom = (data[((y+1) * width + x) * 4] + data[((y+1) * width + x) * 4 + 1] + data[((y+1) * width + x) * 4 + 2]) / 3;
+          const left = (data[(y * width + (x-1)) * 4] + data[(y * width + (x-1)) * 4 + 1] + data[(y * width + (x-1)) * 4 + 2]) / 3;
+          const right = (data[(y * width + (x+1)) * 4] + data[(y * width + (x+1)) * 4 + 1] + data[(y * width + (x+1)) * 4 + 2]) / 3;
+          
+          // Laplacian (texture measure)
+          const laplacian = Math.abs(4 * center - top - bottom - left - right);
+          totalTexture += laplacian;
+          
+          // Edge detection
+          if (laplacian > 40) edgeCount++;
+          sampleCount++;
+        }
+      }
+    }
+
+    const avgTexture = totalTexture / sampleCount;
+    const edgeDensity = edgeCount / sampleCount;
+    const textureSmoothness = Math.max(0, 1 - avgTexture / 35);
+
+    return {
+      avgTexture,
+      edgeDensity,
+      textureSmoothness
+    };
+  }
+
+  detectOrientation(data, width, height) {
+    // Analyze brightness gradient from top to bottom
+    const strips = 6;
+    const stripBrightness = [];
+    
+    for (let s = 0; s < strips; s++) {
+      const y = Math.floor((height / strips) * s + height / (strips * 2));
+      let brightness = 0, count = 0;
+      
+      for (let x = Math.floor(width * 0.2); x < Math.floor(width * 0.8); x++) {
+        const idx = (y * width + x) * 4;
+        brightness += (data[idx] + data[idx + 1] + data[idx + 2]) / 3;
+        count++;
+      }
+      
+      stripBrightness.push(brightness / count);
+    }
+
+    const topAvg = (stripBrightness[0] + stripBrightness[1]) / 2;
+    const bottomAvg = (stripBrightness[4] + stripBrightness[5]) / 2;
+    const gradient = bottomAvg - topAvg;
+
+    let orientation = 'wall';
+    let orientationConfidence = 1;
+
+    if (gradient > 40) {
+      orientation = 'floor';
+      orientationConfidence = Math.min(1, gradient / 80);
+    } else if (gradient < -40) {
+      orientation = 'ceiling';
+      orientationConfidence = Math.min(1, Math.abs(gradient) / 80);
+    } else {
+      orientationConfidence = Math.max(0, 1 - Math.abs(gradient) / 40);
+    }
+
+    return { 
+      orientation, 
+      gradient, 
+      orientationConfidence,
+      stripBrightness 
+    };
+  }
+
+  analyzeLighting(data, width, height) {
+    // Check for overexposure, underexposure, and uniformity
+    let overexposed = 0;
+    let underexposed = 0;
+    let wellLit = 0;
+    let total = 0;
+
+    for (let y = 0; y < height; y += 4) {
+      for (let x = 0; x < width; x += 4) {
+        const idx = (y * width + x) * 4;
+        const bright = (data[idx] + data[idx + 1] + data[idx + 2]) / 3;
+        
+        if (bright > 240) overexposed++;
+        else if (bright < 15) underexposed++;
+        else wellLit++;
+        total++;
+      }
+    }
+
+    const overexposureRatio = overexposed / total;
+    const underexposureRatio = underexposed / total;
+    const wellLitRatio = wellLit / total;
+
+    return {
+      overexposureRatio,
+      underexposureRatio,
+      wellLitRatio,
+      isGoodLighting: wellLitRatio > 0.7
+    };
+  }
+
+  evaluatePlane(surface, texture, orientation, lighting) {
+    const t = this.thresholds;
+    let isPlane = false;
+    let confidence = 0;
+    let reason = '';
+    let surfaceType = 'unknown';
+
+    // Lighting checks first
+    if (lighting.overexposureRatio > t.maxOverexposure) {
+      surfaceType = 'overexposed';
+      reason = '☀️ Too bright - move away from light';
+      confidence = 0.05;
+    }
+    else if (lighting.underexposureRatio > t.maxUnderexposure) {
+      surfaceType = 'underexposed';
+      reason = '🌑 Too dark - need more light';
+      confidence = 0.05;
+    }
+    // Orientation checks
+    else if (orientation.orientation === 'floor' && orientation.orientationConfidence > t.orientationConfidence) {
+      surfaceType = 'floor';
+      reason = '⬇️ Floor - aim at wall (or tap to place on floor)';
+      confidence = 0.5; // Allow floor placement
+      isPlane = true; // Floor is still a plane!
+    }
+    else if (orientation.orientation === 'ceiling' && orientation.orientationConfidence > t.orientationConfidence) {
+      surfaceType = 'ceiling';
+      reason = '⬆️ Ceiling - aim lower';
+      confidence = 0.3;
+    }
+    // Texture checks
+    else if (texture.edgeDensity > t.maxEdgeDensity) {
+      surfaceType = 'busy';
+      reason = '🎨 Too much detail - find plain surface';
+      confidence = 0.15;
+    }
+    // Main plane detection - RELAXED REQUIREMENTS
+    else if (
+      surface.avgUniformity > t.minUniformity &&
+      surface.crossCellUniformity > t.minCrossCellUniformity &&
+      texture.textureSmoothness > t.minSmoothness &&
+      surface.avgSaturation < t.maxSaturation &&
+      surface.avgBrightness > t.minBrightness &&
+      surface.avgBrightness < t.maxBrightness &&
+      lighting.wellLitRatio > t.minWellLit
+    ) {
+      isPlane = true;
+      surfaceType = orientation.orientation === 'floor' ? 'floor' : 'wall';
+      
+      confidence = Math.min(0.98,
+        surface.avgUniformity * 0.25 +
+        surface.crossCellUniformity * 0.25 +
+        texture.textureSmoothness * 0.20 +
+        (1 - surface.avgSaturation) * 0.15 +
+        lighting.wellLitRatio * 0.15
+      );
+      
+      reason = surfaceType === 'floor' 
+        ? '✅ Floor detected - tap to place'
+        : '✅ Wall detected - tap to place';
+    }
+    else {
+      surfaceType = 'uncertain';
+      reason = '🔄 Keep moving slowly';
+      confidence = 0.25;
+    }
+
+    return { 
+      isPlane, 
+      confidence, 
+      surfaceType, 
+      reason,
+      metrics: {
+        uniformity: surface.avgUniformity.toFixed(2),
+        brightness: surface.avgBrightness.toFixed(0),
+        texture: texture.textureSmoothness.toFixed(2),
+        lighting: lighting.wellLitRatio.toFixed(2)
+      }
+    };
+  }
+
+  reset() {
+    this.smoother.reset();
+  }
+}
+
+export default PlaneSurfaceAnalyzer;
@@ -0,0 +1,96 @@
+/**
+ * Surface Detector
+ * Common interface for surface-detection backends. Every backend resolves
+ * `analyzeFrame(video)` with the same result shape:
+ *
+ *   { isPlane, confidence, surfaceType, reason, metrics, stable }
+ *
+ * or with null when it skipped the frame (busy, no new video frame).
+ */
+
+export const CAMERA_STARTING = {
+  isPlane: false,
+  confidence: 0,
+  reason: 'Camera starting...',
+  surfaceType: 'unknown',
+  metrics: null,
+};
+
+export const DEFAULT_CAPABILITIES = {
+  runsInWorker: false,   // analysis happens off the main thread
+  estimatesDepth: false, // results carry relative depth information
+  surfaceTypes: ['wall', 'floor', 'ceiling'],
+  requires: [],          // runtimes downloaded on demand ('opencv', 'tfjs')
+};
+
+export class SurfaceDetector {
+  static id = 'base';
+
+  static capabilities = DEFAULT_CAPABILITIES;
+
+  constructor({ width = 480, height = 360 } = {}) {
+    this.width = width;
+    this.height = height;
+    this.canvas = null;
+    this.ctx = null;
+    this.lastFrame = null;
+    this.lastFrameTime = 0;
+  }
+
+  get id() {
+    return this.constructor.id;
+  }
+
+  get capabilities() {
+    return { ...DEFAULT_CAPABILITIES, ...this.constructor.capabilities };
+  }
+
+  isVideoReady(video) {
+    return Boolean(video && video.readyState === video.HAVE_ENOUGH_DATA);
+  }
+
+  /**
+   * Downscaled RGBA copy of the current video frame, or null while the
+   * camera is starting. Shared with the optical-flow tracker.
+   */
+  grabFrame(video) {
+    if (!this.isVideoReady(video)) return null;
+
+    if (!this.canvas) {
+      this.canvas = document.createElement('canvas');
+      this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+    }
+
+    this.canvas.width = this.width;
+    this.canvas.height = this.height;
+    this.ctx.drawImage(video, 0, 0, this.width, this.height);
+
+    this.lastFrame = this.ctx.getImageData(0, 0, this.width, this.height);
+    this.lastFrameTime = performance.now();
+    return this.lastFrame;
+  }
+
+  /**
+   * The last grabbed frame if it is at most `maxAge` ms old, otherwise a new
+   * one - for consumers that don't need every frame (lighting).
+   */
+  sampleFrame(video, maxAge = 100) {
+    if (this.lastFrame && performance.now() - this.lastFrameTime <= maxAge) return this.lastFrame;
+    return this.grabFrame(video);
+  }
+
+  /**
+   * Implemented by every backend, taking the camera's video element.
+   *
+   * @returns {Promise<Object|null>} see the module comment
+   */
+  async analyzeFrame() {
+    throw new Error(`${this.id} surface detector does not implement analyzeFrame`);
+  }
+
+  reset() {}
+
+  dispose() {}
+}
+
+export default SurfaceDetector;
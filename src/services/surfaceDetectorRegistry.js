@@ -0,0 +1,81 @@
+/**
+ * Surface Detector Registry
+ * Maps backend ids to surface detectors and picks one from config or device
+ * capability. Backends that need large runtimes (OpenCV, TF.js) are imported
+ * on demand, so only the chosen one is downloaded.
+ */
+
+import PlaneSurfaceDetector, { supportsWorkerAnalysis } from './planeSurfaceDetector';
+import { supportsDepthEstimation } from './depthEstimation';
+import { VISION_CONFIG, FEATURES } from '../utils/constants';
+
+const registry = new Map();
+
+/**
+ * @param {string} id
+ * @param {Object} backend
+ * @param {() => Promise<Function>} backend.load - resolves with the detector class
+ * @param {() => boolean} [backend.isSupported] - cheap check run before loading
+ * @param {number} [backend.priority] - higher wins when choosing automatically
+ */
+export const registerSurfaceDetector = (id, { load, isSupported = () => true, priority = 0 }) => {
+  registry.set(id, { id, load, isSupported, priority });
+};
+
+export const getSurfaceDetectorIds = () => [...registry.keys()];
+
+/**
+ * Backend ids to try in order: the configured one first (unless 'auto'),
+ * then every supported backend by priority.
+ */
+export const resolveSurfaceDetectorIds = (preferred = VISION_CONFIG.SURFACE_DETECTOR) => {
+  const automatic = [...registry.values()]
+    .filter(backend => backend.isSupported())
+    .sort((a, b) => b.priority - a.priority)
+    .map(backend => backend.id);
+
+  if (preferred === 'auto' || !registry.has(preferred)) {
+    if (preferred !== 'auto') console.warn(`⚠️ Unknown surface detector "${preferred}", choosing automatically`);
+    return automatic;
+  }
+
+  return [preferred, ...automatic.filter(id => id !== preferred)];
+};
+
+/**
+ * Creates the preferred surface detector, falling back through the other
+ * backends if it fails to load. The heuristic backend never fails, so this
+ * always resolves with a detector.
+ */
+export const createSurfaceDetector = async ({ id = VISION_CONFIG.SURFACE_DETECTOR, ...options } = {}) => {
+  for (const candidate of resolveSurfaceDetectorIds(id)) {
+    try {
+      const Detector = await registry.get(candidate).load();
+      return Detector.create ? await Detector.create(options) : new Detector(options);
+    } catch (err) {
+      console.warn(`⚠️ Surface detector "${candidate}" unavailable:`, err.message);
+    }
+  }
+
+  return new PlaneSurfaceDetector(options);
+};
+
+// The other backends analyse on the main thread, so the heuristic one wins
+// wherever it can run in a worker; they remain available through config
+registerSurfaceDetector('heuristic', {
+  load: async () => PlaneSurfaceDetector,
+  priority: supportsWorkerAnalysis() ? 3 : 0,
+});
+
+registerSurfaceDetector('opencv', {
+  load: () => import('./opencvSurfaceDetector').then(m => m.default),
+  // opencv.js is several MB - only worth it when visual tracking loads it anyway
+  isSupported: () => FEATURES.ENABLE_VISUAL_TRACKING,
+  priority: 1,
+});
+
+registerSurfaceDetector('depth', {
+  load: () => import('./depthSurfaceDetector').then(m => m.default),
+  isSupported: supportsDepthEstimation,
+  priority: 2,
+});
@@ -0,0 +1,61 @@
+/**
+ * TensorFlow.js Loader
+ * Loads TF.js on demand (it stays out of the main bundle) and picks the
+ * first backend that initialises, so models still run - slower - on
+ * devices without WebGL.
+ */
+
+import { VISION_CONFIG } from '../utils/constants';
+
+let loading = null;
+
+// Backends outside the tfjs package, which register themselves on import
+const BACKEND_PACKAGES = {
+  wasm: async () => {
+    const wasm = await import('@tensorflow/tfjs-backend-wasm');
+    wasm.setWasmPaths(VISION_CONFIG.TF_WASM_PATH);
+  },
+};
+
+/**
+ * First backend from `backends` that initialises. Packaged backends are
+ * only imported when the ones before them failed.
+ */
+const selectBackend = async (tf, backends) => {
+  for (const name of backends) {
+    if (!tf.findBackendFactory(name) && BACKEND_PACKAGES[name]) {
+      await BACKEND_PACKAGES[name]().catch((err) => {
+        console.warn(`⚠️ TF.js backend "${name}" not loaded:`, err.message);
+      });
+    }
+    if (!tf.findBackendFactory(name)) continue;
+    try {
+      if (await tf.setBackend(name)) return name;
+    } catch (err) {
+      console.warn(`⚠️ TF.js backend "${name}" failed:`, err.message);
+    }
+  }
+  throw new Error('No TF.js backend available');
+};
+
+/**
+ * Resolves with the `tf` namespace once a backend is ready. Concurrent
+ * callers share one load; a failed load can be retried.
+ */
+export const loadTensorFlow = (backends = VISION_CONFIG.TF_BACKENDS) => {
+  if (!loading) {
+    loading = import('@tensorflow/tfjs')
+      .then(async (tf) => {
+        await selectBackend(tf, backends);
+        await tf.ready();
+        return tf;
+      })
+      .catch((error) => {
+        loading = null;
+        throw error;
+      });
+  }
+  return loading;
+};
+
+export default loadTensorFlow;
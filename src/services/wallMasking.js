@@ -0,0 +1,377 @@
+/**
+ * Wall Masking
+ * Which part of the wall a wallpaper or paint covers. The user roughs the
+ * region out on a frozen camera frame - brush strokes on the wall, lassos
+ * around it, eraser strokes over doors, windows and furniture - and the
+ * strokes seed a colour flood fill and then opencv.js GrabCut, which pulls
+ * the region's outline onto the real edges. The result is warped onto the
+ * wall through the frame's plane homography, so it stays on the wall as
+ * the view moves and can be saved with the scene.
+ *
+ * Strokes are `{ kind: 'brush' | 'lasso' | 'erase', points, radius }` in
+ * frozen-frame pixels. The opencv.js build has no floodFill or fillPoly,
+ * so the fill is done here and strokes are drawn with a 2D canvas.
+ */
+
+import * as THREE from 'three';
+import loadOpenCV from './opencv';
+import { solveHomography, multiplyHomography } from '../utils/homography';
+import { pixelRay } from '../utils/projection';
+import { toWall } from '../utils/snapping';
+import { MASK_CONFIG } from '../utils/constants';
+
+const STROKE_COLOURS = { brush: '#ff0000', lasso: '#00ff00', erase: '#0000ff' };
+
+/**
+ * Draws strokes into per-pixel seed layers: `brush` and `erase` along the
+ * strokes, `lasso` inside the closed lassos.
+ *
+ * @returns {{ brush: Uint8Array, lasso: Uint8Array, erase: Uint8Array }}
+ */
+export const rasteriseStrokes = (strokes, width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+  // Each kind has its own channel, so overlapping strokes don't clobber each other
+  ctx.globalCompositeOperation = 'lighter';
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+
+  strokes.forEach(({ kind, points, radius }) => {
+    if (!points.length) return;
+
+    ctx.beginPath();
+    ctx.moveTo(points[0].x, points[0].y);
+    points.slice(1).forEach(({ x, y }) => ctx.lineTo(x, y));
+
+    if (kind === 'lasso') {
+      ctx.closePath();
+      ctx.fillStyle = STROKE_COLOURS.lasso;
+      ctx.fill();
+    } else {
+      // A tap is a single point; a zero-length line still gets round caps
+      if (points.length === 1) ctx.lineTo(points[0].x + 0.01, points[0].y);
+      ctx.strokeStyle = STROKE_COLOURS[kind];
+      ctx.lineWidth = radius * 2;
+      ctx.stroke();
+    }
+  });
+
+  const { data } = ctx.getImageData(0, 0, width, height);
+  const layers = {
+    brush: new Uint8Array(width * height),
+    lasso: new Uint8Array(width * height),
+    erase: new Uint8Array(width * height),
+  };
+  for (let i = 0; i < width * height; i++) {
+    layers.brush[i] = data[i * 4] > 127 ? 1 : 0;
+    layers.lasso[i] = data[i * 4 + 1] > 127 ? 1 : 0;
+    layers.erase[i] = data[i * 4 + 2] > 127 ? 1 : 0;
+  }
+  return layers;
+};
+
+/**
+ * Grows the painted pixels over neighbours of similar colour. A step may
+ * only cross a small colour difference (so it stops at edges) and the fill
+ * stays within `range` of the painted pixels' mean colour (so it doesn't
+ * creep across soft gradients).
+ *
+ * @param {{ data, width, height }} image - RGBA
+ * @param {Uint8Array} seeds - 1 where painted
+ * @param {Uint8Array} blocked - 1 where the fill may not go
+ * @returns {Uint8Array} - 1 inside the fill
+ */
+export const floodFill = (image, seeds, blocked, { step = MASK_CONFIG.FLOOD_STEP, range = MASK_CONFIG.FLOOD_RANGE } = {}) => {
+  const { data, width, height } = image;
+  const filled = new Uint8Array(width * height);
+  const queue = new Int32Array(width * height);
+  let head = 0;
+  let tail = 0;
+
+  const mean = [0, 0, 0];
+  for (let i = 0; i < seeds.length; i++) {
+    if (!seeds[i] || blocked[i]) continue;
+    filled[i] = 1;
+    queue[tail++] = i;
+    mean[0] += data[i * 4];
+    mean[1] += data[i * 4 + 1];
+    mean[2] += data[i * 4 + 2];
+  }
+  if (!tail) return filled;
+  mean.forEach((sum, c) => { mean[c] = sum / tail; });
+
+  const stepSq = step * step;
+  const rangeSq = range * range;
+  const distanceSq = (i, [r, g, b]) =>
+    (data[i * 4] - r) ** 2 + (data[i * 4 + 1] - g) ** 2 + (data[i * 4 + 2] - b) ** 2;
+
+  while (head < tail) {
+    const i = queue[head++];
+    const x = i % width;
+    const colour = [data[i * 4], data[i * 4 + 1], data[i * 4 + 2]];
+    const neighbours = [
+      x > 0 ? i - 1 : -1,
+      x < width - 1 ? i + 1 : -1,
+      i >= width ? i - width : -1,
+      i < width * (height - 1) ? i + width : -1,
+    ];
+
+    for (const j of neighbours) {
+      if (j < 0 || filled[j] || blocked[j]) continue;
+      if (distanceSq(j, colour) > stepSq || distanceSq(j, mean) > rangeSq) continue;
+      filled[j] = 1;
+      queue[tail++] = j;
+    }
+  }
+
+  return filled;
+};
+
+/**
+ * Homography from frame pixels to wall coordinates, and the frame's
+ * footprint on the wall. Null when a corner of the frame looks past the
+ * wall or the view is too oblique to map.
+ *
+ * @param {Object} view
+ * @param {number} view.width - frame pixels
+ * @param {number} view.height
+ * @param {{ fx, fy, cx, cy }} view.intrinsics
+ * @param {THREE.Vector3} view.position - camera, world space
+ * @param {THREE.Quaternion} view.quaternion
+ * @param {THREE.Plane} view.plane - the wall
+ * @param {THREE.Vector3} view.origin - wall coordinates' origin, on the wall
+ * @param {{ right, up }} view.axes
+ * @returns {{ homography: number[], footprint: Array<{ x, y }> } | null}
+ */
+export const frameToWall = ({ width, height, intrinsics, position, quaternion, plane, origin, axes }) => {
+  const pixels = [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height }];
+
+  const footprint = [];
+  for (const { x, y } of pixels) {
+    const ray = new THREE.Ray(position, pixelRay(x, y, intrinsics).applyQuaternion(quaternion));
+    const hit = ray.intersectPlane(plane, new THREE.Vector3());
+    if (!hit || hit.distanceTo(position) > MASK_CONFIG.MAX_SPAN) return null;
+    footprint.push(toWall(hit, origin, axes));
+  }
+
+  const homography = solveHomography(pixels, footprint);
+  return homography && { homography, footprint };
+};
+
+/**
+ * Bounds (wall coordinates) and pixel size of a mask image covering `area`
+ */
+const maskLayout = ({ minX, maxX, minY, maxY }) => {
+  const span = Math.max(maxX - minX, maxY - minY);
+  const texelsPerMetre = Math.min(MASK_CONFIG.TEXELS_PER_METRE, MASK_CONFIG.MAX_TEXELS / span);
+  return {
+    bounds: { minX, maxX, minY, maxY },
+    width: Math.max(1, Math.round((maxX - minX) * texelsPerMetre)),
+    height: Math.max(1, Math.round((maxY - minY) * texelsPerMetre)),
+  };
+};
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => resolve(image);
+  image.onerror = () => reject(new Error('Could not read the saved mask'));
+  image.src = src;
+});
+
+class WallMasker {
+  static async create(options) {
+    return new WallMasker(await loadOpenCV(), options);
+  }
+
+  /**
+   * @param {Object} cv - opencv.js namespace
+   * @param {Object} [options]
+   */
+  constructor(cv, options = {}) {
+    this.cv = cv;
+    this.options = {
+      frameWidth: MASK_CONFIG.FRAME_WIDTH,
+      iterations: MASK_CONFIG.GRABCUT_ITERATIONS,
+      ...options,
+    };
+    this.frame = null;
+  }
+
+  /**
+   * Freezes the current video frame, scaled to `frameWidth`.
+   *
+   * @returns {ImageData | null}
+   */
+  freeze(video) {
+    if (!video || video.readyState < video.HAVE_CURRENT_DATA || !video.videoWidth) return null;
+
+    const canvas = document.createElement('canvas');
+    const scale = Math.min(1, this.options.frameWidth / video.videoWidth);
+    canvas.width = Math.round(video.videoWidth * scale);
+    canvas.height = Math.round(video.videoHeight * scale);
+
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+    this.frame = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    return this.frame;
+  }
+
+  /**
+   * The region the strokes pick out on the frozen frame.
+   *
+   * @returns {Uint8Array | null} - 255 inside, 0 outside; null without any
+   *   brush or lasso strokes
+   */
+  refine(strokes) {
+    if (!this.frame) return null;
+    const { width, height } = this.frame;
+    return this.segment(rasteriseStrokes(strokes, width, height));
+  }
+
+  /**
+   * GrabCut seeded from the stroke layers: brushed pixels are certainly
+   * wall, erased ones certainly not, the flood fill and lasso interiors
+   * probably wall and everything else probably not.
+   */
+  segment({ brush, lasso, erase }) {
+    const { cv, frame } = this;
+    const count = frame.width * frame.height;
+    const fill = floodFill(frame, brush, erase);
+
+    const labels = new Uint8Array(count);
+    let foreground = 0;
+    let background = 0;
+    for (let i = 0; i < count; i++) {
+      if (erase[i]) labels[i] = cv.GC_BGD;
+      else if (brush[i]) labels[i] = cv.GC_FGD;
+      else if (fill[i] || lasso[i]) labels[i] = cv.GC_PR_FGD;
+      else labels[i] = cv.GC_PR_BGD;
+
+      if (labels[i] === cv.GC_FGD || labels[i] === cv.GC_PR_FGD) foreground++;
+      else background++;
+    }
+    if (!foreground) return null;
+
+    // GrabCut needs both sides to model; a frame that is all wall needs no cut
+    if (background) {
+      const rgba = cv.matFromImageData(frame);
+      const rgb = new cv.Mat();
+      const mask = new cv.Mat(frame.height, frame.width, cv.CV_8UC1);
+      const bgdModel = new cv.Mat();
+      const fgdModel = new cv.Mat();
+
+      try {
+        cv.cvtColor(rgba, rgb, cv.COLOR_RGBA2RGB);
+        mask.data.set(labels);
+        cv.grabCut(rgb, mask, new cv.Rect(0, 0, 1, 1), bgdModel, fgdModel, this.options.iterations, cv.GC_INIT_WITH_MASK);
+        labels.set(mask.data);
+      } catch (err) {
+        // Keep the seeded region rather than lose the strokes
+        console.warn('⚠️ GrabCut failed:', err.message || err);
+      } finally {
+        [rgba, rgb, mask, bgdModel, fgdModel].forEach(mat => mat.delete());
+      }
+    }
+
+    const region = new Uint8Array(count);
+    for (let i = 0; i < count; i++) {
+      region[i] = labels[i] === cv.GC_FGD || labels[i] === cv.GC_PR_FGD ? 255 : 0;
+    }
+    return region;
+  }
+
+  /**
+   * Warps a frame region onto the wall and merges it into the wall's
+   * existing mask: inside the frame's footprint the new region replaces
+   * the old one, elsewhere the old one is kept, so a wall too big for one
+   * view can be masked a view at a time.
+   *
+   * @param {Uint8Array} region - from refine()
+   * @param {Object} view - see frameToWall; its width and height are the
+   *   frozen frame's
+   * @param {{ bounds, image } | null} previous - the existing mask
+   * @returns {Promise<{ bounds, image } | null>} - bounds in wall
+   *   coordinates, image a PNG data URL with coverage in alpha
+   */
+  async toWallMask(region, view, previous = null) {
+    const { cv } = this;
+    const mapping = frameToWall(view);
+    if (!mapping) return null;
+
+    const xs = mapping.footprint.map(p => p.x);
+    const ys = mapping.footprint.map(p => p.y);
+    const area = { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) };
+    const layout = maskLayout(previous ? {
+      minX: Math.min(area.minX, previous.bounds.minX),
+      maxX: Math.max(area.maxX, previous.bounds.maxX),
+      minY: Math.min(area.minY, previous.bounds.minY),
+      maxY: Math.max(area.maxY, previous.bounds.maxY),
+    } : area);
+    const { bounds, width, height } = layout;
+    const texelsPerMetre = width / (bounds.maxX - bounds.minX);
+
+    // Wall metres to mask texels; rows run down from the top edge
+    const toTexels = [
+      texelsPerMetre, 0, -bounds.minX * texelsPerMetre,
+      0, -texelsPerMetre, bounds.maxY * texelsPerMetre,
+      0, 0, 1,
+    ];
+    const warp = multiplyHomography(toTexels, mapping.homography);
+
+    const src = new cv.Mat(view.height, view.width, cv.CV_8UC1);
+    const dst = new cv.Mat();
+    const matrix = cv.matFromArray(3, 3, cv.CV_64F, warp);
+    const warped = new Uint8ClampedArray(width * height * 4);
+
+    try {
+      src.data.set(region);
+      cv.warpPerspective(src, dst, matrix, new cv.Size(width, height), cv.INTER_LINEAR, cv.BORDER_CONSTANT, new cv.Scalar());
+      for (let i = 0; i < width * height; i++) {
+        warped.fill(255, i * 4, i * 4 + 3);
+        warped[i * 4 + 3] = dst.data[i];
+      }
+    } finally {
+      [src, dst, matrix].forEach(mat => mat.delete());
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    const texel = ({ x, y }) => [(x - bounds.minX) * texelsPerMetre, (bounds.maxY - y) * texelsPerMetre];
+
+    if (previous) {
+      const image = await loadImage(previous.image);
+      const [left, top] = texel({ x: previous.bounds.minX, y: previous.bounds.maxY });
+      const [right, bottom] = texel({ x: previous.bounds.maxX, y: previous.bounds.minY });
+      ctx.drawImage(image, left, top, right - left, bottom - top);
+
+      // Clear what this view saw; its region is drawn over it
+      ctx.save();
+      ctx.beginPath();
+      mapping.footprint.forEach((point, i) => ctx[i ? 'lineTo' : 'moveTo'](...texel(point)));
+      ctx.closePath();
+      ctx.clip();
+      ctx.clearRect(0, 0, width, height);
+      ctx.restore();
+    }
+
+    // putImageData would replace the kept mask, so draw through a canvas
+    const layer = document.createElement('canvas');
+    layer.width = width;
+    layer.height = height;
+    layer.getContext('2d').putImageData(new ImageData(warped, width, height), 0, 0);
+    ctx.drawImage(layer, 0, 0);
+
+    return { bounds, image: canvas.toDataURL('image/png') };
+  }
+
+  dispose() {
+    this.frame = null;
+  }
+}
+
+export default WallMasker;
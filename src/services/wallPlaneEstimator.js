@@ -0,0 +1,308 @@
+/**
+ * Wall Plane Estimator
+ * Keeps one plane per detected surface (wall/floor/ceiling), each with its
+ * own normal and distance, fitted from the detector's surface classification,
+ * device gravity and the user's confirmation taps.
+ */
+
+import * as THREE from 'three';
+
+const DEFAULT_OPTIONS = {
+  wallDistance: 1.5,     // metres from camera to wall when nothing better is known
+  cameraHeight: 1.4,     // metres from camera down to floor
+  ceilingClearance: 1.1, // metres from camera up to ceiling
+  mergeAngle: 20,        // degrees - observations closer than this update an existing plane
+  smoothing: 0.15,       // blend factor for unconfirmed planes
+  depthSmoothing: 0.5,   // blend factor for depth measurements (they beat the defaults)
+  staleAfter: 3000,      // ms - unconfirmed planes not seen for this long are dropped
+  maxPlanes: 6,
+};
+
+const WORLD_UP = new THREE.Vector3(0, 1, 0);
+
+// A plane as kept in `planes`, before any confirmation or measurement
+const createEntry = ({ id, surfaceType, plane, confidence, lastSeen }) => ({
+  id,
+  surfaceType,
+  plane,
+  confidence,
+  confirmed: false,
+  measured: false,
+  calibrated: null,
+  confirmations: 0,
+  extent: new THREE.Box3(), // world box of the plane seen so far, see extend()
+  lastSeen,
+});
+
+class WallPlaneEstimator {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.planes = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Feed one detector result. `up` is the gravity-aligned up vector in world
+   * space; without it the world Y axis is assumed to be up.
+   */
+  observe(result, camera, up = WORLD_UP) {
+    if (!result?.isPlane) return null;
+
+    const surfaceType = result.surfaceType === 'floor' || result.surfaceType === 'ceiling'
+      ? result.surfaceType
+      : 'wall';
+
+    const normal = this.estimateNormal(surfaceType, camera, up);
+    if (!normal) return null;
+
+    const distance = this.defaultDistance(surfaceType);
+    const origin = camera.getWorldPosition(new THREE.Vector3());
+    const point = origin.addScaledVector(normal, -distance);
+    const now = performance.now();
+
+    const existing = this.findMatch(surfaceType, normal);
+
+    if (existing) {
+      // Depth-measured planes keep their fit; the defaults would only drag them back
+      if (!existing.confirmed && !existing.measured) {
+        const alpha = this.options.smoothing;
+        const blended = existing.plane.normal.clone().lerp(normal, alpha).normalize();
+        const blendedPoint = existing.plane.coplanarPoint(new THREE.Vector3()).lerp(point, alpha);
+        existing.plane.setFromNormalAndCoplanarPoint(blended, blendedPoint);
+      }
+      if (!existing.confirmed) {
+        existing.confidence += (result.confidence - existing.confidence) * this.options.smoothing;
+      }
+      existing.lastSeen = now;
+      this.prune(now);
+      return existing;
+    }
+
+    const entry = createEntry({
+      id: this.nextId++,
+      surfaceType,
+      plane: new THREE.Plane().setFromNormalAndCoplanarPoint(normal, point),
+      confidence: result.confidence,
+      lastSeen: now,
+    });
+
+    this.planes.push(entry);
+    this.prune(now);
+    return entry;
+  }
+
+  /**
+   * Walls are vertical: their normal is the reversed view direction with the
+   * gravity component removed. Floors and ceilings follow gravity directly.
+   */
+  estimateNormal(surfaceType, camera, up) {
+    if (surfaceType === 'floor') return up.clone();
+    if (surfaceType === 'ceiling') return up.clone().negate();
+
+    const forward = camera.getWorldDirection(new THREE.Vector3());
+    const horizontal = forward.addScaledVector(up, -forward.dot(up));
+
+    // Looking almost straight up or down - the wall direction is undefined
+    if (horizontal.lengthSq() < 0.01) return null;
+
+    return horizontal.normalize().negate();
+  }
+
+  defaultDistance(surfaceType) {
+    if (surfaceType === 'floor') return this.options.cameraHeight;
+    if (surfaceType === 'ceiling') return this.options.ceilingClearance;
+    return this.options.wallDistance;
+  }
+
+  findMatch(surfaceType, normal) {
+    const maxAngle = THREE.MathUtils.degToRad(this.options.mergeAngle);
+
+    return this.planes.find(p =>
+      p.surfaceType === surfaceType && p.plane.normal.angleTo(normal) < maxAngle
+    ) || null;
+  }
+
+  /**
+   * A confirmation tap locks the plane so later observations stop moving it.
+   */
+  confirm(entry) {
+    if (!entry) return;
+    if (!this.planes.includes(entry)) this.planes.push(entry);
+    entry.confirmed = true;
+    entry.confirmations++;
+    entry.confidence = Math.min(1, entry.confidence + 0.2);
+    entry.lastSeen = performance.now();
+  }
+
+  /**
+   * Moves a plane along its normal, keeping its orientation - used when a
+   * better distance becomes available (depth, calibration).
+   */
+  setDistance(entry, distance, camera) {
+    const origin = camera.getWorldPosition(new THREE.Vector3());
+    const point = origin.addScaledVector(entry.plane.normal, -distance);
+    entry.plane.setFromNormalAndCoplanarPoint(entry.plane.normal, point);
+  }
+
+  /**
+   * Fits an unconfirmed plane to a depth measurement (world-space point and
+   * surface normal). Walls take the measured normal's horizontal part, so
+   * they stay vertical; floors and ceilings keep following gravity and only
+   * take the distance. `alpha` overrides the blend factor.
+   */
+  applyDepth(entry, measurement, up = WORLD_UP, alpha = this.options.depthSmoothing) {
+    if (!entry || entry.confirmed) return;
+    this.fitMeasurement(entry, measurement, up, alpha);
+  }
+
+  fitMeasurement(entry, { point, normal }, up, alpha) {
+    let target = entry.plane.normal.clone();
+
+    if (entry.surfaceType === 'wall' && normal) {
+      const horizontal = normal.clone().addScaledVector(up, -normal.dot(up));
+      if (horizontal.lengthSq() > 0.25) {
+        target = target.lerp(horizontal.normalize(), alpha).normalize();
+      }
+    }
+
+    const current = entry.plane.coplanarPoint(new THREE.Vector3());
+    const offset = target.dot(point) - target.dot(current);
+    entry.plane.setFromNormalAndCoplanarPoint(target, current.addScaledVector(target, offset * alpha));
+    entry.measured = true;
+  }
+
+  /**
+   * Fits a plane to a reference-object calibration when it is the wall the
+   * calibration was taken on (same orientation). Calibrated planes take the
+   * measurement whole and keep it; returns whether it applied.
+   */
+  applyCalibration(entry, calibration, up = WORLD_UP) {
+    if (!entry || !calibration || entry.surfaceType !== 'wall') return false;
+
+    const maxAngle = THREE.MathUtils.degToRad(this.options.mergeAngle);
+    if (entry.plane.normal.angleTo(calibration.normal) > maxAngle) return false;
+
+    if (entry.calibrated !== calibration) {
+      this.fitMeasurement(entry, calibration, up, 1);
+      entry.calibrated = calibration;
+    }
+    return true;
+  }
+
+  prune(now) {
+    this.planes = this.planes.filter(p =>
+      p.confirmed || now - p.lastSeen < this.options.staleAfter
+    );
+
+    if (this.planes.length > this.options.maxPlanes) {
+      this.planes.sort((a, b) => (b.confirmed - a.confirmed) || (b.lastSeen - a.lastSeen));
+      this.planes.length = this.options.maxPlanes;
+    }
+  }
+
+  /**
+   * Intersects a ray with every live plane that faces it and returns the
+   * nearest hit.
+   */
+  raycast(ray) {
+    let best = null;
+
+    this.planes.forEach((entry) => {
+      if (entry.plane.normal.dot(ray.direction) >= 0) return;
+
+      const point = ray.intersectPlane(entry.plane, new THREE.Vector3());
+      if (!point) return;
+
+      const distance = point.distanceTo(ray.origin);
+      if (!best || distance < best.distance) {
+        best = { point, normal: entry.plane.normal.clone(), distance, plane: entry };
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Hit against an assumed wall straight ahead at the default distance, for
+   * showing the reticle before the detector has reported any surface. The
+   * returned plane is not tracked until it is confirmed.
+   */
+  raycastPreview(ray, camera, up = WORLD_UP) {
+    const normal = this.estimateNormal('wall', camera, up);
+    if (!normal) return null;
+
+    const origin = camera.getWorldPosition(new THREE.Vector3());
+    const entry = createEntry({
+      id: this.nextId++,
+      surfaceType: 'wall',
+      plane: new THREE.Plane().setFromNormalAndCoplanarPoint(
+        normal,
+        origin.addScaledVector(normal, -this.options.wallDistance)
+      ),
+      confidence: 0,
+      lastSeen: performance.now(),
+    });
+
+    const point = ray.intersectPlane(entry.plane, new THREE.Vector3());
+    if (!point) return null;
+
+    return { point, normal, distance: point.distanceTo(ray.origin), plane: entry };
+  }
+
+  /**
+   * Orientation for an item hung on the plane: +Z out of the surface and +Y
+   * as close to gravity-up as the surface allows, so frames hang level.
+   */
+  getPlacementRotation(entry, up = WORLD_UP) {
+    const z = entry.plane.normal.clone();
+    let x = new THREE.Vector3().crossVectors(up, z);
+
+    // Floor/ceiling: "up" is the normal itself, keep the item's top facing away
+    if (x.lengthSq() < 1e-6) {
+      x = new THREE.Vector3(1, 0, 0);
+      x.addScaledVector(z, -x.dot(z));
+    }
+    x.normalize();
+
+    const y = new THREE.Vector3().crossVectors(z, x).normalize();
+    const basis = new THREE.Matrix4().makeBasis(x, y, z);
+
+    return new THREE.Quaternion().setFromRotationMatrix(basis);
+  }
+
+  /**
+   * In-plane unit axes (horizontal, vertical) for moving items along the plane.
+   */
+  getPlaneAxes(entry, up = WORLD_UP) {
+    const rotation = this.getPlacementRotation(entry, up);
+
+    return {
+      right: new THREE.Vector3(1, 0, 0).applyQuaternion(rotation),
+      up: new THREE.Vector3(0, 1, 0).applyQuaternion(rotation),
+    };
+  }
+
+  /**
+   * Grows the part of the plane known to exist by `points` - where the
+   * view's corners met it while scanning. Planes are unbounded, so this is
+   * the only notion of where a wall is.
+   */
+  extend(entry, points) {
+    points.forEach(point => entry.extent.expandByPoint(point));
+  }
+
+  /**
+   * Centre of the part of the plane seen so far, on the plane, or null.
+   * For a vertical wall the box's centre is the middle of the seen area.
+   */
+  getCentre(entry) {
+    if (!entry?.extent || entry.extent.isEmpty()) return null;
+    return entry.plane.projectPoint(entry.extent.getCenter(new THREE.Vector3()), new THREE.Vector3());
+  }
+
+  reset() {
+    this.planes = [];
+  }
+}
+
+export default WallPlaneEstimator;
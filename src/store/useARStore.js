@@ -5,6 +5,16 @@
 
 import { create } from 'zustand';
 import { devtools, persist } from 'zustand/middleware';
+import { snapshotScene } from '../utils/scene';
+import { TRANSFORM_CONFIG, WALLPAPER_CONFIG } from '../utils/constants';
+
+// Store fields a snapshot restores
+const restoreSnapshot = ({ transform, placements, selectedPlacementId }) => ({
+  ...transform,
+  placements,
+  selectedPlacementId,
+  isPlaced: placements.length > 0,
+});
 
 const useARStore = create(
   devtools(
@@ -12,7 +22,7 @@ const useARStore = create(
       (set, get) => ({
         // Model State
         currentModel: null,
-        modelType: 'frame', // 'frame' | 'wallpaper'
+        modelType: 'frame', // 'frame' | 'wallpaper' | 'paint'
         modelMetadata: null,
         
         // Transform State
@@ -20,6 +30,20 @@ const useARStore = create(
         rotation: { x: 0, y: 0, z: 0 },
         scale: 1,
         
+        // Placed items: { id, modelUrl, type, anchor, transform, plane, size, sizes, locked }.
+        // `size` is the chosen variant in metres (null when the size is unknown).
+        // Wallpapers carry their `pattern` repeat, `roll` size (metres) and `price`;
+        // paint placements their hex `colour` and no `modelUrl`; generated frames their `frame` parameters.
+        // `anchor` and `plane` are live scene objects, so placements aren't persisted.
+        placements: [],
+        selectedPlacementId: null,
+        
+        // Tape-measure lines on the wall: { id, start: [x, y, z], end: [x, y, z] } in world metres
+        measurements: [],
+        
+        // Last scene snapshot (utils/scene), kept across sessions
+        savedScene: null,
+        
         // AR State
         isPlaced: false,
         cameraActive: false,
@@ -29,50 +53,115 @@ const useARStore = create(
         // UI State
         showControls: true,
         showGrid: false,
+        autoLevel: true,
+        occlusionQuality: 'performance', // 'off' | 'performance' | 'quality'
+        wallpaperBlend: 'multiply', // key of WALLPAPER_CONFIG.BLEND_MODES
+        showOcclusionMask: false, // debug view of what real surfaces hide
+        calibrationReference: 'a4', // 'a4' | 'letter' | 'card'
+        units: 'metric', // 'metric' | 'imperial'
         
-        // History for undo/redo
+        // Undo/redo: one command per gesture, placement or delete, each with
+        // full before/after snapshots (utils/scene snapshotScene) so compound
+        // changes restore together. `historyIndex` is the last applied entry.
         history: [],
         historyIndex: -1,
         
         // Actions
+        /**
+         * `metadata.dimensions` is the item's physical size
+         * ({ width, height, depth, unit }) and `metadata.sizes` the variants
+         * it comes in; without them items keep the model's own proportions.
+         * Generated frames give their parameters as `metadata.frame` (see
+         * utils/frameBuilder) and a `frame:` model URL.
+         * Wallpapers give `metadata.repeat` ({ width, height?, unit }) and
+         * `metadata.match` instead, with the pattern image as `modelUrl`,
+         * and may give the `metadata.roll` ({ width, length, unit }) and
+         * `metadata.price` ({ amount, currency }, per roll) they are sold by.
+         * Paint has no `modelUrl`; it gives `metadata.colour`, a hex colour.
+         */
         setModel: (modelUrl, type = 'frame', metadata = null) => {
           set({
             currentModel: modelUrl,
             modelType: type,
-            modelMetadata: metadata,
+            modelMetadata: metadata && {
+              ...metadata,
+              dimensions: metadata.dimensions || null,
+              sizes: metadata.sizes || [],
+              repeat: metadata.repeat || null,
+              match: metadata.match || 'straight',
+              roll: metadata.roll || null,
+              price: metadata.price || null,
+              colour: metadata.colour || null,
+              frame: metadata.frame || null,
+            },
             isPlaced: false,
             error: null,
           });
         },
         
-        setPosition: (position) => {
-          const state = get();
-          set({
-            position,
-            history: [...state.history.slice(0, state.historyIndex + 1), { position }],
-            historyIndex: state.historyIndex + 1,
-          });
+        // Applies `changes` as one undoable step
+        commit: (label, changes) => {
+          const before = snapshotScene(get());
+          set(changes);
+          get().recordHistory(label, before);
         },
         
-        setRotation: (rotation) => {
-          const state = get();
-          set({
-            rotation,
-            history: [...state.history.slice(0, state.historyIndex + 1), { rotation }],
-            historyIndex: state.historyIndex + 1,
-          });
-        },
+        setPosition: (position) => get().commit('Move', { position }),
+        
+        setRotation: (rotation) => get().commit('Rotate', { rotation }),
         
         setScale: (scale) => {
           const clampedScale = Math.max(0.1, Math.min(5, scale));
-          const state = get();
-          set({
-            scale: clampedScale,
-            history: [...state.history.slice(0, state.historyIndex + 1), { scale: clampedScale }],
-            historyIndex: state.historyIndex + 1,
-          });
+          get().commit('Scale', { scale: clampedScale });
+        },
+        
+        addPlacement: ({ modelUrl, type = 'frame', anchor, transform, plane = null, size = null, sizes = [], pattern = null, roll = null, price = null, colour = null, frame = null }) => {
+          const id = `placement-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+          set((state) => ({
+            placements: [...state.placements, { id, modelUrl, type, anchor, transform, plane, size, sizes, pattern, roll, price, colour, frame, locked: false }],
+            selectedPlacementId: id,
+            isPlaced: true,
+          }));
+          return id;
         },
         
+        updatePlacement: (id, changes) => set((state) => ({
+          placements: state.placements.map(p => (p.id === id ? { ...p, ...changes } : p)),
+        })),
+        
+        removePlacement: (id) => set((state) => {
+          const placements = state.placements.filter(p => p.id !== id);
+          return {
+            placements,
+            selectedPlacementId: state.selectedPlacementId === id
+              ? placements[placements.length - 1]?.id ?? null
+              : state.selectedPlacementId,
+            isPlaced: placements.length > 0,
+          };
+        }),
+        
+        selectPlacement: (id) => set({ selectedPlacementId: id }),
+        
+        togglePlacementLock: (id) => set((state) => ({
+          placements: state.placements.map(p => (p.id === id ? { ...p, locked: !p.locked } : p)),
+        })),
+        
+        clearPlacements: () => set({ placements: [], selectedPlacementId: null, isPlaced: false }),
+        
+        addMeasurement: ({ start, end }) => {
+          const id = `measurement-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+          set((state) => ({ measurements: [...state.measurements, { id, start, end }] }));
+          return id;
+        },
+        
+        removeMeasurement: (id) => set((state) => ({
+          measurements: state.measurements.filter(m => m.id !== id),
+        })),
+        
+        clearMeasurements: () => set({ measurements: [] }),
+        
+        saveScene: (savedScene) => set({ savedScene }),
+        
         setPlaced: (isPlaced) => set({ isPlaced }),
         
         setCameraActive: (active) => set({ cameraActive: active }),
@@ -85,34 +174,70 @@ const useARStore = create(
         
         toggleGrid: () => set((state) => ({ showGrid: !state.showGrid })),
         
+        toggleAutoLevel: () => set((state) => ({ autoLevel: !state.autoLevel })),
+        
+        setOcclusionQuality: (occlusionQuality) => set({ occlusionQuality }),
+        
+        cycleOcclusionQuality: () => set((state) => {
+          const levels = ['off', 'performance', 'quality'];
+          const next = levels[(levels.indexOf(state.occlusionQuality) + 1) % levels.length];
+          return { occlusionQuality: next };
+        }),
+        
+        cycleWallpaperBlend: () => set((state) => {
+          const modes = Object.keys(WALLPAPER_CONFIG.BLEND_MODES);
+          const next = modes[(modes.indexOf(state.wallpaperBlend) + 1) % modes.length];
+          return { wallpaperBlend: next };
+        }),
+        
+        toggleOcclusionMask: () => set((state) => ({ showOcclusionMask: !state.showOcclusionMask })),
+        
+        setCalibrationReference: (calibrationReference) => set({ calibrationReference }),
+        
+        toggleUnits: () => set((state) => ({ units: state.units === 'metric' ? 'imperial' : 'metric' })),
+        
         resetTransform: () => {
-          set({
+          get().commit('Reset', {
             position: { x: 0, y: 0, z: -2 },
             rotation: { x: 0, y: 0, z: 0 },
             scale: 1,
           });
         },
         
+        /**
+         * Records a change that has already been applied. `before` is the
+         * snapshot taken before it; the current state is the "after".
+         * Anything that could still be redone is dropped.
+         */
+        recordHistory: (label, before) => {
+          const state = get();
+          const history = [
+            ...state.history.slice(0, state.historyIndex + 1),
+            { label, before, after: snapshotScene(state) },
+          ].slice(-TRANSFORM_CONFIG.HISTORY_LIMIT);
+          set({ history, historyIndex: history.length - 1 });
+        },
+        
+        /**
+         * Steps back one command. Returns the snapshot now in the store, so
+         * the viewer can move the live anchors to match, or null.
+         */
         undo: () => {
           const state = get();
-          if (state.historyIndex > 0) {
-            const prevState = state.history[state.historyIndex - 1];
-            set({
-              ...prevState,
-              historyIndex: state.historyIndex - 1,
-            });
-          }
+          const entry = state.history[state.historyIndex];
+          if (!entry) return null;
+
+          set({ ...restoreSnapshot(entry.before), historyIndex: state.historyIndex - 1 });
+          return entry.before;
         },
         
         redo: () => {
           const state = get();
-          if (state.historyIndex < state.history.length - 1) {
-            const nextState = state.history[state.historyIndex + 1];
-            set({
-              ...nextState,
-              historyIndex: state.historyIndex + 1,
-            });
-          }
+          const entry = state.history[state.historyIndex + 1];
+          if (!entry) return null;
+
+          set({ ...restoreSnapshot(entry.after), historyIndex: state.historyIndex + 1 });
+          return entry.after;
         },
         
         clearHistory: () => {
@@ -130,12 +255,21 @@ const useARStore = create(
             position: { x: 0, y: 0, z: -2 },
             rotation: { x: 0, y: 0, z: 0 },
             scale: 1,
+            placements: [],
+            selectedPlacementId: null,
+            measurements: [],
             isPlaced: false,
             cameraActive: false,
             isLoading: false,
             error: null,
             showControls: true,
             showGrid: false,
+            autoLevel: true,
+            occlusionQuality: 'performance',
+            wallpaperBlend: 'multiply',
+            showOcclusionMask: false,
+            calibrationReference: 'a4',
+            units: 'metric',
             history: [],
             historyIndex: -1,
           });
@@ -147,6 +281,12 @@ const useARStore = create(
           modelType: state.modelType,
           showControls: state.showControls,
           showGrid: state.showGrid,
+          autoLevel: state.autoLevel,
+          occlusionQuality: state.occlusionQuality,
+          wallpaperBlend: state.wallpaperBlend,
+          calibrationReference: state.calibrationReference,
+          units: state.units,
+          savedScene: state.savedScene,
         }),
       }
     ),
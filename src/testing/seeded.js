@@ -0,0 +1,15 @@
+/**
+ * Seeded random numbers for tests (mulberry32): a drop-in for Math.random
+ * that gives the same sequence on every run.
+ *
+ * @param {number} seed
+ * @returns {() => number} - uniform in [0, 1)
+ */
+export const seeded = (seed) => () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+export default seeded;
@@ -15,6 +15,8 @@ export const UPLOAD_CONFIG = {
   MAX_FILE_SIZE: parseInt(process.env.REACT_APP_MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB
   ALLOWED_EXTENSIONS: ['.glb', '.gltf'],
   ACCEPTED_MIME_TYPES: ['model/gltf-binary', 'model/gltf+json'],
+  // Wallpaper patterns are plain images of one repeat
+  IMAGE_EXTENSIONS: ['.png', '.jpg', '.jpeg', '.webp'],
 };
 
 // Model Configuration
@@ -24,6 +26,7 @@ export const MODEL_CONFIG = {
   TYPES: {
     FRAME: 'frame',
     WALLPAPER: 'wallpaper',
+    PAINT: 'paint',
   },
 };
 
@@ -51,6 +54,195 @@ export const TRANSFORM_CONFIG = {
   MOVE_STEP: 0.1,
   ROTATE_STEP: Math.PI / 36, // 5 degrees
   SCALE_STEP: 0.1,
+  LEVEL_SNAP_DEGREES: 4, // rotations this close to level snap back to it
+  HISTORY_LIMIT: 50, // undo steps kept
+};
+
+// Pointer gestures: touch, mouse, trackpad and pen
+export const GESTURE_CONFIG = {
+  DRAG_SPEED: 0.004,        // metres per pixel, when a drag can't follow the pointer on the wall
+  ROTATE_SPEED: 0.01,       // radians per pixel of Shift/right-drag
+  ROTATE_DEAD_ZONE: 3,      // degrees of pinch twist ignored, so pinches don't wobble
+  DETENT_DEGREES: 5,        // rotations this close to a quarter turn click into it
+  WHEEL_ZOOM_SPEED: 0.0015, // log scale per wheel pixel
+  PINCH_ZOOM_SPEED: 0.01,   // trackpad pinches arrive as ctrl+wheel in small steps
+  WHEEL_IDLE: 250,          // ms without wheel events that ends a wheel gesture
+  VELOCITY_WINDOW: 80,      // ms of drag samples a flick's velocity is taken over
+  INERTIA_DAMPING: 5,       // per second; higher stops a flick sooner
+  INERTIA_MIN_SPEED: 0.05,  // m/s - slower releases don't glide
+  INERTIA_MAX_SPEED: 3,     // m/s
+  SNAP_PIXELS: 12,          // on-screen reach of magnetic snapping
+};
+
+// One Euro filter parameters (utils/filters): minCutoff in Hz, beta per
+// unit of speed (m/s, rad/s or confidence/s)
+export const FILTER_CONFIG = {
+  RETICLE_POSITION: { minCutoff: 1.5, beta: 4, dCutoff: 1 },
+  RETICLE_ROTATION: { minCutoff: 1.5, beta: 0.5, dCutoff: 1 },
+  ANCHOR_CORRECTION: { minCutoff: 1, beta: 3, dCutoff: 1 }, // optical-flow drift corrections
+  CONFIDENCE: { minCutoff: 1, beta: 0.5, dCutoff: 1 },
+  PLANE_ON: 0.45,  // smoothed confidence at which a surface starts counting as a plane
+  PLANE_OFF: 0.3,  // ...and below which it stops
+};
+
+// Computer Vision Configuration
+export const VISION_CONFIG = {
+  // opencv.js is too large to bundle - the installed build is copied to
+  // public/ (scripts/copy-runtimes.js) and loaded at runtime from there
+  OPENCV_URL: process.env.REACT_APP_OPENCV_URL || `${process.env.PUBLIC_URL}/opencv.js`,
+  TRACKING_LOST_CONFIDENCE: 0.3, // tracker confidence below this counts as a lost frame
+  TRACKING_LOST_FRAMES: 6,       // consecutive lost frames before the UI reports it
+  // ms between optical-flow updates - under LIGHT_INTERVAL / 2, so light
+  // estimation reuses the tracker's frame instead of reading back its own
+  TRACKING_INTERVAL: 100,
+  // 'auto' picks by device capability; or 'heuristic' | 'opencv' | 'depth'
+  SURFACE_DETECTOR: process.env.REACT_APP_SURFACE_DETECTOR || 'auto',
+  // Weights of the depth estimator's models, served locally - see
+  // public/models/README.md for where to get them
+  DEPTH_MODEL_URL: process.env.REACT_APP_DEPTH_MODEL_URL || `${process.env.PUBLIC_URL || ''}/models/ar-portrait-depth/model.json`,
+  DEPTH_SEGMENTATION_MODEL_URL: process.env.REACT_APP_DEPTH_SEGMENTATION_MODEL_URL
+    || `${process.env.PUBLIC_URL || ''}/models/selfie-segmentation/model.json`,
+  // TF.js backends tried in order; wasm runs without a GPU, cpu always works
+  TF_BACKENDS: (process.env.REACT_APP_TF_BACKENDS || 'webgl,wasm,cpu').split(',').map(s => s.trim()),
+  // The WASM backend's binaries, copied to public/ by scripts/copy-runtimes.js
+  TF_WASM_PATH: process.env.REACT_APP_TF_WASM_PATH || `${process.env.PUBLIC_URL || ''}/tfjs-wasm/`,
+  DEPTH_RANGE: { NEAR: 0.3, FAR: 4 }, // metres the model's 0..1 output is mapped onto
+  RETICLE_DISTANCE: 1.5,              // metres at which the reticle has its base size
+  DEPTH_SOURCE: process.env.REACT_APP_DEPTH_SOURCE || 'monocular', // per-pixel depth for occlusion
+  DEPTH_INTERVAL: 300,                // ms between depth measurements while scanning
+  LIGHT_INTERVAL: 250,                // ms between light estimates
+};
+
+// People occlusion (person segmentation masks the rendered items)
+export const OCCLUSION_CONFIG = {
+  // 'mediapipe' runs its own WASM build (CPU-friendly); 'tfjs' uses the TF.js backends
+  RUNTIME: process.env.REACT_APP_OCCLUSION_RUNTIME || 'mediapipe',
+  SOLUTION_PATH: process.env.REACT_APP_SEGMENTATION_PATH || 'https://cdn.jsdelivr.net/npm/@mediapipe/selfie_segmentation',
+  THRESHOLD: 0.6, // person probability above which a pixel occludes
+  DEPTH_INTERVAL: 200, // ms between depth maps for furniture occlusion
+  DEPTH_MARGIN: 0.15,  // metres real surfaces must be in front of an item to hide it
+  // Per quality level: model variant and how many rendered frames to skip between masks
+  QUALITY: {
+    performance: { modelType: 'landscape', frameSkip: 4 },
+    quality: { modelType: 'general', frameSkip: 1 },
+  },
+};
+
+// Scale calibration against an object of known size on the wall
+export const CALIBRATION_CONFIG = {
+  // Metres; orientation doesn't matter, the longer side is matched to the longer edge
+  REFERENCE_OBJECTS: {
+    a4: { label: 'A4 sheet', width: 0.21, height: 0.297 },
+    letter: { label: 'Letter sheet', width: 0.2159, height: 0.2794 },
+    card: { label: 'Bank card', width: 0.0856, height: 0.05398 },
+  },
+  FRAME_WIDTH: 640,        // px - detection frame, downscaled from the video
+  MIN_AREA: 0.004,         // share of the frame - a card at about 1.5 m
+  MAX_AREA: 0.8,
+  ASPECT_TOLERANCE: 0.3,   // |log| of the aspect ratio mismatch
+  SAMPLES: 8,              // detections that must agree before calibrating
+  MAX_SPREAD: 0.05,        // relative spread of their distances
+  INTERVAL: 150,           // ms between detections
+};
+
+// Wall grid spacing in metres, per units preference
+export const GRID_CONFIG = {
+  metric: { cell: 0.1, section: 0.5, label: '10 cm' },
+  imperial: { cell: 0.0762, section: 0.3048, label: '3 in' },
+  EXTENT: 8,              // metres across, centred on the wall's origin
+  FADE_DISTANCE: 6,       // metres from the camera
+  LEVEL_TOLERANCE: 0.5,   // degrees of tilt still shown as level
+};
+
+// Wallpaper Configuration
+export const WALLPAPER_CONFIG = {
+  DEFAULT_REPEAT: { width: 53, unit: 'cm' }, // a standard roll's width; height follows the image
+  DEFAULT_ROLL: { width: 53, length: 1005, unit: 'cm' }, // standard European roll
+  DEFAULT_CURRENCY: 'USD',
+  TRIM_ALLOWANCE: 0.1,    // metres added to each drop for trimming at ceiling and skirting
+  WASTE: 0.1,             // share of rolls added for mistakes and offcuts
+  MATCHES: {
+    straight: 'Straight match',
+    'half-drop': 'Half-drop match',
+  },
+  BLEND_MODES: {
+    multiply: 'Multiply',
+    'soft-light': 'Soft light',
+    normal: 'Flat',
+  },
+  SHADING: 0.85,          // 0-1, how much of the wall's real light and shadow shows through
+  MIN_WIDTH: 2.4,         // metres covered before the wall's extent is known
+  MIN_HEIGHT: 2.4,
+  MAX_TILE_PIXELS: 2048,  // longest side of the tile texture
+  LUMINANCE_INTERVAL: 500, // ms between samples of the bare wall's brightness
+};
+
+// Frame Builder Configuration - generated frames, see utils/frameBuilder
+export const FRAME_CONFIG = {
+  PROFILES: {
+    flat: 'Flat',
+    bevel: 'Bevel',
+    ornate: 'Ornate',
+  },
+  FINISHES: {
+    oak: { label: 'Oak', colour: '#b8895a', roughness: 0.7, metalness: 0 },
+    walnut: { label: 'Walnut', colour: '#5a3a25', roughness: 0.6, metalness: 0 },
+    black: { label: 'Black', colour: '#1d1d1f', roughness: 0.45, metalness: 0 },
+    white: { label: 'White', colour: '#f2f0eb', roughness: 0.5, metalness: 0 },
+    metal: { label: 'Brushed metal', colour: '#b9bdc3', roughness: 0.35, metalness: 1 },
+    gold: { label: 'Gold leaf', colour: '#d4a84f', roughness: 0.3, metalness: 1 },
+    painted: { label: 'Painted', colour: null, roughness: 0.5, metalness: 0 }, // takes the frame's `colour`
+  },
+  // Lengths in cm
+  DEFAULT: {
+    profile: 'flat',
+    finish: 'oak',
+    colour: '#2f4858',
+    moulding: { width: 3, depth: 2.5 },
+    mat: { width: 5, colour: '#f4f1ea' },
+    glass: true,
+    width: 40,
+    height: 50,
+  },
+  BACKING_COLOUR: '#d9d5cc',
+  GLASS_OPACITY: 0.12,
+  PROFILE_SEGMENTS: 24,   // samples across a curved profile
+  URL_PREFIX: 'frame:',   // model URLs of generated frames
+};
+
+// Wall Paint Configuration
+export const PAINT_CONFIG = {
+  PALETTE: [
+    { name: 'Chalk', hex: '#f1ede4' },
+    { name: 'Linen', hex: '#e6dccb' },
+    { name: 'Stone', hex: '#b9b1a3' },
+    { name: 'Sage', hex: '#a9b79c' },
+    { name: 'Eucalyptus', hex: '#6f8a77' },
+    { name: 'Duck Egg', hex: '#a8c3c1' },
+    { name: 'Denim', hex: '#4f6d8a' },
+    { name: 'Navy', hex: '#26344a' },
+    { name: 'Terracotta', hex: '#c0705a' },
+    { name: 'Blush', hex: '#e3b8ad' },
+    { name: 'Ochre', hex: '#c89b45' },
+    { name: 'Charcoal', hex: '#3d3d3f' },
+  ],
+  DEFAULT_COLOUR: '#a9b79c',
+  SATURATION_TOLERANCE: 0.18, // how far from the bare wall's saturation a pixel still counts as wall
+  MIN_BRIGHTNESS: 0.3,        // share of the bare wall's brightness; darker pixels are furniture and frames
+  MAX_BRIGHTNESS: 1.9,        // lamps and windows above this stay unpainted
+  EDGE_SOFTNESS: 0.08,        // feathering of those limits, in the same units
+};
+
+// Wall masking - what a wallpaper or paint covers
+export const MASK_CONFIG = {
+  FRAME_WIDTH: 360,        // px - frozen frame the strokes are refined on
+  BRUSH_RADIUS: 0.03,      // share of the frame's width
+  FLOOD_STEP: 14,          // RGB distance between neighbouring pixels a fill crosses
+  FLOOD_RANGE: 70,         // RGB distance from the painted colour a fill reaches
+  GRABCUT_ITERATIONS: 3,
+  TEXELS_PER_METRE: 100,   // resolution of the mask on the wall
+  MAX_TEXELS: 1024,        // longest side of the wall mask
+  MAX_SPAN: 12,            // metres; a frame reaching further is too oblique to mask
 };
 
 // Sample Models
@@ -60,48 +252,81 @@ export const SAMPLE_MODELS = [
     name: 'Classic Wood Frame',
     type: 'frame',
     thumbnail: 'https://images.unsplash.com/photo-1513519245088-0e12902e35ca?w=400&h=400&fit=crop',
-    glbUrl: 'https://modelviewer.dev/shared-assets/models/NeilArmstrong.glb',
+    frame: { profile: 'bevel', finish: 'oak', moulding: { width: 4, depth: 3 }, mat: { width: 6, colour: '#f4f1ea' }, glass: true },
     description: 'Traditional wooden frame with natural finish',
+    // Generated frame (see utils/frameBuilder), lengths in cm unless `unit` says otherwise
+    dimensions: { width: 50, height: 70, depth: 3, unit: 'cm' },
+    sizes: [
+      { width: 30, height: 40, depth: 2.5 },
+      { width: 50, height: 70, depth: 3 },
+      { width: 70, height: 100, depth: 3.5 },
+    ],
   },
   {
     id: 'modern-metal-frame',
     name: 'Modern Metal Frame',
     type: 'frame',
     thumbnail: 'https://images.unsplash.com/photo-1582053433976-25c00369fc93?w=400&h=400&fit=crop',
-    glbUrl: 'https://modelviewer.dev/shared-assets/models/Astronaut.glb',
+    frame: { profile: 'flat', finish: 'metal', moulding: { width: 1.2, depth: 2 }, mat: null, glass: true },
     description: 'Sleek metallic frame with minimalist design',
+    dimensions: { width: 40, height: 50, depth: 2, unit: 'cm' },
+    sizes: [
+      { width: 30, height: 40, depth: 2 },
+      { width: 40, height: 50, depth: 2 },
+      { width: 60, height: 80, depth: 2 },
+    ],
   },
   {
     id: 'vintage-gold-frame',
     name: 'Vintage Gold Frame',
     type: 'frame',
     thumbnail: 'https://images.unsplash.com/photo-1561214115-f2f134cc4912?w=400&h=400&fit=crop',
-    glbUrl: 'https://modelviewer.dev/shared-assets/models/glTF-Sample-Models/2.0/DamagedHelmet/glTF/DamagedHelmet.gltf',
+    frame: { profile: 'ornate', finish: 'gold', moulding: { width: 2.5, depth: 1.5 }, mat: { width: 2, colour: '#efe6d2' }, glass: true, unit: 'in' },
     description: 'Ornate gold frame with vintage styling',
+    dimensions: { width: 16, height: 20, depth: 1.5, unit: 'in' },
+    sizes: [
+      { width: 11, height: 14, depth: 1.5 },
+      { width: 16, height: 20, depth: 1.5 },
+      { width: 24, height: 36, depth: 2 },
+    ],
   },
   {
     id: 'minimalist-frame',
     name: 'Minimalist Frame',
     type: 'frame',
     thumbnail: 'https://images.unsplash.com/photo-1616628188859-7a11abb6fcc9?w=400&h=400&fit=crop',
-    glbUrl: 'https://modelviewer.dev/shared-assets/models/reflective-sphere.gltf',
+    frame: { profile: 'flat', finish: 'black', moulding: { width: 1, depth: 1 }, mat: { width: 3, colour: '#ffffff' }, glass: true },
     description: 'Ultra-thin modern frame',
+    dimensions: { width: 21, height: 29.7, depth: 1, unit: 'cm' },
+    sizes: [
+      { width: 21, height: 29.7, depth: 1, label: 'A4' },
+      { width: 29.7, height: 42, depth: 1, label: 'A3' },
+      { width: 42, height: 59.4, depth: 1.5, label: 'A2' },
+    ],
   },
   {
     id: 'floral-wallpaper',
     name: 'Floral Wallpaper',
     type: 'wallpaper',
     thumbnail: 'https://images.unsplash.com/photo-1558618666-fcd25c85cd64?w=400&h=400&fit=crop',
-    glbUrl: 'https://modelviewer.dev/shared-assets/models/MaterialsVariantsShoe.glb',
+    patternUrl: 'https://images.unsplash.com/photo-1558618666-fcd25c85cd64?w=1024&h=1024&fit=crop',
     description: 'Elegant floral pattern wallpaper',
+    repeat: { width: 53, height: 53, unit: 'cm' },
+    match: 'half-drop',
+    roll: { width: 53, length: 1005, unit: 'cm' },
+    price: { amount: 48, currency: 'USD' },
   },
   {
     id: 'geometric-wallpaper',
     name: 'Geometric Wallpaper',
     type: 'wallpaper',
     thumbnail: 'https://images.unsplash.com/photo-1557672172-298e090bd0f1?w=400&h=400&fit=crop',
-    glbUrl: 'https://modelviewer.dev/shared-assets/models/glTF-Sample-Models/2.0/Box/glTF/Box.gltf',
+    patternUrl: 'https://images.unsplash.com/photo-1557672172-298e090bd0f1?w=1024&h=1024&fit=crop',
     description: 'Modern geometric pattern design',
+    repeat: { width: 64, height: 64, unit: 'cm' },
+    match: 'straight',
+    roll: { width: 68.5, length: 1005, unit: 'cm' },
+    price: { amount: 72, currency: 'USD' },
   },
 ];
 
@@ -120,6 +345,10 @@ export const FEATURES = {
   ENABLE_ANALYTICS: process.env.REACT_APP_ENABLE_ANALYTICS === 'true',
   ENABLE_HISTORY: true,
   ENABLE_GRID: true,
+  ENABLE_VISUAL_TRACKING: process.env.REACT_APP_ENABLE_VISUAL_TRACKING !== 'false',
+  ENABLE_DEPTH_ESTIMATION: process.env.REACT_APP_ENABLE_DEPTH_ESTIMATION !== 'false',
+  ENABLE_LIGHT_ESTIMATION: process.env.REACT_APP_ENABLE_LIGHT_ESTIMATION !== 'false',
+  ENABLE_DEBUG_VIEWS: process.env.REACT_APP_ENABLE_DEBUG_VIEWS === 'true' || process.env.NODE_ENV === 'development',
 };
 
 // Routes
@@ -136,6 +365,8 @@ export const ERROR_MESSAGES = {
   FILE_TOO_LARGE: `File size exceeds maximum allowed size of ${UPLOAD_CONFIG.MAX_FILE_SIZE / 1024 / 1024}MB.`,
   INVALID_FILE_TYPE: 'Invalid file type. Please upload a .glb or .gltf file.',
   INVALID_URL: 'Invalid URL. Please enter a valid URL to a .glb file.',
+  INVALID_IMAGE_TYPE: 'Invalid file type. Please upload a .png, .jpg or .webp pattern image.',
+  INVALID_IMAGE_URL: 'Invalid URL. Please enter a valid URL to a .png, .jpg or .webp image.',
   NETWORK_ERROR: 'Network error. Please check your internet connection.',
   WEBGL_NOT_SUPPORTED: 'WebGL is not supported on this device.',
   AR_NOT_SUPPORTED: 'AR is not supported on this device.',
@@ -154,6 +385,7 @@ export const ANALYTICS_EVENTS = {
   MODEL_LOADED: 'model_loaded',
   AR_SESSION_STARTED: 'ar_session_started',
   AR_SESSION_ENDED: 'ar_session_ended',
+  AR_PLACEMENT: 'ar_placement',
   SCREENSHOT_CAPTURED: 'screenshot_captured',
   MODEL_UPLOADED: 'model_uploaded',
   ERROR_OCCURRED: 'error_occurred',
@@ -174,6 +406,7 @@ export const KEYBOARD_SHORTCUTS = {
   SCREENSHOT: 's',
   UNDO: 'z',
   REDO: 'y',
+  TOGGLE_OCCLUSION_MASK: 'm',
   CLOSE: 'Escape',
 };
 
@@ -193,6 +426,7 @@ export const DEVICE_SUPPORT = {
     screenshot: true,
     status: 'Fully Supported',
   },
+  // Webcam, with mouse, trackpad or pen gestures
   desktop: {
     name: 'Desktop',
     camera: true,
@@ -209,6 +443,16 @@ const constants = {
   MODEL_CONFIG,
   CAMERA_CONFIG,
   TRANSFORM_CONFIG,
+  GESTURE_CONFIG,
+  FILTER_CONFIG,
+  VISION_CONFIG,
+  OCCLUSION_CONFIG,
+  CALIBRATION_CONFIG,
+  GRID_CONFIG,
+  FRAME_CONFIG,
+  WALLPAPER_CONFIG,
+  PAINT_CONFIG,
+  MASK_CONFIG,
   SAMPLE_MODELS,
   UI_CONFIG,
   FEATURES,
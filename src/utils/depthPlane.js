@@ -0,0 +1,208 @@
+/**
+ * Depth Plane Utilities
+ * Least-squares plane fits on depth maps.
+ */
+
+import * as THREE from 'three';
+import { pixelRay, unprojectPixel } from './projection';
+
+const FULL_REGION = { x: 0, y: 0, width: 1, height: 1 };
+
+/**
+ * Solves a 3x3 system with Cramer's rule; null when singular
+ */
+const solve3 = (m, v) => {
+  const det = (a) =>
+    a[0][0] * (a[1][1] * a[2][2] - a[1][2] * a[2][1]) -
+    a[0][1] * (a[1][0] * a[2][2] - a[1][2] * a[2][0]) +
+    a[0][2] * (a[1][0] * a[2][1] - a[1][1] * a[2][0]);
+
+  const d = det(m);
+  if (Math.abs(d) < 1e-12) return null;
+
+  return [0, 1, 2].map((col) => {
+    const replaced = m.map((row, i) => row.map((value, j) => (j === col ? v[i] : value)));
+    return det(replaced) / d;
+  });
+};
+
+/**
+ * Fits `depth = a*x + b*y + c` over a region of a depth map, with x and y
+ * normalised to [-1, 1] across the region (y grows downwards). `a`/`b` are
+ * the depth change from the region's centre to its right/bottom edge; `rms`
+ * is the residual, i.e. how far the region is from a plane.
+ *
+ * @param {{ data, width, height }} depth - row-major depth values
+ * @param {Object} [options]
+ * @param {{ x, y, width, height }} [options.region] - normalised region
+ * @param {number} [options.samples] - grid samples per axis
+ * @returns {{ a, b, c, rms, count } | null}
+ */
+export const fitDepthPlane = (depth, { region = FULL_REGION, samples = 16 } = {}) => {
+  const x0 = region.x * depth.width;
+  const y0 = region.y * depth.height;
+  const w = region.width * depth.width;
+  const h = region.height * depth.height;
+
+  const points = [];
+  for (let sy = 0; sy < samples; sy++) {
+    for (let sx = 0; sx < samples; sx++) {
+      const u = (sx + 0.5) / samples;
+      const v = (sy + 0.5) / samples;
+      const px = Math.min(depth.width - 1, Math.floor(x0 + u * w));
+      const py = Math.min(depth.height - 1, Math.floor(y0 + v * h));
+      const value = depth.data[py * depth.width + px];
+
+      if (Number.isFinite(value)) points.push([u * 2 - 1, v * 2 - 1, value]);
+    }
+  }
+
+  if (points.length < 3) return null;
+
+  const m = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  const r = [0, 0, 0];
+  points.forEach(([x, y, z]) => {
+    const row = [x, y, 1];
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) m[i][j] += row[i] * row[j];
+      r[i] += row[i] * z;
+    }
+  });
+
+  const solution = solve3(m, r);
+  if (!solution) return null;
+
+  const [a, b, c] = solution;
+  const sumSq = points.reduce((sum, [x, y, z]) => sum + (a * x + b * y + c - z) ** 2, 0);
+
+  return { a, b, c, rms: Math.sqrt(sumSq / points.length), count: points.length };
+};
+
+/**
+ * Eigenvector of the smallest eigenvalue of a symmetric 3x3 matrix (Jacobi
+ * rotations) - the normal of a point cloud's best-fit plane.
+ */
+const smallestEigenvector = (matrix) => {
+  const a = matrix.map(row => row.slice());
+  const v = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+  for (let sweep = 0; sweep < 20; sweep++) {
+    let off = 0;
+    for (let p = 0; p < 2; p++) {
+      for (let q = p + 1; q < 3; q++) off += a[p][q] * a[p][q];
+    }
+    if (off < 1e-18) break;
+
+    for (let p = 0; p < 2; p++) {
+      for (let q = p + 1; q < 3; q++) {
+        if (Math.abs(a[p][q]) < 1e-15) continue;
+
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < 3; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < 3; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < 3; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  const smallest = [0, 1, 2].reduce((best, i) => (a[i][i] < a[best][best] ? i : best), 0);
+  return new THREE.Vector3(v[0][smallest], v[1][smallest], v[2][smallest]).normalize();
+};
+
+/**
+ * Total-least-squares plane through 3D points (works for any orientation,
+ * unlike a depth = f(x, y) fit).
+ *
+ * @param {THREE.Vector3[]} points
+ * @returns {{ normal: THREE.Vector3, centroid: THREE.Vector3, rms: number } | null}
+ */
+export const fitPlane3D = (points) => {
+  if (points.length < 3) return null;
+
+  const centroid = points
+    .reduce((sum, p) => sum.add(p), new THREE.Vector3())
+    .divideScalar(points.length);
+
+  const cov = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  points.forEach((p) => {
+    const d = [p.x - centroid.x, p.y - centroid.y, p.z - centroid.z];
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) cov[i][j] += d[i] * d[j];
+    }
+  });
+
+  const normal = smallestEigenvector(cov);
+  const sumSq = points.reduce((sum, p) => sum + normal.dot(p.clone().sub(centroid)) ** 2, 0);
+
+  return { normal, centroid, rms: Math.sqrt(sumSq / points.length) };
+};
+
+/**
+ * Measures the surface around a pixel of a metric depth map: unprojects a
+ * window of samples, fits a plane and intersects the pixel's ray with it.
+ * Everything is in camera space (three.js convention, camera looking down -Z).
+ *
+ * @param {{ data, width, height }} depth - depth map in metres
+ * @param {Object} options
+ * @param {{ x, y }} options.point - normalised pixel to measure at
+ * @param {{ fx, fy, cx, cy }} options.intrinsics - for the depth map's resolution
+ * @param {number} [options.radius] - window half-size, normalised to width
+ * @param {number} [options.samples] - grid samples per axis
+ * @returns {{ distance, normal: THREE.Vector3, rms, confidence } | null}
+ */
+export const measureSurface = (depth, { point, intrinsics, radius = 0.12, samples = 9, maxRms = 0.05 }) => {
+  const cu = point.x * depth.width;
+  const cv = point.y * depth.height;
+  const half = radius * depth.width;
+
+  const points = [];
+  for (let sy = 0; sy < samples; sy++) {
+    for (let sx = 0; sx < samples; sx++) {
+      const u = cu - half + (2 * half * sx) / (samples - 1);
+      const v = cv - half + (2 * half * sy) / (samples - 1);
+      if (u < 0 || v < 0 || u >= depth.width || v >= depth.height) continue;
+
+      const z = depth.data[Math.floor(v) * depth.width + Math.floor(u)];
+      if (Number.isFinite(z) && z > 0) points.push(unprojectPixel(u, v, z, intrinsics));
+    }
+  }
+
+  const plane = fitPlane3D(points);
+  if (!plane) return null;
+
+  // Face the camera (which sits at the origin)
+  if (plane.normal.dot(plane.centroid) > 0) plane.normal.negate();
+
+  const ray = pixelRay(cu, cv, intrinsics);
+  const facing = plane.normal.dot(ray);
+  if (facing > -1e-3) return null;
+
+  const distance = plane.normal.dot(plane.centroid) / facing;
+  if (!(distance > 0)) return null;
+
+  return {
+    distance,
+    normal: plane.normal,
+    rms: plane.rms,
+    confidence: Math.max(0, 1 - plane.rms / maxRms),
+  };
+};
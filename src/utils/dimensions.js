@@ -0,0 +1,170 @@
+/**
+ * Dimension Utilities
+ * Physical sizes of products. Catalogue and upload metadata give sizes in
+ * the unit they are sold in; the scene works in metres.
+ *
+ *   { width, height, depth?, unit: 'cm' | 'mm' | 'in' | 'ft' | 'm', label? }
+ *
+ * width runs along the model's X axis, height along Y and depth along Z
+ * (out of the wall).
+ */
+
+export const METRES_PER_UNIT = {
+  m: 1,
+  cm: 0.01,
+  mm: 0.001,
+  in: 0.0254,
+  ft: 0.3048,
+};
+
+const isPositive = (value) => Number.isFinite(value) && value > 0;
+
+/**
+ * Converts a size to metres. Returns null when width or height is missing,
+ * so callers can fall back to the model's own proportions.
+ *
+ * @returns {{ width, height, depth, unit, label } | null} - metres; `unit`
+ *   is the unit the size was given in, kept for display
+ */
+export const toMetres = (size) => {
+  if (!size) return null;
+
+  const unit = size.unit in METRES_PER_UNIT ? size.unit : 'cm';
+  const factor = METRES_PER_UNIT[unit];
+  const width = Number(size.width);
+  const height = Number(size.height);
+  const depth = Number(size.depth);
+
+  if (!isPositive(width) || !isPositive(height)) return null;
+
+  return {
+    width: width * factor,
+    height: height * factor,
+    depth: isPositive(depth) ? depth * factor : null,
+    unit,
+    label: size.label || null,
+  };
+};
+
+/**
+ * One repeat of a wallpaper pattern in metres - the wall area one copy of
+ * the pattern image covers - and how neighbouring drops line up. Without a
+ * height the repeat follows the image's proportions.
+ *
+ * @param {{ width, height?, unit }} repeat
+ * @param {'straight'|'half-drop'} [match]
+ * @returns {{ width, height, match } | null} - height is null when not given
+ */
+export const toRepeat = (repeat, match = 'straight') => {
+  if (!repeat) return null;
+
+  const factor = METRES_PER_UNIT[repeat.unit] || METRES_PER_UNIT.cm;
+  const width = Number(repeat.width);
+  const height = Number(repeat.height);
+  if (!isPositive(width)) return null;
+
+  return {
+    width: width * factor,
+    height: isPositive(height) ? height * factor : null,
+    match: match === 'half-drop' ? 'half-drop' : 'straight',
+  };
+};
+
+/**
+ * A wallpaper roll's width and length in metres, or null when either is
+ * missing.
+ *
+ * @param {{ width, length, unit }} roll
+ */
+export const toRoll = (roll) => {
+  if (!roll) return null;
+
+  const factor = METRES_PER_UNIT[roll.unit] || METRES_PER_UNIT.cm;
+  const width = Number(roll.width);
+  const length = Number(roll.length);
+  if (!isPositive(width) || !isPositive(length)) return null;
+
+  return { width: width * factor, length: length * factor };
+};
+
+/**
+ * Size variants of a product in metres, smallest first. `dimensions` is
+ * the default size and is included if the variants don't list it.
+ */
+export const sizeVariants = ({ dimensions, sizes = [] } = {}) => {
+  const variants = sizes.map(s => toMetres({ unit: dimensions?.unit, ...s })).filter(Boolean);
+  const base = toMetres(dimensions);
+
+  if (base && !variants.some(v => sameSize(v, base))) variants.push(base);
+
+  return variants.sort((a, b) => a.width * a.height - b.width * b.height);
+};
+
+export const sameSize = (a, b) =>
+  !!a && !!b && Math.abs(a.width - b.width) < 1e-4 && Math.abs(a.height - b.height) < 1e-4;
+
+/**
+ * The variant whose width is closest to `width` on a log scale, so a pinch
+ * that doubles the frame lands on the variant twice as wide.
+ */
+export const nearestVariant = (variants, width) => {
+  let best = null;
+  let bestError = Infinity;
+
+  variants.forEach((variant) => {
+    const error = Math.abs(Math.log(variant.width / width));
+    if (error < bestError) {
+      best = variant;
+      bestError = error;
+    }
+  });
+
+  return best;
+};
+
+/**
+ * Per-axis scale that takes a model of `modelSize` (model units) to a
+ * physical size in metres. Without a depth the thinner of the two face
+ * scales is used, so mouldings don't balloon.
+ *
+ * @param {{ x, y, z }} modelSize
+ * @param {{ width, height, depth }} size - metres
+ */
+export const scaleToSize = (modelSize, size) => {
+  const x = size.width / modelSize.x;
+  const y = size.height / modelSize.y;
+  const z = size.depth && modelSize.z > 1e-6 ? size.depth / modelSize.z : Math.min(x, y);
+  return { x, y, z };
+};
+
+/**
+ * "50 × 70 cm" - in the unit the size was given in, or in `unit` when set.
+ */
+export const formatSize = (size, unit = size?.unit || 'cm') => {
+  if (!size) return '';
+
+  const factor = METRES_PER_UNIT[unit] || METRES_PER_UNIT.cm;
+  const digits = unit === 'mm' ? 0 : unit === 'm' ? 2 : 1;
+  const format = (metres) => +(metres / factor).toFixed(digits);
+
+  return `${format(size.width)} × ${format(size.height)} ${unit}`;
+};
+
+/**
+ * A length for display: 85 cm, 1.25 m, 9.5" or 4' 2".
+ *
+ * @param {number} metres
+ * @param {'metric'|'imperial'} units
+ */
+export const formatLength = (metres, units = 'metric') => {
+  if (units === 'imperial') {
+    const inches = metres / METRES_PER_UNIT.in;
+    if (inches < 12) return `${+inches.toFixed(1)}"`;
+
+    const total = Math.round(inches);
+    return `${Math.floor(total / 12)}' ${total % 12}"`;
+  }
+
+  if (metres < 1) return `${+(metres * 100).toFixed(1)} cm`;
+  return `${metres.toFixed(2)} m`;
+};
@@ -0,0 +1,169 @@
+/**
+ * Filter Utilities
+ * One Euro filters (Casiez et al., CHI 2012) for jittery per-frame signals:
+ * a low-pass filter whose cutoff rises with the signal's speed, so a still
+ * signal is smoothed hard while a moving one follows with little lag.
+ *
+ *   minCutoff - Hz; lower smooths a still signal more
+ *   beta      - how fast the cutoff rises with speed; higher cuts lag
+ *   dCutoff   - Hz; cutoff for the speed estimate itself
+ *
+ * Timestamps are in seconds. A sample with the same timestamp as the last
+ * one returns the last output unchanged.
+ */
+
+import * as THREE from 'three';
+
+const DEFAULT_PARAMS = { minCutoff: 1, beta: 0, dCutoff: 1 };
+
+// Blend factor of a first-order low-pass at `cutoff` Hz over `dt` seconds
+const smoothingFactor = (cutoff, dt) => {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / dt);
+};
+
+export class OneEuroFilter {
+  constructor(params = {}) {
+    this.params = { ...DEFAULT_PARAMS, ...params };
+    this.reset();
+  }
+
+  filter(value, timestamp) {
+    if (this.value === null) {
+      this.value = value;
+      this.time = timestamp;
+      return value;
+    }
+
+    const dt = timestamp - this.time;
+    if (dt <= 0) return this.value;
+    this.time = timestamp;
+
+    const { minCutoff, beta, dCutoff } = this.params;
+    const speed = (value - this.value) / dt;
+    this.speed += smoothingFactor(dCutoff, dt) * (speed - this.speed);
+
+    const cutoff = minCutoff + beta * Math.abs(this.speed);
+    this.value += smoothingFactor(cutoff, dt) * (value - this.value);
+    return this.value;
+  }
+
+  reset() {
+    this.value = null;
+    this.speed = 0;
+    this.time = 0;
+  }
+}
+
+/**
+ * One Euro filter for THREE.Vector3 positions. The cutoff follows the speed
+ * of the whole vector, so all axes are smoothed alike.
+ */
+export class VectorOneEuroFilter {
+  constructor(params = {}) {
+    this.params = { ...DEFAULT_PARAMS, ...params };
+    this.value = new THREE.Vector3();
+    this.velocity = new THREE.Vector3();
+    this.reset();
+  }
+
+  /**
+   * @returns {THREE.Vector3} - the filter's own vector; copy it to keep it
+   */
+  filter(value, timestamp) {
+    if (!this.initialised) {
+      this.initialised = true;
+      this.value.copy(value);
+      this.time = timestamp;
+      return this.value;
+    }
+
+    const dt = timestamp - this.time;
+    if (dt <= 0) return this.value;
+    this.time = timestamp;
+
+    const { minCutoff, beta, dCutoff } = this.params;
+    const velocity = value.clone().sub(this.value).divideScalar(dt);
+    this.velocity.lerp(velocity, smoothingFactor(dCutoff, dt));
+
+    const cutoff = minCutoff + beta * this.velocity.length();
+    this.value.lerp(value, smoothingFactor(cutoff, dt));
+    return this.value;
+  }
+
+  reset() {
+    this.initialised = false;
+    this.value.set(0, 0, 0);
+    this.velocity.set(0, 0, 0);
+    this.time = 0;
+  }
+}
+
+/**
+ * One Euro filter for THREE.Quaternion orientations: slerps towards each
+ * sample, with the cutoff following angular speed (rad/s).
+ */
+export class QuaternionOneEuroFilter {
+  constructor(params = {}) {
+    this.params = { ...DEFAULT_PARAMS, ...params };
+    this.value = new THREE.Quaternion();
+    this.reset();
+  }
+
+  /**
+   * @returns {THREE.Quaternion} - the filter's own quaternion; copy it to keep it
+   */
+  filter(value, timestamp) {
+    if (!this.initialised) {
+      this.initialised = true;
+      this.value.copy(value);
+      this.time = timestamp;
+      return this.value;
+    }
+
+    const dt = timestamp - this.time;
+    if (dt <= 0) return this.value;
+    this.time = timestamp;
+
+    const { minCutoff, beta, dCutoff } = this.params;
+    const speed = this.value.angleTo(value) / dt;
+    this.speed += smoothingFactor(dCutoff, dt) * (speed - this.speed);
+
+    const cutoff = minCutoff + beta * this.speed;
+    this.value.slerp(value, smoothingFactor(cutoff, dt));
+    return this.value;
+  }
+
+  reset() {
+    this.initialised = false;
+    this.value.identity();
+    this.speed = 0;
+    this.time = 0;
+  }
+}
+
+/**
+ * Two-threshold switch: turns on once the value reaches `on` and only turns
+ * off again below `off`, so a signal hovering at one threshold doesn't
+ * flicker.
+ */
+export class Hysteresis {
+  constructor({ on, off, initial = false }) {
+    this.on = on;
+    this.off = off;
+    this.initial = initial;
+    this.state = initial;
+  }
+
+  update(value) {
+    if (this.state && value < this.off) this.state = false;
+    else if (!this.state && value >= this.on) this.state = true;
+    return this.state;
+  }
+
+  reset() {
+    this.state = this.initial;
+  }
+}
+
+export default OneEuroFilter;
@@ -0,0 +1,180 @@
+import * as THREE from 'three';
+import { OneEuroFilter, VectorOneEuroFilter, QuaternionOneEuroFilter, Hysteresis } from './filters';
+import { FILTER_CONFIG } from './constants';
+import { seeded } from '../testing/seeded';
+
+const RATE = 60;
+const FRAMES = 240;
+
+// Uniform noise in [-amplitude, amplitude)
+const noise = (seed, amplitude) => {
+  const random = seeded(seed);
+  return () => (random() * 2 - 1) * amplitude;
+};
+
+// Root mean square of the frame-to-frame change
+const jitter = (values) => {
+  const steps = values.slice(1).map((value, i) => value - values[i]);
+  return Math.sqrt(steps.reduce((sum, step) => sum + step * step, 0) / steps.length);
+};
+
+// Feeds `signal(t)` at 60 Hz, returning the outputs mapped through `read`
+const run = (filter, signal, read = (value) => value) =>
+  Array.from({ length: FRAMES }, (_, i) => {
+    const t = i / RATE;
+    return read(filter.filter(signal(t), t));
+  });
+
+describe('OneEuroFilter', () => {
+  it('passes the first sample through', () => {
+    expect(new OneEuroFilter().filter(3, 0)).toBe(3);
+  });
+
+  it('smooths a noisy still signal', () => {
+    const random = noise(1, 0.05);
+    const input = Array.from({ length: FRAMES }, () => 1 + random());
+    const filter = new OneEuroFilter(FILTER_CONFIG.CONFIDENCE);
+    const output = input.map((value, i) => filter.filter(value, i / RATE));
+
+    expect(jitter(output)).toBeLessThan(jitter(input) / 4);
+    output.slice(RATE).forEach((value) => expect(Math.abs(value - 1)).toBeLessThan(0.025));
+  });
+
+  it('follows a step within a fraction of a second', () => {
+    const random = noise(2, 0.02);
+    const output = run(new OneEuroFilter(FILTER_CONFIG.CONFIDENCE), (t) => (t < 1 ? 0 : 1) + random());
+
+    const settled = output.findIndex((value, i) => i >= RATE && value > 0.9);
+    expect((settled - RATE) / RATE).toBeLessThan(0.5);
+  });
+
+  it('lags a ramp less as beta rises', () => {
+    const ramp = (t) => 2 * t;
+    const lag = (beta) => {
+      const output = run(new OneEuroFilter({ ...FILTER_CONFIG.CONFIDENCE, beta }), ramp);
+      return ramp((FRAMES - 1) / RATE) - output[FRAMES - 1];
+    };
+
+    expect(lag(0)).toBeGreaterThan(0);
+    expect(lag(2)).toBeLessThan(lag(0) / 2);
+  });
+
+  it('ignores a repeated timestamp', () => {
+    const filter = new OneEuroFilter();
+    filter.filter(0, 0);
+    const value = filter.filter(1, 0.1);
+    expect(filter.filter(5, 0.1)).toBe(value);
+  });
+
+  it('starts over after a reset', () => {
+    const filter = new OneEuroFilter();
+    filter.filter(0, 0);
+    filter.filter(0, 0.1);
+    filter.reset();
+    expect(filter.filter(4, 0.2)).toBe(4);
+  });
+});
+
+describe('VectorOneEuroFilter', () => {
+  it('smooths a hand-held reticle', () => {
+    const random = noise(3, 0.01);
+    const rest = new THREE.Vector3(0.2, 1.4, -1.5);
+    const input = Array.from({ length: FRAMES }, () => rest.clone().add(new THREE.Vector3(random(), random(), random())));
+    const filter = new VectorOneEuroFilter(FILTER_CONFIG.RETICLE_POSITION);
+    const output = input.map((value, i) => filter.filter(value, i / RATE).clone());
+
+    ['x', 'y', 'z'].forEach((axis) => {
+      expect(jitter(output.map((v) => v[axis]))).toBeLessThan(jitter(input.map((v) => v[axis])) / 3);
+    });
+    output.slice(RATE).forEach((value) => expect(value.distanceTo(rest)).toBeLessThan(0.01));
+  });
+
+  it('keeps up with the reticle sweeping along a wall', () => {
+    const random = noise(4, 0.005);
+    const sweep = (t) => new THREE.Vector3(0.5 * t + random(), 1.4 + random(), -1.5 + random());
+    const filter = new VectorOneEuroFilter(FILTER_CONFIG.RETICLE_POSITION);
+    const output = run(filter, sweep, (value) => value.clone());
+
+    const end = (FRAMES - 1) / RATE;
+    expect(0.5 * end - output[FRAMES - 1].x).toBeLessThan(0.05);
+  });
+
+  it('returns its own vector, leaving the sample alone', () => {
+    const filter = new VectorOneEuroFilter();
+    const sample = new THREE.Vector3(1, 2, 3);
+    filter.filter(new THREE.Vector3(), 0);
+    const value = filter.filter(sample, 0.1);
+
+    expect(value).not.toBe(sample);
+    expect(value).toBe(filter.filter(new THREE.Vector3(), 0.2));
+    expect(sample.toArray()).toEqual([1, 2, 3]);
+  });
+});
+
+describe('QuaternionOneEuroFilter', () => {
+  const Z_AXIS = new THREE.Vector3(0, 0, 1);
+  const about = (axis, angle) => new THREE.Quaternion().setFromAxisAngle(axis, angle);
+
+  it('smooths a noisy still orientation', () => {
+    const random = noise(5, THREE.MathUtils.degToRad(2));
+    const rest = about(new THREE.Vector3(0, 1, 0), 0.3);
+    const input = Array.from({ length: FRAMES }, () =>
+      rest.clone().multiply(new THREE.Quaternion().setFromEuler(new THREE.Euler(random(), random(), random()))));
+    const filter = new QuaternionOneEuroFilter(FILTER_CONFIG.RETICLE_ROTATION);
+    const output = input.map((value, i) => filter.filter(value, i / RATE).clone());
+
+    const steps = (values) => values.slice(1).map((value, i) => value.angleTo(values[i]));
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+    expect(mean(steps(output))).toBeLessThan(mean(steps(input)) / 3);
+    output.slice(RATE).forEach((value) => expect(value.angleTo(rest)).toBeLessThan(THREE.MathUtils.degToRad(1.5)));
+  });
+
+  it('keeps up with a steady turn', () => {
+    const speed = Math.PI / 4; // rad/s
+    const filter = new QuaternionOneEuroFilter(FILTER_CONFIG.RETICLE_ROTATION);
+    const output = run(filter, (t) => about(Z_AXIS, speed * t), (value) => value.clone());
+
+    const end = (FRAMES - 1) / RATE;
+    expect(output[FRAMES - 1].angleTo(about(Z_AXIS, speed * end))).toBeLessThan(THREE.MathUtils.degToRad(10));
+  });
+
+  it('starts over after a reset', () => {
+    const filter = new QuaternionOneEuroFilter();
+    filter.filter(about(Z_AXIS, 1), 0);
+    filter.reset();
+    expect(filter.filter(about(Z_AXIS, -1), 0.1).angleTo(about(Z_AXIS, -1))).toBeCloseTo(0);
+  });
+});
+
+describe('Hysteresis', () => {
+  const plane = () => new Hysteresis({ on: FILTER_CONFIG.PLANE_ON, off: FILTER_CONFIG.PLANE_OFF });
+
+  it('turns on at the upper threshold', () => {
+    const isPlane = plane();
+    expect(isPlane.update(FILTER_CONFIG.PLANE_ON - 0.01)).toBe(false);
+    expect(isPlane.update(FILTER_CONFIG.PLANE_ON)).toBe(true);
+  });
+
+  it('stays on between the thresholds and turns off below the lower one', () => {
+    const isPlane = plane();
+    isPlane.update(0.9);
+    expect(isPlane.update(FILTER_CONFIG.PLANE_OFF)).toBe(true);
+    expect(isPlane.update(FILTER_CONFIG.PLANE_OFF - 0.01)).toBe(false);
+    expect(isPlane.update(FILTER_CONFIG.PLANE_ON - 0.01)).toBe(false);
+  });
+
+  it("doesn't flicker with confidence hovering at one threshold", () => {
+    const random = noise(6, 0.04);
+    const isPlane = plane();
+    isPlane.update(1);
+    const states = Array.from({ length: FRAMES }, () => isPlane.update(FILTER_CONFIG.PLANE_ON + random()));
+    expect(states.every(Boolean)).toBe(true);
+  });
+
+  it('goes back to its initial state on reset', () => {
+    const isPlane = new Hysteresis({ on: 0.5, off: 0.2, initial: true });
+    isPlane.update(0);
+    isPlane.reset();
+    expect(isPlane.state).toBe(true);
+  });
+});
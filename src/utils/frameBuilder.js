@@ -0,0 +1,248 @@
+/**
+ * Frame Builder
+ * Picture frames generated from catalogue parameters instead of a GLB:
+ *
+ *   {
+ *     profile: 'flat' | 'bevel' | 'ornate',
+ *     moulding: { width, depth },     // face width and depth off the wall
+ *     finish: key of FRAME_CONFIG.FINISHES,
+ *     colour?: '#rrggbb',             // for the 'painted' finish
+ *     mat?: { width, colour } | null, // passe-partout
+ *     glass: boolean,
+ *     width?, height?,                // outer size, when not given separately
+ *     unit?: 'cm' | 'mm' | 'in',      // of every length above; default cm
+ *   }
+ *
+ * The moulding is its profile swept around the outer rectangle: each point
+ * of the profile, `u` in from the outer edge and `v` off the wall, traces
+ * the rectangle inset by `u`, which mitres the corners by itself. The result
+ * is in metres, facing +Z with its back at z = 0, like a model loaded for
+ * Model3D.
+ */
+
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import { METRES_PER_UNIT } from './dimensions';
+import { FRAME_CONFIG } from './constants';
+
+/**
+ * Cross-sections of the mouldings on the unit square: `u` from the outer
+ * edge (0) to the sight edge (1), `v` from the back (0) to the full depth
+ * (1). Each run is shaded smoothly; runs meet at hard edges. Together the
+ * runs close the section, ending back at the outer back corner.
+ */
+const PROFILES = {
+  flat: () => [
+    [[0, 0], [0, 1]],
+    [[0, 1], [1, 1]],
+    [[1, 1], [1, 0]],
+    [[1, 0], [0, 0]],
+  ],
+  bevel: () => [
+    [[0, 0], [0, 1]],
+    [[0, 1], [0.3, 1]],
+    [[0.3, 1], [1, 0.45]],
+    [[1, 0.45], [1, 0]],
+    [[1, 0], [0, 0]],
+  ],
+  // Outer bead, a cove, then a small sight-edge bead
+  ornate: (segments) => {
+    const face = Array.from({ length: segments + 1 }, (_, i) => {
+      const u = i / segments;
+      if (u < 0.3) return [u, 0.7 + 0.3 * Math.sin((Math.PI * u) / 0.3)];
+      if (u < 0.8) return [u, 0.7 - 0.25 * Math.sin((Math.PI * (u - 0.3)) / 0.5)];
+      return [u, 0.7 + 0.12 * Math.sin((Math.PI * (u - 0.8)) / 0.2)];
+    });
+    return [
+      [[0, 0], [0, 0.7]],
+      face,
+      [[1, 0.7], [1, 0]],
+      [[1, 0], [0, 0]],
+    ];
+  },
+};
+
+/**
+ * Parameters with defaults filled in and every length in metres.
+ *
+ * @param {Object} params - see the module comment
+ * @param {{ width, height } | null} [size] - outer size in metres, overriding params
+ */
+export const frameSpec = (params = {}, size = null) => {
+  const defaults = FRAME_CONFIG.DEFAULT;
+  const factor = METRES_PER_UNIT[params.unit] || METRES_PER_UNIT.cm;
+  const metres = (value, fallback) => (Number(value) > 0 ? Number(value) : fallback) * factor;
+
+  const width = size?.width || metres(params.width, defaults.width);
+  const height = size?.height || metres(params.height, defaults.height);
+  // The moulding can't take more than a third of the shorter side
+  const moulding = {
+    width: Math.min(metres(params.moulding?.width, defaults.moulding.width), Math.min(width, height) / 3),
+    depth: metres(params.moulding?.depth, defaults.moulding.depth),
+  };
+
+  const opening = { width: width - 2 * moulding.width, height: height - 2 * moulding.width };
+  const matWidth = params.mat ? Math.min(metres(params.mat.width, 0), Math.min(opening.width, opening.height) / 3) : 0;
+
+  return {
+    profile: params.profile in PROFILES ? params.profile : defaults.profile,
+    finish: params.finish in FRAME_CONFIG.FINISHES ? params.finish : defaults.finish,
+    colour: params.colour || defaults.colour,
+    width,
+    height,
+    moulding,
+    opening,
+    mat: matWidth > 0 ? { width: matWidth, colour: params.mat.colour || defaults.mat.colour } : null,
+    glass: params.glass ?? defaults.glass,
+  };
+};
+
+/**
+ * The swept moulding. Every run of every side gets its own vertices, so
+ * mitres and the profile's hard edges stay crisp.
+ */
+function mouldingGeometry({ profile, width, height, moulding }) {
+  const runs = PROFILES[profile](FRAME_CONFIG.PROFILE_SEGMENTS);
+  // Outer corners, counter-clockwise seen from the front, and the direction each one insets in
+  const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]];
+
+  const positions = [];
+  const indices = [];
+  const point = ([cx, cy], [u, v]) => [
+    cx * (width / 2 - u * moulding.width),
+    cy * (height / 2 - u * moulding.width),
+    v * moulding.depth,
+  ];
+
+  corners.forEach((start, side) => {
+    const end = corners[(side + 1) % 4];
+
+    runs.forEach((run) => {
+      const base = positions.length / 3;
+      run.forEach((section) => {
+        positions.push(...point(start, section), ...point(end, section));
+      });
+
+      for (let i = 0; i < run.length - 1; i++) {
+        const a = base + i * 2;
+        indices.push(a, a + 1, a + 2, a + 1, a + 3, a + 2);
+      }
+    });
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setIndex(indices);
+  geometry.computeVertexNormals();
+  return geometry;
+}
+
+function finishMaterial({ finish, colour }) {
+  const { colour: base, roughness, metalness, label } = FRAME_CONFIG.FINISHES[finish];
+  return new THREE.MeshStandardMaterial({
+    name: label,
+    color: base || colour,
+    roughness,
+    metalness,
+  });
+}
+
+/**
+ * @param {Object} params - see the module comment
+ * @param {{ width, height } | null} [size] - outer size in metres, overriding params
+ * @returns {THREE.Group} - owns its geometries and materials; see disposeFrame()
+ */
+export const buildFrame = (params, size = null) => {
+  const spec = frameSpec(params, size);
+  const { opening, moulding } = spec;
+  const group = new THREE.Group();
+  group.name = 'Frame';
+
+  const frame = new THREE.Mesh(mouldingGeometry(spec), finishMaterial(spec));
+  frame.name = 'Moulding';
+  group.add(frame);
+
+  // Backing, mat and glass sit inside the opening, behind the sight edge
+  const layer = (share) => moulding.depth * Math.min(share, 0.4);
+
+  const backing = new THREE.Mesh(
+    new THREE.PlaneGeometry(opening.width, opening.height),
+    new THREE.MeshStandardMaterial({ name: 'Backing', color: FRAME_CONFIG.BACKING_COLOUR, roughness: 0.9 })
+  );
+  backing.name = 'Backing';
+  backing.position.z = layer(0.2);
+  group.add(backing);
+
+  if (spec.mat) {
+    const shape = new THREE.Shape()
+      .moveTo(-opening.width / 2, -opening.height / 2)
+      .lineTo(opening.width / 2, -opening.height / 2)
+      .lineTo(opening.width / 2, opening.height / 2)
+      .lineTo(-opening.width / 2, opening.height / 2)
+      .closePath();
+    const sight = { x: opening.width / 2 - spec.mat.width, y: opening.height / 2 - spec.mat.width };
+    shape.holes.push(new THREE.Path()
+      .moveTo(-sight.x, -sight.y)
+      .lineTo(-sight.x, sight.y)
+      .lineTo(sight.x, sight.y)
+      .lineTo(sight.x, -sight.y)
+      .closePath());
+
+    const mat = new THREE.Mesh(
+      new THREE.ExtrudeGeometry(shape, { depth: layer(0.1), bevelEnabled: false }),
+      new THREE.MeshStandardMaterial({ name: 'Mat', color: spec.mat.colour, roughness: 0.95 })
+    );
+    mat.name = 'Mat';
+    mat.position.z = layer(0.2);
+    group.add(mat);
+  }
+
+  if (spec.glass) {
+    const glass = new THREE.Mesh(
+      new THREE.PlaneGeometry(opening.width, opening.height),
+      new THREE.MeshPhysicalMaterial({
+        name: 'Glass',
+        color: '#ffffff',
+        roughness: 0.05,
+        metalness: 0,
+        clearcoat: 1,
+        transparent: true,
+        opacity: FRAME_CONFIG.GLASS_OPACITY,
+        depthWrite: false,
+      })
+    );
+    glass.name = 'Glass';
+    glass.position.z = layer(0.4);
+    group.add(glass);
+  }
+
+  group.userData.frame = spec;
+  return group;
+};
+
+export const disposeFrame = (group) => {
+  group.traverse((child) => {
+    if (!child.isMesh) return;
+    child.geometry.dispose();
+    child.material.dispose();
+  });
+};
+
+/**
+ * Binary glTF of a built frame - or any object - for download or upload
+ * as a regular model.
+ *
+ * @returns {Promise<Blob>}
+ */
+export const exportGLB = async (object) => {
+  const buffer = await new GLTFExporter().parseAsync(object, { binary: true });
+  return new Blob([buffer], { type: 'model/gltf-binary' });
+};
+
+/**
+ * Model URL standing in for a generated frame, so it can be told apart
+ * from a loaded model.
+ */
+export const frameModelUrl = (name) => `${FRAME_CONFIG.URL_PREFIX}${name}`;
+
+export default buildFrame;
@@ -3,6 +3,8 @@
  * Common helper functions used across the application
  */
 
+import { UPLOAD_CONFIG } from './constants';
+
 /**
  * Validates if a URL is a valid .glb file
  */
@@ -15,6 +17,19 @@ export const isValidGLBUrl = (url) => {
   }
 };
 
+/**
+ * Validates if a URL is an image usable as a wallpaper pattern
+ */
+export const isValidImageUrl = (url) => {
+  try {
+    const urlObj = new URL(url);
+    const path = urlObj.pathname.toLowerCase();
+    return UPLOAD_CONFIG.IMAGE_EXTENSIONS.some(ext => path.endsWith(ext));
+  } catch {
+    return false;
+  }
+};
+
 /**
  * Validates if URL domain is allowed
  */
@@ -0,0 +1,161 @@
+/**
+ * Homography Utilities
+ * Plane-to-plane projective transforms as row-major 3x3 arrays. The opencv.js
+ * build we ship has no findHomography, so estimation lives here.
+ */
+
+export const IDENTITY_HOMOGRAPHY = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+
+/**
+ * Solves `A x = b` in place with partial pivoting; null when singular
+ */
+const solveLinear = (A, b) => {
+  const n = b.length;
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(A[row][col]) > Math.abs(A[pivot][col])) pivot = row;
+    }
+    if (Math.abs(A[pivot][col]) < 1e-10) return null;
+
+    [A[col], A[pivot]] = [A[pivot], A[col]];
+    [b[col], b[pivot]] = [b[pivot], b[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = A[row][col] / A[col][col];
+      for (let k = col; k < n; k++) A[row][k] -= factor * A[col][k];
+      b[row] -= factor * b[col];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = b[row];
+    for (let k = row + 1; k < n; k++) sum -= A[row][k] * x[k];
+    x[row] = sum / A[row][row];
+  }
+  return x;
+};
+
+/**
+ * Least-squares homography mapping `src[i]` to `dst[i]` (h33 fixed to 1).
+ * Needs at least four non-degenerate correspondences; returns null otherwise.
+ */
+export const solveHomography = (src, dst) => {
+  if (src.length < 4 || src.length !== dst.length) return null;
+
+  // Normal equations of the 2n x 8 DLT system
+  const AtA = Array.from({ length: 8 }, () => new Array(8).fill(0));
+  const Atb = new Array(8).fill(0);
+
+  const accumulate = (row, value) => {
+    for (let i = 0; i < 8; i++) {
+      if (row[i] === 0) continue;
+      for (let j = 0; j < 8; j++) AtA[i][j] += row[i] * row[j];
+      Atb[i] += row[i] * value;
+    }
+  };
+
+  for (let i = 0; i < src.length; i++) {
+    const { x, y } = src[i];
+    const { x: u, y: v } = dst[i];
+    accumulate([x, y, 1, 0, 0, 0, -u * x, -u * y], u);
+    accumulate([0, 0, 0, x, y, 1, -v * x, -v * y], v);
+  }
+
+  const h = solveLinear(AtA, Atb);
+  if (!h || h.some(value => !Number.isFinite(value))) return null;
+
+  return [...h, 1];
+};
+
+export const applyHomography = (H, { x, y }) => {
+  const w = H[6] * x + H[7] * y + H[8];
+  return {
+    x: (H[0] * x + H[1] * y + H[2]) / w,
+    y: (H[3] * x + H[4] * y + H[5]) / w,
+  };
+};
+
+/**
+ * `a * b` - applying the result equals applying `b` then `a`
+ */
+export const multiplyHomography = (a, b) => {
+  const out = new Array(9);
+  for (let row = 0; row < 3; row++) {
+    for (let col = 0; col < 3; col++) {
+      out[row * 3 + col] =
+        a[row * 3] * b[col] + a[row * 3 + 1] * b[3 + col] + a[row * 3 + 2] * b[6 + col];
+    }
+  }
+  return normalizeHomography(out);
+};
+
+export const normalizeHomography = (H) => {
+  const scale = H[8];
+  if (Math.abs(scale) < 1e-12) return H.slice();
+  return H.map(value => value / scale);
+};
+
+const pickSample = (count, random) => {
+  const picked = new Set();
+  while (picked.size < 4) picked.add(Math.floor(random() * count));
+  return [...picked];
+};
+
+/**
+ * RANSAC homography fit. `random` can be swapped for a seeded generator so
+ * recorded frame sequences replay deterministically.
+ *
+ * @returns {{ homography: number[] | null, inliers: boolean[], inlierCount: number }}
+ */
+export const estimateHomographyRansac = (src, dst, {
+  threshold = 3,    // reprojection error in pixels
+  iterations = 200,
+  random = Math.random,
+} = {}) => {
+  const count = src.length;
+  const empty = { homography: null, inliers: new Array(count).fill(false), inlierCount: 0 };
+  if (count < 4) return empty;
+
+  const thresholdSq = threshold * threshold;
+  let best = empty;
+
+  const score = (H) => {
+    const inliers = new Array(count);
+    let inlierCount = 0;
+    for (let i = 0; i < count; i++) {
+      const p = applyHomography(H, src[i]);
+      const dx = p.x - dst[i].x;
+      const dy = p.y - dst[i].y;
+      inliers[i] = dx * dx + dy * dy < thresholdSq;
+      if (inliers[i]) inlierCount++;
+    }
+    return { homography: H, inliers, inlierCount };
+  };
+
+  for (let i = 0; i < iterations; i++) {
+    const sample = pickSample(count, random);
+    const H = solveHomography(sample.map(j => src[j]), sample.map(j => dst[j]));
+    if (!H) continue;
+
+    const candidate = score(H);
+    if (candidate.inlierCount > best.inlierCount) {
+      best = candidate;
+      if (best.inlierCount === count) break;
+    }
+  }
+
+  if (best.inlierCount < 4) return empty;
+
+  // Refit on all inliers
+  const refined = solveHomography(
+    src.filter((_, i) => best.inliers[i]),
+    dst.filter((_, i) => best.inliers[i])
+  );
+  if (!refined) return best;
+
+  const rescored = score(refined);
+  return rescored.inlierCount >= best.inlierCount ? rescored : best;
+};
@@ -0,0 +1,96 @@
+import {
+  IDENTITY_HOMOGRAPHY,
+  applyHomography,
+  estimateHomographyRansac,
+  multiplyHomography,
+  solveHomography,
+} from './homography';
+import { seeded } from '../testing/seeded';
+
+// A wall seen a little turned and moved: slight perspective plus a shift
+const H = [1.02, 0.03, 12, -0.02, 0.98, -7, 0.00005, -0.00003, 1];
+
+const grid = () => {
+  const points = [];
+  for (let x = 20; x < 300; x += 35) {
+    for (let y = 20; y < 220; y += 30) points.push({ x, y });
+  }
+  return points;
+};
+
+const expectCloseTo = (actual, expected, digits = 3) => {
+  actual.forEach((value, i) => expect(value).toBeCloseTo(expected[i], digits));
+};
+
+describe('solveHomography', () => {
+  it('recovers a homography from exact correspondences', () => {
+    const src = grid();
+    const dst = src.map(p => applyHomography(H, p));
+    expectCloseTo(solveHomography(src, dst), H, 5);
+  });
+
+  it('needs four correspondences', () => {
+    const src = grid().slice(0, 3);
+    expect(solveHomography(src, src)).toBeNull();
+  });
+
+  it('rejects collinear points', () => {
+    const src = [0, 1, 2, 3, 4].map(i => ({ x: i * 10, y: i * 10 }));
+    expect(solveHomography(src, src)).toBeNull();
+  });
+});
+
+describe('multiplyHomography', () => {
+  it('applies the right-hand transform first', () => {
+    const shift = [1, 0, 5, 0, 1, -3, 0, 0, 1];
+    const point = { x: 40, y: 60 };
+    const composed = applyHomography(multiplyHomography(H, shift), point);
+    const stepwise = applyHomography(H, applyHomography(shift, point));
+
+    expect(composed.x).toBeCloseTo(stepwise.x);
+    expect(composed.y).toBeCloseTo(stepwise.y);
+    expectCloseTo(multiplyHomography(H, IDENTITY_HOMOGRAPHY), H, 8);
+  });
+});
+
+describe('estimateHomographyRansac', () => {
+  it('fits through pixel noise and rejects outliers', () => {
+    const random = seeded(7);
+    const src = grid();
+    const outliers = new Set([3, 11, 12, 20, 27, 33, 40, 41]);
+    const dst = src.map((p, i) => {
+      const q = applyHomography(H, p);
+      // Outliers move somewhere else entirely - a person walking past, a reflection
+      if (outliers.has(i)) return { x: q.x + 40 + random() * 60, y: q.y - 30 - random() * 60 };
+      return { x: q.x + (random() - 0.5), y: q.y + (random() - 0.5) };
+    });
+
+    const fit = estimateHomographyRansac(src, dst, { threshold: 3, iterations: 200, random: seeded(1) });
+
+    expect(fit.inlierCount).toBe(src.length - outliers.size);
+    fit.inliers.forEach((inlier, i) => expect(inlier).toBe(!outliers.has(i)));
+
+    // Every point lands within the noise of where the true homography puts it
+    src.forEach((p) => {
+      const fitted = applyHomography(fit.homography, p);
+      const truth = applyHomography(H, p);
+      expect(Math.hypot(fitted.x - truth.x, fitted.y - truth.y)).toBeLessThan(0.75);
+    });
+  });
+
+  it('is deterministic for a seeded generator', () => {
+    const src = grid();
+    const dst = src.map((p, i) => (i % 5 === 0 ? { x: p.y, y: p.x } : applyHomography(H, p)));
+
+    const a = estimateHomographyRansac(src, dst, { random: seeded(3) });
+    const b = estimateHomographyRansac(src, dst, { random: seeded(3) });
+    expect(a).toEqual(b);
+  });
+
+  it('gives up on too few correspondences', () => {
+    const src = grid().slice(0, 3);
+    const fit = estimateHomographyRansac(src, src);
+    expect(fit.homography).toBeNull();
+    expect(fit.inlierCount).toBe(0);
+  });
+});
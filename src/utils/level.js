@@ -0,0 +1,57 @@
+/**
+ * Levelling Utilities
+ * Roll of items hung on a surface relative to gravity
+ */
+
+import * as THREE from 'three';
+
+const QUARTER_TURN = Math.PI / 2;
+
+/**
+ * Signed roll (radians) of an item about its own +Z (surface normal),
+ * measured from gravity-up projected onto the surface. Returns null when the
+ * surface is horizontal and "level" has no meaning.
+ */
+export const getRoll = (rotation, up) => {
+  const normal = new THREE.Vector3(0, 0, 1).applyQuaternion(rotation);
+  const itemUp = new THREE.Vector3(0, 1, 0).applyQuaternion(rotation);
+  const levelUp = up.clone().addScaledVector(normal, -up.dot(normal));
+
+  if (levelUp.lengthSq() < 1e-4) return null;
+  levelUp.normalize();
+
+  const cross = new THREE.Vector3().crossVectors(levelUp, itemUp);
+  return Math.atan2(cross.dot(normal), levelUp.dot(itemUp));
+};
+
+/**
+ * How far (radians) the item's edges are from horizontal - a frame turned a
+ * quarter turn still counts as level.
+ */
+export const getTilt = (rotation, up) => {
+  const roll = getRoll(rotation, up);
+  if (roll === null) return 0;
+  return roll - Math.round(roll / QUARTER_TURN) * QUARTER_TURN;
+};
+
+/**
+ * Removes the tilt so the item's edges are horizontal/vertical
+ */
+export const levelRotation = (rotation, up) => {
+  const tilt = getTilt(rotation, up);
+  if (tilt === 0) return rotation.clone();
+
+  const normal = new THREE.Vector3(0, 0, 1).applyQuaternion(rotation);
+  const correction = new THREE.Quaternion().setFromAxisAngle(normal, -tilt);
+
+  return correction.multiply(rotation);
+};
+
+/**
+ * Levels the rotation only when it is already within `snapDegrees` of level
+ */
+export const snapToLevel = (rotation, up, snapDegrees = 4) => {
+  const tilt = getTilt(rotation, up);
+  if (Math.abs(tilt) > THREE.MathUtils.degToRad(snapDegrees)) return rotation.clone();
+  return levelRotation(rotation, up);
+};
@@ -0,0 +1,71 @@
+import * as THREE from 'three';
+import { getRoll, getTilt, levelRotation, snapToLevel } from './level';
+
+const UP = new THREE.Vector3(0, 1, 0);
+const degrees = (radians) => THREE.MathUtils.radToDeg(radians);
+
+// An item on a wall facing +Z, turned `angle` degrees about the wall normal
+const turned = (angle) => new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), THREE.MathUtils.degToRad(angle));
+
+describe('getRoll', () => {
+  it('is zero for an item hung straight', () => {
+    expect(getRoll(turned(0), UP)).toBeCloseTo(0);
+  });
+
+  it('is the signed turn about the wall normal', () => {
+    expect(degrees(getRoll(turned(7), UP))).toBeCloseTo(7);
+    expect(degrees(getRoll(turned(-12), UP))).toBeCloseTo(-12);
+  });
+
+  it('ignores the wall facing away from the camera', () => {
+    const wall = new THREE.Quaternion().setFromAxisAngle(UP, THREE.MathUtils.degToRad(60));
+    expect(degrees(getRoll(wall.multiply(turned(5)), UP))).toBeCloseTo(5);
+  });
+
+  it('has no meaning on a horizontal surface', () => {
+    const floor = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), -Math.PI / 2);
+    expect(getRoll(floor, UP)).toBeNull();
+  });
+});
+
+describe('getTilt', () => {
+  it('counts a quarter turn as level', () => {
+    expect(getTilt(turned(90), UP)).toBeCloseTo(0);
+    expect(degrees(getTilt(turned(93), UP))).toBeCloseTo(3);
+  });
+});
+
+describe('levelRotation', () => {
+  it('removes the tilt', () => {
+    expect(getTilt(levelRotation(turned(10), UP), UP)).toBeCloseTo(0);
+  });
+
+  it('keeps the item on its wall', () => {
+    const wall = new THREE.Quaternion().setFromAxisAngle(UP, THREE.MathUtils.degToRad(-35));
+    const levelled = levelRotation(wall.clone().multiply(turned(-8)), UP);
+    const normal = (rotation) => new THREE.Vector3(0, 0, 1).applyQuaternion(rotation);
+
+    expect(normal(levelled).distanceTo(normal(wall))).toBeCloseTo(0);
+    expect(getTilt(levelled, UP)).toBeCloseTo(0);
+  });
+
+  it('levels to the nearest quarter turn', () => {
+    expect(degrees(getRoll(levelRotation(turned(84), UP), UP))).toBeCloseTo(90);
+  });
+});
+
+describe('snapToLevel', () => {
+  it('levels an item inside the snap window', () => {
+    expect(getTilt(snapToLevel(turned(3), UP, 4), UP)).toBeCloseTo(0);
+  });
+
+  it('leaves an item outside the snap window as it is', () => {
+    const rotation = turned(6);
+    expect(snapToLevel(rotation, UP, 4).angleTo(rotation)).toBeCloseTo(0);
+  });
+
+  it('returns a copy', () => {
+    const rotation = turned(20);
+    expect(snapToLevel(rotation, UP)).not.toBe(rotation);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Measurement Utilities
+ * Distances between the tape-measure lines and placed items, in world
+ * space (metres).
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Closest points between segments p0-p1 and q0-q1.
+ *
+ * @returns {{ distance, from: THREE.Vector3, to: THREE.Vector3 }} - `from`
+ *   on the first segment, `to` on the second
+ */
+export const closestPoints = (p0, p1, q0, q1) => {
+  const d1 = p1.clone().sub(p0);
+  const d2 = q1.clone().sub(q0);
+  const r = p0.clone().sub(q0);
+  const a = d1.dot(d1);
+  const e = d2.dot(d2);
+  const f = d2.dot(r);
+
+  let s = 0;
+  let t = 0;
+
+  if (a < 1e-12 && e < 1e-12) {
+    // Both segments are points
+  } else if (a < 1e-12) {
+    t = THREE.MathUtils.clamp(f / e, 0, 1);
+  } else {
+    const c = d1.dot(r);
+    if (e < 1e-12) {
+      s = THREE.MathUtils.clamp(-c / a, 0, 1);
+    } else {
+      const b = d1.dot(d2);
+      const denom = a * e - b * b;
+      s = denom > 1e-12 ? THREE.MathUtils.clamp((b * f - c * e) / denom, 0, 1) : 0;
+      t = (b * s + f) / e;
+
+      if (t < 0) {
+        t = 0;
+        s = THREE.MathUtils.clamp(-c / a, 0, 1);
+      } else if (t > 1) {
+        t = 1;
+        s = THREE.MathUtils.clamp((b - c) / a, 0, 1);
+      }
+    }
+  }
+
+  const from = p0.clone().addScaledVector(d1, s);
+  const to = q0.clone().addScaledVector(d2, t);
+  return { distance: from.distanceTo(to), from, to };
+};
+
+/**
+ * Shortest distance from a closed outline (corner points in order) to a
+ * segment. Zero when they cross.
+ *
+ * @param {THREE.Vector3[]} corners
+ * @param {THREE.Vector3} start
+ * @param {THREE.Vector3} end
+ */
+export const outlineDistance = (corners, start, end) => {
+  let best = null;
+
+  corners.forEach((corner, i) => {
+    const next = corners[(i + 1) % corners.length];
+    const candidate = closestPoints(corner, next, start, end);
+    if (!best || candidate.distance < best.distance) best = candidate;
+  });
+
+  return best;
+};
+
+/**
+ * World-space corners of an item's front face from its local bounds
+ * (centred on the origin, facing +Z).
+ *
+ * @param {THREE.Object3D} object
+ * @param {THREE.Vector3} size - local bounds
+ */
+export const outlineCorners = (object, size) => {
+  const x = size.x / 2;
+  const y = size.y / 2;
+  object.updateWorldMatrix(true, false);
+
+  return [[-x, y], [x, y], [x, -y], [-x, -y]].map(([cx, cy]) =>
+    object.localToWorld(new THREE.Vector3(cx, cy, 0))
+  );
+};
@@ -0,0 +1,53 @@
+/**
+ * PNG Metadata Utilities
+ * Writes tEXt chunks into PNG blobs, so screenshots can carry the scene
+ * values they were taken with.
+ */
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * One tEXt chunk (length, type, keyword\0text, CRC). tEXt is Latin-1, so
+ * values should be plain ASCII such as JSON.
+ */
+const textChunk = (keyword, text) => {
+  const body = new TextEncoder().encode(`tEXt${keyword}\0${text}`);
+  const chunk = new Uint8Array(body.length + 8);
+  const view = new DataView(chunk.buffer);
+
+  view.setUint32(0, body.length - 4);
+  chunk.set(body, 4);
+  view.setUint32(body.length + 4, crc32(body));
+  return chunk;
+};
+
+/**
+ * Returns a copy of a PNG blob with a tEXt chunk per entry, inserted before
+ * IEND. Non-string values are stored as JSON.
+ *
+ * @param {Blob} blob - image/png
+ * @param {Object<string, *>} entries - keyword -> value
+ * @returns {Promise<Blob>}
+ */
+export const withPngText = async (blob, entries) => {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const iend = bytes.length - 12; // IEND is always the last, empty chunk
+
+  const chunks = Object.entries(entries)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([keyword, value]) => textChunk(keyword, typeof value === 'string' ? value : JSON.stringify(value)));
+
+  return new Blob([bytes.subarray(0, iend), ...chunks, bytes.subarray(iend)], { type: 'image/png' });
+};
+
+export default withPngText;
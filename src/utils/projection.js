@@ -0,0 +1,37 @@
+/**
+ * Projection Utilities
+ * Pinhole camera helpers for mapping analysis-frame pixels to camera space.
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Pinhole intrinsics for an analysis frame of `width` x `height` that was
+ * scaled (not cropped) from a camera image with the given vertical FOV and
+ * aspect ratio.
+ */
+export const intrinsicsFromFov = (width, height, verticalFov, sourceAspect = width / height) => {
+  const tanHalf = Math.tan(THREE.MathUtils.degToRad(verticalFov) / 2);
+
+  return {
+    fx: (width / 2) / (tanHalf * sourceAspect),
+    fy: (height / 2) / tanHalf,
+    cx: width / 2,
+    cy: height / 2,
+  };
+};
+
+/**
+ * Camera-space point (three.js convention: +Y up, looking down -Z) for pixel
+ * (u, v) at `depth` metres in front of the camera.
+ */
+export const unprojectPixel = (u, v, depth, { fx, fy, cx, cy }) => new THREE.Vector3(
+  ((u - cx) / fx) * depth,
+  (-(v - cy) / fy) * depth,
+  -depth
+);
+
+/**
+ * Unit camera-space ray through pixel (u, v)
+ */
+export const pixelRay = (u, v, intrinsics) => unprojectPixel(u, v, 1, intrinsics).normalize();
@@ -0,0 +1,111 @@
+/**
+ * Scene Utilities
+ * Plain-JSON snapshot of what is on the wall: placed items and tape-measure
+ * lines. Live objects (anchors, tracked planes) are left out, so a snapshot
+ * can be stored, embedded in screenshots and compared.
+ *
+ * Undo history uses in-session snapshots instead, which keep those live
+ * objects so a deleted item can be put back on its wall.
+ */
+
+export const SCENE_VERSION = 1;
+
+const round = (value, digits = 4) => +value.toFixed(digits);
+const vector = (v) => v.toArray().map(n => round(n));
+
+/**
+ * @param {Object} scene
+ * @param {Array} scene.placements - store placements
+ * @param {Array} [scene.measurements] - store measurements
+ * @param {'metric'|'imperial'} [scene.units]
+ */
+export const serializeScene = ({ placements, measurements = [], units = 'metric' }) => ({
+  version: SCENE_VERSION,
+  units,
+  placements: placements.map(({ id, modelUrl, type, transform, size, pattern, roll, price, colour, frame, mask, locked }) => ({
+    id,
+    modelUrl,
+    type,
+    locked,
+    size: size && {
+      width: round(size.width),
+      height: round(size.height),
+      depth: size.depth && round(size.depth),
+      unit: size.unit,
+    },
+    pattern: pattern && {
+      width: round(pattern.width),
+      height: pattern.height && round(pattern.height),
+      match: pattern.match,
+    },
+    roll: roll && { width: round(roll.width), length: round(roll.length) },
+    price: price || null,
+    colour: colour || null,
+    // Catalogue parameters of a generated frame, already plain JSON
+    frame: frame || null,
+    // Wall coordinates around an uncorrected world origin; the image is a PNG data URL
+    mask: mask && {
+      origin: vector(mask.origin),
+      bounds: Object.fromEntries(Object.entries(mask.bounds).map(([key, value]) => [key, round(value)])),
+      image: mask.image,
+    },
+    position: transform && vector(transform.position),
+    rotation: transform && vector(transform.rotation),
+    scale: transform ? round(transform.scale) : 1,
+  })),
+  measurements: measurements.map(({ id, start, end }) => ({
+    id,
+    start: start.map(n => round(n)),
+    end: end.map(n => round(n)),
+  })),
+});
+
+const cloneTransform = (transform) => transform && {
+  position: transform.position.clone(),
+  rotation: transform.rotation.clone(),
+  scale: transform.scale,
+};
+
+/**
+ * Undo snapshot of the store: every placement with a copy of its current
+ * transform - read from its anchor, which tracking keeps correcting - plus
+ * the selection and the 3D viewer's transform. `poses` keeps each anchor's
+ * uncorrected pose by placement id, which is what undo puts back: the
+ * corrected transform is only where the item was seen at the time.
+ *
+ * @param {Object} state - useARStore state
+ */
+export const snapshotScene = ({ position, rotation, scale, placements, selectedPlacementId }) => ({
+  transform: { position: { ...position }, rotation: { ...rotation }, scale },
+  placements: placements.map(placement => ({
+    ...placement,
+    transform: cloneTransform(placement.anchor?.getTransform() || placement.transform),
+  })),
+  poses: Object.fromEntries(placements.map(placement => [placement.id, placement.anchor?.getPose() || null])),
+  selectedPlacementId,
+});
+
+/**
+ * Whether two snapshots put the same items in the same places. Tracking
+ * drift below `epsilon` (metres / quaternion units) doesn't count.
+ */
+export const sameSnapshot = (a, b, epsilon = 1e-4) => {
+  if (a.placements.length !== b.placements.length) return false;
+
+  return a.placements.every((placement, i) => {
+    const other = b.placements[i];
+    if (placement.id !== other.id || placement.locked !== other.locked) return false;
+    if (placement.size !== other.size || placement.mask !== other.mask) return false;
+    if (placement.colour !== other.colour) return false;
+
+    const t = placement.transform;
+    const u = other.transform;
+    if (!t || !u) return t === u;
+
+    return t.position.distanceTo(u.position) < epsilon
+      && Math.abs(t.rotation.angleTo(u.rotation)) < epsilon
+      && Math.abs(t.scale - u.scale) < epsilon;
+  });
+};
+
+export default serializeScene;
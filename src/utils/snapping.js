@@ -0,0 +1,131 @@
+/**
+ * Snapping Utilities
+ * Magnetic alignment of an item being dragged along a wall. Everything is
+ * worked out in wall coordinates - metres along the wall's horizontal
+ * (`right`) and vertical (`up`) axes from an origin on it - and the item's
+ * edges and centre lines snap to target lines: the wall's centre lines and
+ * other items' edges and centre lines.
+ */
+
+import * as THREE from 'three';
+
+/**
+ * @returns {{ x, y }} - metres along `axes.right` and `axes.up` from `origin`
+ */
+export const toWall = (point, origin, axes) => {
+  const offset = point.clone().sub(origin);
+  return { x: offset.dot(axes.right), y: offset.dot(axes.up) };
+};
+
+export const fromWall = ({ x, y }, origin, axes) =>
+  origin.clone().addScaledVector(axes.right, x).addScaledVector(axes.up, y);
+
+/**
+ * Extent of world-space outline corners in wall coordinates.
+ */
+export const wallBounds = (corners, origin, axes) => {
+  const points = corners.map(corner => toWall(corner, origin, axes));
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  return { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) };
+};
+
+/**
+ * Target lines for snapping. Each line is `{ value, from, to }`: its
+ * position on one axis and the span it covers on the other, which is where
+ * its guide is drawn.
+ *
+ * @param {Object} options
+ * @param {Array} [options.items] - wallBounds of the other items on the wall
+ * @param {{ x, y } | null} [options.centre] - the wall's centre, wall coordinates
+ * @param {Object} [options.extent] - wallBounds of the wall, for the centre lines' span
+ * @returns {{ x: Array, y: Array }} - vertical lines (x values) and horizontal ones
+ */
+export const snapLines = ({ items = [], centre = null, extent = null }) => {
+  const x = [];
+  const y = [];
+
+  items.forEach(({ minX, maxX, minY, maxY }) => {
+    [minX, (minX + maxX) / 2, maxX].forEach(value => x.push({ value, from: minY, to: maxY }));
+    [minY, (minY + maxY) / 2, maxY].forEach(value => y.push({ value, from: minX, to: maxX }));
+  });
+
+  if (centre) {
+    x.push({ value: centre.x, from: extent?.minY ?? centre.y, to: extent?.maxY ?? centre.y, centre: true });
+    y.push({ value: centre.y, from: extent?.minX ?? centre.x, to: extent?.maxX ?? centre.x, centre: true });
+  }
+
+  return { x, y };
+};
+
+/**
+ * Smallest move (within `threshold`) that puts one of `edges` on one of
+ * `lines`, or null.
+ */
+const nearestSnap = (edges, lines, threshold) => {
+  let best = null;
+
+  lines.forEach((line) => {
+    edges.forEach((edge) => {
+      const offset = line.value - edge;
+      if (Math.abs(offset) <= threshold && (!best || Math.abs(offset) < Math.abs(best.offset))) {
+        best = { offset, line };
+      }
+    });
+  });
+
+  return best;
+};
+
+/**
+ * Snaps an item centred at `position` (world) whose outline reaches
+ * `halfWidth`/`halfHeight` either side of it.
+ *
+ * @param {THREE.Vector3} position
+ * @param {Object} context
+ * @param {THREE.Vector3} context.origin
+ * @param {{ right, up }} context.axes
+ * @param {number} context.halfWidth
+ * @param {number} context.halfHeight
+ * @param {{ x: Array, y: Array }} context.lines - from snapLines
+ * @param {number} context.threshold - metres
+ * @returns {{ position: THREE.Vector3, guides: Array<{ start, end, centre }> }}
+ *   guides are world-space segments along the lines snapped to
+ */
+export const snapPosition = (position, { origin, axes, halfWidth, halfHeight, lines, threshold }) => {
+  const point = toWall(position, origin, axes);
+
+  const snapX = nearestSnap([point.x - halfWidth, point.x, point.x + halfWidth], lines.x, threshold);
+  const snapY = nearestSnap([point.y - halfHeight, point.y, point.y + halfHeight], lines.y, threshold);
+  if (snapX) point.x += snapX.offset;
+  if (snapY) point.y += snapY.offset;
+
+  const guides = [];
+  if (snapX) {
+    const from = Math.min(snapX.line.from, point.y - halfHeight);
+    const to = Math.max(snapX.line.to, point.y + halfHeight);
+    guides.push({
+      start: fromWall({ x: snapX.line.value, y: from }, origin, axes),
+      end: fromWall({ x: snapX.line.value, y: to }, origin, axes),
+      centre: !!snapX.line.centre,
+    });
+  }
+  if (snapY) {
+    const from = Math.min(snapY.line.from, point.x - halfWidth);
+    const to = Math.max(snapY.line.to, point.x + halfWidth);
+    guides.push({
+      start: fromWall({ x: from, y: snapY.line.value }, origin, axes),
+      end: fromWall({ x: to, y: snapY.line.value }, origin, axes),
+      centre: !!snapY.line.centre,
+    });
+  }
+
+  // Keep the item's distance from the wall; only the in-plane position snaps
+  const moved = fromWall(point, origin, axes);
+  const normal = new THREE.Vector3().crossVectors(axes.right, axes.up);
+  moved.addScaledVector(normal, position.clone().sub(origin).dot(normal));
+
+  return { position: moved, guides };
+};
+
+export default snapPosition;
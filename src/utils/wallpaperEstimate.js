@@ -0,0 +1,71 @@
+/**
+ * Wallpaper Estimate Utilities
+ * How many rolls of a wallpaper a wall takes. The wall is hung in drops -
+ * full-height strips one roll wide - cut one after another from each roll.
+ * Every drop has to start at the same point of the pattern, so a drop is
+ * rounded up to whole repeats, and a half-drop match loses another half
+ * repeat per drop on average. What is left at the end of a roll is waste.
+ * Everything is in metres.
+ */
+
+const isPositive = (value) => Number.isFinite(value) && value > 0;
+
+/**
+ * Length cut from the roll for one drop of a wall `wallHeight` high.
+ *
+ * @param {number} wallHeight
+ * @param {Object} [options]
+ * @param {number} [options.repeatHeight] - 0 for a paper without a pattern to match
+ * @param {'straight'|'half-drop'} [options.match]
+ * @param {number} [options.trim] - allowance for trimming at the ceiling and skirting
+ */
+export const dropLength = (wallHeight, { repeatHeight = 0, match = 'straight', trim = 0 } = {}) => {
+  const length = wallHeight + trim;
+  if (!isPositive(repeatHeight)) return length;
+
+  // Rounded to 0.1 mm first, so a drop of exactly whole repeats isn't pushed up one
+  const repeats = Math.ceil(+(length / repeatHeight).toFixed(4));
+  return (repeats + (match === 'half-drop' ? 0.5 : 0)) * repeatHeight;
+};
+
+/**
+ * @param {{ width, height }} wall
+ * @param {Object} paper
+ * @param {{ width, length }} paper.roll
+ * @param {number} [paper.repeatHeight]
+ * @param {'straight'|'half-drop'} [paper.match]
+ * @param {Object} [options]
+ * @param {number} [options.trim] - see dropLength()
+ * @param {number} [options.waste] - share of rolls added for mistakes and offcuts
+ * @param {number|null} [options.price] - per roll
+ * @returns {{ drops, dropLength, dropsPerRoll, rolls, spare, wallArea, paperArea, wasteShare, total } | null}
+ *   null when the wall has no size, or a drop is longer than a roll
+ */
+export const estimateRolls = (wall, { roll, repeatHeight = 0, match = 'straight' }, { trim = 0, waste = 0, price = null } = {}) => {
+  if (!isPositive(wall?.width) || !isPositive(wall?.height)) return null;
+  if (!isPositive(roll?.width) || !isPositive(roll?.length)) return null;
+
+  const drop = dropLength(wall.height, { repeatHeight, match, trim });
+  const dropsPerRoll = Math.floor(roll.length / drop);
+  if (dropsPerRoll < 1) return null;
+
+  const drops = Math.ceil(+(wall.width / roll.width).toFixed(4));
+  const needed = Math.ceil(drops / dropsPerRoll);
+  const rolls = Math.ceil(needed * (1 + waste));
+  const wallArea = wall.width * wall.height;
+  const paperArea = rolls * roll.width * roll.length;
+
+  return {
+    drops,
+    dropLength: drop,
+    dropsPerRoll,
+    rolls,
+    spare: rolls - needed,
+    wallArea,
+    paperArea,
+    wasteShare: 1 - wallArea / paperArea,
+    total: isPositive(price) ? rolls * price : null,
+  };
+};
+
+export default estimateRolls;
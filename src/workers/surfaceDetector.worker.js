@@ -0,0 +1,52 @@
+/* eslint-disable no-restricted-globals */
+/**
+ * Surface Detector Worker
+ * Runs PlaneSurfaceAnalyzer off the main thread. Receives downscaled
+ * ImageBitmaps, answers with `{ type: 'result', seq, result }`.
+ */
+
+import PlaneSurfaceAnalyzer from '../services/surfaceAnalysis';
+
+let analyzer = new PlaneSurfaceAnalyzer();
+let canvas = null;
+let ctx = null;
+
+const readPixels = (bitmap, width, height) => {
+  if (!canvas) {
+    canvas = new OffscreenCanvas(width, height);
+    ctx = canvas.getContext('2d', { willReadFrequently: true });
+  }
+  if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
+  }
+
+  // Browsers that ignore createImageBitmap's resize options send full frames
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+
+  return ctx.getImageData(0, 0, width, height);
+};
+
+self.onmessage = ({ data: message }) => {
+  if (message.type === 'configure') {
+    analyzer = new PlaneSurfaceAnalyzer(message.thresholds);
+    return;
+  }
+
+  if (message.type === 'reset') {
+    analyzer.reset();
+    return;
+  }
+
+  if (message.type !== 'frame') return;
+
+  const { seq, bitmap, width, height } = message;
+
+  try {
+    const result = analyzer.analyze(readPixels(bitmap, width, height));
+    self.postMessage({ type: 'result', seq, result });
+  } catch (error) {
+    self.postMessage({ type: 'error', seq, message: error.message });
+  }
+};